@@ -20,8 +20,11 @@ void initialize_geogram() {
     }
 }
 
-// Wrapper function that uses Emscripten's val for easier JavaScript interaction
-emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+// Shared implementation; period holds the periodic box lengths [Lx, Ly, Lz].
+// weights_array (optional) turns the result into the regular triangulation dual to the
+// power diagram, power(x, p_i) = |x - p_i|^2 - w_i.
+static emscripten::val compute_delaunay_impl(emscripten::val points_array, int num_points, bool is_periodic, const GEO::vec3& period,
+                                             emscripten::val weights_array = emscripten::val::undefined()) {
     // --- 1. Initialize ---
     initialize_geogram();
     std::cout << "Starting Delaunay computation..." << std::endl;
@@ -30,7 +33,7 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     std::unique_ptr<GEO::PeriodicDelaunay3d> delaunay;
     
     if (is_periodic) {
-        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(GEO::vec3(1.0, 1.0, 1.0));
+        delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(period);
     } else {
         delaunay = std::make_unique<GEO::PeriodicDelaunay3d>(false);
     }
@@ -45,11 +48,12 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     vertices.reserve(num_points * 3);
     
     // Extract points from JavaScript Float64Array
+    const double L[3] = { period.x, period.y, period.z };
     for (int i = 0; i < num_points * 3; i++) {
         double coord = points_array[i].as<double>();
-        // Ensure coordinates are in [0,1) range
-        while (coord < 0.0) coord += 1.0;
-        while (coord >= 1.0) coord -= 1.0;
+        // Ensure coordinates are in [0,L) range
+        while (coord < 0.0) coord += L[i % 3];
+        while (coord >= L[i % 3]) coord -= L[i % 3];
         vertices.push_back(coord);
     }
     
@@ -62,10 +66,19 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
                   << vertices[i*3+2] << ")" << std::endl;
     }
 
-    // --- 4. Set vertices ---
+    // --- 4. Set vertices (and weights) ---
     delaunay->set_vertices(num_points, vertices.data());
     std::cout << "Vertices set. Actual vertex count: " << delaunay->nb_vertices() << std::endl;
 
+    // Must outlive compute(): Geogram keeps the pointer
+    std::vector<double> weights;
+    if (!weights_array.isUndefined() && !weights_array.isNull()) {
+        weights.reserve(num_points);
+        for (int i = 0; i < num_points; i++) weights.push_back(weights_array[i].as<double>());
+        delaunay->set_weights(weights.data());
+        std::cout << "Weights set (regular triangulation)." << std::endl;
+    }
+
     // --- 5. Compute ---
     try {
         delaunay->compute();
@@ -167,7 +180,26 @@ emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int n
     return result;
 }
 
+// Wrapper function that uses Emscripten's val for easier JavaScript interaction
+emscripten::val compute_periodic_delaunay_js(emscripten::val points_array, int num_points, bool is_periodic) {
+    return compute_delaunay_impl(points_array, num_points, is_periodic, GEO::vec3(1.0, 1.0, 1.0));
+}
+
+// Same as compute_delaunay, for a periodic box [0,lx) x [0,ly) x [0,lz)
+emscripten::val compute_periodic_delaunay_box_js(emscripten::val points_array, int num_points, bool is_periodic,
+                                                 double lx, double ly, double lz) {
+    return compute_delaunay_impl(points_array, num_points, is_periodic, GEO::vec3(lx, ly, lz));
+}
+
+// Regular (weighted) triangulation in a periodic box [0,lx) x [0,ly) x [0,lz); weights are w_i = r_i^2
+emscripten::val compute_delaunay_weighted_js(emscripten::val points_array, emscripten::val weights_array, int num_points, bool is_periodic,
+                                             double lx, double ly, double lz) {
+    return compute_delaunay_impl(points_array, num_points, is_periodic, GEO::vec3(lx, ly, lz), weights_array);
+}
+
 // --- 7. Embind module ---
 EMSCRIPTEN_BINDINGS(my_module) {
     emscripten::function("compute_delaunay", &compute_periodic_delaunay_js);
+    emscripten::function("compute_delaunay_box", &compute_periodic_delaunay_box_js);
+    emscripten::function("compute_delaunay_weighted", &compute_delaunay_weighted_js);
 } 
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Mesh export for Voronoi cell polyhedra (from vorox2/cells.js buildCellPolyhedra()).
+ * - OBJ: one object per cell, polygon faces
+ * - PLY: ASCII, polygon faces with per-face `cell` id and per-cell attributes
+ *   (volume always; anything else passed in `attributes`, e.g. { score })
+ * - STL: binary, fan-triangulated faces with facet normals
+ * Pure functions return strings / ArrayBuffers so the same code serves the browser
+ * (downloadCells) and the headless Node runner (writeFileSync).
+ */
+
+import { triangulateFace, polygonNormal } from './vorox2/cells.js';
+
+export const CELL_EXPORT_FORMATS = Object.freeze({
+  obj: { extension: 'obj', mime: 'text/plain' },
+  ply: { extension: 'ply', mime: 'text/plain' },
+  stl: { extension: 'stl', mime: 'model/stl' },
+});
+
+const present = (cells) => cells.filter(Boolean);
+
+function fmt(x, precision) {
+  return Number.isFinite(x) ? +x.toPrecision(precision) + '' : 'nan';
+}
+
+/**
+ * Wavefront OBJ text; each cell is an `o cell_<seed>` object with its own vertices.
+ * @param {Array<Object|null>} cells
+ * @param {Object} [opts] - { precision=9 }
+ * @returns {string}
+ */
+export function cellsToOBJ(cells, { precision = 9 } = {}) {
+  const lines = ['# VoroX Voronoi cells', `# ${present(cells).length} cells`];
+  let base = 1;
+  for (const cell of present(cells)) {
+    lines.push(`o cell_${cell.seed}`);
+    for (const v of cell.vertices) lines.push(`v ${fmt(v[0], precision)} ${fmt(v[1], precision)} ${fmt(v[2], precision)}`);
+    for (const face of cell.faces) lines.push('f ' + face.map((i) => i + base).join(' '));
+    base += cell.vertices.length;
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * ASCII PLY text. Every face carries the seed of its cell plus the cell's attributes.
+ * @param {Array<Object|null>} cells
+ * @param {Object} [opts]
+ * @param {Object<string, ArrayLike<number>>} [opts.attributes] - Extra per-cell values indexed by seed
+ * @param {number} [opts.precision=9]
+ * @returns {string}
+ */
+export function cellsToPLY(cells, { attributes = {}, precision = 9 } = {}) {
+  const list = present(cells);
+  const names = Object.keys(attributes).filter((name) => name !== 'cell' && name !== 'volume');
+  const numVerts = list.reduce((n, c) => n + c.vertices.length, 0);
+  const numFaces = list.reduce((n, c) => n + c.faces.length, 0);
+  const lines = [
+    'ply',
+    'format ascii 1.0',
+    'comment VoroX Voronoi cells',
+    `element vertex ${numVerts}`,
+    'property double x',
+    'property double y',
+    'property double z',
+    `element face ${numFaces}`,
+    'property list uchar int vertex_indices',
+    'property int cell',
+    'property double volume',
+    ...names.map((name) => `property double ${name}`),
+    'end_header',
+  ];
+  for (const cell of list) {
+    for (const v of cell.vertices) lines.push(`${fmt(v[0], precision)} ${fmt(v[1], precision)} ${fmt(v[2], precision)}`);
+  }
+  let base = 0;
+  for (const cell of list) {
+    const extra = names.map((name) => ' ' + fmt(attributes[name][cell.seed], precision)).join('');
+    for (const face of cell.faces) {
+      lines.push(`${face.length} ${face.map((i) => i + base).join(' ')} ${cell.seed} ${fmt(cell.volume, precision)}${extra}`);
+    }
+    base += cell.vertices.length;
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Binary STL (80-byte header, uint32 count, 50 bytes per triangle, little-endian).
+ * @param {Array<Object|null>} cells
+ * @returns {ArrayBuffer}
+ */
+export function cellsToSTL(cells) {
+  const list = present(cells);
+  let numTris = 0;
+  for (const cell of list) for (const face of cell.faces) numTris += Math.max(0, face.length - 2);
+  const buffer = new ArrayBuffer(84 + 50 * numTris);
+  const view = new DataView(buffer);
+  const header = 'VoroX Voronoi cells';
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, numTris, true);
+  let o = 84;
+  for (const cell of list) {
+    for (const face of cell.faces) {
+      for (const tri of triangulateFace(face)) {
+        const verts = tri.map((i) => cell.vertices[i]);
+        const n = polygonNormal(verts);
+        const len = Math.hypot(n[0], n[1], n[2]) || 1;
+        view.setFloat32(o, n[0] / len, true); view.setFloat32(o + 4, n[1] / len, true); view.setFloat32(o + 8, n[2] / len, true);
+        o += 12;
+        for (const v of verts) {
+          view.setFloat32(o, v[0], true); view.setFloat32(o + 4, v[1], true); view.setFloat32(o + 8, v[2], true);
+          o += 12;
+        }
+        view.setUint16(o, 0, true);
+        o += 2;
+      }
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Export cells in one of CELL_EXPORT_FORMATS.
+ * @param {Array<Object|null>} cells
+ * @param {'obj'|'ply'|'stl'} format
+ * @param {Object} [opts] - Forwarded to the format writer
+ * @returns {{ data: string|ArrayBuffer, extension: string, mime: string }}
+ */
+export function exportCells(cells, format, opts = {}) {
+  const spec = CELL_EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown cell export format "${format}" (expected ${Object.keys(CELL_EXPORT_FORMATS).join(', ')})`);
+  const data = format === 'obj' ? cellsToOBJ(cells, opts) : format === 'ply' ? cellsToPLY(cells, opts) : cellsToSTL(cells);
+  return { data, ...spec };
+}
+
+/**
+ * Browser helper: export and trigger a file download.
+ * @param {Array<Object|null>} cells
+ * @param {'obj'|'ply'|'stl'} format
+ * @param {string} [basename='voronoi-cells']
+ * @param {Object} [opts]
+ */
+export function downloadCells(cells, format, basename = 'voronoi-cells', opts = {}) {
+  const { data, extension, mime } = exportCells(cells, format, opts);
+  const url = URL.createObjectURL(new Blob([data], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${basename}.${extension}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -5,8 +5,13 @@
  * and provides a clean API for Delaunay triangulation and Voronoi diagram computation.
  */
 
+import { normalizeBox, minImagePoint, minImageDelta, wrapPoint } from './vorox2/core.js';
+import { computeDelaunayRaw } from './vorox2/wasmDelaunay.js';
+import { buildCellPolyhedra } from './vorox2/cells.js';
+import { analyzeCells } from './vorox2/cellMeasures.js';
+
 export class DelaunayComputation {
-    constructor(points, isPeriodic = true, voronoiMethod = 'barycenter') {
+    constructor(points, isPeriodic = true, voronoiMethod = 'barycenter', box = [1, 1, 1]) {
         // Convert points to flat array if needed
         if (Array.isArray(points) && Array.isArray(points[0])) {
             // Points provided as [[x,y,z], [x,y,z], ...]
@@ -37,10 +42,14 @@ export class DelaunayComputation {
         }
         
         this.isPeriodic = isPeriodic;
-        // Voronoi construction method: 'barycenter' (default) or 'circumcenter'
+        // Periodic box [Lx, Ly, Lz] (points in [0,Lx) x [0,Ly) x [0,Lz)) or a lattice from vorox2/lattice.js
+        this.box = normalizeBox(box);
+        // Voronoi construction method: 'barycenter' (default), 'circumcenter' or 'power'
         // Using a string keeps the public API simple and avoids breaking changes
-        this.voronoiMethod = voronoiMethod === 'circumcenter' ? 'circumcenter' : 'barycenter';
+        this.voronoiMethod = voronoiMethod === 'circumcenter' || voronoiMethod === 'power' ? voronoiMethod : 'barycenter';
         this.numPoints = this.pointsArray.length;
+        // Power weights (w = r^2) for the weighted mode; see setWeights()
+        this.weights = null;
         
         // Results will be stored here
         this.tetrahedra = [];
@@ -50,6 +59,22 @@ export class DelaunayComputation {
         this.faceAdjacency = null; // Array[tetIdx][faceId] -> { tet: number, face: number } | null
     }
 
+    /**
+     * Switch to the weighted (power diagram) mode: compute() then builds the regular
+     * triangulation and uses power centers as Voronoi vertices.
+     * @param {ArrayLike<number>|null} weights - Power weight per point (w = r^2); null for plain Voronoi
+     * @returns {DelaunayComputation} - Returns this for chaining
+     */
+    setWeights(weights) {
+        if (weights && weights.length !== this.numPoints) {
+            throw new Error(`Expected ${this.numPoints} weights, got ${weights.length}`);
+        }
+        this.weights = weights ? Float64Array.from(weights) : null;
+        if (this.weights) this.voronoiMethod = 'power';
+        else if (this.voronoiMethod === 'power') this.voronoiMethod = 'circumcenter';
+        return this;
+    }
+
     /**
      * Main method to run the computation
      * @param {Object} wasmModule - The loaded WASM module
@@ -70,10 +95,12 @@ export class DelaunayComputation {
             console.log('Calling WASM with:', {
                 pointsLength: this.points.length,
                 numPoints: this.numPoints,
-                isPeriodic: this.isPeriodic
+                isPeriodic: this.isPeriodic,
+                box: this.box
             });
             
-            const rawResult = wasmModule.compute_delaunay(this.points, this.numPoints, this.isPeriodic);
+            const rawResult = computeDelaunayRaw(wasmModule, this.points, this.numPoints, this.isPeriodic, this.box, this.weights);
+            this.voronoiCells = []; // rebuilt lazily by getCellPolyhedra()
             
             console.log('WASM returned:', rawResult ? `${rawResult.length} tetrahedra` : 'null/undefined');
             
@@ -86,7 +113,7 @@ export class DelaunayComputation {
                 this.faceAdjacency = this._buildFaceAdjacency();
 
                 // Compute Voronoi diagram from Delaunay using selected method
-                if (this.voronoiMethod === 'circumcenter') {
+                if (this.voronoiMethod === 'circumcenter' || this.voronoiMethod === 'power') {
                     this._computeVoronoiCircumcentric();
                 } else {
                     this._computeVoronoiBarycentric();
@@ -150,6 +177,33 @@ export class DelaunayComputation {
         return this.faceAdjacency || this._buildFaceAdjacency();
     }
 
+    /**
+     * Closed Voronoi cell polyhedra (see vorox2/cells.js), built lazily from the
+     * current tetrahedra and centers and cached in `voronoiCells`.
+     * @returns {Array<Object|null>} Indexed by point; null for unbounded cells
+     */
+    getCellPolyhedra() {
+        if (this.voronoiCells.length === 0 && this.tetrahedra.length > 0) {
+            this.voronoiCells = buildCellPolyhedra({
+                points: this.pointsArray,
+                simplices: this.tetrahedra,
+                centers: this.barycenters,
+                facetPairs: this.getFaceAdjacency(),
+                isPeriodic: this.isPeriodic,
+                box: this.box
+            });
+        }
+        return this.voronoiCells;
+    }
+
+    /**
+     * Per-cell volume, surface area, face count and isoperimetric quotient plus
+     * foam-wide summaries (see vorox2/cellMeasures.js analyzeCells()).
+     */
+    getCellMeasures() {
+        return analyzeCells(this.getCellPolyhedra());
+    }
+
     /**
      * Filter out tetrahedra with invalid vertex indices
      * @private
@@ -207,33 +261,16 @@ export class DelaunayComputation {
                 const ref = p0;
                 
                 // Adjust other points to be in the same periodic image
-                const adjustPoint = (p) => {
-                    const adjusted = [...p];
-                    for (let dim = 0; dim < 3; dim++) {
-                        const diff = p[dim] - ref[dim];
-                        if (diff > 0.5) adjusted[dim] -= 1.0;
-                        else if (diff < -0.5) adjusted[dim] += 1.0;
-                    }
-                    return adjusted;
-                };
-                
-                const p1adj = adjustPoint(p1);
-                const p2adj = adjustPoint(p2);
-                const p3adj = adjustPoint(p3);
+                const p1adj = minImagePoint(ref, p1, this.box);
+                const p2adj = minImagePoint(ref, p2, this.box);
+                const p3adj = minImagePoint(ref, p3, this.box);
                 
-                let centerX = (ref[0] + p1adj[0] + p2adj[0] + p3adj[0]) / 4;
-                let centerY = (ref[1] + p1adj[1] + p2adj[1] + p3adj[1]) / 4;
-                let centerZ = (ref[2] + p1adj[2] + p2adj[2] + p3adj[2]) / 4;
+                const centerX = (ref[0] + p1adj[0] + p2adj[0] + p3adj[0]) / 4;
+                const centerY = (ref[1] + p1adj[1] + p2adj[1] + p3adj[1]) / 4;
+                const centerZ = (ref[2] + p1adj[2] + p2adj[2] + p3adj[2]) / 4;
                 
-                // Wrap the center back into [0,1]
-                while (centerX < 0) centerX += 1.0;
-                while (centerX >= 1) centerX -= 1.0;
-                while (centerY < 0) centerY += 1.0;
-                while (centerY >= 1) centerY -= 1.0;
-                while (centerZ < 0) centerZ += 1.0;
-                while (centerZ >= 1) centerZ -= 1.0;
-                
-                this.barycenters.push([centerX, centerY, centerZ]);
+                // Wrap the center back into the box
+                this.barycenters.push(wrapPoint([centerX, centerY, centerZ], this.box));
             } else {
                 // Non-periodic case - simple average
                 const centerX = (p0[0] + p1[0] + p2[0] + p3[0]) / 4;
@@ -297,6 +334,7 @@ export class DelaunayComputation {
     /**
      * Compute Voronoi diagram using tetrahedra circumcenters
      * - Robustly computes circumcenters with a fallback to centroid when nearly singular
+     * - In 'power' mode with weights, uses power centers instead (power diagram)
      * - Handles periodic wrap by adjusting vertices to the same image before computing
      * @private
      */
@@ -313,36 +351,25 @@ export class DelaunayComputation {
             const p1 = this.pointsArray[tetra[1]];
             const p2 = this.pointsArray[tetra[2]];
             const p3 = this.pointsArray[tetra[3]];
+            const w = this.voronoiMethod === 'power' && this.weights
+                ? [this.weights[tetra[0]], this.weights[tetra[1]], this.weights[tetra[2]], this.weights[tetra[3]]]
+                : null;
 
             let c;
             if (this.isPeriodic) {
                 // Adjust to the same periodic image using p0 as reference
                 const ref = p0;
-                const adjustPoint = (p) => {
-                    const adjusted = [...p];
-                    for (let dim = 0; dim < 3; dim++) {
-                        const diff = p[dim] - ref[dim];
-                        if (diff > 0.5) adjusted[dim] -= 1.0;
-                        else if (diff < -0.5) adjusted[dim] += 1.0;
-                    }
-                    return adjusted;
-                };
                 const a = [...p0];
-                const b = adjustPoint(p1);
-                const c2 = adjustPoint(p2);
-                const d = adjustPoint(p3);
-
-                c = this._circumcenterOfTetrahedron(a, b, c2, d);
-
-                // Wrap back into [0,1)
-                if (c) {
-                    for (let dim = 0; dim < 3; dim++) {
-                        while (c[dim] < 0) c[dim] += 1.0;
-                        while (c[dim] >= 1) c[dim] -= 1.0;
-                    }
-                }
+                const b = minImagePoint(ref, p1, this.box);
+                const c2 = minImagePoint(ref, p2, this.box);
+                const d = minImagePoint(ref, p3, this.box);
+
+                c = this._circumcenterOfTetrahedron(a, b, c2, d, w);
+
+                // Wrap back into the box
+                if (c) c = wrapPoint(c, this.box);
             } else {
-                c = this._circumcenterOfTetrahedron(p0, p1, p2, p3);
+                c = this._circumcenterOfTetrahedron(p0, p1, p2, p3, w);
             }
 
             // Fallback to centroid if computation failed or was ill-conditioned
@@ -410,9 +437,10 @@ export class DelaunayComputation {
      * Returns null if the matrix is near-singular (degenerate tetrahedron)
      * Inspired by the robust formulation used in VoroX (circumcenter) and
      * computed by solving A x = b with rows (b-a), (c-a), (d-a) and b = 0.5*(|p|^2 - |a|^2)
+     * With weights w = [wa, wb, wc, wd], b = 0.5*((|p|^2 - w_p) - (|a|^2 - w_a)): the power center
      * @private
      */
-    _circumcenterOfTetrahedron(a, b, c, d) {
+    _circumcenterOfTetrahedron(a, b, c, d, w = null) {
         const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
         const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
 
@@ -427,8 +455,10 @@ export class DelaunayComputation {
             [da[0], da[1], da[2]],
         ];
         // b vector: 0.5*(|p|^2 - |a|^2)
-        const a2 = dot(a, a);
-        const rhs = [0.5 * (dot(b, b) - a2), 0.5 * (dot(c, c) - a2), 0.5 * (dot(d, d) - a2)];
+        const a2 = dot(a, a) - (w ? w[0] : 0);
+        const rhs = w
+            ? [0.5 * (dot(b, b) - w[1] - a2), 0.5 * (dot(c, c) - w[2] - a2), 0.5 * (dot(d, d) - w[3] - a2)]
+            : [0.5 * (dot(b, b) - a2), 0.5 * (dot(c, c) - a2), 0.5 * (dot(d, d) - a2)];
 
         // Solve A x = rhs
         const x = this._solve3x3(A, rhs);
@@ -479,12 +509,11 @@ export class DelaunayComputation {
     _isPeriodicEdge(p1, p2) {
         if (!this.isPeriodic) return false;
         
-        const dx = Math.abs(p1[0] - p2[0]);
-        const dy = Math.abs(p1[1] - p2[1]);
-        const dz = Math.abs(p1[2] - p2[2]);
-        
-        // If any dimension has a distance > 0.5, it crosses the periodic boundary
-        return dx > 0.5 || dy > 0.5 || dz > 0.5;
+        // If the minimum image differs from the direct difference, the edge crosses the periodic boundary
+        const d = minImageDelta(p1, p2, this.box);
+        return Math.abs(d[0] - (p2[0] - p1[0])) > 1e-12 ||
+               Math.abs(d[1] - (p2[1] - p1[1])) > 1e-12 ||
+               Math.abs(d[2] - (p2[2] - p1[2])) > 1e-12;
     }
 
     /**
@@ -498,20 +527,8 @@ export class DelaunayComputation {
             return Math.sqrt(dx*dx + dy*dy + dz*dz);
         }
         
-        let dx = p2[0] - p1[0];
-        let dy = p2[1] - p1[1];
-        let dz = p2[2] - p1[2];
-        
         // Apply periodic boundary conditions
-        if (dx > 0.5) dx -= 1.0;
-        else if (dx < -0.5) dx += 1.0;
-        
-        if (dy > 0.5) dy -= 1.0;
-        else if (dy < -0.5) dy += 1.0;
-        
-        if (dz > 0.5) dz -= 1.0;
-        else if (dz < -0.5) dz += 1.0;
-        
+        const [dx, dy, dz] = minImageDelta(p1, p2, this.box);
         return Math.sqrt(dx*dx + dy*dy + dz*dz);
     }
 
@@ -523,7 +540,8 @@ export class DelaunayComputation {
             numPoints: this.numPoints,
             numTetrahedra: this.tetrahedra.length,
             numVoronoiEdges: this.voronoiEdges.length,
-            isPeriodic: this.isPeriodic
+            isPeriodic: this.isPeriodic,
+            box: Array.isArray(this.box) ? this.box.slice() : this.box
         };
     }
 } 
\ No newline at end of file
@@ -0,0 +1,282 @@
+/**
+ * Deterministic seeded point generators for periodic boxes.
+ * - Every generator takes a `seed` and returns the same points for the same arguments
+ *   (no Math.random), as a flat Float64Array [x0,y0,z0, x1,...] for DelaunayComputation
+ * - `box` is [Lx, Ly, Lz] (default unit cube) or a lattice from createLattice(); for a
+ *   lattice points are generated in fractional coordinates and mapped into the cell,
+ *   so distances (minDistance, sigma) are then measured in fractional units
+ * - Distributions: uniform, poisson (periodic Poisson-disk), jittered grid, sc/bcc/fcc
+ *   lattices and Gaussian clusters; see generatePoints() for the name-based entry point
+ */
+
+import { normalizeBox } from './vorox2/core.js';
+import { isLattice, toCartesian } from './vorox2/lattice.js';
+
+/**
+ * Small seeded PRNG (mulberry32).
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} rng() -> float in [0, 1)
+ */
+export function createRng(seed = 0) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box–Muller); consumes two rng() draws
+function gaussian(rng) {
+  const u = 1 - rng(); // (0, 1] so log() stays finite
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function wrap(x, L) {
+  const w = x - Math.floor(x / L) * L;
+  return w >= L ? 0 : w;
+}
+
+// Generation frame: the box extents, or the unit fractional cube of a lattice
+function frameOf(box) {
+  const b = normalizeBox(box);
+  return isLattice(b) ? { extent: [1, 1, 1], lattice: b } : { extent: b, lattice: null };
+}
+
+// Map fractional points into a lattice cell (no-op for orthogonal boxes)
+function finish(flat, frame) {
+  if (!frame.lattice) return flat;
+  for (let i = 0; i < flat.length; i += 3) {
+    const p = toCartesian([flat[i], flat[i + 1], flat[i + 2]], frame.lattice);
+    flat[i] = p[0]; flat[i + 1] = p[1]; flat[i + 2] = p[2];
+  }
+  return flat;
+}
+
+// Cells per axis so that nx*ny*nz ~ n with roughly cubic cells
+function gridDims(n, extent) {
+  const [Lx, Ly, Lz] = extent;
+  const h = Math.cbrt((Lx * Ly * Lz) / Math.max(1, n));
+  return [Math.max(1, Math.round(Lx / h)), Math.max(1, Math.round(Ly / h)), Math.max(1, Math.round(Lz / h))];
+}
+
+/**
+ * Independent uniform points.
+ * @param {number} n
+ * @param {Object} [opts] - { seed=0, box=[1,1,1] }
+ * @returns {Float64Array}
+ */
+export function uniformPoints(n, { seed = 0, box } = {}) {
+  const frame = frameOf(box);
+  const [Lx, Ly, Lz] = frame.extent;
+  const rng = createRng(seed);
+  const out = new Float64Array(n * 3);
+  for (let i = 0; i < n; i++) {
+    out[3 * i] = rng() * Lx;
+    out[3 * i + 1] = rng() * Ly;
+    out[3 * i + 2] = rng() * Lz;
+  }
+  return finish(out, frame);
+}
+
+/**
+ * Periodic Poisson-disk sampling (Bridson), with distances measured across the
+ * wrap-around so no pair of points is closer than minDistance in the periodic box.
+ * Stops after n points or when no more fit (the result may then hold fewer than n).
+ * @param {number} n - Target number of points
+ * @param {Object} [opts] - { seed=0, box=[1,1,1], minDistance (default from n), k=30 candidates per active point }
+ * @returns {Float64Array}
+ */
+export function poissonDiskPoints(n, { seed = 0, box, minDistance, k = 30 } = {}) {
+  const frame = frameOf(box);
+  const [Lx, Ly, Lz] = frame.extent;
+  // ~0.7 of the mean spacing leaves room for n points in a maximal sample
+  const r = minDistance > 0 ? minDistance : 0.7 * Math.cbrt((Lx * Ly * Lz) / Math.max(1, n));
+  const r2 = r * r;
+  // Cells no wider than r/sqrt(3): their diagonal is at most r, so each holds one point
+  const cell = r / Math.sqrt(3);
+  const gx = Math.ceil(Lx / cell);
+  const gy = Math.ceil(Ly / cell);
+  const gz = Math.ceil(Lz / cell);
+  const grid = new Int32Array(gx * gy * gz).fill(-1);
+  // Neighbour search radius in cells
+  const sx = Math.min(gx, Math.ceil(r / (Lx / gx))), sy = Math.min(gy, Math.ceil(r / (Ly / gy))), sz = Math.min(gz, Math.ceil(r / (Lz / gz)));
+  const cellOf = (x, L, g) => Math.min(g - 1, Math.floor(x / L * g));
+  const rng = createRng(seed);
+  const pts = [];
+  const active = [];
+
+  const fits = (x, y, z) => {
+    const cx = cellOf(x, Lx, gx), cy = cellOf(y, Ly, gy), cz = cellOf(z, Lz, gz);
+    for (let dx = -sx; dx <= sx; dx++) {
+      const ix = ((cx + dx) % gx + gx) % gx;
+      for (let dy = -sy; dy <= sy; dy++) {
+        const iy = ((cy + dy) % gy + gy) % gy;
+        for (let dz = -sz; dz <= sz; dz++) {
+          const iz = ((cz + dz) % gz + gz) % gz;
+          const j = grid[(ix * gy + iy) * gz + iz];
+          if (j < 0) continue;
+          let ddx = x - pts[j][0], ddy = y - pts[j][1], ddz = z - pts[j][2];
+          ddx -= Lx * Math.round(ddx / Lx);
+          ddy -= Ly * Math.round(ddy / Ly);
+          ddz -= Lz * Math.round(ddz / Lz);
+          if (ddx * ddx + ddy * ddy + ddz * ddz < r2) return false;
+        }
+      }
+    }
+    return true;
+  };
+  const insert = (x, y, z) => {
+    grid[(cellOf(x, Lx, gx) * gy + cellOf(y, Ly, gy)) * gz + cellOf(z, Lz, gz)] = pts.length;
+    active.push(pts.length);
+    pts.push([x, y, z]);
+  };
+
+  if (n > 0) insert(rng() * Lx, rng() * Ly, rng() * Lz);
+  while (active.length > 0 && pts.length < n) {
+    const a = Math.floor(rng() * active.length);
+    const p = pts[active[a]];
+    let placed = false;
+    for (let t = 0; t < k; t++) {
+      // Uniform direction, radius in [r, 2r)
+      const zc = 2 * rng() - 1;
+      const phi = 2 * Math.PI * rng();
+      const rad = r * (1 + rng());
+      const s = Math.sqrt(1 - zc * zc);
+      const x = wrap(p[0] + rad * s * Math.cos(phi), Lx);
+      const y = wrap(p[1] + rad * s * Math.sin(phi), Ly);
+      const z = wrap(p[2] + rad * zc, Lz);
+      if (fits(x, y, z)) {
+        insert(x, y, z);
+        placed = true;
+        break;
+      }
+    }
+    if (!placed) {
+      active[a] = active[active.length - 1];
+      active.pop();
+    }
+  }
+  return finish(new Float64Array(pts.flat()), frame);
+}
+
+/**
+ * One point per grid cell, displaced uniformly within `jitter` of the cell size.
+ * The grid has nx*ny*nz ~ n cells (exactly n when n is a cube and the box is cubic).
+ * @param {number} n
+ * @param {Object} [opts] - { seed=0, box=[1,1,1], jitter=0.5 (0 = regular grid, 1 = anywhere in the cell) }
+ * @returns {Float64Array}
+ */
+export function jitteredGridPoints(n, { seed = 0, box, jitter = 0.5 } = {}) {
+  const frame = frameOf(box);
+  const [Lx, Ly, Lz] = frame.extent;
+  const [nx, ny, nz] = gridDims(n, frame.extent);
+  const hx = Lx / nx, hy = Ly / ny, hz = Lz / nz;
+  const rng = createRng(seed);
+  const out = new Float64Array(nx * ny * nz * 3);
+  let o = 0;
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      for (let l = 0; l < nz; l++) {
+        out[o++] = wrap((i + 0.5 + jitter * (rng() - 0.5)) * hx, Lx);
+        out[o++] = wrap((j + 0.5 + jitter * (rng() - 0.5)) * hy, Ly);
+        out[o++] = wrap((l + 0.5 + jitter * (rng() - 0.5)) * hz, Lz);
+      }
+    }
+  }
+  return finish(out, frame);
+}
+
+const LATTICE_BASES = {
+  sc: [[0, 0, 0]],
+  bcc: [[0, 0, 0], [0.5, 0.5, 0.5]],
+  fcc: [[0, 0, 0], [0.5, 0.5, 0], [0.5, 0, 0.5], [0, 0.5, 0.5]],
+};
+
+/**
+ * Crystal lattice points (simple cubic, BCC or FCC) tiling the periodic box.
+ * @param {'sc'|'bcc'|'fcc'} type
+ * @param {Object} [opts]
+ * @param {number[]} [opts.cells] - Unit cells per axis [nx, ny, nz]
+ * @param {number} [opts.n] - Target point count, used when `cells` is omitted
+ * @param {number} [opts.jitter=0] - Gaussian displacement, as a fraction of the cell size
+ * @param {number} [opts.seed=0]
+ * @param {Array|Object} [opts.box]
+ * @returns {Float64Array}
+ */
+export function latticePoints(type = 'bcc', { cells, n = 128, jitter = 0, seed = 0, box } = {}) {
+  const basis = LATTICE_BASES[type];
+  if (!basis) throw new Error(`Unknown lattice type "${type}" (expected sc, bcc or fcc)`);
+  const frame = frameOf(box);
+  const [Lx, Ly, Lz] = frame.extent;
+  const [nx, ny, nz] = cells || gridDims(n / basis.length, frame.extent);
+  const hx = Lx / nx, hy = Ly / ny, hz = Lz / nz;
+  const rng = createRng(seed);
+  const out = new Float64Array(nx * ny * nz * basis.length * 3);
+  let o = 0;
+  // Offset by a quarter cell so no site sits exactly on the box faces
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      for (let l = 0; l < nz; l++) {
+        for (const b of basis) {
+          const ex = jitter > 0 ? jitter * gaussian(rng) : 0;
+          const ey = jitter > 0 ? jitter * gaussian(rng) : 0;
+          const ez = jitter > 0 ? jitter * gaussian(rng) : 0;
+          out[o++] = wrap((i + b[0] + 0.25 + ex) * hx, Lx);
+          out[o++] = wrap((j + b[1] + 0.25 + ey) * hy, Ly);
+          out[o++] = wrap((l + b[2] + 0.25 + ez) * hz, Lz);
+        }
+      }
+    }
+  }
+  return finish(out, frame);
+}
+
+/**
+ * Gaussian clusters around uniformly placed centres, wrapped into the periodic box.
+ * Points are dealt to clusters round-robin, so sizes differ by at most one.
+ * @param {number} n
+ * @param {Object} [opts] - { seed=0, box=[1,1,1], clusters=4, sigma=0.05 }
+ * @returns {Float64Array}
+ */
+export function gaussianClusterPoints(n, { seed = 0, box, clusters = 4, sigma = 0.05 } = {}) {
+  const frame = frameOf(box);
+  const [Lx, Ly, Lz] = frame.extent;
+  const rng = createRng(seed);
+  const m = Math.max(1, clusters | 0);
+  const centres = Array.from({ length: m }, () => [rng() * Lx, rng() * Ly, rng() * Lz]);
+  const out = new Float64Array(n * 3);
+  for (let i = 0; i < n; i++) {
+    const c = centres[i % m];
+    out[3 * i] = wrap(c[0] + sigma * gaussian(rng), Lx);
+    out[3 * i + 1] = wrap(c[1] + sigma * gaussian(rng), Ly);
+    out[3 * i + 2] = wrap(c[2] + sigma * gaussian(rng), Lz);
+  }
+  return finish(out, frame);
+}
+
+export const POINT_DISTRIBUTIONS = Object.freeze(['uniform', 'poisson', 'jittered', 'sc', 'bcc', 'fcc', 'clusters']);
+
+/**
+ * Generate points by distribution name.
+ * @param {string} distribution - One of POINT_DISTRIBUTIONS
+ * @param {number} n - Target point count (lattices and grids round to whole cells)
+ * @param {Object} [opts] - seed, box and the distribution's own options
+ * @returns {Float64Array}
+ */
+export function generatePoints(distribution, n, opts = {}) {
+  switch (distribution) {
+    case 'uniform': return uniformPoints(n, opts);
+    case 'poisson': return poissonDiskPoints(n, opts);
+    case 'jittered': return jitteredGridPoints(n, opts);
+    case 'sc':
+    case 'bcc':
+    case 'fcc': return latticePoints(distribution, { n, ...opts });
+    case 'clusters': return gaussianClusterPoints(n, opts);
+    default:
+      throw new Error(`Unknown point distribution "${distribution}" (expected one of ${POINT_DISTRIBUTIONS.join(', ')})`);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Rolling time-series charts for a stats recorder (vorox2/foamStats.js), drawn on
+ * small canvases, plus a faces-per-cell histogram and a CSV download button.
+ * Browser only; the recorder itself also runs headless.
+ */
+
+export const DEFAULT_CHARTS = Object.freeze([
+  { title: 'Cell volume (mean ± sd)', column: 'meanVolume', spread: 'volumeVariance', color: '#1f77b4' },
+  { title: 'Faces per cell ⟨F⟩', column: 'meanFaces', spread: 'faceVariance', color: '#2ca02c' },
+  { title: 'Aboav–Weaire a', column: 'aboavA', color: '#9467bd' },
+  { title: 'Lewis F0', column: 'lewisF0', color: '#8c564b' },
+  { title: 'Edge score (mean ± sd)', column: 'scoreMean', spread: 'scoreVariance', color: '#ff7f0e' },
+  { title: 'XPBD mean Δ', column: 'meanDelta', color: '#d62728' },
+  { title: 'XPBD max Δ', column: 'maxDelta', color: '#e377c2' },
+  { title: 'Cell volume error', column: 'cellVolumeError', color: '#17becf' },
+  { title: 'Energy', column: 'energy', color: '#bcbd22' },
+  { title: 'Gradient norm (RMS)', column: 'gradientNorm', color: '#7f7f7f' },
+]);
+
+function formatValue(v) {
+  if (!Number.isFinite(v)) return '–';
+  const a = Math.abs(v);
+  return a !== 0 && (a < 1e-3 || a >= 1e4) ? v.toExponential(2) : v.toFixed(4);
+}
+
+function drawSeries(ctx, width, height, values, spreads, color) {
+  ctx.clearRect(0, 0, width, height);
+  const pts = [];
+  values.forEach((v, i) => { if (Number.isFinite(v)) pts.push(i); });
+  if (pts.length === 0) return;
+  let lo = Infinity, hi = -Infinity;
+  for (const i of pts) {
+    const sd = spreads && Number.isFinite(spreads[i]) ? Math.sqrt(Math.max(0, spreads[i])) : 0;
+    lo = Math.min(lo, values[i] - sd);
+    hi = Math.max(hi, values[i] + sd);
+  }
+  if (hi - lo < 1e-12) { hi += 0.5 * (Math.abs(hi) || 1); lo -= 0.5 * (Math.abs(lo) || 1); }
+  const x = (i) => (values.length < 2 ? width / 2 : (i / (values.length - 1)) * (width - 2) + 1);
+  const y = (v) => height - 2 - ((v - lo) / (hi - lo)) * (height - 4);
+  if (spreads) {
+    ctx.fillStyle = color + '33';
+    ctx.beginPath();
+    pts.forEach((i, k) => {
+      const sd = Number.isFinite(spreads[i]) ? Math.sqrt(Math.max(0, spreads[i])) : 0;
+      k === 0 ? ctx.moveTo(x(i), y(values[i] + sd)) : ctx.lineTo(x(i), y(values[i] + sd));
+    });
+    for (let k = pts.length - 1; k >= 0; k--) {
+      const i = pts[k];
+      const sd = Number.isFinite(spreads[i]) ? Math.sqrt(Math.max(0, spreads[i])) : 0;
+      ctx.lineTo(x(i), y(values[i] - sd));
+    }
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  pts.forEach((i, k) => (k === 0 ? ctx.moveTo(x(i), y(values[i])) : ctx.lineTo(x(i), y(values[i]))));
+  ctx.stroke();
+}
+
+function drawHistogram(ctx, width, height, distribution) {
+  ctx.clearRect(0, 0, width, height);
+  const first = distribution.findIndex((c) => c > 0);
+  if (first < 0) return;
+  const last = distribution.length - 1;
+  const max = Math.max(...distribution);
+  const bins = last - first + 1;
+  const w = width / bins;
+  ctx.font = '9px system-ui';
+  ctx.textAlign = 'center';
+  for (let F = first; F <= last; F++) {
+    const h = (distribution[F] / max) * (height - 12);
+    ctx.fillStyle = '#17becf';
+    ctx.fillRect((F - first) * w + 1, height - 10 - h, Math.max(1, w - 2), h);
+    ctx.fillStyle = '#333';
+    if (bins <= 24 || F % 2 === 0) ctx.fillText(String(F), (F - first + 0.5) * w, height - 1);
+  }
+}
+
+/**
+ * Build the panel inside `container`.
+ * @param {HTMLElement} container
+ * @param {Object} recorder - createStatsRecorder() instance
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.charts=DEFAULT_CHARTS] - { title, column, spread?, color }
+ * @param {number} [opts.width=220]
+ * @param {number} [opts.height=48]
+ * @param {string} [opts.filename='vorox-stats.csv']
+ * @returns {{ update: Function, destroy: Function }}
+ */
+export function createStatsPanel(container, recorder, { charts = DEFAULT_CHARTS, width = 220, height = 48, filename = 'vorox-stats.csv' } = {}) {
+  const root = document.createElement('div');
+  root.className = 'stats-panel';
+  root.style.cssText = 'font-size:11px; margin-top:8px;';
+  const entries = charts.map((chart) => {
+    const row = document.createElement('div');
+    row.style.margin = '4px 0';
+    const label = document.createElement('div');
+    label.style.cssText = 'display:flex; justify-content:space-between;';
+    const title = document.createElement('span');
+    title.textContent = chart.title;
+    const value = document.createElement('span');
+    value.style.fontFamily = 'ui-monospace, monospace';
+    label.append(title, value);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.style.cssText = `width:${width}px; height:${height}px; background:#fafafa; border:1px solid #ddd; border-radius:3px;`;
+    row.append(label, canvas);
+    root.appendChild(row);
+    return { chart, value, ctx: canvas.getContext('2d') };
+  });
+
+  const histTitle = document.createElement('div');
+  histTitle.textContent = 'Faces per cell';
+  const hist = document.createElement('canvas');
+  hist.width = width;
+  hist.height = height + 12;
+  hist.style.cssText = `width:${width}px; height:${height + 12}px; background:#fafafa; border:1px solid #ddd; border-radius:3px;`;
+  const histCtx = hist.getContext('2d');
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display:flex; gap:6px; margin-top:6px;';
+  const csvBtn = document.createElement('button');
+  csvBtn.textContent = 'Export CSV';
+  csvBtn.addEventListener('click', () => {
+    const url = URL.createObjectURL(new Blob([recorder.toCSV()], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  });
+  const clearBtn = document.createElement('button');
+  clearBtn.textContent = 'Clear';
+  clearBtn.addEventListener('click', () => { recorder.clear(); update(); });
+  buttons.append(csvBtn, clearBtn);
+  root.append(histTitle, hist, buttons);
+  container.appendChild(root);
+
+  function update() {
+    const latest = recorder.latest();
+    for (const { chart, value, ctx } of entries) {
+      const values = recorder.series(chart.column);
+      drawSeries(ctx, width, height, values, chart.spread ? recorder.series(chart.spread) : null, chart.color);
+      value.textContent = latest ? formatValue(latest[chart.column]) : '–';
+    }
+    drawHistogram(histCtx, width, height + 12, recorder.distribution());
+  }
+
+  update();
+  return {
+    update,
+    destroy: () => root.remove(),
+  };
+}
@@ -1,54 +1,306 @@
-import { buildFoam, buildFoamHash } from './vorox2/foam.js';
-import { ensureCaches, clearCache } from './vorox2/dual.js';
-import { gradient, integratePoints, createVerletSystem } from './vorox2/dynamics.js';
+import { buildFoam, buildFoamHash, updateFoam } from './vorox2/foam.js';
+import { ensureCaches, clearCache, setCache } from './vorox2/dual.js';
+import { gradient, foamEnergy, integratePoints, createVerletSystem } from './vorox2/dynamics.js';
+import { createIntegrator } from './vorox2/integrators.js';
 import { buildVoronoiEdgeGraph } from './vorox2/edgeGraph.js';
+import { normalizeBox, wrapPoint, minImagePoint } from './vorox2/core.js';
+import { triangulatePoints } from './vorox2/wasmDelaunay.js';
+import { buildPackedFoam, updatePackedFoam, updatePackedCenters, unpackPoints, unpackVectors, scoresFromMap, gradientPacked, foamEnergyPacked, xpbdFacePassPacked, integratePointsPacked, minImageDeltaFn } from './vorox2/packedFoam.js';
+import { createXPBDSolver, addScoredFaceConstraints, buildCellFaces, foamCellVolumes, projectFoamCellVolumes } from './vorox2/xpbd.js';
+import { repairTriangulation } from './vorox2/flips.js';
+import { diffTopology, createTopologyEventLog } from './vorox2/topologyEvents.js';
+import { remapEdgeScores, remapFlow } from './vorox2/identity.js';
+import { weightsFromRadii, radiiFromWeights, targetVolumesFromRadii, relaxWeights } from './vorox2/power.js';
+import { createLattice, isLattice, advanceShear, convectPoints } from './vorox2/lattice.js';
+import { STATE_FORMAT, STATE_VERSION, parseState, flatten, unflatten, serializeBox, deserializeBox, serializeScores, deserializeScores } from './vorox2/state.js';
 
-export async function createVoroX({ Module, points, periodic=true, centering='circumcenter' }) {
+// RMS over the points of a gradient, [x, y, z] per point or flat
+function rmsNorm(g) {
+  const flat = ArrayBuffer.isView(g);
+  const n = flat ? g.length / 3 : g.length;
+  let sq = 0;
+  if (flat) for (let i = 0; i < g.length; i++) sq += g[i] * g[i];
+  else for (const v of g) sq += v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+  return n ? Math.sqrt(sq / n) : 0;
+}
+
+/**
+ * Create a VoroX simulation. The README describes the step() options and the stats that
+ * getLastStats() reports.
+ * @param {Object} opts - { Module, points, periodic, centering, box, lattice, shearRate,
+ *   verbose } plus:
+ * @param {number} [opts.seed=0] - Run-level RNG seed callers should pass to the MC scorer
+ * @param {Object|string} [opts.restore] - State from serialize() (object or JSON string),
+ *   resumed exactly; points, periodicity, centering, box and seed then come from it
+ * @param {Object} [opts.topology] - Async triangulation provider (workers/topologyPool.js):
+ *   retriangulation runs off-thread and step() installs the result once it is ready
+ * @param {number[]} [opts.radii] - Weighted mode: the foam is the power diagram of the
+ *   regular triangulation
+ * @param {ArrayLike<number>} [opts.weights] - Power weights instead of radii (w = r^2)
+ * @param {number[]} [opts.targetVolumes] - Cell volumes step({ weightRate }) relaxes the
+ *   weights toward (default proportional to r^3)
+ * @param {number} [opts.topologyEventCapacity=5000] - Size of the log that every topology
+ *   change is diffed into (2-3 / 3-2 flips and T2 events, vorox2/topologyEvents.js)
+ */
+export async function createVoroX({ Module, points, periodic=true, centering='circumcenter', box, lattice, shearRate=0, verbose=true, seed=0, restore=null, topology=null, radii=null, weights=null, targetVolumes=null, topologyEventCapacity=5000 }) {
   if (!Module || typeof Module.compute_delaunay !== 'function') {
     throw new Error('PeriodicDelaunayModule missing compute_delaunay');
   }
-  let pointsArray = Array.isArray(points[0]) ? points : points.map(p=>[p[0],p[1],p[2]]);
-  let stepCounter = 0;
+  const saved = restore ? parseState(restore) : null;
+  if (saved) {
+    periodic = saved.periodic;
+    centering = saved.centering;
+    box = deserializeBox(saved.box);
+    seed = saved.seed;
+  }
+  box = normalizeBox(box); // periodic box [Lx, Ly, Lz]; points live in [0,Lx)x[0,Ly)x[0,Lz)
+  // Triclinic cell vectors (rows a, b, c) and/or simple shear turn the box into a lattice
+  if (!isLattice(box) && (lattice || shearRate)) {
+    box = createLattice({ vectors: lattice, box, shearRate });
+  }
+  let pointsArray = saved ? unflatten(saved.points) : (Array.isArray(points[0]) ? points : points.map(p=>[p[0],p[1],p[2]]));
+  // Weighted (power diagram) mode: per-seed power weights and target cell volumes
+  if (saved) {
+    weights = saved.weights || null;
+    targetVolumes = saved.targetVolumes || null;
+  } else if (!weights && radii) {
+    weights = weightsFromRadii(radii);
+  }
+  let powerWeights = weights ? Float64Array.from(weights) : null;
+  if (powerWeights && powerWeights.length !== pointsArray.length) {
+    throw new Error(`Expected ${pointsArray.length} weights, got ${powerWeights.length}`);
+  }
+  let cellTargets = !powerWeights ? null
+    : targetVolumes ? Float64Array.from(targetVolumes) : targetVolumesFromRadii(radiiFromWeights(powerWeights), box);
+  if (powerWeights && !saved && centering !== 'centroid') centering = 'power';
+  let stepCounter = saved ? saved.stepCounter : 0;
   let verlet = null;
+  if (saved && saved.verlet) {
+    verlet = createVerletSystem(saved.verlet.numPoints, !!periodic, box);
+    verlet.importState(saved.verlet);
+  }
+  // Velocity integrators of step({ integrator }) (position Verlet stays in `verlet`)
+  let dynamics = null;
+  if (saved && saved.integrator) {
+    dynamics = createIntegrator(saved.integrator.name, saved.integrator.numPoints, { isPeriodic: !!periodic, box });
+    dynamics.importState(saved.integrator);
+  }
+  let lastEdgeScores = saved ? deserializeScores(saved.edgeScores) : null; // scores used by the latest step
+  // Struct-of-arrays view for step({ packed: true }) and its reusable buffers. Packed steps
+  // move packed.positions only; pointsArray and the object foam catch up on first use.
+  let packed = null;
+  let packedTets = null;
+  let packedWeights = null;
+  let packedScores = null;
+  let packedGrad = null;
+  let packedPrev = null;
+  let pointsStale = false; // packed.positions are ahead of pointsArray
+  let packedStale = false; // pointsArray is ahead of packed.positions
+  let foamStale = false;   // foam was built on older points (same tets)
   function triangulate() {
-    const flat = new Float64Array(pointsArray.flat());
-    const raw = Module.compute_delaunay(flat, pointsArray.length, periodic);
-    if (!raw) return [];
-    
-    // In periodic mode, all vertices should be valid
-    // In non-periodic mode, we also keep all valid tetrahedra
-    // We only filter out completely invalid tetrahedra
-    const filtered = [];
-    let invalidCount = 0;
-    for (const t of raw) {
-      const v0 = t[0]|0, v1 = t[1]|0, v2 = t[2]|0, v3 = t[3]|0;
-      // Only filter if ALL vertices are valid (no infinite vertices)
-      // This preserves the proper Delaunay triangulation
-      if (v0 >= 0 && v0 < pointsArray.length &&
-          v1 >= 0 && v1 < pointsArray.length &&
-          v2 >= 0 && v2 < pointsArray.length &&
-          v3 >= 0 && v3 < pointsArray.length) {
-        filtered.push([v0, v1, v2, v3]);
-      } else {
-        invalidCount++;
-      }
-    }
-    if (invalidCount > 0) {
-      console.log(`Filtered out ${invalidCount} tetrahedra with infinite vertices (periodic=${periodic})`);
-    }
-    console.log(`Triangulation: ${raw.length} raw tets -> ${filtered.length} valid tets`);
-    return filtered;
+    return triangulatePoints(Module, currentPoints(), periodic, box, { verbose, weights: powerWeights });
   }
-  let tetrahedra = triangulate();
-  let foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering });
+  // A restored session keeps its saved tetrahedra so edge keys and flow stay aligned
+  let tetrahedra = saved ? unflatten(saved.tetrahedra, 4) : triangulate();
+  let foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering, box, weights: powerWeights });
   let foamHash = buildFoamHash(foam);
-  let flow = Array.from({length: tetrahedra.length}, ()=>Array(4).fill(0.0)); // Flow accumulator
-  let lastStats = { affectedFaces: 0, meanDelta: 0, maxDelta: 0 };
+  let flow = saved && saved.flow ? unflatten(saved.flow, 4) : Array.from({length: tetrahedra.length}, ()=>Array(4).fill(0.0)); // Flow accumulator
+  let lastStats = saved && saved.lastStats ? { ...saved.lastStats } : { affectedFaces: 0, meanDelta: 0, maxDelta: 0 };
   // Topology change / priming handshake state
-  let topologyDirty = false;          // set when triangulate() replaces tets/foam
-  let needsPrimeOnBrain = false;      // prime dual caches on next Brain slot
+  let topologyDirty = saved ? !!saved.topologyDirty : false;          // set when triangulate() replaces tets/foam
+  let needsPrimeOnBrain = saved ? !!saved.needsPrimeOnBrain : false;  // prime dual caches on next Brain slot
+  // Async topology jobs: one in flight; results from an older generation (setPeriodic) are dropped
+  let topologyJob = null;      // { promise, version, generation }
+  let topologyReady = null;    // completed result waiting for the next step()
+  let topologyGeneration = 0;
+  // Points the tets triangulate exactly (a repair then seeds its flips from their motion);
+  // null when unknown, e.g. for restored tets or after the box or the weights changed
+  let exactPoints = saved ? null : pointsArray.map((p) => p.slice());
+  let warnedRepairFallback = false;
+  const repairCertificate = {}; // how far each point may move before repair tests its facets
+  let lastTopologyInfo = null; // { runtimeMs, latencySteps, adopted } | { error } | repair stats
+  // Flip / T2 events of every topology change, stamped with the step they were installed at
+  const topologyEvents = createTopologyEventLog({ capacity: topologyEventCapacity });
+  let lastTopologyDiff = null;
+  let previousFoam = null; // foam before the latest topology change (remapEdgeScores)
+  // Per-seed target volumes for step({ preserveVolume: true })
+  let volumeTargets = saved && saved.cellVolumeTargets ? Float64Array.from(saved.cellVolumeTargets, (v) => v ?? NaN) : null;
+  let cellFaces = null; // Voronoi faces of the packed view's tets (xpbd.js buildCellFaces())
+
+  function installTopology(tets, nextFoam, caches) {
+    const oldHash = foamHash;
+    lastTopologyDiff = diffTopology(tetrahedra, tets, { points: currentPoints(), periodic, box, step: stepCounter });
+    topologyEvents.record(lastTopologyDiff);
+    const oldTets = tetrahedra;
+    previousFoam = foam; // only its topology is used, so stale points do not matter
+    tetrahedra = tets;
+    // A repaired triangulation shares most slots with the old one: patch the foam around the flips
+    foam = nextFoam || updateFoam(foam, { pointsArray: currentPoints(), tetrahedra, centering, weights: powerWeights });
+    foamStale = false;
+    foamHash = buildFoamHash(foam);
+    // Carry per-facet flow and per-edge scores over to the new indices
+    flow = remapFlow(flow, oldTets, tetrahedra);
+    if (lastEdgeScores) lastEdgeScores = remapEdgeScores(scoresAsMap(lastEdgeScores, previousFoam), previousFoam, foam, { fill: 'neighbors' });
+    // Clear caches for old topology, request priming on next Brain (a primed result is already cached)
+    clearCache(oldHash);
+    if (caches) setCache(foamHash, caches);
+    topologyDirty = true;
+    needsPrimeOnBrain = true;
+  }
+
+  function requestTopology() {
+    const version = stepCounter, generation = topologyGeneration;
+    const promise = topology.triangulate({ points: currentPoints(), periodic, centering, box, weights: powerWeights, prime: true });
+    topologyJob = { promise, version, generation };
+    promise.then(
+      (result) => { if (generation === topologyGeneration) topologyReady = { ...result, version }; },
+      (error) => { if (generation === topologyGeneration) topologyReady = { error, version }; },
+    ).finally(() => { if (topologyJob && topologyJob.promise === promise) topologyJob = null; });
+  }
+
+  // Install a completed worker result before integrating. The worker foam is adopted as is
+  // when the points have not moved since the request; otherwise only the tetrahedra are
+  // kept and the foam is rebuilt on the current points (the caches depend on topology only).
+  function consumeTopologyResult() {
+    const ready = topologyReady;
+    topologyReady = null;
+    if (ready.error) {
+      if (verbose) console.warn('Topology worker failed, retriangulating synchronously:', ready.error);
+      retriangulate({ error: String(ready.error && ready.error.message || ready.error) });
+      return;
+    }
+    const adopted = ready.version === stepCounter;
+    exactPoints = adopted ? currentPoints().map((p) => p.slice()) : null;
+    const nextFoam = adopted ? { ...ready.foam, points: currentPoints(), weights: powerWeights } : null;
+    installTopology(ready.tetrahedra, nextFoam, ready.caches);
+    lastTopologyInfo = { runtimeMs: ready.runtimeMs, latencySteps: stepCounter - ready.version, adopted };
+  }
+
+  // Refresh foam with latest points but same tets
+  function refreshFoam() {
+    const prevHash = foamHash;
+    foam = updateFoam(foam, { pointsArray: currentPoints(), tetrahedra, centering, weights: powerWeights });
+    foamStale = false;
+    foamHash = buildFoamHash(foam);
+    if (foamHash !== prevHash) {
+      clearCache(prevHash);
+    }
+  }
+
+  // Points as [x, y, z] arrays, unpacked once after packed steps
+  function currentPoints() {
+    if (pointsStale) {
+      pointsArray = unpackPoints(packed);
+      pointsStale = false;
+    }
+    return pointsArray;
+  }
+
+  // Object foam of the current points, rebuilt on first use after they moved
+  function currentFoam() {
+    if (foamStale) refreshFoam();
+    return foam;
+  }
+
+  // "t1-t2" map of per-edge scores given by edge id (of `onFoam`, the current tets by default)
+  function scoresAsMap(scores, onFoam = foam) {
+    if (!scores || scores instanceof Map) return scores;
+    const out = new Map();
+    onFoam.voronoiEdges.forEach(([a, b], e) => { if (!Number.isNaN(scores[e])) out.set(`${a}-${b}`, scores[e]); });
+    return out;
+  }
+
+  // Flip the current tets to the triangulation of the moved points; full rebuild if that fails
+  function repairTopology(previousPoints) {
+    const facetPairs = foam.simplices === tetrahedra ? foam.facetPairs : null;
+    const res = repairTriangulation(currentPoints(), tetrahedra, { previousPoints: exactPoints || previousPoints, localSeeds: !!exactPoints, facetPairs, certificate: repairCertificate, periodic, box, weights: powerWeights });
+    lastTopologyInfo = { repair: true, ok: res.ok, flips23: res.flips23, flips32: res.flips32, flips41: res.flips41, flips14: res.flips14, substeps: res.substeps, tested: res.tested };
+    if (!res.ok) {
+      if (verbose) console.warn('Triangulation repair failed, retriangulating:', res.reason);
+      lastTopologyInfo.reason = res.reason;
+      return retriangulate(lastTopologyInfo);
+    }
+    exactPoints = currentPoints().map((p) => p.slice());
+    if (res.changed) installTopology(res.tetrahedra, null, null);
+    return res.changed;
+  }
+
+  // Retriangulate inside step(); when that fails the current tets stay (their foam moves
+  // on with the points) and `info.error` reports it in getTopologyStatus().last
+  function retriangulate(info = null) {
+    let tets;
+    try {
+      tets = triangulate();
+    } catch (error) {
+      if (verbose) console.warn('Retriangulation failed, keeping the current tets:', error.message);
+      lastTopologyInfo = { ...info, error: String(error.message || error) };
+      exactPoints = null;
+      return false;
+    }
+    lastTopologyInfo = info;
+    installTopology(tets, null, null);
+    exactPoints = currentPoints().map((p) => p.slice());
+    return true;
+  }
+
+  // Packed view of the current tets at the current points (topology arrays reused until the
+  // tets change, positions copied in only after the object paths moved the points)
+  function packedView(built = null) {
+    if (built || !packed || packedTets !== tetrahedra || packed.isPeriodic !== !!periodic) {
+      packed = built || buildPackedFoam({ positions: currentPoints(), simplices: tetrahedra, isPeriodic: periodic, centering, box, weights: powerWeights, centers: foamStale ? null : foam.centers });
+      packedTets = tetrahedra;
+      packedWeights = powerWeights;
+      packedScores = new Float64Array(packed.numEdges);
+      packedGrad = new Float64Array(3 * packed.numPoints);
+      // Still holds the step's start when a projection hands over its view mid-step
+      if (!packedPrev || packedPrev.length !== 3 * packed.numPoints) packedPrev = new Float64Array(3 * packed.numPoints);
+      packedStale = false;
+    } else if (packedStale || packedWeights !== powerWeights) {
+      if (packedWeights !== powerWeights) {
+        packed.weights = powerWeights ? Float64Array.from(powerWeights) : null;
+        packedWeights = powerWeights;
+      }
+      if (packedStale) updatePackedFoam(packed, { positions: pointsArray, centers: foamStale ? null : foam.centers });
+      else updatePackedCenters(packed);
+      packedStale = false;
+    }
+    return packed;
+  }
 
+  // Per-edge scores on the packed view: Float64Arrays by edge id as is, maps translated
+  function packedEdgeScores(pf, scores) {
+    if (scores instanceof Map) return scoresFromMap(pf, scores, packedScores);
+    if (scores.length !== pf.numEdges) throw new Error(`Expected ${pf.numEdges} edge scores, got ${scores.length}`);
+    return scores;
+  }
+
+  /**
+   * Move the points by one step and bring the topology up to date.
+   * @param {number} dt
+   * @param {Object} [options] - Motion and XPBD options (see the README) plus:
+   * @param {number} [options.weightRate=0] - Weighted mode: relaxation rate of the power
+   *   weights toward the target volumes
+   * @param {string} [options.topologyMode='rebuild'] - 'repair' keeps a periodic
+   *   triangulation exact every step by flipping only the tets the motion made
+   *   non-Delaunay (vorox2/flips.js), retriangulating when the repair gives up
+   * @param {boolean} [options.packed=false] - Run the gradient, energy, Euler and XPBD
+   *   kernels on the struct-of-arrays view (vorox2/packedFoam.js), rebuilt only when the
+   *   tets change. Its positions stay the state: the [x, y, z] points and the object foam
+   *   are rebuilt on first use. `edgeScores` may then be a Float64Array by edge id
+   * @param {string} [options.xpbdSolver='heuristic'] - With useXPBD, 'xpbd' replaces the
+   *   heuristic face pass with the constraint solver of vorox2/xpbd.js (compliance
+   *   `xpbdCompliance`, `xpbdSubsteps` substeps)
+   * @param {boolean} [options.preserveVolume=false] - Hold every foam cell at its target
+   *   volume (setCellVolumeTargets()) with vorox2/xpbd.js projectFoamCellVolumes(): at most
+   *   `volumeIters` iterations, down to an RMS error of `volumeTol` of the mean target
+   * @param {string} [options.integrator='euler'] - Gradient-path integrator
+   *   (vorox2/integrators.js), with per-point `mass`
+   * @param {boolean} [options.trackEnergy=false] - Report the energy at the step's start
+   *   in getLastStats() (about one more gradient pass)
+   * @returns {number[][]|Float64Array} the gradient, flat and reused on packed steps
+   */
   function step(dt, options = {}, scores) {
+    if (topologyReady) consumeTopologyResult();
     const {
       useEdgeMode = false,
       useXPBD = false,
@@ -61,9 +313,15 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
       contractive = false,
       expansive = true,
       recomputeEvery = 5,
+      // 'rebuild': retriangulate every `recomputeEvery` steps; 'repair': flip locally every
+      // step (periodic only: non-periodic foams keep the rebuild, hull changes cannot be flipped)
+      topologyMode = 'rebuild',
       threshold = 0.5,
       useVerlet = false,
       damping = 0.99,
+      // 'euler' | 'verlet' | 'velocity-verlet' | 'semi-implicit-euler' | 'rk4' | 'fire'
+      integrator = useVerlet ? 'verlet' : 'euler',
+      mass = 1, // per point (array) or for all
       // XPBD params
       xpbdIters = 8,
       xpbdGain = 0.1,
@@ -73,6 +331,20 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
       xpbdMaxScale = 0.10,
       xpbdStrength = 0.05, // g: percentage strength per step
       xpbdGamma = 1.0,     // shaping exponent γ
+      xpbdSolver = 'heuristic', // 'xpbd': Lagrange-multiplier solver (vorox2/xpbd.js)
+      xpbdSubsteps = 1,
+      // Weighted mode: relaxation rate of the power weights toward the target volumes
+      weightRate = 0,
+      // Run the kernels on the struct-of-arrays foam (vorox2/packedFoam.js)
+      packed: usePacked = false,
+      // Incompressible cells: project every cell volume back to its target after the motion
+      preserveVolume = false,
+      volumeCompliance = 0,
+      volumeIters = 10,
+      volumeTol = 1e-4,
+      // Energy of the configuration at the step's start (about one gradient evaluation, so
+      // off unless something watches it: the runner's autoStop, the demo's charts)
+      trackEnergy = false,
     } = options || {};
 
     const gradOptions = {
@@ -89,14 +361,59 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
 
     // reset per-step stats
     lastStats = { affectedFaces: 0, meanDelta: 0, maxDelta: 0 };
+    if (edgeScores) lastEdgeScores = edgeScores;
+    if (preserveVolume && (!volumeTargets || volumeTargets.length !== currentPoints().length)) volumeTargets = packedCellVolumes();
+    const scored = useEdgeMode && edgeScores && (edgeScores instanceof Map ? edgeScores.size : edgeScores.length) > 0;
+    const lagrange = useXPBD && xpbdSolver === 'xpbd' && scored;
+    const packedXPBD = !lagrange && usePacked && useXPBD && scored;
+    const packedEuler = !lagrange && !packedXPBD && usePacked && integrator === 'euler';
+    // Packed paths move pf.positions; the object paths get the points and foam (up to date)
+    const pf = lagrange || packedXPBD || packedEuler ? packedView() : null;
+    const pfScores = pf && useEdgeMode && edgeScores ? packedEdgeScores(pf, edgeScores) : null;
+    let previousPoints = null; // [x, y, z] arrays before the motion (object paths)
+    if (pf) packedPrev.set(pf.positions);
+    else previousPoints = currentPoints().slice(); // XPBD replaces entries in place
+    // Weighted mode relaxes toward the volumes of the foam at the step's start
+    const startFoam = powerWeights && weightRate > 0 ? currentFoam() : null;
+    const objectOptions = pf ? null : { ...gradOptions, edgeScores: scoresAsMap(edgeScores) };
+    if (trackEnergy) {
+      const e = pf ? foamEnergyPacked(pf, { ...gradOptions, edgeScores: pfScores }) : foamEnergy(currentFoam(), objectOptions);
+      lastStats.energy = e.total;
+      lastStats.energyEquilibration = e.equilibration;
+      lastStats.energyEdge = e.edge;
+    }
     let g = null;
-    if (useXPBD && useEdgeMode && edgeScores && edgeScores.size > 0) {
+    let gradientStep = false; // g is the gradient the points moved along
+    let moved = null;         // velocity integrator of this step
+    if (lagrange) {
+      // Face-area targets (1 + p)·A from the scores, solved with compliance and multipliers
+      const solver = createXPBDSolver({ isPeriodic: pf.isPeriodic, box: pf.box, compliance: Math.max(0, xpbdCompliance) });
+      lastStats.affectedFaces = addScoredFaceConstraints(solver, pf, pfScores, {
+        threshold, contractive, expansive, invert: xpbdInvert, strength: xpbdStrength, gamma: xpbdGamma, maxScale: xpbdMaxScale,
+      });
+      const stats = solver.solve(pf.positions, dt, { iterations: xpbdIters, substeps: xpbdSubsteps });
+      lastStats.meanDelta = stats.meanDelta;
+      lastStats.maxDelta = stats.maxDelta;
+      lastStats.constraintError = stats.rmsError;
+      g = usePacked ? packedGrad.fill(0) : Array.from({length: pf.numPoints}, ()=>[0,0,0]);
+    } else if (packedXPBD) {
+      const stats = xpbdFacePassPacked(pf, pfScores, {
+        threshold, contractive, expansive, xpbdIters, xpbdCompliance, xpbdClamp, xpbdInvert, xpbdMaxScale, xpbdStrength, xpbdGamma,
+      });
+      Object.assign(lastStats, stats);
+      g = packedGrad.fill(0);
+    } else if (packedEuler) {
+      g = gradientPacked(pf, { ...gradOptions, edgeScores: pfScores }, packedGrad);
+      integratePointsPacked(pf, g, dt, 0.02);
+      gradientStep = true;
+    } else if (useXPBD && scored) {
       // XPBD face-area constraints driven by edge scores
-      let edgeToFace = foam.__edgeFaceMapCache;
+      const objectFoam = currentFoam();
+      let edgeToFace = objectFoam.__edgeFaceMapCache;
       if (!edgeToFace || edgeToFace.size === 0) {
-        const graph = buildVoronoiEdgeGraph(foam);
+        const graph = buildVoronoiEdgeGraph(objectFoam);
         edgeToFace = graph.edgeToFace;
-        foam.__edgeFaceMapCache = edgeToFace;
+        objectFoam.__edgeFaceMapCache = edgeToFace;
       }
 
       const triArea = (a, b, c) => {
@@ -109,15 +426,17 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
       };
       const centroid = (a, b, c) => [(a[0]+b[0]+c[0])/3, (a[1]+b[1]+c[1])/3, (a[2]+b[2]+c[2])/3];
       const norm = (v)=>{ const n=Math.hypot(v[0],v[1],v[2])||1e-12; return [v[0]/n, v[1]/n, v[2]/n]; };
-      const wrap = (p)=> periodic ? [((p[0]%1)+1)%1, ((p[1]%1)+1)%1, ((p[2]%1)+1)%1] : p;
+      const wrap = (p)=> periodic ? wrapPoint(p, box) : p;
+      // Resolve face vertices to the image nearest the first one
+      const unwrap = (ref, p)=> periodic ? minImagePoint(ref, p, box) : p;
 
       // Build faces list once with per-face percentage directive p
       const faces = [];
-      edgeScores.forEach((s, key) => {
+      objectOptions.edgeScores.forEach((s, key) => {
         const face = edgeToFace.get(key);
         if (!face) return;
         const [i,j,k] = face;
-        const a = pointsArray[i], b = pointsArray[j], c = pointsArray[k];
+        const a = pointsArray[i], b = unwrap(a, pointsArray[j]), c = unwrap(a, pointsArray[k]);
         const A0 = triArea(a,b,c); // used only to early-out degenerate faces
         if (!(A0 > 0)) return;
         // Signed distance from threshold (respect invert)
@@ -141,7 +460,7 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
       for (let iter=0; iter<iters; iter++) {
         for (const f of faces) {
           const [i,j,k] = f.idx;
-          const a = pointsArray[i], b = pointsArray[j], c = pointsArray[k];
+          const a = pointsArray[i], b = unwrap(a, pointsArray[j]), c = unwrap(a, pointsArray[k]);
           const Acur = triArea(a,b,c) || 1e-12;
           // percentage-based target area for this iteration
           const Atgt = Acur * (1 + f.p);
@@ -177,11 +496,29 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
       // Diagnostics vector: zeros (not used by XPBD)
       g = Array.from({length: pointsArray.length}, ()=>[0,0,0]);
     } else {
-      // Gradient-based integration (Verlet/Euler only here; XPBD path above bypasses integrators)
-      g = gradient(foam, gradOptions);
-      if (useVerlet) {
+      // Gradient-based integration (vorox2/integrators.js; the XPBD paths above bypass integrators)
+      g = gradient(currentFoam(), objectOptions);
+      gradientStep = true;
+      if (integrator !== 'euler' && integrator !== 'verlet') {
+        if (!dynamics || dynamics.name !== integrator || dynamics.numPoints !== pointsArray.length || dynamics.isPeriodic !== !!periodic) {
+          dynamics = createIntegrator(integrator, pointsArray.length, { isPeriodic: !!periodic, box });
+          dynamics.initialize(pointsArray);
+        } else {
+          dynamics.setPositions(pointsArray);
+        }
+        dynamics.setMass(mass);
+        dynamics.setDamping(damping);
+        // RK4 stages: gradient of the foam on the current tets at the stage points
+        if (integrator === 'rk4') {
+          dynamics.setForceFunction((pts) => gradient(buildFoam({ pointsArray: pts, tetrahedra, isPeriodic: periodic, centering, box, weights: powerWeights }), objectOptions));
+        }
+        dynamics.setForces(g);
+        pointsArray = dynamics.integrate(dt);
+        moved = dynamics;
+      } else if (integrator === 'verlet') {
+        dynamics = null;
         if (!verlet || verlet.numPoints !== pointsArray.length || verlet.isPeriodic !== !!periodic) {
-          verlet = createVerletSystem(pointsArray.length, !!periodic);
+          verlet = createVerletSystem(pointsArray.length, !!periodic, box);
           verlet.initialize(pointsArray);
         } else {
           verlet.setPositions(pointsArray);
@@ -190,46 +527,245 @@ export async function createVoroX({ Module, points, periodic=true, centering='ci
         verlet.setDamping(damping);
         pointsArray = verlet.integrate(dt);
       } else {
-        pointsArray = integratePoints(pointsArray, g, dt, periodic);
+        dynamics = null;
+        pointsArray = integratePoints(pointsArray, g, dt, periodic, 0.02, box);
       }
     }
+    if (pf) pointsStale = true;
+    else packedStale = true;
+    foamStale = true;
+    if (preserveVolume) projectCellVolumes(dt, volumeCompliance, volumeIters, volumeTol, previousPoints || unpackVectors(packedPrev));
+    recordMotionStats(pf ? packedPrev : previousPoints, gradientStep ? g : null, moved, dt, mass);
+    // Lees–Edwards shear: deform the cell and convect points affinely with it
+    if (periodic && isLattice(box) && box.shearRate) {
+      const dStrain = advanceShear(box, dt);
+      pointsArray = convectPoints(currentPoints(), box, dStrain);
+      packedStale = true;
+      exactPoints = null; // the cell moved under every tet, so a repair tests every facet
+    }
+    // Weighted mode: grow/shrink cells toward their target volumes (volumes of the current foam)
+    if (startFoam) {
+      const relaxed = relaxWeights(startFoam, powerWeights, cellTargets, weightRate * dt);
+      powerWeights = relaxed.weights;
+      lastStats.volumeError = relaxed.volumeError;
+      exactPoints = null; // new weights move every power sphere
+    }
     stepCounter = (stepCounter + 1) | 0;
     const recEvery = Math.max(1, (recomputeEvery|0));
-    if (stepCounter % recEvery === 0) {
+    const recompute = stepCounter % recEvery === 0;
+    if (topologyMode === 'repair' && !periodic && !warnedRepairFallback) {
+      warnedRepairFallback = true;
+      console.warn("topologyMode 'repair' needs a periodic foam; rebuilding every recomputeEvery steps instead");
+    }
+    if (topologyMode === 'repair' && periodic) {
+      // Exact topology every step (a repair that changes the tets rebuilds the foam)
+      repairTopology(previousPoints || unpackVectors(packedPrev));
+    } else if (recompute && !topology) {
       // Retriangulate and mark topology dirty so the main loop can gate XPBD
-      const oldHash = foamHash;
-      tetrahedra = triangulate();
-      foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering });
-      foamHash = buildFoamHash(foam);
-      // Clear caches for old topology, request priming on next Brain
-      clearCache(oldHash);
-      topologyDirty = true;
-      needsPrimeOnBrain = true;
+      retriangulate();
     } else {
-      // Refresh foam with latest points but same tets
-      const prevHash = foamHash;
-      foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering });
-      foamHash = buildFoamHash(foam);
-      if (foamHash !== prevHash) {
-        clearCache(prevHash);
-      }
+      // Off-thread: submit the current points and keep integrating on the old tets
+      if (recompute && !topologyJob && !topologyReady) requestTopology();
     }
+    if (preserveVolume) recordCellVolumeError();
     return g; // Return the calculated gradient
   }
 
+  // Gradient norm, largest displacement and kinetic energy of the step that moved `before`
+  // ([x, y, z] arrays or flat) to the current points; without an integrator velocity the
+  // kinetic energy uses Δx / dt
+  function recordMotionStats(before, g, integrator, dt, mass) {
+    if (g) lastStats.gradientNorm = rmsNorm(g);
+    const m = (i) => (typeof mass === 'number' ? mass : mass[i]);
+    const after = pointsStale ? packed.positions : pointsArray;
+    const at = (pts, i, k) => (ArrayBuffer.isView(pts) ? pts[3 * i + k] : pts[i][k]);
+    const delta = minImageDeltaFn(periodic, box);
+    const d = [0, 0, 0];
+    let maxDisp = 0, kinetic = 0;
+    const n = pointsStale ? after.length / 3 : after.length;
+    for (let i = 0; i < n; i++) {
+      delta(d, at(before, i, 0), at(before, i, 1), at(before, i, 2), at(after, i, 0), at(after, i, 1), at(after, i, 2));
+      const dn = Math.hypot(d[0], d[1], d[2]);
+      if (dn > maxDisp) maxDisp = dn;
+      if (!integrator && dt > 0) kinetic += 0.5 * m(i) * (dn / dt) ** 2;
+    }
+    lastStats.maxDisplacement = maxDisp;
+    lastStats.kineticEnergy = integrator ? integrator.kineticEnergy() : kinetic;
+  }
+
+  // Voronoi faces of the packed view, rebuilt when the tets change
+  function cellFacesOf(pf) {
+    if (!cellFaces || cellFaces.simplices !== pf.simplices) cellFaces = { ...buildCellFaces(pf), simplices: pf.simplices };
+    return cellFaces;
+  }
+
+  // Volume of every seed's foam cell (the cells of the stats panel), NaN for unbounded ones
+  function packedCellVolumes() {
+    const pf = packedView();
+    return foamCellVolumes(pf, cellFacesOf(pf));
+  }
+
+  // Foam cell projection toward the targets; drift and residual relative to mean(V*).
+  // Foam cells are the Voronoi cells of the points only on their exact tets, so periodic
+  // foams repair the tets first and after every move (privately, retriangulating where a
+  // repair fails; only the last tets are installed)
+  function projectCellVolumes(dt, compliance, iterations, tol, previousPoints) {
+    if (periodic) repairTopology(previousPoints);
+    const pf = packedView();
+    const tetsOf = new Map([[pf, tetrahedra]]);
+    const opts = { dt, compliance: Math.max(0, compliance), iterations, tol, maxMove: 0.2 * Math.cbrt(meanTargetVolume()) };
+    if (periodic) {
+      opts.retriangulate = (moved, from) => {
+        const points = unpackVectors(moved.positions);
+        const res = repairTriangulation(points, tetsOf.get(moved), { previousPoints: unpackVectors(from), periodic, box, weights: powerWeights });
+        if (res.ok && !res.changed) return null;
+        let tets = res.tetrahedra;
+        if (!res.ok) {
+          try {
+            tets = triangulatePoints(Module, points, periodic, box, { verbose: false, weights: powerWeights });
+          } catch (error) {
+            return false;
+          }
+        }
+        const next = buildPackedFoam({ positions: moved.positions, simplices: tets, isPeriodic: periodic, centering, box, weights: powerWeights });
+        tetsOf.set(next, tets);
+        return { pf: next, faces: buildCellFaces(next) };
+      };
+    }
+    const result = projectFoamCellVolumes(pf, cellFacesOf(pf), volumeTargets, opts);
+    const tets = tetsOf.get(result.pf);
+    if (tets === tetrahedra) {
+      pointsStale = true;
+    } else {
+      pointsArray = unpackVectors(result.pf.positions);
+      pointsStale = false;
+      installTopology(tets, null, null);
+      packedView(result.pf);
+      cellFaces = { ...result.faces, simplices: result.pf.simplices };
+    }
+    foamStale = true;
+    if (exactPoints) exactPoints = currentPoints().map((p) => p.slice());
+    const mean = meanTargetVolume();
+    lastStats.cellVolumeDrift = result.drift / mean;
+    lastStats.cellVolumeResidual = result.rmsError / mean;
+    lastStats.cellVolumeIterations = result.iterations;
+  }
+
+  // Foam cell volumes against the targets (RMS and largest error over the bounded cells)
+  function recordCellVolumeError() {
+    const volumes = packedCellVolumes();
+    let sq = 0, max = 0, count = 0;
+    for (let i = 0; i < volumes.length; i++) {
+      const e = Math.abs(volumes[i] - volumeTargets[i]);
+      if (!Number.isFinite(e)) continue;
+      sq += e * e;
+      max = Math.max(max, e);
+      count++;
+    }
+    const mean = meanTargetVolume();
+    lastStats.cellVolumeError = (count ? Math.sqrt(sq / count) : 0) / mean;
+    lastStats.cellVolumeMaxError = max / mean;
+  }
+
+  function meanTargetVolume() {
+    let sum = 0, count = 0;
+    for (const v of volumeTargets) if (Number.isFinite(v)) { sum += v; count++; }
+    return sum / count || 1;
+  }
+
+  /**
+   * Step along the gradient until its RMS over the points falls below `tol`.
+   * @param {number} [tol=1e-4]
+   * @param {number} [maxSteps=1000]
+   * @param {Object} [options] - step() options plus dt (default 0.02); the integrator
+   *   defaults to 'fire' and the XPBD paths are off
+   * @returns {{ converged: boolean, steps: number, gradientNorm: number }} the norm of the
+   *   last gradient, taken at the positions before the final step
+   */
+  function relax(tol = 1e-4, maxSteps = 1000, { dt = 0.02, ...options } = {}) {
+    const opts = { integrator: 'fire', ...options, useXPBD: false };
+    let gradientNorm = Infinity;
+    let steps = 0;
+    while (steps < maxSteps && !(gradientNorm < tol)) {
+      const g = step(dt, opts);
+      steps++;
+      gradientNorm = rmsNorm(g);
+    }
+    return { converged: gradientNorm < tol, steps, gradientNorm };
+  }
+
+  /**
+   * Snapshot the full simulation state as a versioned, JSON-safe object.
+   * Pass it (or its JSON string) back as createVoroX({ Module, restore }) to resume.
+   */
+  function serialize() {
+    return {
+      format: STATE_FORMAT,
+      version: STATE_VERSION,
+      periodic: !!periodic,
+      centering,
+      box: serializeBox(box),
+      seed,
+      stepCounter,
+      points: flatten(currentPoints()),
+      tetrahedra: flatten(tetrahedra),
+      flow: flatten(flow),
+      verlet: verlet ? verlet.exportState() : null,
+      integrator: dynamics ? { name: dynamics.name, ...dynamics.exportState() } : null,
+      edgeScores: serializeScores(scoresAsMap(lastEdgeScores)),
+      lastStats: { ...lastStats },
+      topologyDirty,
+      needsPrimeOnBrain,
+      weights: powerWeights ? Array.from(powerWeights) : null,
+      targetVolumes: cellTargets ? Array.from(cellTargets) : null,
+      cellVolumeTargets: volumeTargets ? Array.from(volumeTargets) : null,
+    };
+  }
+
   return {
     step,
-    getFoam: () => foam,
-    getFoamHash: () => foamHash,
-    primeDualCaches: () => ensureCaches(foam, foamHash),
+    relax,
+    serialize,
+    getSeed: () => seed,
+    getEdgeScores: () => lastEdgeScores,
+    /**
+     * Re-key edge scores computed on `fromFoam` (default: the foam before the latest
+     * topology change) to the current foam; new edges take their neighbours' mean.
+     */
+    remapEdgeScores: (scores, fromFoam = previousFoam) => (fromFoam ? remapEdgeScores(scores, fromFoam, foam, { fill: 'neighbors' }) : scores),
+    getFoam: currentFoam,
+    getFoamHash: () => { currentFoam(); return foamHash; },
+    primeDualCaches: () => ensureCaches(currentFoam(), foamHash),
     // Topology handshake helpers
     consumeTopologyDirty: () => { if (topologyDirty) { topologyDirty = false; return true; } return false; },
     shouldPrimeOnBrain: () => !!needsPrimeOnBrain,
     clearPrimeOnBrain: () => { needsPrimeOnBrain = false; },
+    getLastStats: () => lastStats,
+    getStepCount: () => stepCounter,
     getFlow: () => flow,
     setFlow: (f) => { flow = f; },
-    getPoints: () => pointsArray,
-    setPeriodic: (p)=>{ periodic = !!p; tetrahedra = triangulate(); foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering }); foamHash = buildFoamHash(foam); },
+    getPoints: currentPoints,
+    /** Velocities of the velocity integrator of the latest gradient step (null for 'euler' / 'verlet'). */
+    getVelocities: () => (dynamics ? dynamics.getVelocities() : null),
+    // Weighted mode (null otherwise); weights/targets are per seed
+    getWeights: () => powerWeights,
+    getRadii: () => (powerWeights ? radiiFromWeights(powerWeights) : null),
+    getTargetVolumes: () => cellTargets,
+    setTargetVolumes: (v) => { if (powerWeights) cellTargets = Float64Array.from(v); },
+    // step({ preserveVolume }) targets per seed; null recaptures them at the next step
+    getCellVolumeTargets: () => volumeTargets,
+    setCellVolumeTargets: (v) => { volumeTargets = v ? Float64Array.from(v, (x) => x ?? NaN) : null; },
+    getBox: () => (isLattice(box) ? box : box.slice()),
+    getStrain: () => (isLattice(box) ? box.strain : 0),
+    /** Resolves once the in-flight topology job (if any) has finished; step() installs it. */
+    awaitTopology: () => (topologyJob ? topologyJob.promise.then(() => {}, () => {}) : Promise.resolve()),
+    /** Flip / T2 events (optionally from step `since` on); see vorox2/topologyEvents.js. */
+    getTopologyEvents: (since) => topologyEvents.events(since),
+    getTopologyEventLog: () => topologyEvents,
+    /** Diff of the latest topology change: { step, events, counts } (null before the first). */
+    getLastTopologyDiff: () => lastTopologyDiff,
+    getTopologyStatus: () => ({ async: !!topology, pending: !!topologyJob, ready: !!topologyReady, last: lastTopologyInfo }),
+    setPeriodic: (p)=>{ topologyGeneration++; topologyJob = null; topologyReady = null; periodic = !!p; tetrahedra = triangulate(); foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering, box, weights: powerWeights }); foamStale = false; foamHash = buildFoamHash(foam); },
   };
 }
 
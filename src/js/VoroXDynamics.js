@@ -2,17 +2,22 @@
  * VoroX Dynamics (simplified): builds an active facet flow graph based on center directions.
  * - Uses Delaunay tetrahedra, centers (barycenters or circumcenters) and face adjacency
  * - For each facet, points to the next facet that maximizes the directional cosine (as in foam.jl)
- * - Returns { activeEdges, knots, facetToKnot, knotDist }
+ * - In a periodic foam directions are minimum-image vectors, so flow crosses the wrap
+ * - Returns { activeEdges, knots, facetToKnot, knotDist }: every facet drains into exactly
+ *   one knot (cycle); facetToKnot is 1-based (0 = none, e.g. a path ending at a boundary)
+ *   and knotDist counts steps to the knot (0 on it)
  */
 
-export function buildVoroXFlow({ tetrahedra, centers, faceAdjacency }) {
+import { minImageDelta, UNIT_BOX } from './vorox2/core.js';
+
+export function buildVoroXFlow({ tetrahedra, centers, faceAdjacency, isPeriodic = false, box = UNIT_BOX }) {
   const numTets = tetrahedra.length;
   if (numTets === 0) {
     return { activeEdges: [], knots: [], facetToKnot: [], knotDist: [] };
   }
 
   // Helper to get vector diff
-  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const sub = isPeriodic ? (a, b) => minImageDelta(b, a, box) : (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
   const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
   const norm = (u) => Math.hypot(u[0], u[1], u[2]) || 1;
   const normalize = (u) => {
@@ -81,11 +86,16 @@ export function buildVoroXFlow({ tetrahedra, centers, faceAdjacency }) {
 
       let startKnot = path.length;
       let targetKnotIndex = 0;
+      let baseDist = 0;
       if (cur && indexByFacet.has(`${cur.tet}-${cur.face}`)) {
         startKnot = indexByFacet.get(`${cur.tet}-${cur.face}`);
         const knot = path.slice(startKnot);
         knots.push(knot);
         targetKnotIndex = knots.length;
+      } else if (cur) {
+        // Ran into an earlier path: join its basin
+        targetKnotIndex = facetToKnot[cur.tet][cur.face];
+        baseDist = knotDist[cur.tet][cur.face];
       }
 
       for (let i = 0; i < path.length; i++) {
@@ -93,7 +103,7 @@ export function buildVoroXFlow({ tetrahedra, centers, faceAdjacency }) {
         visited[f.tet][f.face] = true;
         facetToKnot[f.tet][f.face] = targetKnotIndex;
         if (i < startKnot) {
-          knotDist[f.tet][f.face] = startKnot - i;
+          knotDist[f.tet][f.face] = baseDist + startKnot - i;
         } else {
           knotDist[f.tet][f.face] = 0; // on the knot
         }
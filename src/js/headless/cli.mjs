@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * CLI for the headless VoroX runner.
+ *
+ *   node src/js/headless/cli.mjs --config run.json --out runs/a
+ *   npm run headless -- --config examples/headless/config.json --steps 500
+ *
+ * Flags override the matching keys of the JSON config.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runSimulation } from './runner.js';
+
+const USAGE = `Usage: vorox-headless [--config file.json] [--out dir] [--steps N] [--points N] [--seed N] [--snapshot-every N] [--resume state.json] [--quiet]`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      out: { type: 'string', short: 'o' },
+      steps: { type: 'string' },
+      points: { type: 'string' },
+      seed: { type: 'string' },
+      'snapshot-every': { type: 'string' },
+      resume: { type: 'string', short: 'r' },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const config = values.config ? JSON.parse(readFileSync(values.config, 'utf8')) : {};
+  if (values.out) config.outDir = values.out;
+  if (values.steps) config.steps = Number(values.steps);
+  if (values.points) config.numPoints = Number(values.points);
+  if (values.seed) config.seed = Number(values.seed);
+  if (values['snapshot-every']) config.snapshotEvery = Number(values['snapshot-every']);
+  if (values.resume) config.restore = JSON.parse(readFileSync(values.resume, 'utf8'));
+  if (!config.outDir) config.outDir = 'runs/latest';
+
+  const log = values.quiet ? () => {} : (msg) => console.log(msg);
+  const t0 = Date.now();
+  const { files } = await runSimulation(config, { log });
+  log(`Wrote ${files.length} files to ${config.outDir} in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+}
+
+main().catch((err) => {
+  console.error(err?.message || err);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+/**
+ * Node.js loader for the Emscripten PeriodicDelaunayModule in dist/.
+ *
+ * The dist build is a classic script (MODULARIZE, no ES export) and this package is
+ * "type": "module", so it cannot be require()d directly. We evaluate it in a function
+ * scope without a `module` binding, which also keeps the glue from mounting NODEFS.
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DIST = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../dist');
+
+/**
+ * Load and instantiate the WASM Delaunay module.
+ * @param {Object} [opts]
+ * @param {string} [opts.distDir] - Directory holding periodic_delaunay.js/.wasm
+ * @param {boolean} [opts.quiet=true] - Silence the module's stdout/stderr chatter
+ * @returns {Promise<Object>} The initialized Module (exposes compute_delaunay)
+ */
+export async function loadPeriodicDelaunayModule({ distDir = DEFAULT_DIST, quiet = true } = {}) {
+  const jsFile = path.join(distDir, 'periodic_delaunay.js');
+  const wasmFile = path.join(distDir, 'periodic_delaunay.wasm');
+  const source = readFileSync(jsFile, 'utf8');
+  const factory = new Function('require', '__filename', '__dirname', `${source}\nreturn PeriodicDelaunayModule;`)(
+    createRequire(jsFile), jsFile, distDir
+  );
+  const moduleArg = { wasmBinary: readFileSync(wasmFile) };
+  if (quiet) {
+    moduleArg.print = () => {};
+    moduleArg.printErr = () => {};
+  }
+  return factory(moduleArg);
+}
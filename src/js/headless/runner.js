@@ -0,0 +1,258 @@
+/**
+ * Headless VoroX simulation runner (Node.js).
+ * - Loads the WASM Delaunay module, seeds points (PointGenerators.js) and drives createVoroX().step()
+ * - Mirrors the browser's two-phase loop: a Brain slot (edge scoring) every
+ *   `scoring.every` physical steps, plus a forced recompute after retriangulation
+ * - Writes periodic JSON snapshots so long runs and parameter sweeps need no browser
+ * - `autoStop` ends a run early once energy, gradient norm, displacement and kinetic
+ *   energy plateau (vorox2/convergence.js)
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createVoroX } from '../VoroXAdapter.js';
+import { computeEdgeScores, getScorer, listScorers } from '../vorox2/scorers.js';
+import { normalizeBox, boxExtent } from '../vorox2/core.js';
+import { isLattice, createLattice } from '../vorox2/lattice.js';
+import { unflatten } from '../vorox2/state.js';
+import { generatePoints } from '../PointGenerators.js';
+import { exportCells } from '../CellExport.js';
+import { buildCellPolyhedra, cellScores } from '../vorox2/cells.js';
+import { analyzeCells } from '../vorox2/cellMeasures.js';
+import { createStatsRecorder } from '../vorox2/foamStats.js';
+import { analyzePercolation } from '../vorox2/percolation.js';
+import { knotStatistics } from '../vorox2/knots.js';
+import { createConvergenceMonitor } from '../vorox2/convergence.js';
+import { loadPeriodicDelaunayModule } from './loadModule.js';
+
+export const DEFAULT_CONFIG = Object.freeze({
+  numPoints: 200,
+  seed: 1,
+  points: null,          // optional explicit [[x,y,z], ...]; overrides numPoints/seed
+  distribution: 'uniform', // see POINT_DISTRIBUTIONS in PointGenerators.js
+  distributionOptions: {}, // e.g. { minDistance } for poisson, { clusters, sigma } for clusters
+  periodic: true,
+  centering: 'circumcenter',
+  box: [1, 1, 1],
+  lattice: null,
+  shearRate: 0,
+  steps: 100,
+  dt: 0.1,
+  snapshotEvery: 10,
+  snapshotTopology: false, // include tetrahedra in snapshots
+  outDir: null,
+  step: {},              // forwarded verbatim to createVoroX().step() (useXPBD, energy, threshold, ...)
+  scoring: null,         // { method, every, ...params } with method any registered scorer (vorox2/scorers.js)
+  scorerModules: [],     // module paths imported before the run; each may registerScorer() its own methods
+  statsEvery: 0,          // record a foam stats row every N steps into stats.csv (0 = off)
+  cellStats: false,      // add per-step cell measures (volume, faces, IQ summary + edges-per-face histogram)
+  percolation: null,     // { threshold, select } cluster summary of the scored edges in each snapshot
+  knots: false,          // add knot count, hop and catchment histograms of the facet flow to each snapshot
+  exportCells: null,     // { formats: ['obj' | 'ply' | 'stl', ...] } cell meshes written with each snapshot
+  restore: null,         // state from createVoroX().serialize() to resume from
+  saveState: true,       // write the final state.json next to the snapshots
+  autoStop: null,        // { window, tolerances }: stop once the step stats plateau (vorox2/convergence.js)
+});
+
+/** Merge a user config over the defaults (one level deep for `step` and `scoring`). */
+export function resolveConfig(config = {}) {
+  const cfg = { ...DEFAULT_CONFIG, ...config };
+  cfg.step = { ...(config.step || {}) };
+  cfg.scoring = config.scoring ? { method: 'pagerank', every: 1, ...config.scoring } : null;
+  if (!(cfg.steps >= 0) || !(cfg.snapshotEvery >= 0)) {
+    throw new Error('steps and snapshotEvery must be non-negative');
+  }
+  if (cfg.scoring && !getScorer(cfg.scoring.method)) {
+    throw new Error(`Unknown scoring method "${cfg.scoring.method}" (registered: ${listScorers().map((s) => s.name).join(', ')})`);
+  }
+  return cfg;
+}
+
+function seedPoints(cfg) {
+  if (cfg.points) return cfg.points.map((p) => [p[0], p[1], p[2]]);
+  const box = cfg.lattice ? createLattice({ vectors: cfg.lattice, box: cfg.box }) : cfg.box;
+  const flat = generatePoints(cfg.distribution, cfg.numPoints, { ...cfg.distributionOptions, seed: cfg.seed, box });
+  return unflatten(Array.from(flat));
+}
+
+function computeScores(foam, scoring, seed) {
+  const { method, every, ...params } = scoring;
+  return computeEdgeScores(foam, method, params, { seed }).scores;
+}
+
+function rms(vectors) {
+  if (!vectors || vectors.length === 0) return 0;
+  let acc = 0;
+  for (const v of vectors) acc += v[0]*v[0] + v[1]*v[1] + v[2]*v[2];
+  return Math.sqrt(acc / vectors.length);
+}
+
+function makeSnapshot(vorox, cfg, stepIndex, g, scores) {
+  const foam = vorox.getFoam();
+  const box = vorox.getBox();
+  const snap = {
+    step: stepIndex,
+    time: stepIndex * cfg.dt,
+    strain: vorox.getStrain(),
+    box: isLattice(box) ? { vectors: box.vectors } : box,
+    numPoints: foam.points.length,
+    numTetrahedra: foam.simplices.length,
+    numVoronoiEdges: foam.voronoiEdges.length,
+    gradientRms: rms(g),
+    lastStats: { ...vorox.getLastStats() },
+    scoreCount: scores ? scores.size : 0,
+    points: foam.points.flat(),
+  };
+  if (cfg.snapshotTopology) snap.simplices = foam.simplices.flat();
+  if (cfg.percolation && scores) {
+    const r = analyzePercolation(foam, scores, cfg.percolation);
+    snap.percolation = {
+      threshold: r.threshold,
+      numEdges: r.numEdges,
+      numClusters: r.clusters.length,
+      largestFraction: r.largestFraction,
+      meanClusterSize: r.meanClusterSize,
+      spanningAxes: r.spanningAxes,
+      sizeHistogram: r.sizeHistogram,
+    };
+  }
+  if (cfg.knots) {
+    const k = knotStatistics(foam);
+    snap.knots = {
+      count: k.count,
+      meanHops: k.meanHops,
+      meanLength: k.meanLength,
+      largestCatchment: k.largestCatchment,
+      unassigned: k.unassigned,
+      hopHistogram: k.hopHistogram,
+      catchmentHistogram: k.catchmentHistogram,
+    };
+  }
+  if (cfg.cellStats) {
+    const { summary, edgesPerFaceHistogram } = analyzeCells(foam);
+    snap.cellStats = { ...summary, edgesPerFaceHistogram };
+  }
+  return snap;
+}
+
+function writeCellMeshes(vorox, cfg, stepIndex, scores) {
+  const cells = buildCellPolyhedra(vorox.getFoam());
+  const attributes = scores ? { score: cellScores(cells, scores) } : {};
+  return (cfg.exportCells.formats || ['ply']).map((format) => {
+    const { data, extension } = exportCells(cells, format, { attributes });
+    const file = path.join(cfg.outDir, `cells-${String(stepIndex).padStart(6, '0')}.${extension}`);
+    writeFileSync(file, typeof data === 'string' ? data : Buffer.from(data));
+    return file;
+  });
+}
+
+/**
+ * Run a headless simulation.
+ * @param {Object} config - See DEFAULT_CONFIG
+ * @param {Object} [hooks]
+ * @param {Object} [hooks.Module] - Preloaded WASM module (loaded from dist/ otherwise)
+ * @param {Function} [hooks.onSnapshot] - Called with each snapshot object
+ * @param {Function} [hooks.log] - Progress logger (default: silent)
+ * @returns {Promise<{ config: Object, snapshots: Object[], files: string[], vorox: Object, stats: Object[]|null,
+ *   stoppedAt: number|null }>} stoppedAt is the step an autoStop run converged at
+ */
+export async function runSimulation(config = {}, { Module, onSnapshot, log = () => {} } = {}) {
+  for (const file of config.scorerModules || []) await import(pathToFileURL(path.resolve(file)).href);
+  const cfg = resolveConfig(config);
+  cfg.box = normalizeBox(cfg.box);
+  const wasm = Module || await loadPeriodicDelaunayModule();
+  const vorox = await createVoroX({
+    Module: wasm,
+    points: seedPoints(cfg),
+    periodic: cfg.periodic,
+    centering: cfg.centering,
+    box: cfg.box,
+    lattice: cfg.lattice || undefined,
+    shearRate: cfg.shearRate,
+    verbose: false,
+    seed: cfg.seed,
+    restore: cfg.restore,
+  });
+
+  if (cfg.outDir) mkdirSync(cfg.outDir, { recursive: true });
+  const snapshots = [];
+  const files = [];
+  let scores = cfg.restore ? vorox.getEdgeScores() : null;
+  let scoresStale = !!cfg.scoring && !scores;
+  const start = vorox.getStepCount(); // non-zero when resuming
+  const stats = cfg.statsEvery > 0 ? createStatsRecorder({ capacity: Infinity }) : null;
+  const monitor = cfg.autoStop ? createConvergenceMonitor(cfg.autoStop === true ? {} : cfg.autoStop) : null;
+  let stoppedAt = null;
+  const t0 = Date.now();
+
+  const emit = (stepIndex, g) => {
+    const snap = makeSnapshot(vorox, cfg, stepIndex, g, scores);
+    snapshots.push(snap);
+    if (cfg.outDir) {
+      const file = path.join(cfg.outDir, `snapshot-${String(stepIndex).padStart(6, '0')}.json`);
+      writeFileSync(file, JSON.stringify(snap));
+      files.push(file);
+      if (cfg.exportCells) files.push(...writeCellMeshes(vorox, cfg, stepIndex, scores));
+    }
+    if (onSnapshot) onSnapshot(snap);
+  };
+
+  for (let i = start + 1; i <= start + cfg.steps; i++) {
+    // Brain slot: a topology change renumbers the "t1-t2" keys of `scores`, so rescore the new
+    // foam (remapping by face id, identity.js, would leave the faces the flips created unscored)
+    if (cfg.scoring) {
+      if (vorox.consumeTopologyDirty()) scoresStale = true;
+      if (vorox.shouldPrimeOnBrain()) {
+        vorox.primeDualCaches();
+        vorox.clearPrimeOnBrain();
+      }
+      if (scoresStale || (i - 1) % Math.max(1, cfg.scoring.every | 0) === 0) {
+        scores = computeScores(vorox.getFoam(), cfg.scoring, vorox.getSeed());
+        scoresStale = false;
+      }
+    }
+    // autoStop and the stats rows read the step's energy, which costs about a gradient pass
+    const trackEnergy = !!monitor || (!!stats && i % cfg.statsEvery === 0);
+    const stepOptions = { trackEnergy, ...cfg.step, ...(scores ? { edgeScores: scores } : {}) };
+    const g = vorox.step(cfg.dt, stepOptions, null);
+    if (stats && i % cfg.statsEvery === 0) {
+      stats.record({ step: i, time: i * cfg.dt, foam: vorox.getFoam(), scores, lastStats: vorox.getLastStats() });
+    }
+    if (cfg.snapshotEvery > 0 && i % cfg.snapshotEvery === 0) {
+      emit(i, g);
+      log(`step ${i}/${start + cfg.steps}: ${vorox.getFoam().simplices.length} tets, |g|rms=${snapshots[snapshots.length - 1].gradientRms.toExponential(3)}`);
+    }
+    if (monitor && monitor.push(vorox.getLastStats()).converged) {
+      stoppedAt = i;
+      // The converged state always gets a snapshot
+      if (cfg.snapshotEvery > 0 && i % cfg.snapshotEvery !== 0) emit(i, g);
+      log(`step ${i}: converged (${Object.keys(monitor.status().plateaued).join(', ')} plateaued), stopping`);
+      break;
+    }
+  }
+
+  if (cfg.outDir) {
+    if (stats) {
+      const file = path.join(cfg.outDir, 'stats.csv');
+      writeFileSync(file, stats.toCSV());
+      files.push(file);
+    }
+    if (cfg.saveState) {
+      const file = path.join(cfg.outDir, 'state.json');
+      writeFileSync(file, JSON.stringify(vorox.serialize()));
+      files.push(file);
+    }
+    const summary = {
+      config: { ...cfg, points: cfg.points ? `${cfg.points.length} explicit points` : null, restore: cfg.restore ? `resumed at step ${start}` : null, box: boxExtent(cfg.box) },
+      steps: stoppedAt !== null ? stoppedAt - start : cfg.steps,
+      stoppedAt,
+      runtimeMs: Date.now() - t0,
+      snapshots: files.filter((f) => path.basename(f).startsWith('snapshot-')).map((f) => path.basename(f)),
+    };
+    const file = path.join(cfg.outDir, 'run.json');
+    writeFileSync(file, JSON.stringify(summary, null, 2));
+    files.push(file);
+  }
+  return { config: cfg, snapshots, files, vorox, stats: stats ? stats.rows() : null, stoppedAt };
+}
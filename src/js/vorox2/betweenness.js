@@ -0,0 +1,227 @@
+/**
+ * Edge betweenness on the Voronoi skeleton (Brandes).
+ * - Nodes are Voronoi vertices (tet centers), links are foam.voronoiEdges, weighted by
+ *   their minimum-image length (or 1 per hop)
+ * - The betweenness of an edge is the number of shortest-path pairs (s, t) routed
+ *   through it, shared equally among tied paths: sum over s < t of σ_st(e) / σ_st
+ * - Exact: one Dijkstra + dependency sweep per source, O(V·E log V). Sampled: the same
+ *   from `samples` seeded random sources, scaled by V / samples (unbiased estimate)
+ */
+
+import { minImageDelta, UNIT_BOX } from './core.js';
+import { createRng } from '../PointGenerators.js';
+
+/**
+ * Weighted CSR of the Voronoi edge graph.
+ * @param {Object} foam - Needs centers, voronoiEdges, isPeriodic and box
+ * @param {Object} [opts]
+ * @param {'length'|'hops'} [opts.weight='length'] - Minimum-image edge length or unit weights
+ * @returns {{ n: number, rowPtr: Uint32Array, colIdx: Uint32Array, edgeIdx: Uint32Array,
+ *   w: Float64Array, keys: string[], ids: Uint32Array }} keys[e] is the "t1-t2" key of edge e
+ *   (edgeIdx per arc) and ids[e] its index in foam.voronoiEdges
+ */
+export function buildSkeletonCSR(foam, { weight = 'length' } = {}) {
+  const centers = foam.centers || [];
+  const box = foam.box || UNIT_BOX;
+  const n = centers.length;
+  const edges = foam.voronoiEdges || [];
+  const pairs = [];
+  const lengths = [];
+  const ids = [];
+  for (let id = 0; id < edges.length; id++) {
+    const [t1, t2] = edges[id];
+    const a = centers[t1], b = centers[t2];
+    if (!a || !b) continue;
+    let len = 1;
+    if (weight === 'length') {
+      const d = foam.isPeriodic ? minImageDelta(a, b, box) : [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      len = Math.hypot(d[0], d[1], d[2]);
+    }
+    pairs.push(t1 < t2 ? [t1, t2] : [t2, t1]);
+    ids.push(id);
+    lengths.push(Math.max(len, 1e-12)); // zero-length edges would make tied cycles
+  }
+  const rowPtr = new Uint32Array(n + 1);
+  for (const [a, b] of pairs) { rowPtr[a + 1]++; rowPtr[b + 1]++; }
+  for (let i = 0; i < n; i++) rowPtr[i + 1] += rowPtr[i];
+  const colIdx = new Uint32Array(rowPtr[n]);
+  const edgeIdx = new Uint32Array(rowPtr[n]);
+  const w = new Float64Array(rowPtr[n]);
+  const fill = rowPtr.slice(0, n);
+  for (let e = 0; e < pairs.length; e++) {
+    const [a, b] = pairs[e];
+    let k = fill[a]++;
+    colIdx[k] = b; edgeIdx[k] = e; w[k] = lengths[e];
+    k = fill[b]++;
+    colIdx[k] = a; edgeIdx[k] = e; w[k] = lengths[e];
+  }
+  return { n, rowPtr, colIdx, edgeIdx, w, keys: pairs.map(([a, b]) => `${a}-${b}`), ids: Uint32Array.from(ids) };
+}
+
+// Binary min-heap of (distance, node) with lazy deletion
+function createHeap(capacity) {
+  let keys = new Float64Array(capacity);
+  let nodes = new Uint32Array(capacity);
+  let size = 0;
+  return {
+    get size() { return size; },
+    clear() { size = 0; },
+    push(key, node) {
+      if (size === keys.length) {
+        const k2 = new Float64Array(size * 2); k2.set(keys); keys = k2;
+        const n2 = new Uint32Array(size * 2); n2.set(nodes); nodes = n2;
+      }
+      let i = size++;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (keys[p] <= key) break;
+        keys[i] = keys[p]; nodes[i] = nodes[p]; i = p;
+      }
+      keys[i] = key; nodes[i] = node;
+    },
+    // Pops the node with the smallest key
+    pop() {
+      const node = nodes[0];
+      const key = keys[--size], last = nodes[size];
+      let i = 0;
+      for (;;) {
+        let c = 2 * i + 1;
+        if (c >= size) break;
+        if (c + 1 < size && keys[c + 1] < keys[c]) c++;
+        if (keys[c] >= key) break;
+        keys[i] = keys[c]; nodes[i] = nodes[c]; i = c;
+      }
+      keys[i] = key; nodes[i] = last;
+      return node;
+    },
+  };
+}
+
+/**
+ * Brandes edge betweenness on a CSR from buildSkeletonCSR().
+ * @param {Object} csr
+ * @param {Object} [opts]
+ * @param {number} [opts.samples=0] - Random sources to use (0 or >= n: exact)
+ * @param {number} [opts.seed=0] - Seed for the source sample
+ * @param {number} [opts.eps=1e-12] - Relative tolerance for tied path lengths
+ * @returns {{ values: Float64Array, sources: number, exact: boolean }} values[e] per edge id
+ */
+export function edgeBetweenness(csr, { samples = 0, seed = 0, eps = 1e-12 } = {}) {
+  const { n, rowPtr, colIdx, edgeIdx, w } = csr;
+  const values = new Float64Array(csr.keys ? csr.keys.length : colIdx.length / 2);
+  const exact = !(samples > 0 && samples < n);
+  let sources;
+  if (exact) {
+    sources = Uint32Array.from({ length: n }, (_, i) => i);
+  } else {
+    // Partial Fisher–Yates: the first `samples` entries are a uniform sample
+    const all = Uint32Array.from({ length: n }, (_, i) => i);
+    const rng = createRng(seed);
+    for (let i = 0; i < samples; i++) {
+      const j = i + Math.floor(rng() * (n - i));
+      const t = all[i]; all[i] = all[j]; all[j] = t;
+    }
+    sources = all.subarray(0, samples);
+  }
+
+  const dist = new Float64Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Uint32Array(n);
+  const done = new Uint8Array(n);
+  const heap = createHeap(Math.max(16, colIdx.length));
+  const tied = (du, wk, dv) => Math.abs(du + wk - dv) <= eps * Math.max(1, dv);
+
+  for (const s of sources) {
+    if (rowPtr[s] === rowPtr[s + 1]) continue; // isolated (e.g. tet without a center)
+    dist.fill(Infinity);
+    sigma.fill(0);
+    delta.fill(0);
+    done.fill(0);
+    dist[s] = 0;
+    heap.clear();
+    heap.push(0, s);
+    let settled = 0;
+    while (heap.size > 0) {
+      const v = heap.pop();
+      if (done[v]) continue; // stale entry
+      done[v] = 1;
+      order[settled++] = v;
+      const dv = dist[v];
+      for (let k = rowPtr[v]; k < rowPtr[v + 1]; k++) {
+        const u = colIdx[k];
+        const d = dv + w[k];
+        if (dist[u] === Infinity || (d < dist[u] && !tied(dv, w[k], dist[u]))) {
+          dist[u] = d;
+          heap.push(d, u);
+        }
+      }
+    }
+    // Path counts in settle order: predecessors of v are neighbours u with dist[u] + w = dist[v]
+    sigma[s] = 1;
+    for (let i = 1; i < settled; i++) {
+      const v = order[i];
+      let acc = 0;
+      for (let k = rowPtr[v]; k < rowPtr[v + 1]; k++) {
+        const u = colIdx[k];
+        if (u !== v && dist[u] < dist[v] && tied(dist[u], w[k], dist[v])) acc += sigma[u];
+      }
+      sigma[v] = acc;
+    }
+    // Dependencies in reverse settle order
+    for (let i = settled - 1; i > 0; i--) {
+      const v = order[i];
+      const share = (1 + delta[v]) / sigma[v];
+      for (let k = rowPtr[v]; k < rowPtr[v + 1]; k++) {
+        const u = colIdx[k];
+        if (u !== v && dist[u] < dist[v] && tied(dist[u], w[k], dist[v])) {
+          const c = sigma[u] * share;
+          values[edgeIdx[k]] += c;
+          delta[u] += c;
+        }
+      }
+    }
+  }
+  // Each unordered pair is counted from both ends when every node is a source
+  const scale = exact ? 0.5 : 0.5 * n / sources.length;
+  for (let e = 0; e < values.length; e++) values[e] *= scale;
+  return { values, sources: sources.length, exact };
+}
+
+/**
+ * Edge betweenness of a foam as a score map.
+ * @param {Object} foam
+ * @param {Object} [opts]
+ * @param {number} [opts.samples=0] - 0 = exact
+ * @param {number} [opts.seed=0]
+ * @param {'length'|'hops'} [opts.weight='length']
+ * @param {'max'|'rank'|'none'} [opts.normalize='max'] - Divide by the largest value, use the
+ *   percentile rank (uniform in [0, 1], handy with force thresholds) or keep pair counts
+ * @param {boolean} [opts.byEdgeId=false] - Return a Float64Array indexed by edge id
+ *   (foam.voronoiEdges order, NaN for edges without both centers) instead of a Map
+ * @returns {Map<string, number>|Float64Array} "t1-t2" -> score
+ */
+export function edgeBetweennessScores(foam, { samples = 0, seed = 0, weight = 'length', normalize = 'max', byEdgeId = false } = {}) {
+  const csr = buildSkeletonCSR(foam, { weight });
+  const { values } = edgeBetweenness(csr, { samples, seed });
+  const m = values.length;
+  const out = byEdgeId ? new Float64Array(foam.voronoiEdges?.length || 0).fill(NaN) : new Map();
+  const put = byEdgeId ? (e, v) => { out[csr.ids[e]] = v; } : (e, v) => { out.set(csr.keys[e], v); };
+  if (normalize === 'rank') {
+    const idx = Array.from({ length: m }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+    // Tied values share their mean rank
+    for (let i = 0; i < m;) {
+      let j = i;
+      while (j + 1 < m && values[idx[j + 1]] === values[idx[i]]) j++;
+      const r = m > 1 ? (i + j) / (2 * (m - 1)) : 1;
+      for (let k = i; k <= j; k++) put(idx[k], r);
+      i = j + 1;
+    }
+    return out;
+  }
+  let max = 0;
+  for (let e = 0; e < m; e++) if (values[e] > max) max = values[e];
+  const s = normalize === 'max' && max > 0 ? 1 / max : 1;
+  for (let e = 0; e < m; e++) put(e, values[e] * s);
+  return out;
+}
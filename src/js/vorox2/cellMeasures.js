@@ -0,0 +1,125 @@
+/**
+ * Per-cell geometric measures for tracking foam coarsening.
+ * - Volume, surface area, face / edge / vertex counts and the edges-per-face list of
+ *   every bounded cell from buildCellPolyhedra() (periodic cells are already unwrapped)
+ * - Isoperimetric quotient IQ = 36π V² / A³ (1 for a sphere, ~0.757 for a Kelvin cell)
+ * - Faces are fan-triangulated exactly as for the volume, so area and volume refer to
+ *   the same surface even when barycentric faces are not planar
+ */
+
+import { buildCellPolyhedra, triangulateFace } from './cells.js';
+
+function triangleArea(a, b, c) {
+  const ux = b[0]-a[0], uy = b[1]-a[1], uz = b[2]-a[2];
+  const vx = c[0]-a[0], vy = c[1]-a[1], vz = c[2]-a[2];
+  return 0.5 * Math.hypot(uy*vz - uz*vy, uz*vx - ux*vz, ux*vy - uy*vx);
+}
+
+/** Area of one polygon face (indices into `vertices`). */
+export function faceArea(vertices, face) {
+  let area = 0;
+  for (const [i, j, k] of triangulateFace(face)) area += triangleArea(vertices[i], vertices[j], vertices[k]);
+  return area;
+}
+
+/**
+ * Measures of a single cell polyhedron.
+ * @param {Object} cell - From buildCellPolyhedra()
+ * @returns {{ volume: number, area: number, numFaces: number, numEdges: number, numVertices: number, edgesPerFace: number[], iq: number }}
+ */
+export function measureCell(cell) {
+  let area = 0;
+  let sides = 0;
+  const edgesPerFace = new Array(cell.faces.length);
+  cell.faces.forEach((face, f) => {
+    area += faceArea(cell.vertices, face);
+    edgesPerFace[f] = face.length;
+    sides += face.length;
+  });
+  const volume = cell.volume;
+  return {
+    volume,
+    area,
+    numFaces: cell.faces.length,
+    numEdges: sides / 2, // every edge borders two faces of a closed cell
+    numVertices: cell.vertices.length,
+    edgesPerFace,
+    iq: area > 0 ? (36 * Math.PI * volume * volume) / (area * area * area) : 0,
+  };
+}
+
+function meanVar(values) {
+  let n = 0, mean = 0, m2 = 0;
+  for (const x of values) {
+    if (!Number.isFinite(x)) continue;
+    n++;
+    const d = x - mean;
+    mean += d / n;
+    m2 += d * (x - mean);
+  }
+  return { mean: n ? mean : NaN, variance: n ? m2 / n : NaN };
+}
+
+/**
+ * Measure every cell of a foam.
+ * @param {Object|Array} foamOrCells - A foam ({ points, simplices, centers, facetPairs, ... })
+ *   or the cell array from buildCellPolyhedra()
+ * @returns {{
+ *   cells: Array<Object|null>,
+ *   volume: Float64Array, area: Float64Array, iq: Float64Array,  // NaN for unbounded cells
+ *   faceCount: Int32Array,                                       // 0 for unbounded cells
+ *   edgesPerFaceHistogram: number[],                             // [n] = faces with n edges (each face counted once)
+ *   summary: { count, totalVolume, meanVolume, volumeVariance, meanArea, meanFaces, faceVariance, meanIQ, meanEdgesPerFace }
+ * }}
+ */
+export function analyzeCells(foamOrCells) {
+  const cells = Array.isArray(foamOrCells) ? foamOrCells : buildCellPolyhedra(foamOrCells);
+  const n = cells.length;
+  const volume = new Float64Array(n).fill(NaN);
+  const area = new Float64Array(n).fill(NaN);
+  const iq = new Float64Array(n).fill(NaN);
+  const faceCount = new Int32Array(n);
+  const histogram = [];
+  let count = 0, totalVolume = 0, sides = 0, sideFaces = 0;
+
+  cells.forEach((cell, seed) => {
+    if (!cell) return;
+    const m = measureCell(cell);
+    volume[seed] = m.volume;
+    area[seed] = m.area;
+    iq[seed] = m.iq;
+    faceCount[seed] = m.numFaces;
+    count++;
+    totalVolume += m.volume;
+    m.edgesPerFace.forEach((e, f) => {
+      sides += e;
+      sideFaces++;
+      // A face is shared by two cells; count it once, from the lower seed
+      const other = cell.neighbors[f];
+      if (other > seed || !cells[other]) histogram[e] = (histogram[e] || 0) + 1;
+    });
+  });
+  for (let e = 0; e < histogram.length; e++) histogram[e] = histogram[e] || 0;
+
+  const vol = meanVar(volume);
+  const faces = meanVar(Array.from(faceCount).filter((_, i) => cells[i]));
+  return {
+    cells,
+    volume,
+    area,
+    iq,
+    faceCount,
+    edgesPerFaceHistogram: histogram,
+    summary: {
+      count,
+      totalVolume,
+      meanVolume: vol.mean,
+      volumeVariance: vol.variance,
+      meanArea: meanVar(area).mean,
+      meanFaces: faces.mean,
+      faceVariance: faces.variance,
+      meanIQ: meanVar(iq).mean,
+      meanEdgesPerFace: sideFaces ? sides / sideFaces : NaN,
+    },
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Voronoi cells as closed polyhedra, built from the Delaunay dual.
+ * - Each Delaunay edge (a, b) is dual to one Voronoi face: the ring of centers of the
+ *   tetrahedra around that edge, ordered by walking facet adjacency
+ * - Cell vertices are tetrahedron centers, shared between the cell's faces by tet index,
+ *   so every cell is watertight; periodic cells are unwrapped around their seed
+ * - Faces are oriented outward (counter-clockwise seen from outside the cell)
+ *
+ * Works on a foam from buildFoam() or any { points, simplices, centers, facetPairs, isPeriodic, box }.
+ */
+
+import { minImagePoint, UNIT_BOX } from './core.js';
+
+// Facet fi of a tet omits vertex 3 - fi (faces are [0,1,2], [0,1,3], [0,2,3], [1,2,3])
+const oppositeFace = (vi) => 3 - vi;
+
+function sub(a, b) { return [a[0]-b[0], a[1]-b[1], a[2]-b[2]]; }
+function cross(u, v) { return [u[1]*v[2]-u[2]*v[1], u[2]*v[0]-u[0]*v[2], u[0]*v[1]-u[1]*v[0]]; }
+function dot(u, v) { return u[0]*v[0] + u[1]*v[1] + u[2]*v[2]; }
+
+// Newell normal of a polygon (robust for slightly non-planar barycentric faces)
+export function polygonNormal(verts) {
+  const n = [0, 0, 0];
+  for (let i = 0; i < verts.length; i++) {
+    const p = verts[i], q = verts[(i + 1) % verts.length];
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  }
+  return n;
+}
+
+/**
+ * Tetrahedra incident to each Delaunay edge.
+ * @returns {Map<string, number[]>} "a-b" (a < b) -> tet indices
+ */
+function edgeStars(simplices) {
+  const stars = new Map();
+  for (let t = 0; t < simplices.length; t++) {
+    const tet = simplices[t];
+    for (let i = 0; i < 4; i++) for (let j = i + 1; j < 4; j++) {
+      const a = Math.min(tet[i], tet[j]), b = Math.max(tet[i], tet[j]);
+      if (a === b) continue;
+      const key = `${a}-${b}`;
+      let list = stars.get(key);
+      if (!list) stars.set(key, list = []);
+      list.push(t);
+    }
+  }
+  return stars;
+}
+
+/**
+ * Order the tets around edge (a, b) into rings. Several rings only occur when a
+ * tiny periodic box holds more than one image of the same edge.
+ * @returns {{ rings: number[][], open: boolean }}
+ */
+function walkRings(star, a, b, simplices, facetPairs) {
+  const inStar = new Set(star);
+  const visited = new Set();
+  const rings = [];
+  let open = false;
+  for (const start of star) {
+    if (visited.has(start)) continue;
+    const ring = [];
+    let prev = -1;
+    let t = start;
+    while (t >= 0 && !visited.has(t)) {
+      visited.add(t);
+      ring.push(t);
+      // The two facets containing both a and b omit one of the other two vertices
+      const tet = simplices[t];
+      let next = -1;
+      for (let vi = 0; vi < 4; vi++) {
+        const v = tet[vi];
+        if (v === a || v === b) continue;
+        const mirror = facetPairs[t][oppositeFace(vi)];
+        if (!mirror) { open = true; continue; }
+        if (mirror.tet !== prev && inStar.has(mirror.tet) && !visited.has(mirror.tet)) next = mirror.tet;
+      }
+      prev = t;
+      t = next;
+    }
+    if (ring.length >= 3) rings.push(ring);
+    else open = true;
+  }
+  return { rings, open };
+}
+
+/**
+ * Build every bounded Voronoi cell as a closed polyhedron.
+ * @param {Object} foam - { points, simplices, centers, facetPairs, isPeriodic, box }
+ * @returns {Array<Object|null>} Indexed by seed; null for unbounded (hull) or empty cells.
+ *   Each cell: { seed, site, vertices: number[][], vertexTets: number[], faces: number[][],
+ *   neighbors: number[] (seed across each face), volume }
+ */
+export function buildCellPolyhedra(foam) {
+  const { points, simplices, centers, facetPairs, isPeriodic } = foam;
+  const box = foam.box || UNIT_BOX;
+  const numSeeds = points.length;
+  const builders = Array.from({ length: numSeeds }, () => ({ vertexOf: new Map(), vertices: [], vertexTets: [], faces: [], neighbors: [], open: false }));
+
+  const vertexIndex = (cell, seed, t) => {
+    let idx = cell.vertexOf.get(t);
+    if (idx === undefined) {
+      const c = centers[t];
+      idx = cell.vertices.length;
+      cell.vertexOf.set(t, idx);
+      cell.vertices.push(isPeriodic ? minImagePoint(points[seed], c, box) : [c[0], c[1], c[2]]);
+      cell.vertexTets.push(t);
+    }
+    return idx;
+  };
+
+  for (const [key, star] of edgeStars(simplices)) {
+    const dash = key.indexOf('-');
+    const a = +key.slice(0, dash), b = +key.slice(dash + 1);
+    const { rings, open } = walkRings(star, a, b, simplices, facetPairs);
+    if (open) {
+      builders[a].open = true;
+      builders[b].open = true;
+    }
+    for (const ring of rings) {
+      for (const [seed, other] of [[a, b], [b, a]]) {
+        const cell = builders[seed];
+        const face = ring.map((t) => vertexIndex(cell, seed, t));
+        cell.faces.push(face);
+        cell.neighbors.push(other);
+      }
+    }
+  }
+
+  return builders.map((cell, seed) => {
+    if (cell.open || cell.faces.length < 4) return null;
+    const site = points[seed];
+    const poly = { seed, site: [site[0], site[1], site[2]], vertices: cell.vertices, vertexTets: cell.vertexTets, faces: cell.faces, neighbors: cell.neighbors };
+    orientFaces(poly.faces);
+    poly.volume = polyhedronVolume(poly);
+    if (poly.volume < 0) {
+      for (const face of poly.faces) flipFace(face);
+      poly.volume = -poly.volume;
+    }
+    return poly;
+  });
+}
+
+// Reverse a face in place but keep face[0], so both cells sharing it fan-triangulate it identically
+function flipFace(face) {
+  face.splice(1, face.length - 1, ...face.slice(1).reverse());
+}
+
+/**
+ * Make face windings consistent across shared edges (each edge used once in each
+ * direction). Done topologically: barycentric or fallback centers can leave the site
+ * outside its own cell, so a per-face "points away from the site" test is unreliable.
+ */
+function orientFaces(faces) {
+  const byEdge = new Map();
+  faces.forEach((face, f) => {
+    for (let i = 0; i < face.length; i++) {
+      const u = face[i], v = face[(i + 1) % face.length];
+      const key = u < v ? `${u}-${v}` : `${v}-${u}`;
+      let list = byEdge.get(key);
+      if (!list) byEdge.set(key, list = []);
+      list.push(f);
+    }
+  });
+  const hasDirected = (face, u, v) => {
+    for (let i = 0; i < face.length; i++) if (face[i] === u && face[(i + 1) % face.length] === v) return true;
+    return false;
+  };
+  const done = new Uint8Array(faces.length);
+  for (let root = 0; root < faces.length; root++) {
+    if (done[root]) continue;
+    done[root] = 1;
+    const queue = [root];
+    while (queue.length) {
+      const face = faces[queue.pop()];
+      for (let i = 0; i < face.length; i++) {
+        const u = face[i], v = face[(i + 1) % face.length];
+        for (const g of byEdge.get(u < v ? `${u}-${v}` : `${v}-${u}`)) {
+          if (done[g]) continue;
+          if (hasDirected(faces[g], u, v)) flipFace(faces[g]);
+          done[g] = 1;
+          queue.push(g);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Fan-triangulate a polygon face (indices into the cell's vertices).
+ * @returns {number[][]} triangles
+ */
+export function triangulateFace(face) {
+  const tris = [];
+  for (let i = 1; i + 1 < face.length; i++) tris.push([face[0], face[i], face[i + 1]]);
+  return tris;
+}
+
+/**
+ * Enclosed volume of an outward-oriented polyhedron (sum of signed tets with the site).
+ */
+export function polyhedronVolume(cell) {
+  const s = cell.site;
+  let vol = 0;
+  for (const face of cell.faces) {
+    for (const [i, j, k] of triangulateFace(face)) {
+      vol += dot(sub(cell.vertices[i], s), cross(sub(cell.vertices[j], s), sub(cell.vertices[k], s)));
+    }
+  }
+  return vol / 6;
+}
+
+/**
+ * Per-cell score: mean of the edge scores ("t1-t2" keys) along the cell's Voronoi edges.
+ * @param {Array<Object|null>} cells - From buildCellPolyhedra()
+ * @param {Map<string, number>} scores
+ * @returns {Float64Array} NaN for missing cells or cells without scored edges
+ */
+export function cellScores(cells, scores) {
+  const out = new Float64Array(cells.length).fill(NaN);
+  if (!scores) return out;
+  cells.forEach((cell, seed) => {
+    if (!cell) return;
+    let acc = 0, count = 0;
+    for (const face of cell.faces) {
+      for (let i = 0; i < face.length; i++) {
+        const t1 = cell.vertexTets[face[i]], t2 = cell.vertexTets[face[(i + 1) % face.length]];
+        const s = scores.get(t1 < t2 ? `${t1}-${t2}` : `${t2}-${t1}`);
+        if (s !== undefined) { acc += s; count++; }
+      }
+    }
+    if (count > 0) out[seed] = acc / count;
+  });
+  return out;
+}
@@ -0,0 +1,68 @@
+/**
+ * Plateau detection for run loops.
+ * - Feed it the step stats of createVoroX().getLastStats() (energy, gradientNorm,
+ *   maxDisplacement, kineticEnergy); a metric has plateaued when, over the last `window`
+ *   steps, its spread max − min is at most rel·max|value|, or all its values are at most abs
+ * - The run counts as converged once every metric with a tolerance that the steps report
+ *   has plateaued; metrics a step does not report (e.g. gradientNorm on XPBD steps) are skipped
+ */
+
+export const DEFAULT_TOLERANCES = Object.freeze({
+  energy: Object.freeze({ rel: 1e-6, abs: 0 }),
+  gradientNorm: Object.freeze({ rel: 1e-3, abs: 1e-7 }),
+  maxDisplacement: Object.freeze({ rel: 1e-3, abs: 1e-7 }),
+  kineticEnergy: Object.freeze({ rel: 1e-3, abs: 1e-12 }),
+});
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.window=20] - Steps a plateau must last
+ * @param {Object} [opts.tolerances] - Per metric { rel, abs } (null drops a metric);
+ *   merged over DEFAULT_TOLERANCES
+ * @returns {{ push: Function, reset: Function, status: Function }} push(stats) records a
+ *   step and returns status(): { converged, steps, plateaued: { metric: boolean } }
+ */
+export function createConvergenceMonitor({ window = 20, tolerances = {} } = {}) {
+  const tol = { ...DEFAULT_TOLERANCES, ...tolerances };
+  const metrics = Object.keys(tol).filter((k) => tol[k]);
+  const history = Object.fromEntries(metrics.map((k) => [k, []]));
+  let steps = 0;
+
+  function plateaued(k) {
+    const h = history[k];
+    if (h.length < window) return false;
+    let lo = Infinity, hi = -Infinity, big = 0;
+    for (const v of h) {
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+      if (Math.abs(v) > big) big = Math.abs(v);
+    }
+    return big <= (tol[k].abs || 0) || hi - lo <= (tol[k].rel || 0) * big;
+  }
+
+  function status() {
+    const result = {};
+    for (const k of metrics) if (history[k].length > 0) result[k] = plateaued(k);
+    const flags = Object.values(result);
+    return { converged: flags.length > 0 && flags.every(Boolean), steps, plateaued: result };
+  }
+
+  return {
+    push(stats) {
+      steps++;
+      for (const k of metrics) {
+        const v = stats ? stats[k] : undefined;
+        // A metric that stops being reported starts over
+        if (!Number.isFinite(v)) { history[k].length = 0; continue; }
+        history[k].push(v);
+        if (history[k].length > window) history[k].shift();
+      }
+      return status();
+    },
+    reset() {
+      steps = 0;
+      for (const k of metrics) history[k].length = 0;
+    },
+    status,
+  };
+}
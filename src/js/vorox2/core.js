@@ -1,23 +1,62 @@
 // MIC helpers and centers computation (Phase 1)
 
-export function wrap01(x) {
+import { isLattice, latticeWrap, latticeMinImageDelta, latticeExtent, latticeVolume } from './lattice.js';
+
+// Periodic box descriptor [Lx, Ly, Lz]; the domain is [0,Lx) x [0,Ly) x [0,Lz).
+// Wherever a box is accepted, a triclinic/sheared lattice from lattice.js works too.
+export const UNIT_BOX = Object.freeze([1, 1, 1]);
+
+/**
+ * Validate a box descriptor. Accepts [Lx, Ly, Lz], a single number (cube),
+ * a lattice (returned as-is, so shear updates stay shared) or null/undefined
+ * (unit cube). Throws on non-positive or non-finite lengths.
+ * @returns {number[]|Object} [Lx, Ly, Lz] or the lattice
+ */
+export function normalizeBox(box) {
+  if (box === undefined || box === null) return [1, 1, 1];
+  if (isLattice(box)) return box;
+  const dims = typeof box === 'number' ? [box, box, box] : Array.from(box);
+  if (dims.length !== 3 || !dims.every((L) => Number.isFinite(L) && L > 0)) {
+    throw new Error(`Invalid periodic box: expected [Lx, Ly, Lz] with positive lengths, got ${JSON.stringify(box)}`);
+  }
+  return dims;
+}
+
+// Wrap a coordinate into [0, L); L defaults to the unit period
+export function wrap01(x, L = 1) {
   let v = x;
-  while (v < 0) v += 1;
-  while (v >= 1) v -= 1;
+  while (v < 0) v += L;
+  while (v >= L) v -= L;
   return v;
 }
 
-export function minImageDelta(a, b) {
+// Characteristic lengths of a box or lattice (cell vector lengths for lattices)
+export function boxExtent(box = UNIT_BOX) {
+  return isLattice(box) ? latticeExtent(box) : box;
+}
+
+export function boxVolume(box = UNIT_BOX) {
+  return isLattice(box) ? latticeVolume(box) : box[0] * box[1] * box[2];
+}
+
+export function wrapPoint(p, box = UNIT_BOX) {
+  if (isLattice(box)) return latticeWrap(p, box);
+  return [wrap01(p[0], box[0]), wrap01(p[1], box[1]), wrap01(p[2], box[2])];
+}
+
+export function minImageDelta(a, b, box = UNIT_BOX) {
+  if (isLattice(box)) return latticeMinImageDelta(a, b, box);
   const d = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
   for (let k = 0; k < 3; k++) {
-    if (d[k] > 0.5) d[k] -= 1.0; else if (d[k] < -0.5) d[k] += 1.0;
+    const L = box[k];
+    if (d[k] > 0.5 * L) d[k] -= L; else if (d[k] < -0.5 * L) d[k] += L;
   }
   return d;
 }
 
-export function minImagePoint(a, b) {
+export function minImagePoint(a, b, box = UNIT_BOX) {
   // return b adjusted to the image closest to a
-  const d = minImageDelta(a, b);
+  const d = minImageDelta(a, b, box);
   return [a[0] + d[0], a[1] + d[1], a[2] + d[2]];
 }
 
@@ -32,13 +71,17 @@ function det3(m) {
   return m[0][0]*(m[1][1]*m[2][2]-m[1][2]*m[2][1]) - m[0][1]*(m[1][0]*m[2][2]-m[1][2]*m[2][0]) + m[0][2]*(m[1][0]*m[2][1]-m[1][1]*m[2][0]);
 }
 
-function circumcenter4(a, b, c, d) {
+// With weights w = [wa, wb, wc, wd] this is the power center: the point with equal
+// power |x - p|^2 - w to all four vertices (w = 0 gives the circumcenter).
+function circumcenter4(a, b, c, d, box = UNIT_BOX, w = null) {
   const sub = (u, v) => [u[0]-v[0], u[1]-v[1], u[2]-v[2]];
   const dot = (u, v) => u[0]*v[0]+u[1]*v[1]+u[2]*v[2];
   const ba = sub(b,a), ca = sub(c,a), da = sub(d,a);
   const A = [ [ba[0], ba[1], ba[2]], [ca[0], ca[1], ca[2]], [da[0], da[1], da[2]] ];
-  const a2 = dot(a,a);
-  const rhs = [0.5*(dot(b,b)-a2), 0.5*(dot(c,c)-a2), 0.5*(dot(d,d)-a2)];
+  const a2 = dot(a,a) - (w ? w[0] : 0);
+  const rhs = w
+    ? [0.5*(dot(b,b)-w[1]-a2), 0.5*(dot(c,c)-w[2]-a2), 0.5*(dot(d,d)-w[3]-a2)]
+    : [0.5*(dot(b,b)-a2), 0.5*(dot(c,c)-a2), 0.5*(dot(d,d)-a2)];
   const detA = det3(A);
   if (!isFinite(detA) || Math.abs(detA) < 1e-12) return null;
   const Mx = [ [rhs[0], A[0][1], A[0][2]], [rhs[1], A[1][1], A[1][2]], [rhs[2], A[2][1], A[2][2]] ];
@@ -53,15 +96,16 @@ function circumcenter4(a, b, c, d) {
 
   // --- VALIDATION LOGGING ---
   // Add a temporary check to see if we are generating huge, unstable centers.
-  if (x < -1 || x > 2 || y < -1 || y > 2 || z < -1 || z > 2) {
+  const [Lx, Ly, Lz] = boxExtent(box);
+  if (x < -Lx || x > 2*Lx || y < -Ly || y > 2*Ly || z < -Lz || z > 2*Lz) {
     console.warn(`Unstable circumcenter detected: [${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}] with determinant ${detA.toExponential(2)}`);
   }
   // --- END VALIDATION ---
 
   // Aggressive stability check: if the center is far outside the typical domain,
   // it's a sign of a degenerate tetrahedron. Fallback to null.
-  const limit = 10.0; // A circumcenter shouldn't be this far from the origin for a unit cube.
-  if (Math.abs(x) > limit || Math.abs(y) > limit || Math.abs(z) > limit) {
+  const limit = 10.0; // In box lengths: a circumcenter shouldn't be this far from the origin.
+  if (Math.abs(x) > limit*Lx || Math.abs(y) > limit*Ly || Math.abs(z) > limit*Lz) {
     console.warn(`Unstable circumcenter detected and rejected: [${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}]`);
     return null;
   }
@@ -69,40 +113,51 @@ function circumcenter4(a, b, c, d) {
   return [x,y,z];
 }
 
-export function computeCenters(pointsArray, tetrahedra, isPeriodic, method='centroid') {
+/**
+ * Voronoi vertex of one tetrahedron from its four vertex positions (see computeCenters()).
+ * `w` holds the four power weights for method 'power' (null otherwise).
+ */
+export function tetCenter(p0, p1, p2, p3, isPeriodic, method='centroid', box=UNIT_BOX, w=null) {
+  let c;
+  if (method === 'circumcenter' || method === 'power') {
+    if (isPeriodic) {
+      const ref = p0;
+      const b = minImagePoint(ref, p1, box);
+      const c2 = minImagePoint(ref, p2, box);
+      const d = minImagePoint(ref, p3, box);
+      c = circumcenter4(ref, b, c2, d, box, w);
+      if (!c) c = centroid4(ref, b, c2, d); // Fallback if circumcenter fails
+      c = wrapPoint(c, box);
+    } else {
+      c = circumcenter4(p0,p1,p2,p3, box, w) || centroid4(p0,p1,p2,p3);
+    }
+  } else {
+    if (isPeriodic) {
+      const ref = p0;
+      const b = minImagePoint(ref, p1, box);
+      const c2 = minImagePoint(ref, p2, box);
+      const d = minImagePoint(ref, p3, box);
+      c = centroid4(ref, b, c2, d);
+      c = wrapPoint(c, box);
+    } else {
+      c = centroid4(p0,p1,p2,p3);
+    }
+  }
+  return c;
+}
+
+/**
+ * Voronoi vertex of each tetrahedron.
+ * method: 'centroid', 'circumcenter', or 'power' (power center from per-point
+ * `weights`, w = r^2; the dual vertices of a power diagram).
+ */
+export function computeCenters(pointsArray, tetrahedra, isPeriodic, method='centroid', box=UNIT_BOX, weights=null) {
   const centers = new Array(tetrahedra.length);
+  const weighted = method === 'power' && weights;
   for (let i=0;i<tetrahedra.length;i++) {
     const tet = tetrahedra[i];
-    const p0 = pointsArray[tet[0]];
-    const p1 = pointsArray[tet[1]];
-    const p2 = pointsArray[tet[2]];
-    const p3 = pointsArray[tet[3]];
-    let c;
-    if (method === 'circumcenter') {
-      if (isPeriodic) {
-        const ref = p0;
-        const b = minImagePoint(ref, p1);
-        const c2 = minImagePoint(ref, p2);
-        const d = minImagePoint(ref, p3);
-        c = circumcenter4(ref, b, c2, d);
-        if (!c) c = centroid4(ref, b, c2, d); // Fallback if circumcenter fails
-        c = [wrap01(c[0]), wrap01(c[1]), wrap01(c[2])];
-      } else {
-        c = circumcenter4(p0,p1,p2,p3) || centroid4(p0,p1,p2,p3);
-      }
-    } else {
-      if (isPeriodic) {
-        const ref = p0;
-        const b = minImagePoint(ref, p1);
-        const c2 = minImagePoint(ref, p2);
-        const d = minImagePoint(ref, p3);
-        c = centroid4(ref, b, c2, d);
-        c = [wrap01(c[0]), wrap01(c[1]), wrap01(c[2])];
-      } else {
-        c = centroid4(p0,p1,p2,p3);
-      }
-    }
-    centers[i] = c;
+    const w = weighted ? [weights[tet[0]], weights[tet[1]], weights[tet[2]], weights[tet[3]]] : null;
+    centers[i] = tetCenter(pointsArray[tet[0]], pointsArray[tet[1]], pointsArray[tet[2]], pointsArray[tet[3]], isPeriodic, method, box, w);
   }
   return centers;
 }
@@ -136,9 +191,11 @@ export function buildFacetPairs(tetrahedra) {
  * Computes the barycenter (average of vertices) of a single tetrahedron.
  * @param {number[][]} points - The array of all points in the system.
  * @param {number[]} tet - The indices of the four points forming the tetrahedron.
+ * @param {boolean} [isPeriodic=false] - Whether to resolve vertices to the minimum image.
+ * @param {number[]} [box=UNIT_BOX] - Periodic box [Lx, Ly, Lz].
  * @returns {number[]} The [x, y, z] coordinates of the barycenter.
  */
-export function barycenter(points, tet, isPeriodic = false) {
+export function barycenter(points, tet, isPeriodic = false, box = UNIT_BOX) {
   const p0 = points[tet[0]];
   const p1 = points[tet[1]];
   const p2 = points[tet[2]];
@@ -147,31 +204,17 @@ export function barycenter(points, tet, isPeriodic = false) {
   if (isPeriodic) {
       // Use p0 as the reference point for the periodic image
       const ref = p0;
-      // Function to adjust a point to be in the same periodic image as the reference
-      const adjust = (p) => {
-          const adj = [...p];
-          for (let i = 0; i < 3; i++) {
-              const d = p[i] - ref[i];
-              if (d > 0.5) adj[i] -= 1.0;
-              else if (d < -0.5) adj[i] += 1.0;
-          }
-          return adj;
-      };
-      
-      const p1a = adjust(p1);
-      const p2a = adjust(p2);
-      const p3a = adjust(p3);
+      // Adjust the other points to be in the same periodic image as the reference
+      const p1a = minImagePoint(ref, p1, box);
+      const p2a = minImagePoint(ref, p2, box);
+      const p3a = minImagePoint(ref, p3, box);
 
-      let x = (ref[0] + p1a[0] + p2a[0] + p3a[0]) / 4;
-      let y = (ref[1] + p1a[1] + p2a[1] + p3a[1]) / 4;
-      let z = (ref[2] + p1a[2] + p2a[2] + p3a[2]) / 4;
+      const x = (ref[0] + p1a[0] + p2a[0] + p3a[0]) / 4;
+      const y = (ref[1] + p1a[1] + p2a[1] + p3a[1]) / 4;
+      const z = (ref[2] + p1a[2] + p2a[2] + p3a[2]) / 4;
       
-      // Wrap the final calculated center back into the [0,1) cube
-      x = x - Math.floor(x);
-      y = y - Math.floor(y);
-      z = z - Math.floor(z);
-
-      return [x, y, z];
+      // Wrap the final calculated center back into the box
+      return wrapPoint([x, y, z], box);
   } else {
     // Simple average for the non-periodic case
     return [
@@ -184,16 +227,21 @@ export function barycenter(points, tet, isPeriodic = false) {
 
 // Clip a 3D segment to the unit cube [0,1]^3. Returns [p', q'] or null.
 export function clipSegmentToUnitCube(p, q) {
+  return clipSegmentToBox(p, q, UNIT_BOX);
+}
+
+// Clip a 3D segment to the orthogonal box [0,Lx]x[0,Ly]x[0,Lz]. Returns [p', q'] or null.
+export function clipSegmentToBox(p, q, box = UNIT_BOX) {
   const p0 = [p[0], p[1], p[2]];
   const d = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
   let t0 = 0.0, t1 = 1.0;
   for (let k = 0; k < 3; k++) {
     if (Math.abs(d[k]) < 1e-12) {
-      if (p0[k] < 0 || p0[k] > 1) return null; // parallel outside
+      if (p0[k] < 0 || p0[k] > box[k]) return null; // parallel outside
     } else {
       const invD = 1.0 / d[k];
       const tNear = (0 - p0[k]) * invD;
-      const tFar  = (1 - p0[k]) * invD;
+      const tFar  = (box[k] - p0[k]) * invD;
       const tMin = Math.min(tNear, tFar);
       const tMax = Math.max(tNear, tFar);
       if (tMin > t0) t0 = tMin;
@@ -1,6 +1,7 @@
-import { minImagePoint, wrap01, barycenter } from './core.js';
-import { buildVoronoiEdgeGraph, edgePageRank, computeEdgeBasedForces, calculateEdgeScoresMC } from './edgeGraph.js';
+import { minImagePoint, wrapPoint, barycenter, UNIT_BOX } from './core.js';
+import { buildVoronoiEdgeGraph, solveEdgePageRank, computeEdgeBasedForces, calculateEdgeScoresMC, calculateEdgeScoresDirected } from './edgeGraph.js';
 import { VerletIntegrator } from './verlet.js';
+import { edgeBetweennessScores } from './betweenness.js';
 
 function vecSub(a,b){ return [a[0]-b[0], a[1]-b[1], a[2]-b[2]]; }
 function vecAdd(a,b){ return [a[0]+b[0], a[1]+b[1], a[2]+b[2]]; }
@@ -34,25 +35,46 @@ export function calculateScores(foam, depth) {
 /**
  * NEW: Edge-based PageRank scoring system
  * Computes importance scores for Voronoi edges based on their connectivity
- * at obtuse angles, following the architecture in the diagrams
+ * at obtuse angles, following the architecture in the diagrams.
+ * `depth` caps the iterations; `options` ({ tol, personalization, byEdgeId }) go to solveEdgePageRank().
  */
-export function calculateEdgeScores(foam, depth = 10, damping = 0.85) {
+export function calculateEdgeScores(foam, depth = 10, damping = 0.85, options = {}) {
     // Build the Voronoi edge connectivity graph
     const edgeGraph = buildVoronoiEdgeGraph(foam);
     
     // Run PageRank on the edge graph
-    const edgeScores = edgePageRank(edgeGraph, depth, damping);
+    const { scores, iterations, residual, converged } = solveEdgePageRank(edgeGraph, { ...options, damping, maxIterations: depth });
     
     return {
-        scores: edgeScores,
-        graph: edgeGraph
+        scores,
+        graph: edgeGraph,
+        iterations,
+        residual,
+        converged
     };
 }
 
 // New MC scoring wrapper with defaults
-export function calculateEdgeScoresMonteCarlo(foam, L = 8, K = 64, alpha = 0.9) {
+export function calculateEdgeScoresMonteCarlo(foam, L = 8, K = 64, alpha = 0.9, options = {}) {
     const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
-    const scores = calculateEdgeScoresMC(foam, L, K, alpha);
+    const scores = calculateEdgeScoresMC(foam, L, K, alpha, options);
+    const t1 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    return { scores, runtimeMs: (t1 - t0), graph: null };
+}
+
+// Deterministic directed-walk scoring (expected MC mass, no sampling noise)
+export function calculateEdgeScoresDirectedWalk(foam, L = 8, alpha = 0.9, options = {}) {
+    const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    const scores = calculateEdgeScoresDirected(foam, L, alpha, options);
+    const t1 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    return { scores, runtimeMs: (t1 - t0), graph: null };
+}
+
+// Shortest-path edge betweenness on the Voronoi skeleton
+// options: { samples (0 = exact), seed, weight: 'length' | 'hops', normalize: 'max' | 'rank', byEdgeId }
+export function calculateEdgeScoresBetweenness(foam, options = {}) {
+    const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    const scores = edgeBetweennessScores(foam, options);
     const t1 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
     return { scores, runtimeMs: (t1 - t0), graph: null };
 }
@@ -66,15 +88,17 @@ function homothety(Δ, catchment, scale, energy, equilibration, contractive, exp
     return vecScale(Δ, energy * h);
 }
 
+// Catchment weight of a simplex: each facet on a knot adds (length + catched) / length of that
+// knot. Needs computeKnots() (knots.js) on the foam; 0 without it
 export function simplexCatchment(foam, simplexIndex) {
+  if (!foam.facetKnot) return 0;
   let catchment = 0.0;
   for (let fid=0; fid<4; fid++) {
-    // Knot-based catchment removed; default to zero influence
-    const d = 0;
+    const d = foam.knotDist[simplexIndex][fid];
     if (d === 0) {
       const k = foam.facetKnot[simplexIndex][fid];
       if (k > 0) {
-        const len = 1;
+        const len = foam.knots[k-1].length;
         const nc = foam.numCatched[k-1] || 0;
         catchment += (len + nc) / len;
       }
@@ -103,10 +127,11 @@ export function gradient(foam, options = {}) {
     } = options;
     
     const grad = Array.from({ length: foam.points.length }, () => [0,0,0]);
+    const box = foam.box || UNIT_BOX;
     
     // Step 1: Apply base equilibration forces
     if (equilibration) {
-        const motion_centers = foam.simplices.map(tet => barycenter(foam.points, tet, foam.isPeriodic));
+        const motion_centers = foam.simplices.map(tet => barycenter(foam.points, tet, foam.isPeriodic, box));
         for (let simplex_idx=0; simplex_idx<foam.simplices.length; simplex_idx++) {
             const p_indices = foam.simplices[simplex_idx];
             const points = p_indices.map(i => foam.points[i]);
@@ -117,13 +142,13 @@ export function gradient(foam, options = {}) {
                 const p = points[i];
                 if (edge_scale) {
                     for (let b=0; b<4; b++) if (b!==i) {
-                        const q = foam.isPeriodic ? minImagePoint(p, points[b]) : points[b];
+                        const q = foam.isPeriodic ? minImagePoint(p, points[b], box) : points[b];
                         const Δ = vecSub(q, p);
                         const h = homothety(Δ, 0, scale, energy, true, false, false);
                         grad[p_idx] = vecAdd(grad[p_idx], h);
                     }
                 } else {
-                    const Δ = vecSub(c, p);
+                    const Δ = foam.isPeriodic ? vecSub(minImagePoint(p, c, box), p) : vecSub(c, p);
                     const h = homothety(Δ, 0, scale, energy, true, false, false);
                     grad[p_idx] = vecAdd(grad[p_idx], h);
                 }
@@ -152,8 +177,71 @@ export function gradient(foam, options = {}) {
     return grad;
 }
 
+/**
+ * Energy whose negative gradient is gradient() (same options), with the tet and face
+ * centers held fixed:
+ * - equilibration: (energy/2)·Σ_tets Σ_i (|c_t − p_i| − scale)², c_t the barycenter; with
+ *   edge_scale, (energy/2)·Σ_tets Σ_{i<j} (|p_j − p_i| − scale)²
+ * - edge: Σ_faces σ_f·Σ_{i∈f} |p_i − c_f| over the faces dual to scored edges, c_f the face
+ *   centroid and σ_f the signed strength of computeEdgeBasedForces() (its per-vertex
+ *   force clamp is ignored)
+ * @returns {{ total: number, equilibration: number, edge: number }}
+ */
+export function foamEnergy(foam, options = {}) {
+    const {
+        useEdgeMode = false,
+        edgeScores = null,
+        edge_scale = false,
+        scale = 1.0,
+        energy = 0.1,
+        equilibration = true,
+        contractive = false,
+        expansive = false,
+        threshold = 0.5
+    } = options;
+    const box = foam.box || UNIT_BOX;
+    const image = (p, q) => (foam.isPeriodic ? minImagePoint(p, q, box) : q);
+    let eq = 0;
+    if (equilibration) {
+        for (const tet of foam.simplices) {
+            const points = tet.map(i => foam.points[i]);
+            if (edge_scale) {
+                for (let a=0; a<4; a++) for (let b=a+1; b<4; b++) {
+                    const d = vecNorm(vecSub(image(points[a], points[b]), points[a])) - scale;
+                    eq += d * d;
+                }
+            } else {
+                const c = barycenter(foam.points, tet, foam.isPeriodic, box);
+                for (const p of points) {
+                    const d = vecNorm(vecSub(image(p, c), p)) - scale;
+                    eq += d * d;
+                }
+            }
+        }
+        eq *= 0.5 * energy;
+    }
+    let edge = 0;
+    if (useEdgeMode && (contractive || expansive) && edgeScores) {
+        if (!foam.__edgeFaceMapCache) foam.__edgeFaceMapCache = buildVoronoiEdgeGraph(foam).edgeToFace;
+        const edgeToFace = foam.__edgeFaceMapCache;
+        edgeScores.forEach((score, edgeKey) => {
+            const face = edgeToFace.get(edgeKey);
+            if (!face) return;
+            let sigma = 0;
+            if (contractive && score < threshold) sigma = -energy * (threshold - score);
+            else if (expansive && score > threshold) sigma = energy * (score - threshold);
+            if (Math.abs(sigma) < 1e-6) return;
+            const p0 = foam.points[face[0]];
+            const fp = face.map(idx => image(p0, foam.points[idx]));
+            const c = vecScale(vecAdd(vecAdd(fp[0], fp[1]), fp[2]), 1 / 3);
+            edge += sigma * (vecNorm(vecSub(fp[0], c)) + vecNorm(vecSub(fp[1], c)) + vecNorm(vecSub(fp[2], c)));
+        });
+    }
+    return { total: eq + edge, equilibration: eq, edge };
+}
+
 // Legacy Euler integration (kept for backward compatibility)
-export function integratePoints(points, g, dt, isPeriodic, maxDelta=0.02) {
+export function integratePoints(points, g, dt, isPeriodic, maxDelta=0.02, box=UNIT_BOX) {
   const out = new Array(points.length);
   for (let i=0;i<points.length;i++) {
     const p = points[i];
@@ -162,13 +250,8 @@ export function integratePoints(points, g, dt, isPeriodic, maxDelta=0.02) {
     const sx = dt*d[0], sy = dt*d[1], sz = dt*d[2];
     const sn = Math.hypot(sx, sy, sz) || 0;
     const k = sn > maxDelta ? (maxDelta / sn) : 1.0;
-    let x = p[0] + k*sx;
-    let y = p[1] + k*sy;
-    let z = p[2] + k*sz;
-    if (isPeriodic) {
-      x = wrap01(x); y = wrap01(y); z = wrap01(z);
-    }
-    out[i] = [x,y,z];
+    const q = [p[0] + k*sx, p[1] + k*sy, p[2] + k*sz];
+    out[i] = isPeriodic ? wrapPoint(q, box) : q;
   }
   return out;
 }
@@ -177,8 +260,8 @@ export function integratePoints(points, g, dt, isPeriodic, maxDelta=0.02) {
  * Create and manage a Verlet integrator for the system
  * Provides more stable physics than Euler integration
  */
-export function createVerletSystem(numPoints, isPeriodic = false) {
-    return new VerletIntegrator(numPoints, isPeriodic);
+export function createVerletSystem(numPoints, isPeriodic = false, box = UNIT_BOX) {
+    return new VerletIntegrator(numPoints, isPeriodic, box);
 }
 
 
@@ -6,7 +6,8 @@
  * - PageRank computes importance scores for flow pathways
  */
 
-import { barycenter, minImagePoint } from './core.js';
+import { barycenter, minImagePoint, UNIT_BOX } from './core.js';
+import { buildPageRankCSR, solvePageRank } from './pagerank.js';
 
 /**
  * Compute angle between two vectors in 3D
@@ -38,7 +39,8 @@ export function buildVoronoiEdgeGraph(foam) {
         nodes: [],      // Each node is a Voronoi edge
         links: [],      // Connections between edges
         edgeToIndex: new Map(), // Map from edge key to node index
-        edgeToFace: new Map()   // Map from edge to Delaunay face it crosses
+        edgeToFace: new Map(),  // Map from edge to Delaunay face it crosses
+        numEdges: foam.voronoiEdges?.length || 0 // node.index runs over foam.voronoiEdges
     };
     
     // Build a map of tetrahedron centers to edges that connect to them
@@ -134,83 +136,80 @@ function findSharedFace(tet1, tet2) {
     return shared.length === 3 ? shared : null;
 }
 
+/**
+ * Solve PageRank on the Voronoi edge graph (links are undirected).
+ * Runs power iteration on a CSR copy of the links until the L1 change is below `tol`
+ * or `maxIterations` is reached; dangling edges teleport by the personalization.
+ *
+ * @param {Object} edgeGraph - The edge connectivity graph
+ * @param {Object} [opts]
+ * @param {number} [opts.damping=0.85]
+ * @param {number} [opts.tol=1e-8] - L1 convergence tolerance
+ * @param {number} [opts.maxIterations=100]
+ * @param {ArrayLike<number>|Function} [opts.personalization] - Teleport weight per node,
+ *   as an array or (node, index) => weight, e.g. a bias toward a region or the boundary
+ * @param {boolean} [opts.byEdgeId=false] - Return scores as a Float64Array indexed by
+ *   Voronoi edge id (foam.voronoiEdges order, NaN for edges without both centers)
+ * @param {boolean} [opts.verbose=false] - Warn when the scores are nearly uniform
+ * @returns {{ scores: Map<string, number>|Float64Array, raw: Float64Array, iterations: number,
+ *   residual: number, converged: boolean }} scores are min-max normalized to [0, 1];
+ *   raw is the stationary distribution by node index
+ */
+export function solveEdgePageRank(edgeGraph, { damping = 0.85, tol = 1e-8, maxIterations = 100, personalization = null, byEdgeId = false, verbose = false } = {}) {
+    const nodes = edgeGraph.nodes;
+    const csr = buildPageRankCSR(nodes.length, edgeGraph.links);
+    const teleport = typeof personalization === 'function'
+        ? (i) => personalization(nodes[i], i)
+        : personalization;
+    const result = solvePageRank(csr, { damping, tol, maxIterations, personalization: teleport });
+    const raw = result.scores;
+
+    let min = Infinity, max = -Infinity, mean = 0;
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i] < min) min = raw[i];
+        if (raw[i] > max) max = raw[i];
+        mean += raw[i];
+    }
+    mean /= raw.length || 1;
+    // Relative variance (scores scaled to mean 1), comparable across foam sizes
+    let variance = 0;
+    for (let i = 0; i < raw.length; i++) variance += ((raw[i] - mean) / (mean || 1)) ** 2;
+    variance /= raw.length || 1;
+    if (verbose && raw.length && variance < 0.001) {
+        console.warn(`Low variance in PageRank scores (${variance}): a very uniform mesh or too few iterations`);
+    }
+
+    // Normalize scores to [0, 1] range
+    const range = max - min || 1;
+    let scores;
+    if (byEdgeId) {
+        scores = new Float64Array(edgeGraph.numEdges ?? nodes.length).fill(NaN);
+        nodes.forEach((node, idx) => { scores[node.index] = (raw[idx] - min) / range; });
+    } else {
+        scores = new Map();
+        nodes.forEach((node, idx) => {
+            scores.set(node.key, (raw[idx] - min) / range);
+        });
+    }
+    return { scores, raw, iterations: result.iterations, residual: result.residual, converged: result.converged };
+}
+
 /**
  * Run PageRank on the Voronoi edge graph
  * This computes importance scores for each edge based on connectivity
  * 
  * @param {Object} edgeGraph - The edge connectivity graph
- * @param {number} iterations - Number of PageRank iterations (search depth)
+ * @param {number} iterations - Legacy search depth: the solver now runs until `tol`, and
+ *   this only raises the iteration cap above its default
  * @param {number} damping - Damping factor (typically 0.85)
+ * @param {Object} [opts] - { tol, personalization, verbose }, see solveEdgePageRank(), and
+ *   maxIterations (default max(iterations, 100))
  * @returns {Map} Map from edge key to score
  */
-export function edgePageRank(edgeGraph, iterations = 10, damping = 0.85) {
-    const numNodes = edgeGraph.nodes.length;
-    if (numNodes === 0) return new Map();
-    
-    // Initialize scores to 1.0 for all edges
-    let scores = new Array(numNodes).fill(1.0);
-    
-    // Build adjacency lists for efficient iteration
-    const outgoing = Array.from({length: numNodes}, () => []);
-    const incoming = Array.from({length: numNodes}, () => []);
-    
-    edgeGraph.links.forEach(link => {
-        outgoing[link.source].push(link.target);
-        outgoing[link.target].push(link.source); // Bidirectional
-        incoming[link.target].push(link.source);
-        incoming[link.source].push(link.target);
-    });
-    
-    // PageRank iterations
-    for (let iter = 0; iter < iterations; iter++) {
-        const newScores = new Array(numNodes).fill(0);
-        
-        // Each node distributes its score to neighbors
-        for (let i = 0; i < numNodes; i++) {
-            if (outgoing[i].length > 0) {
-                const contribution = scores[i] / outgoing[i].length;
-                for (const neighbor of outgoing[i]) {
-                    newScores[neighbor] += contribution;
-                }
-            } else {
-                // Nodes with no outgoing links distribute evenly
-                const contribution = scores[i] / numNodes;
-                for (let j = 0; j < numNodes; j++) {
-                    newScores[j] += contribution;
-                }
-            }
-        }
-        
-        // Apply damping factor and add random jump probability
-        for (let i = 0; i < numNodes; i++) {
-            scores[i] = (1 - damping) / numNodes + damping * newScores[i];
-        }
-    }
-    
-    // Debug output (only if scores show low variance)
-    const variance = scores.reduce((acc, s, i, arr) => {
-        const mean = arr.reduce((a,b) => a+b, 0) / arr.length;
-        return acc + Math.pow(s - mean, 2);
-    }, 0) / scores.length;
-    
-    if (variance < 0.001) {
-        console.warn('Low variance in PageRank scores:', variance);
-        console.log('This may indicate a very uniform mesh or insufficient iterations');
-    }
-    
-    // Normalize scores to [0, 1] range
-    const maxScore = Math.max(...scores);
-    const minScore = Math.min(...scores);
-    const range = maxScore - minScore || 1;
-    
-    // Convert to Map with edge keys
-    const scoreMap = new Map();
-    edgeGraph.nodes.forEach((node, idx) => {
-        const normalizedScore = (scores[idx] - minScore) / range;
-        scoreMap.set(node.key, normalizedScore);
-    });
-    
-    return scoreMap;
+export function edgePageRank(edgeGraph, iterations = 10, damping = 0.85, opts = {}) {
+    if (edgeGraph.nodes.length === 0) return new Map();
+    const maxIterations = opts.maxIterations ?? Math.max(iterations, 100);
+    return solveEdgePageRank(edgeGraph, { ...opts, damping, maxIterations }).scores;
 }
 
 /**
@@ -221,10 +220,12 @@ export function edgePageRank(edgeGraph, iterations = 10, damping = 0.85) {
 export function buildHalfEdgeAdjacency(foam) {
     const centers = foam.centers;
     const isPeriodic = !!foam.isPeriodic;
+    const box = foam.box || UNIT_BOX;
     const edgePairs = foam.voronoiEdges || [];
 
     // Half-edge structure
-    // halfEdges[h] = { edgeKey, fromTet, toTet, atCenter } where atCenter == toTet (current node)
+    // halfEdges[h] = { edgeKey, edge, fromTet, toTet, atCenter } where atCenter == toTet (current node)
+    // and edge is the index into foam.voronoiEdges
     const halfEdges = [];
     const edgeKeyToHalf = new Map(); // key -> [hToTet1, hToTet2]
 
@@ -233,13 +234,13 @@ export function buildHalfEdgeAdjacency(foam) {
     }
 
     // Create half-edges
-    for (const pair of edgePairs) {
-        const t1 = pair[0];
-        const t2 = pair[1];
+    for (let edge = 0; edge < edgePairs.length; edge++) {
+        const t1 = edgePairs[edge][0];
+        const t2 = edgePairs[edge][1];
         if (!centers || !centers[t1] || !centers[t2]) continue;
         const key = makeEdgeKey(t1, t2);
-        const h1 = { edgeKey: key, fromTet: t2, toTet: t1, atCenter: t1 };
-        const h2 = { edgeKey: key, fromTet: t1, toTet: t2, atCenter: t2 };
+        const h1 = { edgeKey: key, edge, fromTet: t2, toTet: t1, atCenter: t1 };
+        const h2 = { edgeKey: key, edge, fromTet: t1, toTet: t2, atCenter: t2 };
         const idx1 = halfEdges.push(h1) - 1;
         const idx2 = halfEdges.push(h2) - 1;
         edgeKeyToHalf.set(key, [idx1, idx2]);
@@ -258,7 +259,7 @@ export function buildHalfEdgeAdjacency(foam) {
 
     function vec(a, b) {
         // vector from a to b, respecting periodic MIC if needed
-        return isPeriodic ? (minImagePoint(a, b).map((v, i) => v - a[i])) : [b[0]-a[0], b[1]-a[1], b[2]-a[2]];
+        return isPeriodic ? (minImagePoint(a, b, box).map((v, i) => v - a[i])) : [b[0]-a[0], b[1]-a[1], b[2]-a[2]];
     }
 
     function angleBetween(u, v) {
@@ -316,15 +317,17 @@ export function buildHalfEdgeAdjacency(foam) {
 
 /**
  * Monte Carlo directional truncated random-walk scoring for Voronoi edges
- * Returns Map<edgeKey, score in [0,1]>
+ * Returns Map<edgeKey, score in [0,1]>, or with options.byEdgeId a Float64Array indexed by
+ * edge id (foam.voronoiEdges order, NaN for edges without both centers)
  */
 export function calculateEdgeScoresMC(foam, L = 8, K = 64, alpha = 0.9, options = {}) {
     const { halfEdges, adj, edgeKeyToHalf } = buildHalfEdgeAdjacency(foam);
-    const edgeKeys = Array.from(edgeKeyToHalf.keys());
-    if (edgeKeys.length === 0) return new Map();
+    const byEdgeId = !!options.byEdgeId;
+    if (edgeKeyToHalf.size === 0) return byEdgeId ? new Float64Array(foam.voronoiEdges?.length || 0).fill(NaN) : new Map();
     const useFirstVisit = options.useFirstVisit === undefined ? false : !!options.useFirstVisit;
     const combine = options.combine || 'harmonic'; // 'harmonic' | 'min'
     const fanoutCap = options.fanoutCap || null;   // { topM?, cumProb? }
+    const seed = (options.seed || 0) >>> 0;        // run-level seed mixed into every walker seed
 
     // For each half-edge, run K walkers up to L steps; accumulate survival
     function hashStr(s) {
@@ -378,9 +381,11 @@ export function calculateEdgeScoresMC(foam, L = 8, K = 64, alpha = 0.9, options
     }
 
     // Compute directional scores per edge (min of two sides)
-    const raw = new Map();
-    for (const [edgeKey, [h1, h2]] of edgeKeyToHalf.entries()) {
-        const seedBase = hashStr(edgeKey) >>> 0;
+    const entries = Array.from(edgeKeyToHalf.entries());
+    const raw = new Float64Array(entries.length);
+    for (let i = 0; i < entries.length; i++) {
+        const [edgeKey, [h1, h2]] = entries[i];
+        const seedBase = (hashStr(edgeKey) ^ seed) >>> 0;
         const d1 = simulateFrom(h1, seedBase ^ 0x9e3779b9);
         const d2 = simulateFrom(h2, seedBase ^ 0x85ebca6b);
         let scoreRaw;
@@ -389,16 +394,104 @@ export function calculateEdgeScoresMC(foam, L = 8, K = 64, alpha = 0.9, options
         } else {
             scoreRaw = Math.min(d1, d2);
         }
-        raw.set(edgeKey, scoreRaw);
+        raw[i] = scoreRaw;
     }
 
     // Normalize to [0,1]
-    const vals = Array.from(raw.values());
-    const min = Math.min(...vals);
-    const max = Math.max(...vals);
+    let min = Infinity, max = -Infinity;
+    for (const v of raw) { if (v < min) min = v; if (v > max) max = v; }
     const range = (max - min) || 1;
+    if (byEdgeId) {
+        const out = new Float64Array(foam.voronoiEdges.length).fill(NaN);
+        for (let i = 0; i < entries.length; i++) out[halfEdges[entries[i][1][0]].edge] = (raw[i] - min) / range;
+        return out;
+    }
     const out = new Map();
-    for (const [k, v] of raw.entries()) out.set(k, (v - min) / range);
+    for (let i = 0; i < entries.length; i++) out.set(entries[i][0], (raw[i] - min) / range);
+    return out;
+}
+
+/**
+ * Deterministic counterpart of calculateEdgeScoresMC: the expected walker mass, computed
+ * exactly on the directional half-edge CSR instead of sampled.
+ * A walker leaving half-edge h picks h -> h' with probability p and its weight is scaled
+ * by alpha * p, so the expected mass arriving in L steps is the truncated Katz sum
+ *   m_L(h) = sum_{h'} alpha p(h,h')^2 (1 + m_{L-1}(h')),   m_0 = 0
+ * i.e. the K -> infinity limit of the MC scorer (without fanoutCap / useFirstVisit).
+ * Both directions of an edge are combined like the MC scorer ('harmonic' | 'min').
+ *
+ * @param {Object} foam
+ * @param {number} L - Walk horizon (steps)
+ * @param {number} alpha - Per-step discount
+ * @param {Object} [options]
+ * @param {'harmonic'|'min'} [options.combine='harmonic']
+ * @param {Object} [options.csr] - Half-edge CSR { rowPtr, colIdx, w } of this foam
+ *   (dual.js getAdjacency(foamHash).mcCSR); built from the foam when omitted
+ * @param {number} [options.tol=0] - Stop before L steps once the L1 change falls below tol
+ * @param {boolean} [options.byEdgeId=false] - Return a Float64Array indexed by edge id
+ *   (foam.voronoiEdges order, NaN for edges without both centers) instead of a Map
+ * @returns {Map|Float64Array} Map from edge key to score in [0, 1]
+ */
+export function calculateEdgeScoresDirected(foam, L = 8, alpha = 0.9, options = {}) {
+    const combine = options.combine || 'harmonic';
+    const tol = options.tol || 0;
+    let csr = options.csr;
+    if (!csr) {
+        const { adj } = buildHalfEdgeAdjacency(foam);
+        const rowPtr = new Uint32Array(adj.length + 1);
+        for (let h = 0; h < adj.length; h++) rowPtr[h + 1] = rowPtr[h] + adj[h].length;
+        const colIdx = new Uint32Array(rowPtr[adj.length]);
+        const w = new Float64Array(rowPtr[adj.length]);
+        let k = 0;
+        for (const outs of adj) for (const o of outs) { colIdx[k] = o.to; w[k] = o.p; k++; }
+        csr = { rowPtr, colIdx, w };
+    }
+    // Half-edge order of buildHalfEdgeAdjacency: two per edge with both centers, in edge order
+    const edgePairs = foam.voronoiEdges || [];
+    const ids = [];
+    for (let e = 0; e < edgePairs.length; e++) {
+        const [t1, t2] = edgePairs[e];
+        if (!foam.centers || !foam.centers[t1] || !foam.centers[t2]) continue;
+        ids.push(e);
+    }
+    if (ids.length === 0) return options.byEdgeId ? new Float64Array(edgePairs.length).fill(NaN) : new Map();
+
+    const { rowPtr, colIdx, w } = csr;
+    const H = rowPtr.length - 1;
+    let mass = new Float64Array(H);
+    let next = new Float64Array(H);
+    for (let step = 1; step <= L; step++) {
+        let change = 0;
+        for (let h = 0; h < H; h++) {
+            let acc = 0;
+            for (let k = rowPtr[h]; k < rowPtr[h + 1]; k++) acc += w[k] * w[k] * (1 + mass[colIdx[k]]);
+            next[h] = alpha * acc;
+            change += Math.abs(next[h] - mass[h]);
+        }
+        const t = mass; mass = next; next = t;
+        if (change < tol) break;
+    }
+
+    const raw = new Float64Array(ids.length);
+    let min = Infinity, max = -Infinity;
+    for (let e = 0; e < ids.length; e++) {
+        const d1 = mass[2 * e], d2 = mass[2 * e + 1];
+        const v = combine === 'harmonic' ? ((d1 > 0 && d2 > 0) ? (2 * d1 * d2) / (d1 + d2) : 0) : Math.min(d1, d2);
+        raw[e] = v;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    const range = (max - min) || 1;
+    if (options.byEdgeId) {
+        const out = new Float64Array(edgePairs.length).fill(NaN);
+        for (let e = 0; e < ids.length; e++) out[ids[e]] = (raw[e] - min) / range;
+        return out;
+    }
+    const out = new Map();
+    for (let e = 0; e < ids.length; e++) {
+        const [t1, t2] = edgePairs[ids[e]];
+        out.set(t1 < t2 ? `${t1}-${t2}` : `${t2}-${t1}`, (raw[e] - min) / range);
+    }
     return out;
 }
 
@@ -409,6 +502,7 @@ export function calculateEdgeScoresMC(foam, L = 8, K = 64, alpha = 0.9, options
  */
 export function computeEdgeBasedForces(foam, edgeScores, threshold, contractive, expansive, strength = 0.1) {
     const forces = Array.from({length: foam.points.length}, () => [0, 0, 0]);
+    const box = foam.box || UNIT_BOX;
     
     // Use cached edge->face map on foam if available; else build once and cache
     if (!foam.__edgeFaceMapCache) {
@@ -433,8 +527,9 @@ export function computeEdgeBasedForces(foam, edgeScores, threshold, contractive,
         
         if (Math.abs(scaleFactor) < 1e-6) return;
         
-        // Compute face centroid
-        const facePoints = face.map(idx => foam.points[idx]);
+        // Compute face centroid (vertices resolved to the image nearest the first one)
+        const p0 = foam.points[face[0]];
+        const facePoints = face.map(idx => foam.isPeriodic ? minImagePoint(p0, foam.points[idx], box) : foam.points[idx]);
         const centroid = [
             (facePoints[0][0] + facePoints[1][0] + facePoints[2][0]) / 3,
             (facePoints[0][1] + facePoints[1][1] + facePoints[2][1]) / 3,
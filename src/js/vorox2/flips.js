@@ -0,0 +1,516 @@
+/**
+ * Local repair of a Delaunay (or regular) triangulation after the points moved.
+ * - Facets are tested against the empty-circumsphere criterion (power distance with
+ *   weights); violating facets are fixed by 2-3 / 3-2 bistellar flips (Lawson's
+ *   algorithm), and the facets around each flip are re-queued
+ * - With weights a seed can be hidden by its neighbours, as in a regular triangulation:
+ *   a 4-1 flip drops a vertex of degree four, and a hidden seed whose power distance to
+ *   its enclosing tet's orthosphere turns negative is reinserted by a 1-4 flip
+ * - Given the previous positions, only the facets of tets with a moved vertex are
+ *   queued at first (a facet whose five vertices kept their place stays locally
+ *   Delaunay); without them every facet is tested
+ * - Tets are positively oriented, as produced by the WASM triangulation; an inverted
+ *   tet, a facet that cannot be flipped or a flip that would change the covered volume
+ *   (periodic images that disagree) makes the repair give up (ok: false) so the caller
+ *   can fall back to a full retriangulation
+ * - Untouched tets keep their index; flips reuse the freed slots, so most Voronoi
+ *   edge keys survive a repair
+ * - Periodic geometry uses the minimum image of each vertex relative to the first
+ *   vertex of the tet (or flip group), like computeCenters(), so every tet must be
+ *   smaller than half the box; sparse foams whose tets wrap around fail as inverted
+ */
+
+import { minImagePoint, minImageDelta, wrapPoint, UNIT_BOX } from './core.js';
+
+// Faces in facet order (facet fi omits vertex 3 - fi), matching buildFacetPairs()
+const FACES = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+
+function orient(a, b, c, d) {
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const wx = d[0] - a[0], wy = d[1] - a[1], wz = d[2] - a[2];
+  return ux * (vy * wz - vz * wy) - uy * (vx * wz - vz * wx) + uz * (vx * wy - vy * wx);
+}
+
+// Power center (circumcenter when w is null) and squared power radius; null if flat
+function powerSphere(p, w) {
+  const [a, b, c, d] = p;
+  const wa = w ? w[0] : 0;
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const tx = d[0] - a[0], ty = d[1] - a[1], tz = d[2] - a[2];
+  // Relative to a: 2 (q - a)·x = |q - a|^2 - w_q + w_a
+  const ru = 0.5 * (ux * ux + uy * uy + uz * uz - (w ? w[1] - wa : 0));
+  const rv = 0.5 * (vx * vx + vy * vy + vz * vz - (w ? w[2] - wa : 0));
+  const rt = 0.5 * (tx * tx + ty * ty + tz * tz - (w ? w[3] - wa : 0));
+  const cx = vy * tz - vz * ty, cy = vz * tx - vx * tz, cz = vx * ty - vy * tx;
+  const det = ux * cx + uy * cy + uz * cz;
+  if (!Number.isFinite(det) || det === 0) return null;
+  // Cramer's rule via cross products: x = (ru (v×t) + rv (t×u) + rt (u×v)) / det
+  const x = (ru * cx + rv * (ty * uz - tz * uy) + rt * (uy * vz - uz * vy)) / det;
+  const y = (ru * cy + rv * (tz * ux - tx * uz) + rt * (uz * vx - ux * vz)) / det;
+  const z = (ru * cz + rv * (tx * uy - ty * ux) + rt * (ux * vy - uy * vx)) / det;
+  return { center: [a[0] + x, a[1] + y, a[2] + z], r2: x * x + y * y + z * z - wa };
+}
+
+// One Lawson pass on fixed positions
+// `moved` (per vertex, or null for all) selects the tets checked for inversion and, without
+// `allow`, those whose facets are queued first. `allow` (per facet slot 4 t + f) is the
+// largest shift of a facet's five points from the positions `tetrahedra` was exact for
+// that keeps it locally Delaunay; with it, only facets whose points shifted further (by
+// `shift`, per point) are queued. The result carries `allow` for its own tets and points,
+// and their `adjacency` (see adj below; computed when not given)
+function flipToDelaunay(points, tetrahedra, moved, { periodic, box, weights, maxFlips, eps, adjacency = null, allow: allowed = null, shift = null }) {
+  const n = points.length;
+  const pos = (ref, v) => (periodic ? minImagePoint(points[ref], points[v], box) : points[v]);
+  const coords = (vs) => vs.map((v) => pos(vs[0], v));
+  const orientOf = (vs) => { const c = coords(vs); return orient(c[0], c[1], c[2], c[3]); };
+  let tested = 0; // facets put to the insphere test
+  const counts = { flips23: 0, flips32: 0, flips41: 0, flips14: 0 };
+  const fail = (reason, inverted = false) => ({ tetrahedra, ok: false, changed: false, inverted, reason, tested, ...counts });
+  // Per facet slot, from the tests at these positions (Infinity: not tested)
+  const margin = new Array(4 * tetrahedra.length).fill(Infinity);
+  // Numeric face key of a sorted vertex triple
+  const faceKey = (a, b, c) => {
+    if (a > b) { const t = a; a = b; b = t; }
+    if (b > c) { const t = b; b = c; c = t; }
+    if (a > b) { const t = a; a = b; b = t; }
+    return (a * n + b) * n + c;
+  };
+  const facetKey = (vs, f) => faceKey(vs[FACES[f][0]], vs[FACES[f][1]], vs[FACES[f][2]]);
+
+  const degree = new Int32Array(n); // tets per vertex; 0 for hidden seeds
+  for (let t = 0; t < tetrahedra.length; t++) {
+    const vs = tetrahedra[t];
+    if ((!moved || moved[vs[0]] || moved[vs[1]] || moved[vs[2]] || moved[vs[3]]) && !(orientOf(vs) > 0)) return fail(`inverted tet ${t}`, true);
+    for (const v of vs) degree[v]++;
+  }
+
+  const tets = tetrahedra.slice();
+  const alive = new Array(tets.length).fill(true);
+  const spheres = new Array(tets.length); // lazily computed power spheres
+  const free = [];
+  // Tet across facet f of tet t at adj[4 t + f] (-1: none, or a face shared by more than
+  // two tets, as in buildFacetPairs())
+  const adj = adjacency ? adjacency.slice() : new Array(4 * tets.length).fill(-1);
+  if (!adjacency) {
+    const open = new Map();
+    for (let t = 0; t < tets.length; t++) {
+      for (let f = 0; f < 4; f++) {
+        const key = facetKey(tets[t], f), s = 4 * t + f;
+        const o = open.get(key);
+        if (o === undefined) open.set(key, s);
+        else if (typeof o === 'number') open.set(key, [o, s]);
+        else o.push(s);
+      }
+    }
+    for (const o of open.values()) if (typeof o !== 'number' && o.length === 2) { adj[o[0]] = o[1] >> 2; adj[o[1]] = o[0] >> 2; }
+  }
+
+  const addTet = (vs) => {
+    // Positive orientation; swapping the last two vertices flips the sign
+    if (orientOf(vs) < 0) { const t = vs[2]; vs[2] = vs[3]; vs[3] = t; }
+    const id = free.length ? free.pop() : tets.length;
+    tets[id] = vs;
+    alive[id] = true;
+    spheres[id] = undefined;
+    for (let f = 0; f < 4; f++) { adj[4 * id + f] = -1; queued[4 * id + f] = false; }
+    for (let f = 0; f < 4; f++) margin[4 * id + f] = Infinity;
+    for (const v of vs) degree[v]++;
+    return id;
+  };
+  const removeTet = (id) => {
+    for (const v of tets[id]) degree[v]--;
+    alive[id] = false;
+    free.push(id);
+  };
+  // A flip keeps the covered volume unless the tets see different images of a vertex
+  // (tets stretched toward half the box), which would fold the tiling over
+  const sameVolume = (before, ids, c) => {
+    let after = 0, size = 0;
+    for (const id of ids) after += orientOf(tets[id]);
+    for (const x of c) size = Math.max(size, Math.abs(x[0] - c[0][0]), Math.abs(x[1] - c[0][1]), Math.abs(x[2] - c[0][2]));
+    return Math.abs(after - before) <= 1e-9 * size ** 3;
+  };
+  const apex = (t, a, b, c) => tets[t].find((v) => v !== a && v !== b && v !== c);
+  // The tet other than t on face abc of t, if it has vertex d
+  const across = (t, a, b, c, d) => {
+    const u = adj[4 * t + 3 - tets[t].indexOf(apex(t, a, b, c))];
+    return u >= 0 && tets[u].includes(d) ? u : undefined;
+  };
+  // Replace tets `ids` by `vs`, linking the new tets to each other and to the tets
+  // around the old ones; false if the covered volume changed
+  const replace = (ids, vs, c) => {
+    let before = 0;
+    const outer = new Map(); // face key -> tet beyond it
+    for (const id of ids) {
+      before += orientOf(tets[id]);
+      for (let f = 0; f < 4; f++) {
+        const m = adj[4 * id + f];
+        if (ids.includes(m)) continue;
+        const key = facetKey(tets[id], f);
+        if (outer.has(key)) return false;
+        outer.set(key, m);
+      }
+    }
+    ids.forEach(removeTet);
+    const added = vs.map(addTet);
+    const inner = new Map();
+    for (const id of added) {
+      for (let f = 0; f < 4; f++) {
+        const key = facetKey(tets[id], f);
+        const m = outer.get(key);
+        if (m !== undefined) {
+          adj[4 * id + f] = m;
+          if (m >= 0) for (let k = 0; k < 4; k++) if (ids.includes(adj[4 * m + k]) && facetKey(tets[m], k) === key) adj[4 * m + k] = id;
+          continue;
+        }
+        const o = inner.get(key);
+        if (o === undefined) { inner.set(key, 4 * id + f); continue; }
+        adj[4 * id + f] = o >> 2;
+        adj[o] = id;
+      }
+    }
+    if (!sameVolume(before, added, c)) return false;
+    added.forEach(enqueueFacesOf);
+    return true;
+  };
+  const sphereOf = (t) => {
+    if (spheres[t] === undefined) {
+      const vs = tets[t];
+      const c = coords(vs);
+      const s = powerSphere(c, weights ? vs.map((v) => weights[v]) : null);
+      if (s) {
+        s.c = c;
+        s.volume = orient(c[0], c[1], c[2], c[3]);
+        s.dist = c.map((x) => Math.hypot(x[0] - s.center[0], x[1] - s.center[1], x[2] - s.center[2]));
+      }
+      spheres[t] = s;
+    }
+    return spheres[t];
+  };
+
+  // Locally Delaunay test of facet f of tet t against apex e of the tet beyond it
+  const violates = (t, f, e) => {
+    const s = sphereOf(t);
+    if (!s) return false;
+    const q = pos(tets[t][0], e);
+    const dx = q[0] - s.center[0], dy = q[1] - s.center[1], dz = q[2] - s.center[2];
+    const excess = dx * dx + dy * dy + dz * dz - (weights ? weights[e] : 0) - s.r2;
+    if (excess < -eps * (Math.abs(s.r2) || 1)) return true;
+    // excess = (e - c)·(e - c) - sum λ_i (v_i - c)·(v_i - c) (λ: barycentric coordinates of
+    // e), so moving each point by δ changes it by at most 2 δ (|e - c| + sum |λ_i| |v_i - c|)
+    const [c0, c1, c2, c3] = s.c, { dist } = s;
+    const reach = Math.hypot(dx, dy, dz) + (Math.abs(orient(q, c1, c2, c3)) * dist[0] + Math.abs(orient(c0, q, c2, c3)) * dist[1]
+      + Math.abs(orient(c0, c1, q, c3)) * dist[2] + Math.abs(orient(c0, c1, c2, q)) * dist[3]) / Math.abs(s.volume);
+    // Half the first-order bound, for the terms it leaves out
+    margin[4 * t + f] = Math.max(0, excess) / (4 * reach);
+    return false;
+  };
+
+  // Slot of the same facet in the tet beyond it (-1 if unpaired)
+  const partner = (s) => {
+    const u = adj[s];
+    if (u >= 0) for (let k = 4 * u; k < 4 * u + 4; k++) if (adj[k] === s >> 2) return k;
+    return -1;
+  };
+  // Facets are queued once, from the side of the lower tet id
+  const queue = [];
+  const queued = new Array(4 * tets.length).fill(false);
+  const enqueue = (t, f) => {
+    const u = adj[4 * t + f];
+    if (u < 0) return;
+    const k = u < t ? partner(4 * t + f) : -1;
+    const s = k >= 0 ? k : 4 * t + f;
+    if (!queued[s]) { queued[s] = true; queue.push(s); }
+  };
+  const enqueueFacesOf = (id) => { for (let f = 0; f < 4; f++) enqueue(id, f); };
+  // Largest shift among each given tet's points
+  const reach = allowed && Float64Array.from(tetrahedra, (vs) => Math.max(shift[vs[0]], shift[vs[1]], shift[vs[2]], shift[vs[3]]));
+  if (allowed) {
+    for (let s = 0; s < adj.length; s++) {
+      const u = adj[s];
+      if (u >= 0 && Math.max(reach[s >> 2], reach[u]) > allowed[s]) enqueue(s >> 2, s & 3);
+    }
+  } else {
+    for (let t = 0; t < tets.length; t++) {
+      const vs = tets[t];
+      if (!moved || moved[vs[0]] || moved[vs[1]] || moved[vs[2]] || moved[vs[3]]) enqueueFacesOf(t);
+    }
+  }
+
+  const limit = maxFlips ?? 4 * tets.length + 16;
+  const flips = () => counts.flips23 + counts.flips32 + counts.flips41 + counts.flips14;
+  const stuck = [];
+  const faceOf = (s) => FACES[s & 3].map((i) => tets[s >> 2][i]);
+
+  // Lawson's flips until no queued facet violates; the failure result otherwise
+  const flipQueued = () => {
+    while (queue.length) {
+      const s = queue.pop();
+      queued[s] = false;
+      const t = s >> 2, u = adj[s];
+      if (!alive[t] || u < 0) continue;
+      const [p, q, r] = faceOf(s);
+      const a = tets[t][3 - (s & 3)], b = apex(u, p, q, r);
+      tested++;
+      if (!violates(t, s & 3, b)) continue;
+      if (flips() >= limit) return fail('flip limit reached');
+
+      const c = coords([p, q, r, a, b]);
+      const [P, Q, R, A, B] = c;
+      const o = [orient(A, B, P, Q), orient(A, B, Q, R), orient(A, B, R, P)];
+      const sign = Math.sign(o[0] + o[1] + o[2]);
+      const bad = o.map((x) => Math.sign(x) !== sign || x === 0);
+      const badCount = bad.filter(Boolean).length;
+
+      if (badCount === 0) {
+        // 2-3 flip: segment ab crosses triangle pqr
+        if (!replace([t, u], [[a, b, p, q], [a, b, q, r], [a, b, r, p]], c)) return fail('inconsistent periodic images', true);
+        counts.flips23++;
+        continue;
+      }
+      if (badCount === 1) {
+        // 3-2 flip around the reflex edge, if exactly three tets share it
+        const k = bad.indexOf(true);
+        const [e0, e1] = [[p, q], [q, r], [r, p]][k];
+        const other = [p, q, r].find((v) => v !== e0 && v !== e1);
+        const w = across(t, a, e0, e1, b);
+        if (w !== undefined) {
+          const at = (v) => c[[p, q, r].indexOf(v)];
+          const s0 = orient(A, B, at(other), at(e0)), s1 = orient(A, B, at(other), at(e1));
+          if (s0 !== 0 && s1 !== 0 && Math.sign(s0) !== Math.sign(s1)) {
+            if (!replace([t, u, w], [[a, b, other, e0], [a, b, other, e1]], c)) return fail('inconsistent periodic images', true);
+            counts.flips32++;
+            continue;
+          }
+        }
+      }
+      if (badCount === 2 && weights) {
+        // 4-1 flip: the vertex of both reflex edges is hidden, if exactly four tets share it
+        const v = [p, q, r][[2, 0, 1][bad.indexOf(false)]];
+        const [x, y] = [p, q, r].filter((z) => z !== v);
+        const w1 = degree[v] === 4 ? across(t, v, a, x, b) : undefined;
+        const w2 = w1 !== undefined ? across(t, v, a, y, b) : undefined;
+        if (w2 !== undefined) {
+          if (!replace([t, u, w1, w2], [[a, b, x, y]], c)) return fail('inconsistent periodic images', true);
+          counts.flips41++;
+          continue;
+        }
+      }
+      stuck.push(s);
+    }
+    return null;
+  };
+
+  // Tet around point h (minimum images about h): a visibility walk, then a scan
+  const outsideFace = (id, h) => {
+    const H = points[h];
+    const c = tets[id].map((v) => (periodic ? minImagePoint(H, points[v], box) : points[v]));
+    for (let i = 0; i < 4; i++) {
+      const d = c.slice();
+      d[i] = H;
+      if (orient(d[0], d[1], d[2], d[3]) < 0) return i;
+    }
+    return -1;
+  };
+  const locate = (h) => {
+    let id = alive.indexOf(true);
+    for (let step = 0; id >= 0 && step < 64 + Math.cbrt(tets.length) * 8; step++) {
+      const i = outsideFace(id, h);
+      if (i < 0) return id;
+      id = adj[4 * id + 3 - i];
+    }
+    for (let t = 0; t < tets.length; t++) if (alive[t] && outsideFace(t, h) < 0) return t;
+    return -1;
+  };
+  // 1-4 flips of the hidden seeds that conflict with the tet around them
+  const insertHidden = () => {
+    for (let h = 0; h < n; h++) {
+      if (degree[h] !== 0) continue;
+      const t = locate(h);
+      const s = t >= 0 ? sphereOf(t) : null;
+      if (!s) continue;
+      const [a, b, c, d] = tets[t];
+      const q = pos(a, h);
+      const dx = q[0] - s.center[0], dy = q[1] - s.center[1], dz = q[2] - s.center[2];
+      if (dx * dx + dy * dy + dz * dz - weights[h] - s.r2 >= -eps * (Math.abs(s.r2) || 1)) continue;
+      if (flips() >= limit) return fail('flip limit reached');
+      if (!replace([t], [[h, b, c, d], [a, h, c, d], [a, b, h, d], [a, b, c, h]], coords([a, b, c, d, h]))) return fail('inconsistent periodic images', true);
+      counts.flips14++;
+    }
+    return null;
+  };
+
+  for (;;) {
+    const inserted = counts.flips14;
+    const failure = flipQueued() || (weights ? insertHidden() : null);
+    if (failure) return failure;
+    if (counts.flips14 === inserted) break;
+  }
+
+  // Unflippable facets may have been resolved by later flips; anything left fails (a
+  // facet whose tet was replaced was queued again with the new tets)
+  for (const s of stuck) {
+    if (!alive[s >> 2] || adj[s] < 0) continue;
+    const [p, q, r] = faceOf(s);
+    if (violates(s >> 2, s & 3, apex(adj[s], p, q, r))) return fail(`unflippable facet ${[p, q, r].sort((x, y) => x - y).join('-')}`);
+  }
+
+  // Allowances of the final facets: tested ones from their margin, the others less the
+  // shift of their points (untested facets keep their tets and slots)
+  const allow = new Float64Array(adj.length);
+  for (let s = 0; s < adj.length; s++) {
+    if (!alive[s >> 2]) continue;
+    const u = adj[s];
+    if (u < 0) { allow[s] = Infinity; continue; }
+    const k = partner(s);
+    const m = Math.min(margin[s], k >= 0 ? margin[k] : Infinity);
+    allow[s] = m < Infinity ? m : allowed ? allowed[s] - Math.max(reach[s >> 2], reach[u]) : 0;
+  }
+  if (flips() === 0) return { tetrahedra, ok: true, changed: false, tested, ...counts, allow, adjacency: adj };
+
+  // Fill holes with the last live tets so untouched indices stay put
+  let end = tets.length;
+  free.sort((x, y) => x - y);
+  for (const hole of free) {
+    while (end > 0 && !alive[end - 1]) end--;
+    if (hole >= end) break;
+    tets[hole] = tets[end - 1];
+    allow.copyWithin(4 * hole, 4 * (end - 1), 4 * end);
+    for (let f = 0; f < 4; f++) {
+      const m = adj[4 * hole + f] = adj[4 * (end - 1) + f];
+      if (m >= 0) for (let k = 4 * m; k < 4 * m + 4; k++) if (adj[k] === end - 1) adj[k] = hole;
+    }
+    alive[hole] = true;
+    alive[end - 1] = false;
+    end--;
+  }
+  while (end > 0 && !alive[end - 1]) end--;
+  return { tetrahedra: tets.slice(0, end), ok: true, changed: true, tested, ...counts, allow: allow.slice(0, 4 * end), adjacency: adj.slice(0, 4 * end) };
+}
+
+// Vertices whose position differs between two configurations
+function movedVertices(from, to) {
+  const moved = new Uint8Array(to.length);
+  for (let i = 0; i < to.length; i++) {
+    const p = from[i], q = to[i];
+    if (p !== q && (p[0] !== q[0] || p[1] !== q[1] || p[2] !== q[2])) moved[i] = 1;
+  }
+  return moved;
+}
+
+// Positions halfway between two configurations (minimum image when periodic)
+function midpoints(from, to, periodic, box) {
+  return to.map((q, i) => {
+    const p = from[i];
+    const d = periodic ? minImageDelta(p, q, box) : [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+    const m = [p[0] + 0.5 * d[0], p[1] + 0.5 * d[1], p[2] + 0.5 * d[2]];
+    return periodic ? wrapPoint(m, box) : m;
+  });
+}
+
+/**
+ * Flip the triangulation back to Delaunay (regular with `weights`) after the points moved.
+ * Motion that inverts tets (slivers flatten quickly) cannot be flipped away directly;
+ * with `previousPoints` the motion is bisected and repaired in sub-steps instead,
+ * the way the triangulation would have changed along the straight-line path.
+ * @param {number[][]} points
+ * @param {number[][]} tetrahedra - Valid triangulation of `previousPoints` (not modified)
+ * @param {Object} [opts]
+ * @param {number[][]} [opts.previousPoints] - Positions `tetrahedra` was valid for; the
+ *   repair then starts from the tets around moved points only
+ * @param {boolean} [opts.localSeeds=true] - Pass false when `tetrahedra` was not the exact
+ *   triangulation of `previousPoints` (e.g. stale tets): every facet is tested first
+ * @param {Object[][]} [opts.facetPairs] - buildFacetPairs() of `tetrahedra`, saves matching
+ *   their faces
+ * @param {Object} [opts.certificate] - Kept by the caller across repairs (start with {}):
+ *   holds each point's reference position and how far it may move from it before its
+ *   facets need testing again, and narrows the seeds to points that moved that far. Used
+ *   while `tetrahedra` and `weights` are the ones the previous repair returned (and
+ *   `localSeeds` holds)
+ * @param {boolean} [opts.periodic=true]
+ * @param {number[]|Object} [opts.box]
+ * @param {ArrayLike<number>} [opts.weights] - Power weights (w = r^2)
+ * @param {number} [opts.maxDepth=6] - Bisection depth (up to 2^maxDepth sub-steps)
+ * @param {number} [opts.maxFlips] - Give up after this many flips per pass (default 4 × tets)
+ * @param {number} [opts.eps=1e-10] - Relative tolerance of the insphere test
+ * @returns {{ tetrahedra: number[][], ok: boolean, changed: boolean, flips23: number,
+ *   flips32: number, flips41: number, flips14: number, substeps: number, tested: number,
+ *   reason?: string }} tetrahedra is the input array when nothing changed (or on failure);
+ *   flips41 / flips14 hide and reinsert weighted seeds; tested counts insphere tests
+ */
+export function repairTriangulation(points, tetrahedra, { previousPoints = null, localSeeds = true, facetPairs = null, certificate = null, periodic = true, box = UNIT_BOX, weights = null, maxDepth = 6, maxFlips, eps = 1e-10 } = {}) {
+  const opts = { periodic, box, weights, maxFlips, eps };
+  // A certificate stands for the tets at its reference positions, where the path starts
+  const certified = localSeeds && certificate && certificate.tetrahedra === tetrahedra && certificate.weights === weights && certificate.ref.length === points.length;
+  const start = certified ? certificate.ref : previousPoints;
+  const shifts = (from, to) => Float64Array.from(to, (q, i) => {
+    const p = from[i];
+    const d = periodic ? minImageDelta(p, q, box) : [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+    return Math.hypot(d[0], d[1], d[2]);
+  });
+  let substeps = 0;
+  // `allow` belongs to `tets` at `from`; each pass returns it (and the adjacency) for its
+  // tets at `to`
+  const run = (tets, adjacency, from, to, allow, depth, local = true) => {
+    substeps++;
+    const shift = allow && shifts(from, to);
+    const res = flipToDelaunay(to, tets, from && local ? movedVertices(from, to) : null, { ...opts, adjacency, allow, shift });
+    if (res.ok || !res.inverted || !from || depth <= 0) return res;
+    const mid = midpoints(from, to, periodic, box);
+    const first = run(tets, adjacency, from, mid, allow, depth - 1, local);
+    if (!first.ok) return first;
+    const second = run(first.tetrahedra, first.adjacency, mid, to, first.allow, depth - 1);
+    return {
+      ...second,
+      changed: first.changed || second.changed,
+      flips23: first.flips23 + second.flips23,
+      flips32: first.flips32 + second.flips32,
+      flips41: first.flips41 + second.flips41,
+      flips14: first.flips14 + second.flips14,
+      tested: first.tested + second.tested,
+    };
+  };
+  const adjacency = facetPairs && facetPairs.flatMap((pairs) => pairs.map((m) => (m ? m.tet : -1)));
+  const { inverted, allow, ...res } = run(tetrahedra, adjacency, start, points, certified ? certificate.allow : null, maxDepth, localSeeds);
+  delete res.adjacency;
+  if (!res.ok) {
+    if (certificate) certificate.tetrahedra = null;
+    return { ...res, tetrahedra, changed: false, substeps };
+  }
+  if (certificate) {
+    certificate.ref = points.map((p) => p.slice());
+    certificate.allow = allow;
+    certificate.tetrahedra = res.tetrahedra;
+    certificate.weights = weights;
+  }
+  return { ...res, substeps };
+}
+
+/**
+ * Global check of the (power) empty-sphere property: every point's nearest image lies on
+ * or outside the circumsphere (power sphere with weights) of every tet. Brute force,
+ * O(tets × points); meant for tests and diagnostics.
+ * @param {number[][]} points
+ * @param {number[][]} tetrahedra
+ * @param {Object} [opts] - { periodic=true, box, weights, eps=1e-9 (relative to r²) }
+ * @returns {Array<{ tet: number, point: number, excess: number }>} Violations; excess is
+ *   how far the point's power distance falls below the squared radius
+ */
+export function emptySphereViolations(points, tetrahedra, { periodic = true, box = UNIT_BOX, weights = null, eps = 1e-9 } = {}) {
+  const out = [];
+  for (let t = 0; t < tetrahedra.length; t++) {
+    const vs = tetrahedra[t];
+    const c = vs.map((v) => (periodic ? minImagePoint(points[vs[0]], points[v], box) : points[v]));
+    const s = powerSphere(c, weights ? vs.map((v) => weights[v]) : null);
+    if (!s) continue;
+    for (let i = 0; i < points.length; i++) {
+      const q = points[i];
+      const d = periodic ? minImageDelta(s.center, q, box) : [q[0] - s.center[0], q[1] - s.center[1], q[2] - s.center[2]];
+      const excess = s.r2 - (d[0] * d[0] + d[1] * d[1] + d[2] * d[2] - (weights ? weights[i] : 0));
+      if (excess > eps * (Math.abs(s.r2) || 1)) out.push({ tet: t, point: i, excess });
+    }
+  }
+  return out;
+}
@@ -1,17 +1,17 @@
-import { computeCenters, buildFacetPairs, minImagePoint } from './core.js';
+import { computeCenters, buildFacetPairs, minImagePoint, normalizeBox, boxExtent, UNIT_BOX } from './core.js';
 
-function getVoronoiEdgeDir(centers, from_tet_idx, to_tet_idx, isPeriodic) {
+function getVoronoiEdgeDir(centers, from_tet_idx, to_tet_idx, isPeriodic, box) {
   const c1 = centers[from_tet_idx];
   const c2_raw = centers[to_tet_idx];
   if (!c1 || !c2_raw) return null;
-  const c2 = isPeriodic ? minImagePoint(c1, c2_raw) : c2_raw;
+  const c2 = isPeriodic ? minImagePoint(c1, c2_raw, box) : c2_raw;
   const d = [c2[0]-c1[0], c2[1]-c1[1], c2[2]-c1[2]];
   const n = Math.hypot(d[0], d[1], d[2]);
   if (n < 1e-9) return null;
   return [d[0]/n, d[1]/n, d[2]/n];
 }
 
-export function buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic) {
+export function buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic, box = UNIT_BOX) {
   const numTets = tetrahedra.length;
   const graph = Array.from({ length: numTets }, () => ({ in: [], out: [] }));
 
@@ -21,7 +21,7 @@ export function buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic) {
       if (!mirror1) continue;
       const t2_idx = mirror1.tet;
       
-      const incoming_dir = getVoronoiEdgeDir(centers, t1_idx, t2_idx, isPeriodic);
+      const incoming_dir = getVoronoiEdgeDir(centers, t1_idx, t2_idx, isPeriodic, box);
       if (!incoming_dir) continue;
       
       for (let f2_idx = 0; f2_idx < 4; f2_idx++) {
@@ -31,7 +31,7 @@ export function buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic) {
         if (!mirror2) continue;
         const t3_idx = mirror2.tet;
 
-        const outgoing_dir = getVoronoiEdgeDir(centers, t2_idx, t3_idx, isPeriodic);
+        const outgoing_dir = getVoronoiEdgeDir(centers, t2_idx, t3_idx, isPeriodic, box);
         if (!outgoing_dir) continue;
 
         const dot = incoming_dir[0]*outgoing_dir[0] + incoming_dir[1]*outgoing_dir[1] + incoming_dir[2]*outgoing_dir[2];
@@ -56,10 +56,10 @@ export function buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic) {
   return simpleGraph;
 }
 
-export function buildFoam({ pointsArray, tetrahedra, isPeriodic, centering='centroid' }) {
-  const centers = computeCenters(pointsArray, tetrahedra, isPeriodic, centering);
-  const facetPairs = buildFacetPairs(tetrahedra);
-  
+/**
+ * Voronoi edges (tet pairs, t1 < t2) and the maps between them and their dual Delaunay faces.
+ */
+export function buildDualMaps(tetrahedra, facetPairs) {
   const voronoiEdgeToDelaunayFace = new Map();
   const delaunayFaceToVoronoiEdge = new Map();
   const voronoiEdges = [];
@@ -72,7 +72,8 @@ export function buildFoam({ pointsArray, tetrahedra, isPeriodic, centering='cent
           const t2_idx = mirror.tet;
           
           if (t1_idx < t2_idx) {
-              const faceVertices = tet1.filter((_, i) => i !== f1_idx);
+              // Facet f omits vertex 3 - f (buildFacetPairs order)
+              const faceVertices = tet1.filter((_, i) => i !== 3 - f1_idx);
               const edgeKey = `${t1_idx}-${t2_idx}`;
               voronoiEdgeToDelaunayFace.set(edgeKey, faceVertices);
               
@@ -83,8 +84,107 @@ export function buildFoam({ pointsArray, tetrahedra, isPeriodic, centering='cent
           }
       }
   }
+  return { voronoiEdges, voronoiEdgeToDelaunayFace, delaunayFaceToVoronoiEdge };
+}
+
+// Dual map builder of each updateFoam() result, shared by later updates on the same tets
+const lazyDualMaps = new WeakMap();
 
-  const linkGraph = buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic);
+// Facet pairs of `tetrahedra` from those of `oldTets`, rebuilt only for the changed slots
+// and their old neighbours (any new neighbour of a changed tet is one of those)
+function patchFacetPairs(oldTets, oldPairs, tetrahedra, changed, numPoints) {
+  const pairs = oldPairs.slice(0, tetrahedra.length);
+  const redo = new Set();
+  for (let t = 0; t < changed.length; t++) {
+    if (!changed[t]) continue;
+    if (t < tetrahedra.length) redo.add(t);
+    if (t < oldTets.length) {
+      for (const m of oldPairs[t]) if (m && m.tet < tetrahedra.length) redo.add(m.tet);
+    }
+  }
+  const faceMap = new Map();
+  for (const t of redo) {
+    const tet = tetrahedra[t];
+    pairs[t] = changed[t] ? Array(4).fill(null) : oldPairs[t].map((m) => (m && !changed[m.tet] ? m : null));
+    for (let f = 0; f < 4; f++) {
+      const s = tet.filter((_, i) => i !== 3 - f).sort((x, y) => x - y);
+      const key = (s[0] * numPoints + s[1]) * numPoints + s[2];
+      const other = faceMap.get(key);
+      if (other === undefined) { faceMap.set(key, [f, t]); continue; }
+      pairs[t][f] = { face: other[0], tet: other[1] };
+      pairs[other[1]][other[0]] = { face: f, tet: t };
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Foam of `tetrahedra` at `pointsArray`, reusing what `foam` (built on other points or
+ * tets) shares with it: facet pairs are kept for the tet slots whose vertices did not
+ * change and patched around the others (a local repair changes few); centers are
+ * recomputed, and the dual maps and link graph are built on first use. `foam` itself is
+ * not modified.
+ */
+export function updateFoam(foam, { pointsArray, tetrahedra, centering = 'centroid', weights = null }) {
+  const { isPeriodic, box } = foam;
+  const oldTets = foam.simplices;
+  const changed = new Uint8Array(Math.max(oldTets.length, tetrahedra.length));
+  let count = 0;
+  for (let t = 0; t < changed.length; t++) {
+    const a = oldTets[t], b = tetrahedra[t];
+    if (!a || !b || a[0] !== b[0] || a[1] !== b[1] || a[2] !== b[2] || a[3] !== b[3]) { changed[t] = 1; count++; }
+  }
+  if (2 * count > tetrahedra.length) return buildFoam({ pointsArray, tetrahedra, isPeriodic, centering, box, weights });
+
+  const centers = computeCenters(pointsArray, tetrahedra, isPeriodic, centering, box, weights);
+  let facetPairs = foam.facetPairs;
+  let voronoiEdges = foam.voronoiEdges;
+  let dual = lazyDualMaps.get(foam);
+  if (!count && !dual) {
+    const maps = { voronoiEdgeToDelaunayFace: foam.voronoiEdgeToDelaunayFace, delaunayFaceToVoronoiEdge: foam.delaunayFaceToVoronoiEdge };
+    dual = () => maps;
+  }
+  if (count) {
+    facetPairs = patchFacetPairs(oldTets, foam.facetPairs, tetrahedra, changed, pointsArray.length);
+    voronoiEdges = [];
+    for (let t1 = 0; t1 < tetrahedra.length; t1++) {
+      for (let f1 = 0; f1 < 4; f1++) {
+        const mirror = facetPairs[t1][f1];
+        if (mirror && t1 < mirror.tet) voronoiEdges.push([t1, mirror.tet]);
+      }
+    }
+    let maps = null;
+    dual = () => maps || (maps = buildDualMaps(tetrahedra, facetPairs));
+  }
+  let linkGraph = null;
+  const updated = {
+    points: pointsArray,
+    simplices: tetrahedra,
+    centers,
+    facetPairs,
+    voronoiEdges,
+    get voronoiEdgeToDelaunayFace() { return dual().voronoiEdgeToDelaunayFace; },
+    get delaunayFaceToVoronoiEdge() { return dual().delaunayFaceToVoronoiEdge; },
+    get linkGraph() { return linkGraph || (linkGraph = buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic, box)); },
+    isPeriodic,
+    box,
+    weights
+  };
+  lazyDualMaps.set(updated, dual);
+  return updated;
+}
+
+/**
+ * Foam (Voronoi dual) of a triangulation. With `weights` (w = r^2) and centering
+ * 'power', the Voronoi vertices are power centers: the foam is a power diagram.
+ */
+export function buildFoam({ pointsArray, tetrahedra, isPeriodic, centering='centroid', box, weights=null }) {
+  box = normalizeBox(box);
+  const centers = computeCenters(pointsArray, tetrahedra, isPeriodic, centering, box, weights);
+  const facetPairs = buildFacetPairs(tetrahedra);
+  const { voronoiEdges, voronoiEdgeToDelaunayFace, delaunayFaceToVoronoiEdge } = buildDualMaps(tetrahedra, facetPairs);
+
+  const linkGraph = buildLinkGraph(tetrahedra, centers, facetPairs, isPeriodic, box);
   
   return { 
     points: pointsArray, 
@@ -95,10 +195,49 @@ export function buildFoam({ pointsArray, tetrahedra, isPeriodic, centering='cent
     voronoiEdgeToDelaunayFace,
     delaunayFaceToVoronoiEdge,
     linkGraph,
-    isPeriodic 
+    isPeriodic,
+    box,
+    weights
   };
 }
 
+/**
+ * Flat segment list for rendering Voronoi ('voronoi') or Delaunay ('delaunay') edges.
+ * Each segment runs from its first endpoint to the minimum image of the second, so
+ * periodic edges follow the (possibly sheared) images of the foam's box or lattice.
+ * @returns {Float32Array} [x0,y0,z0,x1,y1,z1, ...]
+ */
+export function buildEdgeSegments(foam, which = 'voronoi') {
+  const box = foam.box || UNIT_BOX;
+  const pairs = [];
+  let coords;
+  if (which === 'delaunay') {
+    coords = foam.points;
+    const seen = new Set();
+    for (const tet of foam.simplices) {
+      for (let i = 0; i < 4; i++) for (let j = i + 1; j < 4; j++) {
+        const a = Math.min(tet[i], tet[j]), b = Math.max(tet[i], tet[j]);
+        const key = `${a}-${b}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        pairs.push([a, b]);
+      }
+    }
+  } else {
+    coords = foam.centers;
+    for (const e of foam.voronoiEdges) pairs.push(e);
+  }
+  const out = new Float32Array(pairs.length * 6);
+  let k = 0;
+  for (const [i, j] of pairs) {
+    const a = coords[i];
+    const b = foam.isPeriodic ? minImagePoint(a, coords[j], box) : coords[j];
+    out[k++] = a[0]; out[k++] = a[1]; out[k++] = a[2];
+    out[k++] = b[0]; out[k++] = b[1]; out[k++] = b[2];
+  }
+  return out;
+}
+
 // Lightweight topology/content signature; avoids full recompute when unchanged
 export function buildFoamHash(foam) {
   if (!foam) return 0;
@@ -118,7 +257,9 @@ export function buildFoamHash(foam) {
   // simple mix
   let h = 2166136261 >>> 0;
   function mix(x){ h ^= x>>>0; h = (h * 16777619) >>> 0; }
+  const extent = boxExtent(foam.box || UNIT_BOX);
   mix(periodic); mix(np); mix(nt); mix(ve); mix(keyAcc);
+  for (let k=0;k<3;k++) mix(Math.round(extent[k] * 1e6));
   return h >>> 0;
 }
 
@@ -0,0 +1,182 @@
+/**
+ * Time-series statistics for foam dynamics.
+ * - Per recorded step: cell volume mean/variance, faces-per-cell distribution with
+ *   Lewis law and Aboav–Weaire fits, edge score mean/variance (Brain worker `stats`
+ *   or a score map), the XPBD lastStats meanDelta/maxDelta, the cell-volume error of
+ *   step({ preserveVolume }) and the step energy, gradient norm and kinetic energy
+ * - A recorder keeps a rolling window of flat rows for charts and CSV export
+ *
+ * Laws checked (F = faces of a cell, V̄(F) = mean volume of F-faced cells):
+ * - Lewis:        V̄(F) / ⟨V⟩ = (F − F0) / (⟨F⟩ − F0), fitted as a line in F
+ * - Aboav–Weaire: F·m(F) = (⟨F⟩ − a)·F + ⟨F⟩·a + μ2, m(F) = mean faces of the neighbours
+ */
+
+import { analyzeCells } from './cellMeasures.js';
+
+// Least-squares line y = slope*x + intercept, weighted by w
+function fitLine(xs, ys, ws) {
+  let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const w = ws ? ws[i] : 1;
+    sw += w; sx += w * xs[i]; sy += w * ys[i]; sxx += w * xs[i] * xs[i]; sxy += w * xs[i] * ys[i];
+  }
+  const den = sw * sxx - sx * sx;
+  if (sw === 0 || Math.abs(den) < 1e-12) return { slope: NaN, intercept: NaN };
+  const slope = (sw * sxy - sx * sy) / den;
+  return { slope, intercept: (sy - slope * sx) / sw };
+}
+
+/**
+ * Faces-per-cell distribution and the Lewis / Aboav–Weaire fits.
+ * @param {Object} measures - From analyzeCells()
+ * @returns {{ distribution: number[], meanFaces: number, mu2: number,
+ *   lewis: { slope, intercept, F0 }, aboav: { a, mu2, slope, intercept } }}
+ */
+export function faceStatistics(measures) {
+  const { cells, faceCount, volume, summary } = measures;
+  const distribution = [];
+  const volSum = [];
+  const neighbourSum = [];
+  cells.forEach((cell, i) => {
+    if (!cell) return;
+    const F = faceCount[i];
+    distribution[F] = (distribution[F] || 0) + 1;
+    volSum[F] = (volSum[F] || 0) + volume[i];
+    let m = 0, k = 0;
+    for (const j of cell.neighbors) {
+      if (cells[j]) { m += faceCount[j]; k++; }
+    }
+    neighbourSum[F] = (neighbourSum[F] || 0) + (k ? m / k : 0);
+  });
+
+  const Fs = [], lewisY = [], aboavY = [], weights = [];
+  for (let F = 0; F < distribution.length; F++) {
+    distribution[F] = distribution[F] || 0;
+    if (!distribution[F]) continue;
+    Fs.push(F);
+    weights.push(distribution[F]);
+    lewisY.push(volSum[F] / distribution[F] / summary.meanVolume);
+    aboavY.push(F * neighbourSum[F] / distribution[F]);
+  }
+
+  const meanFaces = summary.meanFaces;
+  const lewisFit = fitLine(Fs, lewisY, weights);
+  const aboavFit = fitLine(Fs, aboavY, weights);
+  const a = meanFaces - aboavFit.slope;
+  return {
+    distribution,
+    meanFaces,
+    mu2: summary.faceVariance,
+    lewis: { ...lewisFit, F0: -lewisFit.intercept / lewisFit.slope },
+    aboav: { ...aboavFit, a, mu2: aboavFit.intercept - meanFaces * a },
+  };
+}
+
+/** Mean/variance of an edge score map (same fields as the Brain worker's `stats`). */
+export function scoreStatistics(scores) {
+  let n = 0, mean = 0, m2 = 0;
+  if (scores) {
+    for (const x of scores.values()) {
+      n++;
+      const d = x - mean;
+      mean += d / n;
+      m2 += d * (x - mean);
+    }
+  }
+  return { count: n, mean: n ? mean : NaN, variance: n ? m2 / n : NaN };
+}
+
+export const STATS_COLUMNS = Object.freeze([
+  'step', 'time', 'cells', 'meanVolume', 'volumeVariance', 'meanFaces', 'faceVariance', 'meanIQ',
+  'lewisSlope', 'lewisF0', 'aboavA', 'aboavMu2', 'scoreMean', 'scoreVariance', 'meanDelta', 'maxDelta',
+  'cellVolumeError', 'energy', 'gradientNorm', 'kineticEnergy',
+]);
+
+/**
+ * One flat stats row.
+ * @param {Object} input
+ * @param {number} input.step
+ * @param {number} [input.time]
+ * @param {Object} [input.foam] - Cell measures are computed from it (skipped when absent)
+ * @param {Object} [input.measures] - Precomputed analyzeCells() result (instead of foam)
+ * @param {Object} [input.scoreStats] - { mean, variance } (Brain worker stats)
+ * @param {Map} [input.scores] - Edge score map, used when scoreStats is absent
+ * @param {Object} [input.lastStats] - createVoroX().getLastStats()
+ * @returns {{ row: Object, distribution: number[] }}
+ */
+export function computeStatsRow({ step, time = NaN, foam, measures, scoreStats, scores, lastStats }) {
+  const row = Object.fromEntries(STATS_COLUMNS.map((c) => [c, NaN]));
+  row.step = step;
+  row.time = time;
+  let distribution = [];
+  const m = measures || (foam ? analyzeCells(foam) : null);
+  if (m && m.summary.count > 0) {
+    const f = faceStatistics(m);
+    distribution = f.distribution;
+    Object.assign(row, {
+      cells: m.summary.count,
+      meanVolume: m.summary.meanVolume,
+      volumeVariance: m.summary.volumeVariance,
+      meanFaces: m.summary.meanFaces,
+      faceVariance: m.summary.faceVariance,
+      meanIQ: m.summary.meanIQ,
+      lewisSlope: f.lewis.slope,
+      lewisF0: f.lewis.F0,
+      aboavA: f.aboav.a,
+      aboavMu2: f.aboav.mu2,
+    });
+  }
+  const s = scoreStats || (scores ? scoreStatistics(scores) : null);
+  if (s) {
+    row.scoreMean = Number(s.mean);
+    row.scoreVariance = Number(s.variance);
+  }
+  if (lastStats) {
+    row.meanDelta = lastStats.meanDelta;
+    row.maxDelta = lastStats.maxDelta;
+    for (const key of ['cellVolumeError', 'energy', 'gradientNorm', 'kineticEnergy']) {
+      if (lastStats[key] !== undefined) row[key] = lastStats[key];
+    }
+  }
+  return { row, distribution };
+}
+
+/**
+ * CSV text for stats rows (NaN becomes an empty field).
+ * @param {Object[]} rows
+ * @param {string[]} [columns=STATS_COLUMNS]
+ */
+export function statsToCSV(rows, columns = STATS_COLUMNS) {
+  const cell = (v) => (typeof v === 'number' ? (Number.isFinite(v) ? String(v) : '') : v == null ? '' : String(v));
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => cell(r[c])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Rolling stats recorder.
+ * @param {Object} [opts]
+ * @param {number} [opts.capacity=2000] - Rows kept (oldest dropped first); Infinity keeps all
+ * @returns {{ record: Function, rows: Function, latest: Function, series: Function,
+ *   distribution: Function, toCSV: Function, clear: Function }}
+ */
+export function createStatsRecorder({ capacity = 2000 } = {}) {
+  let rows = [];
+  let lastDistribution = [];
+  return {
+    /** Compute and append a row (see computeStatsRow); returns the row. */
+    record(input) {
+      const { row, distribution } = computeStatsRow(input);
+      rows.push(row);
+      if (rows.length > capacity) rows = rows.slice(rows.length - capacity);
+      if (distribution.length) lastDistribution = distribution;
+      return row;
+    },
+    rows: () => rows,
+    latest: () => rows[rows.length - 1] || null,
+    /** Column values over the window, for charts. */
+    series: (column) => rows.map((r) => r[column]),
+    /** Faces-per-cell histogram of the most recent row with cell measures. */
+    distribution: () => lastDistribution,
+    toCSV: (columns) => statsToCSV(rows, columns),
+    clear() { rows = []; lastDistribution = []; },
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Topology-independent identities for foam elements.
+ * - A cell is its seed index (already stable)
+ * - A Voronoi vertex is its tetrahedron's seed set: vertexId(tet) = "a-b-c-d" (sorted)
+ * - A Voronoi edge is its dual Delaunay face's seed triple: "a-b-c" (sorted)
+ * - A directed facet (flow[t][f]) is its tet's seed set plus the seed it points away
+ *   from: "a-b-c-d>e"
+ * Foam edge keys ("t1-t2") and flow slots are tet indices and change whenever the tets
+ * are replaced; the helpers here translate per-edge scores and flows through those ids,
+ * and createEdgeHistory() smooths and tracks scores per face over time.
+ * Seed sets ignore periodic images: in a box only a few seeds wide, one seed triple can
+ * bound two different faces (the same seeds at another image). stableEdgeIds() lists
+ * such face ids in `duplicates`; their edges share one score when carried over, and a
+ * face id maps back to its first edge only.
+ */
+
+const byNumber = (x, y) => x - y;
+
+/** Stable id of a Voronoi edge from its dual face's seeds. */
+export function faceId(vertices) {
+  return vertices.slice().sort(byNumber).join('-');
+}
+
+/** Stable id of a Voronoi vertex from its tetrahedron's seeds. */
+export function vertexId(tet) {
+  return tet.slice().sort(byNumber).join('-');
+}
+
+const edgeIdCache = new WeakMap();
+
+/**
+ * Edge key <-> face id maps of a foam (cached per foam object).
+ * @param {Object} foam - From buildFoam()
+ * @returns {{ toStable: Map<string, string>, fromStable: Map<string, string>,
+ *   duplicates: Set<string> }} duplicates holds face ids of more than one edge
+ *   (periodic images of the same seeds); fromStable keeps the first of them
+ */
+export function stableEdgeIds(foam) {
+  let ids = edgeIdCache.get(foam);
+  if (ids) return ids;
+  const toStable = new Map();
+  const fromStable = new Map();
+  const duplicates = new Set();
+  for (const [key, face] of foam.voronoiEdgeToDelaunayFace) {
+    const id = faceId(face);
+    toStable.set(key, id);
+    if (fromStable.has(id)) duplicates.add(id);
+    else fromStable.set(id, key);
+  }
+  ids = { toStable, fromStable, duplicates };
+  edgeIdCache.set(foam, ids);
+  return ids;
+}
+
+/** Scores keyed "t1-t2" on `foam` -> scores keyed by face id. */
+export function toStableScores(scores, foam) {
+  const { toStable } = stableEdgeIds(foam);
+  const out = new Map();
+  if (!scores) return out;
+  scores.forEach((v, key) => {
+    const id = toStable.get(key);
+    if (id !== undefined) out.set(id, v);
+  });
+  return out;
+}
+
+/** Scores keyed by face id -> scores keyed "t1-t2" on `foam` (faces it lacks are dropped). */
+export function fromStableScores(stable, foam) {
+  const { fromStable } = stableEdgeIds(foam);
+  const out = new Map();
+  if (!stable) return out;
+  stable.forEach((v, id) => {
+    const key = fromStable.get(id);
+    if (key !== undefined) out.set(key, v);
+  });
+  return out;
+}
+
+/**
+ * Carry per-edge scores from one foam to another through face ids.
+ * @param {Map<string, number>} scores - Keyed "t1-t2" on `fromFoam`
+ * @param {Object} fromFoam
+ * @param {Object} toFoam
+ * @param {Object} [opts]
+ * @param {'skip'|'neighbors'} [opts.fill='skip'] - Edges new to `toFoam` stay unscored, or
+ *   take the mean carried score of the edges sharing a Voronoi vertex with them
+ * @returns {Map<string, number>} keyed "t1-t2" on `toFoam`
+ */
+export function remapEdgeScores(scores, fromFoam, toFoam, { fill = 'skip' } = {}) {
+  if (!scores) return scores;
+  if (fromFoam === toFoam) return new Map(scores);
+  const out = fromStableScores(toStableScores(scores, fromFoam), toFoam);
+  if (fill !== 'neighbors' || out.size === 0) return out;
+  // Mean carried score at each Voronoi vertex, then per new edge over its two ends
+  const sum = new Float64Array(toFoam.simplices.length);
+  const count = new Uint32Array(toFoam.simplices.length);
+  const missing = [];
+  for (const [t1, t2] of toFoam.voronoiEdges) {
+    const v = out.get(`${t1}-${t2}`);
+    if (v === undefined) { missing.push([t1, t2]); continue; }
+    sum[t1] += v; count[t1]++;
+    sum[t2] += v; count[t2]++;
+  }
+  for (const [t1, t2] of missing) {
+    const n = count[t1] + count[t2];
+    if (n > 0) out.set(`${t1}-${t2}`, (sum[t1] + sum[t2]) / n);
+  }
+  return out;
+}
+
+// Directed facet id: tet seeds plus the seed opposite facet f (facet f omits vertex 3 - f)
+function facetId(tet, f) {
+  return `${vertexId(tet)}>${tet[3 - f]}`;
+}
+
+/**
+ * Carry a per-facet accumulator (flow[t][f]) to a new triangulation. Facets that survive
+ * (same tet seeds, same outward direction) keep their value; new ones start at `fill`.
+ * @param {number[][]} flow - Indexed like `fromTets`
+ * @param {number[][]} fromTets
+ * @param {number[][]} toTets
+ * @param {number} [fill=0]
+ * @returns {number[][]} indexed like `toTets`
+ */
+export function remapFlow(flow, fromTets, toTets, fill = 0) {
+  const values = new Map();
+  for (let t = 0; t < fromTets.length; t++) {
+    const row = flow[t];
+    if (!row) continue;
+    for (let f = 0; f < 4; f++) if (row[f] !== fill) values.set(facetId(fromTets[t], f), row[f]);
+  }
+  return toTets.map((tet) => {
+    const row = Array(4).fill(fill);
+    if (values.size === 0) return row;
+    for (let f = 0; f < 4; f++) {
+      const v = values.get(facetId(tet, f));
+      if (v !== undefined) row[f] = v;
+    }
+    return row;
+  });
+}
+
+/**
+ * Per-face score history across topology changes.
+ * update() blends new scores into an exponential moving average per face id
+ * (s ← (1 − alpha)·s + alpha·score; a face seen for the first time starts at its score)
+ * and returns the smoothed scores keyed for the given foam. Faces absent from that foam
+ * are forgotten, so a face that reappears after a flip starts over.
+ * @param {Object} [opts]
+ * @param {number} [opts.alpha=0.5] - Weight of the newest scores (1 = no smoothing)
+ * @param {number} [opts.length=0] - Samples of raw history kept per face (0 = none)
+ */
+export function createEdgeHistory({ alpha = 0.5, length = 0 } = {}) {
+  let smoothed = new Map(); // face id -> EMA
+  let series = new Map();   // face id -> [[step, score], ...]
+  return {
+    /**
+     * @param {Map<string, number>} scores - Keyed "t1-t2" on `foam`
+     * @param {Object} foam
+     * @param {number} [step]
+     * @returns {Map<string, number>} smoothed scores keyed "t1-t2" on `foam`
+     */
+    update(scores, foam, step = 0) {
+      const { toStable, fromStable } = stableEdgeIds(foam);
+      const nextSmoothed = new Map();
+      const nextSeries = new Map();
+      const out = new Map();
+      for (const [key, id] of toStable) {
+        const prev = smoothed.get(id);
+        const score = scores ? scores.get(key) : undefined;
+        let s = prev;
+        if (score !== undefined) s = prev === undefined ? score : (1 - alpha) * prev + alpha * score;
+        if (s === undefined) continue;
+        nextSmoothed.set(id, s);
+        out.set(fromStable.get(id), s);
+        if (length > 0) {
+          const hist = series.get(id) || [];
+          if (score !== undefined) {
+            hist.push([step, score]);
+            if (hist.length > length) hist.shift();
+          }
+          nextSeries.set(id, hist);
+        }
+      }
+      smoothed = nextSmoothed;
+      series = nextSeries;
+      return out;
+    },
+    /** Smoothed score of a face id (undefined if untracked). */
+    get: (id) => smoothed.get(id),
+    /** Raw [step, score] samples of a face id. */
+    series: (id) => (series.get(id) || []).slice(),
+    /** Number of tracked faces. */
+    size: () => smoothed.size,
+    clear() {
+      smoothed = new Map();
+      series = new Map();
+    },
+  };
+}
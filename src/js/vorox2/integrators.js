@@ -0,0 +1,339 @@
+/**
+ * Point integrators behind one interface:
+ *   initialize(positions, velocities?) / setPositions(positions) / setForces(forces) /
+ *   integrate(dt, maxDelta) -> new positions / getVelocities() / reset()
+ * - Positions, forces and velocities are [x, y, z] arrays per point; forces are the
+ *   step() gradient, accelerations are F / m with a per-point mass
+ * - 'velocity-verlet': kick-drift-kick with explicit velocities; setForces() finishes the
+ *   previous step's second half-kick, so getVelocities() is synchronized with the positions
+ *   once the new forces are in
+ * - 'semi-implicit-euler': v += dt·a, then x += dt·v (symplectic Euler)
+ * - 'rk4': classical Runge–Kutta on x' = v, v' = a(x); the inner stages call the force
+ *   function given to setForceFunction() (without one the forces stay frozen over the step)
+ * - 'fire': FIRE minimizer (Bitzek et al. 2006) with its own adaptive time step
+ * - 'verlet': the position-Verlet VerletIntegrator of verlet.js (same interface)
+ * Velocity integrators scale v by `damping` each step (1 = none) and clamp every point's
+ * displacement to maxDelta; periodic positions are wrapped into the box.
+ */
+
+import { wrapPoint, normalizeBox, UNIT_BOX } from './core.js';
+import { VerletIntegrator } from './verlet.js';
+import { unflatten } from './state.js';
+
+const zeros = (n) => Array.from({ length: n }, () => [0, 0, 0]);
+
+/** Shared state of the velocity integrators: positions, velocities, accelerations, masses. */
+export class PointIntegrator {
+  constructor(numPoints, { isPeriodic = false, box = UNIT_BOX, mass = 1, damping = 1 } = {}) {
+    this.numPoints = numPoints;
+    this.isPeriodic = isPeriodic;
+    this.box = normalizeBox(box);
+    this.damping = damping;
+    this.positions = null;
+    this.velocities = null;
+    this.forces = zeros(numPoints);
+    this.initialized = false;
+    this.setMass(mass);
+  }
+
+  /** Start from positions (copied) and optional velocities (default at rest). */
+  initialize(positions, velocities = null) {
+    this.positions = positions.map((p) => [p[0], p[1], p[2]]);
+    this.velocities = velocities ? velocities.map((v) => [v[0], v[1], v[2]]) : zeros(this.numPoints);
+    this.initialized = true;
+  }
+
+  /** Replace the positions after an outside change (constraints, shear); velocities are kept. */
+  setPositions(positions) {
+    if (!this.initialized) return this.initialize(positions);
+    this.positions = positions.map((p) => [p[0], p[1], p[2]]);
+  }
+
+  /** Forces at the current positions. */
+  setForces(forces) {
+    this.forces = forces.map((f) => [f[0], f[1], f[2]]);
+  }
+
+  /** Mass per point (array) or one mass for all; 0 or Infinity pins a point. */
+  setMass(mass) {
+    const inv = (m) => (m > 0 && Number.isFinite(m) ? 1 / m : 0);
+    this.mass = mass;
+    this.invMass = typeof mass === 'number' ? new Float64Array(this.numPoints).fill(inv(mass)) : Float64Array.from(mass, inv);
+  }
+
+  setDamping(damping) {
+    this.damping = Math.max(0, Math.min(1, damping));
+  }
+
+  getVelocities() {
+    return this.initialized ? this.velocities.map((v) => v.slice()) : null;
+  }
+
+  /** Σ ½ m |v|² over the free points. */
+  kineticEnergy() {
+    if (!this.initialized) return 0;
+    let k = 0;
+    for (let i = 0; i < this.numPoints; i++) {
+      const w = this.invMass[i];
+      if (w === 0) continue;
+      const v = this.velocities[i];
+      k += 0.5 * (v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) / w;
+    }
+    return k;
+  }
+
+  _acc(i, f = this.forces[i]) {
+    const w = this.invMass[i];
+    return [w * f[0], w * f[1], w * f[2]];
+  }
+
+  // Move point i by d (clamped to maxDelta) and wrap; a clamped step also caps the velocity
+  _move(i, d, dt, maxDelta) {
+    const n = Math.hypot(d[0], d[1], d[2]);
+    let k = 1;
+    if (n > maxDelta) {
+      k = maxDelta / n;
+      if (dt > 0) this.velocities[i] = [k * d[0] / dt, k * d[1] / dt, k * d[2] / dt];
+    }
+    const p = this.positions[i];
+    const q = [p[0] + k * d[0], p[1] + k * d[1], p[2] + k * d[2]];
+    this.positions[i] = this.isPeriodic ? wrapPoint(q, this.box) : q;
+  }
+
+  _positionsOut() {
+    return this.positions.map((p) => p.slice());
+  }
+
+  /** Plain-data state for serialize(); restore with importState(). */
+  exportState() {
+    return {
+      numPoints: this.numPoints,
+      damping: this.damping,
+      mass: typeof this.mass === 'number' ? this.mass : Array.from(this.mass),
+      initialized: this.initialized,
+      positions: this.positions ? this.positions.flat() : null,
+      velocities: this.velocities ? this.velocities.flat() : null,
+      forces: this.forces.flat(),
+    };
+  }
+
+  importState(state) {
+    this.numPoints = state.numPoints;
+    this.damping = state.damping;
+    this.setMass(state.mass);
+    this.initialized = !!state.initialized;
+    this.positions = unflatten(state.positions);
+    this.velocities = unflatten(state.velocities);
+    this.forces = unflatten(state.forces) || zeros(this.numPoints);
+  }
+
+  reset() {
+    this.positions = null;
+    this.velocities = null;
+    this.forces = zeros(this.numPoints);
+    this.initialized = false;
+  }
+}
+
+/** Velocity Verlet (kick-drift-kick). */
+export class VelocityVerletIntegrator extends PointIntegrator {
+  constructor(numPoints, opts) {
+    super(numPoints, opts);
+    this.pendingKick = 0; // dt of a step whose second half-kick waits for new forces
+  }
+
+  setForces(forces) {
+    super.setForces(forces);
+    if (this.pendingKick > 0 && this.initialized) {
+      const h = 0.5 * this.pendingKick;
+      for (let i = 0; i < this.numPoints; i++) {
+        const a = this._acc(i), v = this.velocities[i];
+        v[0] += h * a[0]; v[1] += h * a[1]; v[2] += h * a[2];
+      }
+    }
+    this.pendingKick = 0;
+  }
+
+  integrate(dt, maxDelta = 0.02) {
+    if (!this.initialized) throw new Error('Velocity Verlet integrator not initialized');
+    const h = 0.5 * dt;
+    for (let i = 0; i < this.numPoints; i++) {
+      const a = this._acc(i), v = this.velocities[i];
+      v[0] = this.damping * v[0] + h * a[0];
+      v[1] = this.damping * v[1] + h * a[1];
+      v[2] = this.damping * v[2] + h * a[2];
+      this._move(i, [dt * v[0], dt * v[1], dt * v[2]], dt, maxDelta);
+    }
+    this.pendingKick = dt;
+    return this._positionsOut();
+  }
+
+  exportState() {
+    return { ...super.exportState(), pendingKick: this.pendingKick };
+  }
+
+  importState(state) {
+    super.importState(state);
+    this.pendingKick = state.pendingKick || 0;
+  }
+
+  reset() {
+    super.reset();
+    this.pendingKick = 0;
+  }
+}
+
+/** Semi-implicit (symplectic) Euler. */
+export class SemiImplicitEulerIntegrator extends PointIntegrator {
+  integrate(dt, maxDelta = 0.02) {
+    if (!this.initialized) throw new Error('Semi-implicit Euler integrator not initialized');
+    for (let i = 0; i < this.numPoints; i++) {
+      const a = this._acc(i), v = this.velocities[i];
+      v[0] = this.damping * (v[0] + dt * a[0]);
+      v[1] = this.damping * (v[1] + dt * a[1]);
+      v[2] = this.damping * (v[2] + dt * a[2]);
+      this._move(i, [dt * v[0], dt * v[1], dt * v[2]], dt, maxDelta);
+    }
+    return this._positionsOut();
+  }
+}
+
+/** Classical RK4 on (x, v); stage forces from the force function. */
+export class RK4Integrator extends PointIntegrator {
+  constructor(numPoints, { forceFn = null, ...opts } = {}) {
+    super(numPoints, opts);
+    this.forceFn = forceFn;
+  }
+
+  /** positions -> forces, used for the inner stages (stage 1 uses setForces()). */
+  setForceFunction(fn) {
+    this.forceFn = fn;
+  }
+
+  integrate(dt, maxDelta = 0.02) {
+    if (!this.initialized) throw new Error('RK4 integrator not initialized');
+    const n = this.numPoints;
+    const x0 = this.positions, v0 = this.velocities;
+    const stage = (kx, kv, s) => x0.map((p, i) => {
+      const q = [p[0] + s * kx[i][0], p[1] + s * kx[i][1], p[2] + s * kx[i][2]];
+      return this.isPeriodic ? wrapPoint(q, this.box) : q;
+    });
+    const accel = (forces) => forces.map((f, i) => this._acc(i, f));
+    const shift = (kv, s) => v0.map((v, i) => [v[0] + s * kv[i][0], v[1] + s * kv[i][1], v[2] + s * kv[i][2]]);
+    const forcesAt = (x) => (this.forceFn ? this.forceFn(x) : this.forces);
+    const k1x = v0, k1v = accel(this.forces);
+    const k2x = shift(k1v, 0.5 * dt), k2v = accel(forcesAt(stage(k1x, k1v, 0.5 * dt)));
+    const k3x = shift(k2v, 0.5 * dt), k3v = accel(forcesAt(stage(k2x, k2v, 0.5 * dt)));
+    const k4x = shift(k3v, dt), k4v = accel(forcesAt(stage(k3x, k3v, dt)));
+    const c = dt / 6;
+    for (let i = 0; i < n; i++) {
+      const v = v0[i];
+      const d = [0, 1, 2].map((k) => c * (k1x[i][k] + 2 * k2x[i][k] + 2 * k3x[i][k] + k4x[i][k]));
+      for (let k = 0; k < 3; k++) v[k] = this.damping * (v[k] + c * (k1v[i][k] + 2 * k2v[i][k] + 2 * k3v[i][k] + k4v[i][k]));
+      this._move(i, d, dt, maxDelta);
+    }
+    return this._positionsOut();
+  }
+}
+
+/**
+ * FIRE minimizer: semi-implicit Euler MD whose velocity is steered toward the force,
+ * with a time step that grows while the power F·v stays positive and is cut (and the
+ * velocities zeroed) when it turns negative.
+ */
+export class FIREMinimizer extends PointIntegrator {
+  constructor(numPoints, { dtMaxFactor = 10, nMin = 5, fInc = 1.1, fDec = 0.5, alphaStart = 0.1, fAlpha = 0.99, ...opts } = {}) {
+    super(numPoints, opts);
+    Object.assign(this, { dtMaxFactor, nMin, fInc, fDec, alphaStart, fAlpha });
+    this.dt = 0; // adaptive step; set from the first integrate(dt)
+    this.alpha = alphaStart;
+    this.positiveSteps = 0;
+  }
+
+  integrate(dt, maxDelta = 0.02) {
+    if (!this.initialized) throw new Error('FIRE minimizer not initialized');
+    if (!(this.dt > 0)) this.dt = dt;
+    const dtMax = this.dtMaxFactor * dt;
+    let power = 0, fNorm = 0, vNorm = 0;
+    for (let i = 0; i < this.numPoints; i++) {
+      if (this.invMass[i] === 0) continue;
+      const f = this.forces[i], v = this.velocities[i];
+      power += f[0] * v[0] + f[1] * v[1] + f[2] * v[2];
+      fNorm += f[0] * f[0] + f[1] * f[1] + f[2] * f[2];
+      vNorm += v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+    }
+    fNorm = Math.sqrt(fNorm); vNorm = Math.sqrt(vNorm);
+    if (power > 0) {
+      const mix = fNorm > 0 ? this.alpha * vNorm / fNorm : 0;
+      for (let i = 0; i < this.numPoints; i++) {
+        const f = this.forces[i], v = this.velocities[i];
+        for (let k = 0; k < 3; k++) v[k] = (1 - this.alpha) * v[k] + mix * f[k];
+      }
+      if (++this.positiveSteps > this.nMin) {
+        this.dt = Math.min(this.dt * this.fInc, dtMax);
+        this.alpha *= this.fAlpha;
+      }
+    } else {
+      this.dt *= this.fDec;
+      this.alpha = this.alphaStart;
+      this.positiveSteps = 0;
+      for (const v of this.velocities) v.fill(0);
+    }
+    const h = this.dt;
+    for (let i = 0; i < this.numPoints; i++) {
+      const a = this._acc(i), v = this.velocities[i];
+      v[0] += h * a[0]; v[1] += h * a[1]; v[2] += h * a[2];
+      this._move(i, [h * v[0], h * v[1], h * v[2]], h, maxDelta);
+    }
+    return this._positionsOut();
+  }
+
+  exportState() {
+    return { ...super.exportState(), dt: this.dt, alpha: this.alpha, positiveSteps: this.positiveSteps };
+  }
+
+  importState(state) {
+    super.importState(state);
+    this.dt = state.dt;
+    this.alpha = state.alpha;
+    this.positiveSteps = state.positiveSteps;
+  }
+
+  reset() {
+    super.reset();
+    this.dt = 0;
+    this.alpha = this.alphaStart;
+    this.positiveSteps = 0;
+  }
+}
+
+const CLASSES = {
+  'velocity-verlet': VelocityVerletIntegrator,
+  'semi-implicit-euler': SemiImplicitEulerIntegrator,
+  'rk4': RK4Integrator,
+  'fire': FIREMinimizer,
+};
+
+/** step({ integrator }) values; 'euler' is the clamped gradient step of integratePoints(). */
+export const INTEGRATORS = Object.freeze(['euler', 'verlet', ...Object.keys(CLASSES)]);
+
+/**
+ * Create an integrator by name.
+ * @param {string} name - 'verlet' or one of the velocity integrators above
+ * @param {number} numPoints
+ * @param {Object} [opts] - { isPeriodic, box, mass, damping } plus forceFn (rk4) and
+ *   dtMaxFactor, nMin, fInc, fDec, alphaStart, fAlpha (fire)
+ * @returns {Object} an integrator with `name` set
+ */
+export function createIntegrator(name, numPoints, opts = {}) {
+  let integrator;
+  if (name === 'verlet') {
+    integrator = new VerletIntegrator(numPoints, !!opts.isPeriodic, opts.box || UNIT_BOX);
+  } else if (CLASSES[name]) {
+    integrator = new CLASSES[name](numPoints, opts);
+  } else {
+    throw new Error(`Unknown integrator "${name}" (expected one of: ${INTEGRATORS.filter((n) => n !== 'euler').join(', ')})`);
+  }
+  integrator.name = name;
+  return integrator;
+}
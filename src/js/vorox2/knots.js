@@ -0,0 +1,120 @@
+/**
+ * Knots of the VoroX facet flow and their catchment basins.
+ * - buildVoroXFlow() (../VoroXDynamics.js) sends every directed facet to one successor;
+ *   following successors ends on a cycle, the knot, and the facets draining into a knot
+ *   form its catchment basin
+ * - computeKnots() runs the flow on a foam and stores facetKnot (1-based, 0 = none),
+ *   knotDist, knots and numCatched on it, which is what simplexCatchment() reads
+ * - Knot lengths are counted in hops (facets on the cycle) and as the minimum-image
+ *   length of the closed polyline through the tet centers
+ */
+
+import { buildVoroXFlow } from '../VoroXDynamics.js';
+import { minImageDelta, UNIT_BOX } from './core.js';
+
+/**
+ * Extract knots on a foam and attach them to it.
+ * @param {Object} foam - Needs simplices, centers, facetPairs, isPeriodic and box
+ * @returns {{ knots: Array<Array<{tet: number, face: number}>>, facetKnot: number[][],
+ *   knotDist: number[][], numCatched: number[], activeEdges: Array<Array<Object|null>> }}
+ *   numCatched[k - 1] is the number of facets draining into knot k, its own included
+ */
+export function computeKnots(foam) {
+  const flow = buildVoroXFlow({
+    tetrahedra: foam.simplices,
+    centers: foam.centers,
+    faceAdjacency: foam.facetPairs,
+    isPeriodic: !!foam.isPeriodic,
+    box: foam.box || UNIT_BOX,
+  });
+  const numCatched = new Array(flow.knots.length).fill(0);
+  for (const row of flow.facetToKnot) {
+    for (const k of row) if (k > 0) numCatched[k - 1]++;
+  }
+  foam.knots = flow.knots;
+  foam.facetKnot = flow.facetToKnot;
+  foam.knotDist = flow.knotDist;
+  foam.numCatched = numCatched;
+  return { knots: flow.knots, facetKnot: flow.facetToKnot, knotDist: flow.knotDist, numCatched, activeEdges: flow.activeEdges };
+}
+
+/**
+ * Tet centers along a knot, unwrapped by minimum-image steps.
+ * @param {Object} foam
+ * @param {Array<{tet: number, face: number}>} knot
+ * @returns {{ points: number[][], closed: boolean, length: number }} A knot that winds
+ *   around the periodic box does not close in unwrapped space: closed is false and the
+ *   start's image is appended as the last point
+ */
+export function knotPolyline(foam, knot) {
+  const centers = foam.centers;
+  const box = foam.box || UNIT_BOX;
+  const step = (a, b) => (foam.isPeriodic ? minImageDelta(a, b, box) : [b[0] - a[0], b[1] - a[1], b[2] - a[2]]);
+  const points = [centers[knot[0].tet].slice()];
+  let length = 0;
+  for (let i = 1; i <= knot.length; i++) {
+    const a = centers[knot[i - 1].tet];
+    const d = step(a, centers[knot[i % knot.length].tet]);
+    length += Math.hypot(d[0], d[1], d[2]);
+    const p = points[points.length - 1];
+    points.push([p[0] + d[0], p[1] + d[1], p[2] + d[2]]);
+  }
+  const end = points.pop();
+  const gap = Math.hypot(end[0] - points[0][0], end[1] - points[0][1], end[2] - points[0][2]);
+  const closed = gap <= 1e-9 * Math.max(1, length);
+  if (!closed) points.push(end);
+  return { points, closed, length };
+}
+
+// Counts per exact value, sorted by value
+function countValues(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return Array.from(counts).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Knot count, lengths and catchment sizes of a foam (runs computeKnots() if needed).
+ * @param {Object} foam
+ * @returns {{ count: number, hops: number[], lengths: number[], closed: boolean[],
+ *   catchments: number[], numFacets: number, unassigned: number,
+ *   hopHistogram: Array<[number, number]>, catchmentHistogram: Array<[number, number]>,
+ *   meanHops: number, meanLength: number, largestCatchment: number }}
+ *   Per-knot arrays follow knot ids (index k - 1). catchmentHistogram bins sizes by powers
+ *   of two: [lo, count] covers lo <= size < 2·lo. unassigned counts facets that drain
+ *   into no knot (flow stopped at a boundary)
+ */
+export function knotStatistics(foam) {
+  if (!foam.facetKnot) computeKnots(foam);
+  const knots = foam.knots;
+  const hops = knots.map((k) => k.length);
+  const lines = knots.map((k) => knotPolyline(foam, k));
+  const lengths = lines.map((l) => l.length);
+  const catchments = foam.numCatched.slice();
+  let numFacets = 0;
+  let assigned = 0;
+  for (const row of foam.facetPairs) {
+    for (const mirror of row) if (mirror) numFacets++;
+  }
+  for (const c of catchments) assigned += c;
+  const bins = new Map();
+  for (const c of catchments) {
+    const lo = 2 ** Math.floor(Math.log2(c));
+    bins.set(lo, (bins.get(lo) || 0) + 1);
+  }
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+  return {
+    count: knots.length,
+    hops,
+    lengths,
+    closed: lines.map((l) => l.closed),
+    catchments,
+    numFacets,
+    unassigned: Math.max(0, numFacets - assigned),
+    hopHistogram: countValues(hops),
+    catchmentHistogram: Array.from(bins).sort((a, b) => a[0] - b[0]),
+    meanHops: mean(hops),
+    meanLength: mean(lengths),
+    largestCatchment: catchments.length ? Math.max(...catchments) : 0,
+  };
+}
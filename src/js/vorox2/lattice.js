@@ -0,0 +1,186 @@
+/**
+ * Triclinic periodic cells with Lees–Edwards style simple shear.
+ * - A lattice is described by its cell vectors a, b, c (rows of `vectors`)
+ * - Points live in the parallelepiped p = s0*a + s1*b + s2*c with s in [0,1)^3
+ * - Simple shear (v_x = shearRate * y) deforms the cell over time: each cell
+ *   vector v becomes v + strain * v_y * e_x (deforming-cell form of Lees–Edwards)
+ * - When a is aligned with x, b and c are reduced by multiples of a so the cell
+ *   never becomes arbitrarily skewed (the lattice itself is unchanged)
+ *
+ * Anywhere the core helpers take a `box`, a lattice from createLattice() is accepted too.
+ */
+
+function det3(m) {
+  return m[0][0]*(m[1][1]*m[2][2]-m[1][2]*m[2][1]) - m[0][1]*(m[1][0]*m[2][2]-m[1][2]*m[2][0]) + m[0][2]*(m[1][0]*m[2][1]-m[1][1]*m[2][0]);
+}
+
+function invert3(m) {
+  const d = det3(m);
+  if (!Number.isFinite(d) || Math.abs(d) < 1e-14) return null;
+  const inv = 1 / d;
+  return [
+    [(m[1][1]*m[2][2]-m[1][2]*m[2][1])*inv, (m[0][2]*m[2][1]-m[0][1]*m[2][2])*inv, (m[0][1]*m[1][2]-m[0][2]*m[1][1])*inv],
+    [(m[1][2]*m[2][0]-m[1][0]*m[2][2])*inv, (m[0][0]*m[2][2]-m[0][2]*m[2][0])*inv, (m[0][2]*m[1][0]-m[0][0]*m[1][2])*inv],
+    [(m[1][0]*m[2][1]-m[1][1]*m[2][0])*inv, (m[0][1]*m[2][0]-m[0][0]*m[2][1])*inv, (m[0][0]*m[1][1]-m[0][1]*m[1][0])*inv],
+  ];
+}
+
+export function isLattice(box) {
+  return !!box && box.kind === 'lattice';
+}
+
+// Recompute the current (sheared, reduced) cell vectors and cached inverse
+function refresh(lat) {
+  const g = lat.strain;
+  const v = lat.vectors0.map((r) => [r[0] + g * r[1], r[1], r[2]]);
+  const a = v[0];
+  if (Math.abs(a[1]) < 1e-15 && Math.abs(a[2]) < 1e-15 && a[0] !== 0) {
+    for (const r of [v[1], v[2]]) {
+      const n = Math.round(r[0] / a[0]);
+      if (n !== 0) r[0] -= n * a[0];
+    }
+  }
+  // Columns of M are the cell vectors so that p = M s
+  const M = [[v[0][0], v[1][0], v[2][0]], [v[0][1], v[1][1], v[2][1]], [v[0][2], v[1][2], v[2][2]]];
+  const inverse = invert3(M);
+  if (!inverse) throw new Error('Degenerate lattice: cell vectors are linearly dependent');
+  lat.vectors = v;
+  lat.matrix = M;
+  lat.inverse = inverse;
+  lat.orthogonal = v.every((r, i) => r.every((x, k) => k === i || Math.abs(x) < 1e-15));
+  return lat;
+}
+
+/**
+ * Create a lattice descriptor.
+ * @param {Object} opts
+ * @param {number[][]} [opts.vectors] - Cell vectors as rows [[ax,ay,az],[bx,by,bz],[cx,cy,cz]]
+ * @param {number[]} [opts.box] - Orthogonal box [Lx, Ly, Lz] (used when vectors is omitted)
+ * @param {number} [opts.shearRate=0] - Simple shear rate (v_x = shearRate * y)
+ * @param {number} [opts.strain=0] - Initial accumulated shear strain
+ * @returns {Object} lattice
+ */
+export function createLattice({ vectors, box = [1, 1, 1], shearRate = 0, strain = 0 } = {}) {
+  const v = vectors
+    ? vectors.map((r) => [Number(r[0]), Number(r[1]), Number(r[2])])
+    : [[box[0], 0, 0], [0, box[1], 0], [0, 0, box[2]]];
+  if (v.length !== 3 || !v.every((r) => r.every(Number.isFinite))) {
+    throw new Error(`Invalid lattice vectors: ${JSON.stringify(vectors)}`);
+  }
+  if (!Number.isFinite(shearRate) || !Number.isFinite(strain)) {
+    throw new Error('Lattice shearRate and strain must be finite numbers');
+  }
+  return refresh({ kind: 'lattice', vectors0: v, shearRate, strain });
+}
+
+/** Advance the accumulated strain by shearRate * dt. Returns the strain increment. */
+export function advanceShear(lat, dt) {
+  const dStrain = lat.shearRate * dt;
+  if (dStrain !== 0) {
+    lat.strain += dStrain;
+    refresh(lat);
+  }
+  return dStrain;
+}
+
+/** Set the accumulated strain directly (e.g. when restoring a simulation). */
+export function setStrain(lat, strain) {
+  lat.strain = strain;
+  return refresh(lat);
+}
+
+export function toFractional(p, lat) {
+  const I = lat.inverse;
+  return [
+    I[0][0]*p[0] + I[0][1]*p[1] + I[0][2]*p[2],
+    I[1][0]*p[0] + I[1][1]*p[1] + I[1][2]*p[2],
+    I[2][0]*p[0] + I[2][1]*p[1] + I[2][2]*p[2],
+  ];
+}
+
+export function toCartesian(s, lat) {
+  const M = lat.matrix;
+  return [
+    M[0][0]*s[0] + M[0][1]*s[1] + M[0][2]*s[2],
+    M[1][0]*s[0] + M[1][1]*s[1] + M[1][2]*s[2],
+    M[2][0]*s[0] + M[2][1]*s[1] + M[2][2]*s[2],
+  ];
+}
+
+/** Wrap a Cartesian point into the current cell (fractional coordinates in [0,1)). */
+export function latticeWrap(p, lat) {
+  const s = toFractional(p, lat);
+  for (let k = 0; k < 3; k++) {
+    s[k] -= Math.floor(s[k]);
+    if (s[k] >= 1) s[k] = 0; // guard against -1e-17 rounding up to 1
+  }
+  return toCartesian(s, lat);
+}
+
+/**
+ * Minimum-image displacement from a to b.
+ * Rounds in fractional space; skewed cells additionally check the 26 neighboring images.
+ */
+export function latticeMinImageDelta(a, b, lat) {
+  const s = toFractional([b[0] - a[0], b[1] - a[1], b[2] - a[2]], lat);
+  for (let k = 0; k < 3; k++) s[k] -= Math.round(s[k]);
+  const d = toCartesian(s, lat);
+  if (lat.orthogonal) return d;
+  const [va, vb, vc] = lat.vectors;
+  let best = d;
+  let bestN = d[0]*d[0] + d[1]*d[1] + d[2]*d[2];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      for (let k = -1; k <= 1; k++) {
+        if (i === 0 && j === 0 && k === 0) continue;
+        const x = d[0] + i*va[0] + j*vb[0] + k*vc[0];
+        const y = d[1] + i*va[1] + j*vb[1] + k*vc[1];
+        const z = d[2] + i*va[2] + j*vb[2] + k*vc[2];
+        const n = x*x + y*y + z*z;
+        if (n < bestN) { bestN = n; best = [x, y, z]; }
+      }
+    }
+  }
+  return best;
+}
+
+/** Lengths of the current cell vectors; a length scale for tolerances and bounds. */
+export function latticeExtent(lat) {
+  return lat.vectors.map((r) => Math.hypot(r[0], r[1], r[2]));
+}
+
+/** Volume of the cell (invariant under shear). */
+export function latticeVolume(lat) {
+  return Math.abs(det3(lat.matrix));
+}
+
+/**
+ * Translations to the 26 neighboring periodic images of the current (sheared) cell,
+ * e.g. for drawing ghost cells that follow the Lees–Edwards images.
+ */
+export function latticeImageOffsets(lat) {
+  const [va, vb, vc] = lat.vectors;
+  const out = [];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      for (let k = -1; k <= 1; k++) {
+        if (i === 0 && j === 0 && k === 0) continue;
+        out.push([
+          i*va[0] + j*vb[0] + k*vc[0],
+          i*va[1] + j*vb[1] + k*vc[1],
+          i*va[2] + j*vb[2] + k*vc[2],
+        ]);
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Affinely convect points by a shear strain increment (x += dStrain * y), keeping
+ * their fractional coordinates in the deforming cell fixed, then wrap them.
+ */
+export function convectPoints(points, lat, dStrain) {
+  if (!dStrain) return points;
+  return points.map((p) => latticeWrap([p[0] + dStrain * p[1], p[1], p[2]], lat));
+}
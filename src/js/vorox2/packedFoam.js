@@ -0,0 +1,738 @@
+/**
+ * Struct-of-arrays foam for large point counts.
+ * - positions and centers are Float64Arrays (x, y, z interleaved), simplices an Int32Array
+ *   (4 vertex ids per tet)
+ * - facetNeighbor[4t + f] = 4t' + f' of the mirror facet, or -1 (facet f omits vertex 3 - f,
+ *   as in buildFacetPairs())
+ * - Voronoi edges have integer ids in buildDualMaps() order: edgeTets[2e], edgeTets[2e + 1]
+ *   (t1 < t2), edgeFaces[3e..3e + 2] the dual Delaunay face, facetEdge[4t + f] the edge
+ *   through a facet (-1 on a boundary)
+ * - Per-edge values are Float64Arrays indexed by edge id, NaN = unscored; scoresFromMap()
+ *   and scoresToMap() translate from and to the "t1-t2" maps of the object foam
+ * The kernels (centers, gradient, energy, edge forces, half-edge adjacency, XPBD face pass)
+ * mirror their object-foam versions in core.js, dynamics.js, edgeGraph.js and VoroXAdapter.js.
+ * updatePackedCenters(), gradientPacked(), foamEnergyPacked() and integratePointsPacked()
+ * write into typed buffers and allocate only a few scratch vectors per call; the XPBD face
+ * pass collects its scored faces into arrays and buildHalfEdgeAdjacencyPacked() returns a
+ * new CSR. scoresFromMap() builds a key string per edge, so per-step callers should pass
+ * per-edge Float64Arrays. Orthogonal boxes use an inline minimum image; sheared lattices go
+ * through minImageDelta() and wrapPoint() (allocate per call).
+ */
+
+import { minImageDelta, wrap01, wrapPoint, boxExtent, normalizeBox, UNIT_BOX } from './core.js';
+import { isLattice } from './lattice.js';
+
+// Facet f omits vertex 3 - f: the other three, in tet order
+const FACET_VERTS = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+
+function toFlat(values, width) {
+  if (ArrayBuffer.isView(values)) return Float64Array.from(values);
+  const out = new Float64Array(values.length * width);
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    for (let k = 0; k < width; k++) out[i * width + k] = v ? v[k] : NaN;
+  }
+  return out;
+}
+
+function toSimplices(tets) {
+  if (tets instanceof Int32Array) return tets;
+  if (ArrayBuffer.isView(tets)) return Int32Array.from(tets);
+  const out = new Int32Array(tets.length * 4);
+  for (let t = 0; t < tets.length; t++) for (let k = 0; k < 4; k++) out[4 * t + k] = tets[t][k];
+  return out;
+}
+
+/**
+ * b - a as a minimum-image vector written into out[0..2] (plain difference when not periodic).
+ * @returns {Function} (out, ax, ay, az, bx, by, bz) => void
+ */
+export function minImageDeltaFn(isPeriodic, box) {
+  if (!isPeriodic) {
+    return (out, ax, ay, az, bx, by, bz) => { out[0] = bx - ax; out[1] = by - ay; out[2] = bz - az; };
+  }
+  if (isLattice(box)) {
+    return (out, ax, ay, az, bx, by, bz) => {
+      const d = minImageDelta([ax, ay, az], [bx, by, bz], box);
+      out[0] = d[0]; out[1] = d[1]; out[2] = d[2];
+    };
+  }
+  const [Lx, Ly, Lz] = box;
+  const fold = (d, L) => (d > 0.5 * L ? d - L : d < -0.5 * L ? d + L : d);
+  return (out, ax, ay, az, bx, by, bz) => {
+    out[0] = fold(bx - ax, Lx); out[1] = fold(by - ay, Ly); out[2] = fold(bz - az, Lz);
+  };
+}
+
+/**
+ * Wrap point i of a flat xyz array into the box, in place (no-op when not periodic).
+ * @returns {Function} (pos, i) => void
+ */
+export function wrapPointFn(isPeriodic, box) {
+  if (!isPeriodic) return () => {};
+  if (isLattice(box)) {
+    return (pos, i) => {
+      const w = wrapPoint([pos[3 * i], pos[3 * i + 1], pos[3 * i + 2]], box);
+      pos[3 * i] = w[0]; pos[3 * i + 1] = w[1]; pos[3 * i + 2] = w[2];
+    };
+  }
+  const [Lx, Ly, Lz] = box;
+  return (pos, i) => {
+    pos[3 * i] = wrap01(pos[3 * i], Lx); pos[3 * i + 1] = wrap01(pos[3 * i + 1], Ly); pos[3 * i + 2] = wrap01(pos[3 * i + 2], Lz);
+  };
+}
+
+// Facet neighbours by matching sorted vertex triples; faces seen more than twice stay unpaired
+function buildFacetNeighbors(simplices, numPoints) {
+  const numFacets = simplices.length;
+  const neighbor = new Int32Array(numFacets).fill(-1);
+  const numeric = numPoints ** 3 < Number.MAX_SAFE_INTEGER;
+  const first = new Map();
+  for (let h = 0; h < numFacets; h++) {
+    const t = h >> 2;
+    const [i, j, k] = FACET_VERTS[h & 3];
+    let a = simplices[4 * t + i], b = simplices[4 * t + j], c = simplices[4 * t + k];
+    if (a > b) { const x = a; a = b; b = x; }
+    if (b > c) { const x = b; b = c; c = x; }
+    if (a > b) { const x = a; a = b; b = x; }
+    const key = numeric ? (a * numPoints + b) * numPoints + c : `${a}-${b}-${c}`;
+    const g = first.get(key);
+    if (g === undefined) {
+      first.set(key, h);
+    } else if (g >= 0) {
+      if (neighbor[g] === -1) {
+        neighbor[g] = h;
+        neighbor[h] = g;
+      } else {
+        neighbor[neighbor[g]] = -1;
+        neighbor[g] = -1;
+        first.set(key, -1);
+      }
+    }
+  }
+  return neighbor;
+}
+
+/**
+ * Struct-of-arrays foam of a triangulation.
+ * @param {Object} opts
+ * @param {Float64Array|number[][]} opts.positions - Points, flat or [x, y, z] per point
+ * @param {Int32Array|number[][]} opts.simplices - Tets, flat or 4 ids per tet
+ * @param {boolean} [opts.isPeriodic=false]
+ * @param {string} [opts.centering='centroid'] - As in buildFoam()
+ * @param {number[]|Object} [opts.box]
+ * @param {ArrayLike<number>} [opts.weights] - Power weights (centering 'power')
+ * @param {Float64Array|number[][]} [opts.centers] - Precomputed Voronoi vertices (e.g. foam.centers)
+ * @returns {Object} { numPoints, numTets, numEdges, positions, centers, simplices, facetNeighbor,
+ *   edgeTets, edgeFaces, facetEdge, isPeriodic, centering, box, weights }
+ */
+export function buildPackedFoam({ positions, simplices, isPeriodic = false, centering = 'centroid', box, weights = null, centers = null }) {
+  box = normalizeBox(box);
+  const pos = toFlat(positions, 3);
+  const tets = toSimplices(simplices);
+  const numPoints = pos.length / 3;
+  const numTets = tets.length / 4;
+  const facetNeighbor = buildFacetNeighbors(tets, numPoints);
+
+  // Voronoi edges in buildDualMaps() order: by t1, then facet, when t1 < t2
+  let numEdges = 0;
+  for (let h = 0; h < facetNeighbor.length; h++) if (facetNeighbor[h] >= 0 && (h >> 2) < (facetNeighbor[h] >> 2)) numEdges++;
+  const edgeTets = new Int32Array(2 * numEdges);
+  const edgeFaces = new Int32Array(3 * numEdges);
+  const facetEdge = new Int32Array(facetNeighbor.length).fill(-1);
+  for (let h = 0, e = 0; h < facetNeighbor.length; h++) {
+    const m = facetNeighbor[h];
+    const t = h >> 2;
+    if (m < 0 || t >= (m >> 2)) continue;
+    edgeTets[2 * e] = t;
+    edgeTets[2 * e + 1] = m >> 2;
+    const fv = FACET_VERTS[h & 3];
+    for (let k = 0; k < 3; k++) edgeFaces[3 * e + k] = tets[4 * t + fv[k]];
+    facetEdge[h] = e;
+    facetEdge[m] = e;
+    e++;
+  }
+
+  const pf = {
+    numPoints,
+    numTets,
+    numEdges,
+    positions: pos,
+    centers: centers ? toFlat(centers, 3) : new Float64Array(3 * numTets),
+    simplices: tets,
+    facetNeighbor,
+    edgeTets,
+    edgeFaces,
+    facetEdge,
+    isPeriodic: !!isPeriodic,
+    centering,
+    box,
+    weights: weights ? Float64Array.from(weights) : null,
+  };
+  if (!centers) updatePackedCenters(pf);
+  return pf;
+}
+
+/**
+ * Struct-of-arrays copy of an object foam from buildFoam() (same tet and edge numbering).
+ * `centering` is only used when the centers are later recomputed by updatePackedCenters().
+ */
+export function packFoam(foam, centering = 'centroid') {
+  return buildPackedFoam({
+    positions: foam.points,
+    simplices: foam.simplices,
+    isPeriodic: foam.isPeriodic,
+    centering,
+    box: foam.box || UNIT_BOX,
+    weights: foam.weights,
+    centers: foam.centers,
+  });
+}
+
+/**
+ * Move a packed foam to new positions (same topology); centers are recomputed unless given.
+ * @param {Object} pf
+ * @param {Object} opts - { positions, centers }
+ */
+export function updatePackedFoam(pf, { positions, centers = null }) {
+  if (ArrayBuffer.isView(positions)) {
+    pf.positions.set(positions);
+  } else {
+    for (let i = 0; i < positions.length; i++) {
+      const p = positions[i];
+      pf.positions[3 * i] = p[0]; pf.positions[3 * i + 1] = p[1]; pf.positions[3 * i + 2] = p[2];
+    }
+  }
+  if (centers) pf.centers.set(ArrayBuffer.isView(centers) ? centers : toFlat(centers, 3));
+  else updatePackedCenters(pf);
+  return pf;
+}
+
+// 3x3 determinant of the rows (a, b, c)
+function det3(a0, a1, a2, b0, b1, b2, c0, c1, c2) {
+  return a0 * (b1 * c2 - b2 * c1) - a1 * (b0 * c2 - b2 * c0) + a2 * (b0 * c1 - b1 * c0);
+}
+
+/**
+ * Recompute the Voronoi vertices of a packed foam from its positions (its `centering`).
+ * Same arithmetic as tetCenter(), inline: centroids, circumcenters and power centers
+ * (with the centroid fallback for degenerate tets) are written without allocating.
+ */
+export function updatePackedCenters(pf) {
+  const { positions: pos, simplices: tets, centers, isPeriodic, box, weights } = pf;
+  const circum = pf.centering === 'circumcenter' || pf.centering === 'power';
+  const weighted = pf.centering === 'power' && weights;
+  const delta = minImageDeltaFn(isPeriodic, box);
+  const wrap = wrapPointFn(isPeriodic, box);
+  const [Lx, Ly, Lz] = boxExtent(box);
+  const d = new Float64Array(3);
+  const q = new Float64Array(12); // tet vertices at the image nearest vertex 0
+  for (let t = 0; t < pf.numTets; t++) {
+    const v0 = tets[4 * t];
+    const ax = pos[3 * v0], ay = pos[3 * v0 + 1], az = pos[3 * v0 + 2];
+    q[0] = ax; q[1] = ay; q[2] = az;
+    for (let k = 1; k < 4; k++) {
+      const v = tets[4 * t + k];
+      if (isPeriodic) {
+        delta(d, ax, ay, az, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2]);
+        q[3 * k] = ax + d[0]; q[3 * k + 1] = ay + d[1]; q[3 * k + 2] = az + d[2];
+      } else {
+        q[3 * k] = pos[3 * v]; q[3 * k + 1] = pos[3 * v + 1]; q[3 * k + 2] = pos[3 * v + 2];
+      }
+    }
+    let ok = false;
+    if (circum) {
+      // Equal power |x - p|^2 - w to all four vertices (circumcenter4() in core.js)
+      const bax = q[3] - ax, bay = q[4] - ay, baz = q[5] - az;
+      const cax = q[6] - ax, cay = q[7] - ay, caz = q[8] - az;
+      const dax = q[9] - ax, day = q[10] - ay, daz = q[11] - az;
+      const a2 = ax * ax + ay * ay + az * az - (weighted ? weights[v0] : 0);
+      const w1 = weighted ? weights[tets[4 * t + 1]] : 0;
+      const w2 = weighted ? weights[tets[4 * t + 2]] : 0;
+      const w3 = weighted ? weights[tets[4 * t + 3]] : 0;
+      const r0 = 0.5 * (q[3] * q[3] + q[4] * q[4] + q[5] * q[5] - w1 - a2);
+      const r1 = 0.5 * (q[6] * q[6] + q[7] * q[7] + q[8] * q[8] - w2 - a2);
+      const r2 = 0.5 * (q[9] * q[9] + q[10] * q[10] + q[11] * q[11] - w3 - a2);
+      const detA = det3(bax, bay, baz, cax, cay, caz, dax, day, daz);
+      if (Number.isFinite(detA) && Math.abs(detA) >= 1e-12) {
+        const x = det3(r0, bay, baz, r1, cay, caz, r2, day, daz) / detA;
+        const y = det3(bax, r0, baz, cax, r1, caz, dax, r2, daz) / detA;
+        const z = det3(bax, bay, r0, cax, cay, r1, dax, day, r2) / detA;
+        // Far-away centers mark degenerate tets, as in circumcenter4()
+        if (Number.isFinite(x) && Number.isFinite(y) && Number.isFinite(z)
+          && Math.abs(x) <= 10 * Lx && Math.abs(y) <= 10 * Ly && Math.abs(z) <= 10 * Lz) {
+          centers[3 * t] = x; centers[3 * t + 1] = y; centers[3 * t + 2] = z;
+          ok = true;
+        }
+      }
+    }
+    if (!ok) {
+      centers[3 * t] = (q[0] + q[3] + q[6] + q[9]) / 4;
+      centers[3 * t + 1] = (q[1] + q[4] + q[7] + q[10]) / 4;
+      centers[3 * t + 2] = (q[2] + q[5] + q[8] + q[11]) / 4;
+    }
+    wrap(centers, t);
+  }
+  return centers;
+}
+
+/** Point i as [x, y, z] (written into `out` when given). */
+export function getPoint(pf, i, out = [0, 0, 0]) {
+  out[0] = pf.positions[3 * i]; out[1] = pf.positions[3 * i + 1]; out[2] = pf.positions[3 * i + 2];
+  return out;
+}
+
+/** Voronoi vertex of tet t as [x, y, z] (written into `out` when given). */
+export function getCenter(pf, t, out = [0, 0, 0]) {
+  out[0] = pf.centers[3 * t]; out[1] = pf.centers[3 * t + 1]; out[2] = pf.centers[3 * t + 2];
+  return out;
+}
+
+/** "t1-t2" key of edge e, as used by the object foam's score maps. */
+export function edgeKeyOf(pf, e) {
+  return `${pf.edgeTets[2 * e]}-${pf.edgeTets[2 * e + 1]}`;
+}
+
+/** Edge id between tets t1 and t2, or -1 (looks at the four facets of t1, no map). */
+export function edgeIdOf(pf, t1, t2) {
+  for (let f = 0; f < 4; f++) {
+    const m = pf.facetNeighbor[4 * t1 + f];
+    if (m >= 0 && (m >> 2) === t2) return pf.facetEdge[4 * t1 + f];
+  }
+  return -1;
+}
+
+/** Flat xyz values (positions, gradients) as [x, y, z] arrays. */
+export function unpackVectors(flat) {
+  const out = new Array(flat.length / 3);
+  for (let i = 0; i < out.length; i++) out[i] = [flat[3 * i], flat[3 * i + 1], flat[3 * i + 2]];
+  return out;
+}
+
+/** Points as [x, y, z] arrays (for the object foam and integrators). */
+export function unpackPoints(pf) {
+  return unpackVectors(pf.positions);
+}
+
+/**
+ * Per-edge values from a "t1-t2" score map.
+ * @param {Object} pf
+ * @param {Map<string, number>} scores
+ * @param {Float64Array} [out]
+ * @returns {Float64Array} NaN where the map has no score
+ */
+export function scoresFromMap(pf, scores, out = new Float64Array(pf.numEdges)) {
+  for (let e = 0; e < pf.numEdges; e++) {
+    const v = scores ? scores.get(edgeKeyOf(pf, e)) : undefined;
+    out[e] = v === undefined ? NaN : v;
+  }
+  return out;
+}
+
+/** "t1-t2" score map of per-edge values (NaN entries are left out). */
+export function scoresToMap(pf, values) {
+  const out = new Map();
+  for (let e = 0; e < pf.numEdges; e++) if (!Number.isNaN(values[e])) out.set(edgeKeyOf(pf, e), values[e]);
+  return out;
+}
+
+/**
+ * Face contraction/expansion forces from edge scores (computeEdgeBasedForces() on a packed foam).
+ * @param {Object} pf
+ * @param {Float64Array} scores - Per edge id, NaN = unscored
+ * @param {number} threshold
+ * @param {boolean} contractive
+ * @param {boolean} expansive
+ * @param {number} [strength=0.1]
+ * @param {Float64Array} [out] - Accumulated into (3 per point)
+ * @returns {Float64Array}
+ */
+export function computeEdgeBasedForcesPacked(pf, scores, threshold, contractive, expansive, strength = 0.1, out = new Float64Array(3 * pf.numPoints)) {
+  const pos = pf.positions;
+  const delta = minImageDeltaFn(pf.isPeriodic, pf.box);
+  const d = new Float64Array(3);
+  const fp = new Float64Array(9);
+  for (let e = 0; e < pf.numEdges; e++) {
+    const score = scores[e];
+    if (Number.isNaN(score)) continue;
+    let scaleFactor = 0;
+    if (contractive && score < threshold) scaleFactor = -strength * (threshold - score);
+    else if (expansive && score > threshold) scaleFactor = strength * (score - threshold);
+    if (Math.abs(scaleFactor) < 1e-6) continue;
+
+    // Face vertices at the image nearest the first one, and their centroid
+    const v0 = pf.edgeFaces[3 * e];
+    const ax = pos[3 * v0], ay = pos[3 * v0 + 1], az = pos[3 * v0 + 2];
+    let cx = 0, cy = 0, cz = 0;
+    for (let k = 0; k < 3; k++) {
+      const v = pf.edgeFaces[3 * e + k];
+      delta(d, ax, ay, az, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2]);
+      fp[3 * k] = ax + d[0]; fp[3 * k + 1] = ay + d[1]; fp[3 * k + 2] = az + d[2];
+      cx += fp[3 * k]; cy += fp[3 * k + 1]; cz += fp[3 * k + 2];
+    }
+    cx /= 3; cy /= 3; cz /= 3;
+    for (let k = 0; k < 3; k++) {
+      const v = pf.edgeFaces[3 * e + k];
+      const ux = cx - fp[3 * k], uy = cy - fp[3 * k + 1], uz = cz - fp[3 * k + 2];
+      const mag = Math.sqrt(ux * ux + uy * uy + uz * uz) || 1;
+      const dx = scaleFactor * ux / mag, dy = scaleFactor * uy / mag, dz = scaleFactor * uz / mag;
+      const maxStep = 0.05;
+      const n = Math.hypot(dx, dy, dz) || 0;
+      const s = n > maxStep ? (maxStep / n) : 1.0;
+      out[3 * v] += s * dx;
+      out[3 * v + 1] += s * dy;
+      out[3 * v + 2] += s * dz;
+    }
+  }
+  return out;
+}
+
+/**
+ * gradient() on a packed foam: homothety toward the tet barycenters plus the optional
+ * edge-driven face forces.
+ * @param {Object} pf
+ * @param {Object} [options] - As gradient(); edgeScores may be a per-edge Float64Array or a Map
+ * @param {Float64Array} [out] - Overwritten (3 per point)
+ * @returns {Float64Array}
+ */
+export function gradientPacked(pf, options = {}, out = new Float64Array(3 * pf.numPoints)) {
+  const {
+    useEdgeMode = false,
+    edgeScores = null,
+    edge_scale = false,
+    scale = 1.0,
+    energy = 0.1,
+    equilibration = true,
+    contractive = false,
+    expansive = false,
+    threshold = 0.5,
+  } = options;
+  out.fill(0);
+  const pos = pf.positions;
+  const tets = pf.simplices;
+  const periodic = pf.isPeriodic;
+  const delta = minImageDeltaFn(periodic, pf.box);
+  const d = new Float64Array(3);
+  const q = new Float64Array(12); // tet vertices at the image nearest vertex 0
+  // Homothety toward the target at Δ: energy·(1 − scale/|Δ|)·Δ
+  const push = (i, dx, dy, dz) => {
+    const h = energy * (1 - scale / (Math.hypot(dx, dy, dz) || 1e-12));
+    out[3 * i] += dx * h; out[3 * i + 1] += dy * h; out[3 * i + 2] += dz * h;
+  };
+
+  if (equilibration) {
+    const c = [0, 0, 0];
+    for (let t = 0; t < pf.numTets; t++) {
+      const v0 = tets[4 * t];
+      const ax = pos[3 * v0], ay = pos[3 * v0 + 1], az = pos[3 * v0 + 2];
+      for (let k = 0; k < 4; k++) {
+        const v = tets[4 * t + k];
+        if (k === 0 || !periodic) {
+          q[3 * k] = pos[3 * v]; q[3 * k + 1] = pos[3 * v + 1]; q[3 * k + 2] = pos[3 * v + 2];
+        } else {
+          delta(d, ax, ay, az, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2]);
+          q[3 * k] = ax + d[0]; q[3 * k + 1] = ay + d[1]; q[3 * k + 2] = az + d[2];
+        }
+      }
+      if (edge_scale) {
+        for (let i = 0; i < 4; i++) {
+          const vi = tets[4 * t + i];
+          const px = pos[3 * vi], py = pos[3 * vi + 1], pz = pos[3 * vi + 2];
+          for (let b = 0; b < 4; b++) {
+            if (b === i) continue;
+            const vb = tets[4 * t + b];
+            delta(d, px, py, pz, pos[3 * vb], pos[3 * vb + 1], pos[3 * vb + 2]);
+            push(vi, d[0], d[1], d[2]);
+          }
+        }
+      } else {
+        c[0] = (q[0] + q[3] + q[6] + q[9]) / 4;
+        c[1] = (q[1] + q[4] + q[7] + q[10]) / 4;
+        c[2] = (q[2] + q[5] + q[8] + q[11]) / 4;
+        if (periodic) {
+          if (isLattice(pf.box)) {
+            const w = wrapPoint(c, pf.box);
+            c[0] = w[0]; c[1] = w[1]; c[2] = w[2];
+          } else {
+            c[0] = wrap01(c[0], pf.box[0]); c[1] = wrap01(c[1], pf.box[1]); c[2] = wrap01(c[2], pf.box[2]);
+          }
+        }
+        for (let i = 0; i < 4; i++) {
+          const vi = tets[4 * t + i];
+          delta(d, pos[3 * vi], pos[3 * vi + 1], pos[3 * vi + 2], c[0], c[1], c[2]);
+          push(vi, d[0], d[1], d[2]);
+        }
+      }
+    }
+  }
+
+  if (useEdgeMode && (contractive || expansive) && edgeScores) {
+    const scores = edgeScores instanceof Map ? scoresFromMap(pf, edgeScores) : edgeScores;
+    computeEdgeBasedForcesPacked(pf, scores, threshold, contractive, expansive, energy, out);
+  }
+  return out;
+}
+
+/**
+ * foamEnergy() on a packed foam (the energy whose negative gradient is gradientPacked()).
+ * @param {Object} pf
+ * @param {Object} [options] - As gradientPacked()
+ * @returns {{ total: number, equilibration: number, edge: number }}
+ */
+export function foamEnergyPacked(pf, options = {}) {
+  const {
+    useEdgeMode = false,
+    edgeScores = null,
+    edge_scale = false,
+    scale = 1.0,
+    energy = 0.1,
+    equilibration = true,
+    contractive = false,
+    expansive = false,
+    threshold = 0.5,
+  } = options;
+  const pos = pf.positions;
+  const tets = pf.simplices;
+  const periodic = pf.isPeriodic;
+  const delta = minImageDeltaFn(periodic, pf.box);
+  const wrap = wrapPointFn(periodic, pf.box);
+  const d = new Float64Array(3);
+  const c = new Float64Array(3);
+  let eq = 0;
+  if (equilibration) {
+    for (let t = 0; t < pf.numTets; t++) {
+      if (edge_scale) {
+        for (let a = 0; a < 4; a++) {
+          const va = tets[4 * t + a];
+          for (let b = a + 1; b < 4; b++) {
+            const vb = tets[4 * t + b];
+            delta(d, pos[3 * va], pos[3 * va + 1], pos[3 * va + 2], pos[3 * vb], pos[3 * vb + 1], pos[3 * vb + 2]);
+            const r = Math.hypot(d[0], d[1], d[2]) - scale;
+            eq += r * r;
+          }
+        }
+        continue;
+      }
+      // Barycenter at the image nearest vertex 0, wrapped into the box
+      const v0 = tets[4 * t];
+      const ax = pos[3 * v0], ay = pos[3 * v0 + 1], az = pos[3 * v0 + 2];
+      c[0] = ax; c[1] = ay; c[2] = az;
+      for (let k = 1; k < 4; k++) {
+        const v = tets[4 * t + k];
+        delta(d, ax, ay, az, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2]);
+        c[0] += ax + d[0]; c[1] += ay + d[1]; c[2] += az + d[2];
+      }
+      c[0] /= 4; c[1] /= 4; c[2] /= 4;
+      wrap(c, 0);
+      for (let k = 0; k < 4; k++) {
+        const v = tets[4 * t + k];
+        delta(d, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2], c[0], c[1], c[2]);
+        const r = Math.hypot(d[0], d[1], d[2]) - scale;
+        eq += r * r;
+      }
+    }
+    eq *= 0.5 * energy;
+  }
+  let edge = 0;
+  if (useEdgeMode && (contractive || expansive) && edgeScores) {
+    const scores = edgeScores instanceof Map ? scoresFromMap(pf, edgeScores) : edgeScores;
+    const fp = new Float64Array(9);
+    for (let e = 0; e < pf.numEdges; e++) {
+      const score = scores[e];
+      if (Number.isNaN(score)) continue;
+      let sigma = 0;
+      if (contractive && score < threshold) sigma = -energy * (threshold - score);
+      else if (expansive && score > threshold) sigma = energy * (score - threshold);
+      if (Math.abs(sigma) < 1e-6) continue;
+      const v0 = pf.edgeFaces[3 * e];
+      const ax = pos[3 * v0], ay = pos[3 * v0 + 1], az = pos[3 * v0 + 2];
+      let cx = 0, cy = 0, cz = 0;
+      for (let k = 0; k < 3; k++) {
+        const v = pf.edgeFaces[3 * e + k];
+        delta(d, ax, ay, az, pos[3 * v], pos[3 * v + 1], pos[3 * v + 2]);
+        fp[3 * k] = ax + d[0]; fp[3 * k + 1] = ay + d[1]; fp[3 * k + 2] = az + d[2];
+        cx += fp[3 * k]; cy += fp[3 * k + 1]; cz += fp[3 * k + 2];
+      }
+      cx /= 3; cy /= 3; cz /= 3;
+      for (let k = 0; k < 3; k++) edge += sigma * Math.hypot(fp[3 * k] - cx, fp[3 * k + 1] - cy, fp[3 * k + 2] - cz);
+    }
+  }
+  return { total: eq + edge, equilibration: eq, edge };
+}
+
+/**
+ * Directional half-edge adjacency at obtuse gates (buildHalfEdgeAdjacency() on a packed foam).
+ * Half-edge 2e enters edge e's first tet, 2e + 1 its second, so the CSR plugs straight into
+ * calculateEdgeScoresDirected({ csr }) and matches the object version row for row.
+ * @param {Object} pf
+ * @returns {{ numHalfEdges: number, halfFrom: Int32Array, halfTo: Int32Array, rowPtr: Uint32Array,
+ *   colIdx: Uint32Array, w: Float64Array }} w holds the transition probabilities
+ */
+export function buildHalfEdgeAdjacencyPacked(pf) {
+  const H = 2 * pf.numEdges;
+  const halfFrom = new Int32Array(H);
+  const halfTo = new Int32Array(H);
+  for (let e = 0; e < pf.numEdges; e++) {
+    const t1 = pf.edgeTets[2 * e], t2 = pf.edgeTets[2 * e + 1];
+    halfFrom[2 * e] = t2; halfTo[2 * e] = t1;
+    halfFrom[2 * e + 1] = t1; halfTo[2 * e + 1] = t2;
+  }
+  // Half-edges entering each center, in half-edge order
+  const inPtr = new Uint32Array(pf.numTets + 1);
+  for (let h = 0; h < H; h++) inPtr[halfTo[h] + 1]++;
+  for (let t = 0; t < pf.numTets; t++) inPtr[t + 1] += inPtr[t];
+  const incoming = new Int32Array(H);
+  const fill = inPtr.slice(0, pf.numTets);
+  for (let h = 0; h < H; h++) incoming[fill[halfTo[h]]++] = h;
+
+  const cen = pf.centers;
+  const delta = minImageDeltaFn(pf.isPeriodic, pf.box);
+  const vin = new Float64Array(3 * H); // from the other center into the center a half-edge enters
+  const d = new Float64Array(3);
+  for (let h = 0; h < H; h++) {
+    const a = halfFrom[h], c = halfTo[h];
+    delta(d, cen[3 * a], cen[3 * a + 1], cen[3 * a + 2], cen[3 * c], cen[3 * c + 1], cen[3 * c + 2]);
+    vin[3 * h] = d[0]; vin[3 * h + 1] = d[1]; vin[3 * h + 2] = d[2];
+  }
+
+  const rowPtr = new Uint32Array(H + 1);
+  const cols = [];
+  const probs = [];
+  const cand = [];
+  for (let h = 0; h < H; h++) {
+    const c = halfTo[h];
+    const ix = vin[3 * h], iy = vin[3 * h + 1], iz = vin[3 * h + 2];
+    const nin = Math.hypot(ix, iy, iz) || 1e-12;
+    let total = 0;
+    cand.length = 0;
+    for (let k = inPtr[c]; k < inPtr[c + 1]; k++) {
+      const o = incoming[k];
+      if (o === h || (o >> 1) === (h >> 1)) continue; // no immediate backtrack on the same edge
+      // Leaving c toward the far end of o: minus o's incoming vector
+      const ox = -vin[3 * o], oy = -vin[3 * o + 1], oz = -vin[3 * o + 2];
+      const nout = Math.hypot(ox, oy, oz) || 1e-12;
+      const theta = Math.acos(Math.max(-1, Math.min(1, (ix * ox + iy * oy + iz * oz) / (nin * nout))));
+      if (theta <= Math.PI / 2 + 1e-6) continue; // strictly obtuse
+      const w = Math.max(0, -Math.cos(theta));
+      if (w <= 0) continue;
+      cand.push(o, w);
+      total += w;
+    }
+    if (total > 0) {
+      for (let k = 0; k < cand.length; k += 2) { cols.push(cand[k]); probs.push(cand[k + 1] / total); }
+    }
+    rowPtr[h + 1] = cols.length;
+  }
+  return { numHalfEdges: H, halfFrom, halfTo, rowPtr, colIdx: Uint32Array.from(cols), w: Float64Array.from(probs) };
+}
+
+/**
+ * The XPBD face pass of VoroXAdapter.step() on a packed foam: faces of scored edges past the
+ * threshold grow or shrink by a percentage per iteration, moving pf.positions in place.
+ * @param {Object} pf
+ * @param {Float64Array} scores - Per edge id, NaN = unscored
+ * @param {Object} [opts] - threshold, contractive, expansive and the xpbd* step options
+ * @returns {{ affectedFaces: number, meanDelta: number, maxDelta: number }}
+ */
+export function xpbdFacePassPacked(pf, scores, {
+  threshold = 0.5,
+  contractive = false,
+  expansive = true,
+  xpbdIters = 8,
+  xpbdCompliance = 1e-4,
+  xpbdClamp = 0.005,
+  xpbdInvert = false,
+  xpbdMaxScale = 0.10,
+  xpbdStrength = 0.05,
+  xpbdGamma = 1.0,
+} = {}) {
+  const pos = pf.positions;
+  const delta = minImageDeltaFn(pf.isPeriodic, pf.box);
+  const wrap = wrapPointFn(pf.isPeriodic, pf.box);
+  const d = new Float64Array(3);
+  const v = new Float64Array(9); // face vertices at the image nearest the first
+  const loadFace = (e) => {
+    const i = pf.edgeFaces[3 * e];
+    v[0] = pos[3 * i]; v[1] = pos[3 * i + 1]; v[2] = pos[3 * i + 2];
+    for (let k = 1; k < 3; k++) {
+      const j = pf.edgeFaces[3 * e + k];
+      delta(d, v[0], v[1], v[2], pos[3 * j], pos[3 * j + 1], pos[3 * j + 2]);
+      v[3 * k] = v[0] + d[0]; v[3 * k + 1] = v[1] + d[1]; v[3 * k + 2] = v[2] + d[2];
+    }
+    const abx = v[3] - v[0], aby = v[4] - v[1], abz = v[5] - v[2];
+    const acx = v[6] - v[0], acy = v[7] - v[1], acz = v[8] - v[2];
+    return 0.5 * Math.hypot(aby * acz - abz * acy, abz * acx - abx * acz, abx * acy - aby * acx);
+  };
+
+  // Faces with their percentage change per iteration
+  const faceEdge = [];
+  const faceP = [];
+  const maxStep = Math.abs(xpbdMaxScale || 0);
+  for (let e = 0; e < pf.numEdges; e++) {
+    const s = scores[e];
+    if (Number.isNaN(s)) continue;
+    if (!(loadFace(e) > 0)) continue;
+    const r = xpbdInvert ? (threshold - s) : (s - threshold);
+    if ((r < 0 && !contractive) || (r > 0 && !expansive)) continue;
+    const absr = Math.abs(r);
+    const f = xpbdGamma === 1 ? absr : Math.pow(absr, xpbdGamma);
+    const pRaw = (r >= 0 ? +1 : -1) * (xpbdStrength || 0) * f;
+    faceEdge.push(e);
+    faceP.push(Math.max(-maxStep, Math.min(maxStep, pRaw)));
+  }
+
+  const softness = 1 / (1 + 1e4 * Math.max(0, xpbdCompliance));
+  const perIterClamp = Math.max(0, xpbdClamp);
+  const iters = Math.max(1, (xpbdIters | 0));
+  const stats = { affectedFaces: 0, meanDelta: 0, maxDelta: 0 };
+  let sumDelta = 0;
+  for (let iter = 0; iter < iters; iter++) {
+    for (let n = 0; n < faceEdge.length; n++) {
+      const e = faceEdge[n];
+      const Acur = loadFace(e) || 1e-12;
+      const err = Acur * (1 + faceP[n]) - Acur;
+      if (Math.abs(err) < 1e-8) continue;
+      const cx = (v[0] + v[3] + v[6]) / 3, cy = (v[1] + v[4] + v[7]) / 3, cz = (v[2] + v[5] + v[8]) / 3;
+      const sgn = err > 0 ? +1 : -1;
+      const mag = softness * Math.min(perIterClamp, Math.abs(err) / (Acur + 1e-12));
+      if (mag > 0) {
+        stats.affectedFaces += 1;
+        sumDelta += mag;
+        if (mag > stats.maxDelta) stats.maxDelta = mag;
+      }
+      // Each vertex moves `mag` along its direction away from the face centroid
+      for (let k = 0; k < 3; k++) {
+        const ux = v[3 * k] - cx, uy = v[3 * k + 1] - cy, uz = v[3 * k + 2] - cz;
+        const un = Math.hypot(ux, uy, uz) || 1e-12;
+        const i = pf.edgeFaces[3 * e + k];
+        pos[3 * i] = v[3 * k] + sgn * (ux / un) * mag;
+        pos[3 * i + 1] = v[3 * k + 1] + sgn * (uy / un) * mag;
+        pos[3 * i + 2] = v[3 * k + 2] + sgn * (uz / un) * mag;
+        wrap(pos, i);
+      }
+    }
+  }
+  stats.meanDelta = stats.affectedFaces ? sumDelta / stats.affectedFaces : 0;
+  return stats;
+}
+
+/**
+ * integratePoints() in place on flat positions: x += dt·g, each step clamped to maxDelta.
+ * @param {Object} pf
+ * @param {Float64Array} g - 3 per point
+ * @param {number} dt
+ * @param {number} [maxDelta=0.02]
+ * @returns {Float64Array} pf.positions
+ */
+export function integratePointsPacked(pf, g, dt, maxDelta = 0.02) {
+  const pos = pf.positions;
+  const wrap = wrapPointFn(pf.isPeriodic, pf.box);
+  for (let i = 0; i < pf.numPoints; i++) {
+    const sx = dt * g[3 * i], sy = dt * g[3 * i + 1], sz = dt * g[3 * i + 2];
+    const sn = Math.hypot(sx, sy, sz) || 0;
+    const k = sn > maxDelta ? (maxDelta / sn) : 1.0;
+    pos[3 * i] += k * sx; pos[3 * i + 1] += k * sy; pos[3 * i + 2] += k * sz;
+    wrap(pos, i);
+  }
+  return pos;
+}
@@ -0,0 +1,101 @@
+/**
+ * PageRank by power iteration on a CSR graph.
+ * - x ← d·(Pᵀx + dangling·p) + (1 − d)·p, with p the personalization (teleport) vector
+ * - Dangling nodes (no out-links) hand their mass to p, so x stays a probability vector
+ * - Stops when the L1 change ‖x_k − x_{k−1}‖₁ drops below `tol` or after `maxIterations`
+ * Each iteration is O(nodes + links).
+ */
+
+/**
+ * Build a CSR adjacency from link pairs.
+ * @param {number} numNodes
+ * @param {Array<{source: number, target: number, weight?: number}>} links
+ * @param {Object} [opts]
+ * @param {boolean} [opts.directed=false] - Undirected links go both ways
+ * @returns {{ n: number, rowPtr: Uint32Array, colIdx: Uint32Array, w: Float64Array, outWeight: Float64Array }}
+ */
+export function buildPageRankCSR(numNodes, links, { directed = false } = {}) {
+  const rowPtr = new Uint32Array(numNodes + 1);
+  for (const { source, target } of links) {
+    rowPtr[source + 1]++;
+    if (!directed) rowPtr[target + 1]++;
+  }
+  for (let i = 0; i < numNodes; i++) rowPtr[i + 1] += rowPtr[i];
+  const colIdx = new Uint32Array(rowPtr[numNodes]);
+  const w = new Float64Array(rowPtr[numNodes]);
+  const outWeight = new Float64Array(numNodes);
+  const fill = rowPtr.slice(0, numNodes);
+  const push = (from, to, weight) => {
+    const k = fill[from]++;
+    colIdx[k] = to;
+    w[k] = weight;
+    outWeight[from] += weight;
+  };
+  for (const { source, target, weight = 1 } of links) {
+    push(source, target, weight);
+    if (!directed) push(target, source, weight);
+  }
+  return { n: numNodes, rowPtr, colIdx, w, outWeight };
+}
+
+/** Personalization weights (array or (index) => weight) as a probability vector; uniform if null or all zero. */
+export function normalizePersonalization(n, personalization = null) {
+  const p = new Float64Array(n);
+  let sum = 0;
+  if (personalization) {
+    for (let i = 0; i < n; i++) {
+      const v = typeof personalization === 'function' ? personalization(i) : personalization[i];
+      p[i] = Number.isFinite(v) && v > 0 ? v : 0;
+      sum += p[i];
+    }
+  }
+  if (!(sum > 0)) return p.fill(n ? 1 / n : 0);
+  for (let i = 0; i < n; i++) p[i] /= sum;
+  return p;
+}
+
+/**
+ * Solve PageRank on a CSR graph.
+ * @param {Object} csr - From buildPageRankCSR() (outWeight is derived from w when absent)
+ * @param {Object} [opts]
+ * @param {number} [opts.damping=0.85]
+ * @param {number} [opts.tol=1e-10] - L1 convergence tolerance
+ * @param {number} [opts.maxIterations=100]
+ * @param {ArrayLike<number>|Function} [opts.personalization] - Teleport weights per node
+ * @param {ArrayLike<number>} [opts.initial] - Starting vector (default: the personalization)
+ * @returns {{ scores: Float64Array, iterations: number, residual: number, converged: boolean }}
+ *   scores sum to 1
+ */
+export function solvePageRank(csr, { damping = 0.85, tol = 1e-10, maxIterations = 100, personalization = null, initial = null } = {}) {
+  const { n, rowPtr, colIdx, w } = csr;
+  let outWeight = csr.outWeight;
+  if (!outWeight) {
+    outWeight = new Float64Array(n);
+    for (let i = 0; i < n; i++) for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) outWeight[i] += w ? w[k] : 1;
+  }
+  const p = normalizePersonalization(n, personalization);
+  let x = initial ? normalizePersonalization(n, initial) : Float64Array.from(p);
+  let next = new Float64Array(n);
+  let iterations = 0;
+  let residual = Infinity;
+  while (iterations < maxIterations) {
+    next.fill(0);
+    let dangling = 0;
+    for (let i = 0; i < n; i++) {
+      const xi = x[i];
+      if (!(outWeight[i] > 0)) { dangling += xi; continue; }
+      const share = xi / outWeight[i];
+      for (let k = rowPtr[i]; k < rowPtr[i + 1]; k++) next[colIdx[k]] += share * (w ? w[k] : 1);
+    }
+    const jump = damping * dangling + (1 - damping);
+    residual = 0;
+    for (let i = 0; i < n; i++) {
+      next[i] = damping * next[i] + jump * p[i];
+      residual += Math.abs(next[i] - x[i]);
+    }
+    const t = x; x = next; next = t;
+    iterations++;
+    if (residual < tol) break;
+  }
+  return { scores: x, iterations, residual: n ? residual : 0, converged: residual < tol || n === 0 };
+}
@@ -0,0 +1,173 @@
+/**
+ * Percolation of thresholded edges on the Voronoi skeleton.
+ * - Keeps the Voronoi edges whose score is above (or below) a threshold and splits the
+ *   resulting subgraph into connected clusters
+ * - In a periodic foam each cluster is unwrapped by BFS along minimum-image edge
+ *   vectors; an edge closing a loop whose two ends disagree by a whole lattice vector
+ *   is a wrap-around cycle, and its image counts (nx, ny, nz) are a winding vector.
+ *   A cluster with a winding along an axis spans the box along that axis (it percolates)
+ * - Clusters are numbered by size (0 = largest) so colors stay stable between frames
+ */
+
+import { minImageDelta, UNIT_BOX } from './core.js';
+import { isLattice, toFractional } from './lattice.js';
+
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// Image counts of a Cartesian offset that should be a whole lattice vector
+function imageCounts(d, box) {
+  const s = isLattice(box) ? toFractional(d, box) : [d[0] / box[0], d[1] / box[1], d[2] / box[2]];
+  return [Math.round(s[0]) || 0, Math.round(s[1]) || 0, Math.round(s[2]) || 0]; // no -0
+}
+
+// Keep a winding vector if it is independent of the ones kept so far (at most 3)
+function addIndependent(basis, v) {
+  if (basis.length >= 3) return;
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  if (basis.length === 1) {
+    const c = cross(basis[0], v);
+    if (c[0] === 0 && c[1] === 0 && c[2] === 0) return;
+  } else if (basis.length === 2) {
+    const c = cross(basis[0], basis[1]);
+    if (c[0] * v[0] + c[1] * v[1] + c[2] * v[2] === 0) return;
+  }
+  // Sign convention: first nonzero component positive
+  const k = v.findIndex((x) => x !== 0);
+  basis.push(v[k] < 0 ? v.map((x) => 0 - x) : v);
+}
+
+/**
+ * Connected clusters of the edges that pass a score threshold.
+ * @param {Object} foam - Needs centers, voronoiEdges, isPeriodic and box
+ * @param {Map<string, number>} scores - "t1-t2" -> score
+ * @param {Object} [opts]
+ * @param {number} [opts.threshold=0.5]
+ * @param {'above'|'below'} [opts.select='above'] - Keep score >= threshold, or < threshold
+ * @returns {{ threshold: number, select: string, numEdges: number, numNodes: number,
+ *   clusters: Object[], edgeCluster: Map<string, number>, nodeCluster: Int32Array,
+ *   sizeHistogram: Array<[number, number]>, largestFraction: number, meanClusterSize: number,
+ *   spanning: boolean, spanningAxes: boolean[] }}
+ *   clusters[i]: { id, size (vertices), edgeCount, nodes, edges, windings, wraps, spanning }.
+ *   largestFraction is the largest cluster's share of the selected vertices;
+ *   meanClusterSize is Σs²/Σs over the other clusters (the percolation susceptibility)
+ */
+export function analyzePercolation(foam, scores, { threshold = 0.5, select = 'above' } = {}) {
+  const centers = foam.centers || [];
+  const box = foam.box || UNIT_BOX;
+  const periodic = !!foam.isPeriodic;
+  const n = centers.length;
+  const keep = select === 'below' ? (s) => s < threshold : (s) => s >= threshold;
+
+  // Selected subgraph as adjacency lists: (neighbour, edge index)
+  const adj = Array.from({ length: n }, () => []);
+  const kept = [];
+  for (const [t1, t2] of foam.voronoiEdges || []) {
+    if (!centers[t1] || !centers[t2]) continue;
+    const key = edgeKey(t1, t2);
+    const s = scores ? scores.get(key) : undefined;
+    if (s === undefined || !keep(s)) continue;
+    const e = kept.push([t1, t2, key]) - 1;
+    adj[t1].push([t2, e]);
+    adj[t2].push([t1, e]);
+  }
+
+  const nodeCluster = new Int32Array(n).fill(-1);
+  const pos = new Array(n); // unwrapped center of each reached vertex
+  const raw = [];
+  for (let root = 0; root < n; root++) {
+    if (nodeCluster[root] !== -1 || adj[root].length === 0) continue;
+    const id = raw.length;
+    const cluster = { nodes: [root], edges: new Set(), windings: [] };
+    raw.push(cluster);
+    nodeCluster[root] = id;
+    pos[root] = centers[root];
+    for (let q = 0; q < cluster.nodes.length; q++) {
+      const u = cluster.nodes[q];
+      for (const [v, e] of adj[u]) {
+        cluster.edges.add(e);
+        const d = periodic ? minImageDelta(centers[u], centers[v], box) : [centers[v][0] - centers[u][0], centers[v][1] - centers[u][1], centers[v][2] - centers[u][2]];
+        const p = [pos[u][0] + d[0], pos[u][1] + d[1], pos[u][2] + d[2]];
+        if (nodeCluster[v] === -1) {
+          nodeCluster[v] = id;
+          pos[v] = p;
+          cluster.nodes.push(v);
+        } else if (periodic) {
+          const w = imageCounts([p[0] - pos[v][0], p[1] - pos[v][1], p[2] - pos[v][2]], box);
+          if (w[0] !== 0 || w[1] !== 0 || w[2] !== 0) addIndependent(cluster.windings, w);
+        }
+      }
+    }
+  }
+
+  // Renumber by size, largest first
+  const order = raw.map((_, i) => i).sort((a, b) => raw[b].nodes.length - raw[a].nodes.length || a - b);
+  const rank = new Int32Array(raw.length);
+  order.forEach((old, i) => { rank[old] = i; });
+  for (let t = 0; t < n; t++) if (nodeCluster[t] !== -1) nodeCluster[t] = rank[nodeCluster[t]];
+  const clusters = order.map((old, id) => {
+    const c = raw[old];
+    const wraps = [0, 1, 2].map((k) => c.windings.some((w) => w[k] !== 0));
+    return {
+      id,
+      size: c.nodes.length,
+      edgeCount: c.edges.size,
+      nodes: c.nodes.slice().sort((a, b) => a - b),
+      edges: Array.from(c.edges, (e) => kept[e][2]),
+      windings: c.windings,
+      wraps,
+      spanning: wraps.some(Boolean),
+    };
+  });
+  const edgeCluster = new Map();
+  for (const c of clusters) for (const key of c.edges) edgeCluster.set(key, c.id);
+
+  const histogram = new Map();
+  let numNodes = 0;
+  for (const c of clusters) {
+    histogram.set(c.size, (histogram.get(c.size) || 0) + 1);
+    numNodes += c.size;
+  }
+  let s1 = 0, s2 = 0;
+  for (let i = 1; i < clusters.length; i++) { s1 += clusters[i].size; s2 += clusters[i].size ** 2; }
+  const spanningAxes = [0, 1, 2].map((k) => clusters.some((c) => c.wraps[k]));
+  return {
+    threshold,
+    select,
+    numEdges: kept.length,
+    numNodes,
+    clusters,
+    edgeCluster,
+    nodeCluster,
+    sizeHistogram: Array.from(histogram).sort((a, b) => a[0] - b[0]),
+    largestFraction: numNodes ? clusters[0].size / numNodes : 0,
+    meanClusterSize: s1 ? s2 / s1 : 0,
+    spanning: spanningAxes.some(Boolean),
+    spanningAxes,
+  };
+}
+
+/**
+ * Percolation summary over a range of thresholds (e.g. to locate the spanning transition).
+ * @param {Object} foam
+ * @param {Map<string, number>} scores
+ * @param {number[]} thresholds
+ * @param {Object} [opts] - { select } as in analyzePercolation()
+ * @returns {Array<{ threshold: number, numEdges: number, numClusters: number, largestFraction: number,
+ *   meanClusterSize: number, spanning: boolean, spanningAxes: boolean[] }>}
+ */
+export function percolationSweep(foam, scores, thresholds, { select = 'above' } = {}) {
+  return thresholds.map((threshold) => {
+    const r = analyzePercolation(foam, scores, { threshold, select });
+    return {
+      threshold,
+      numEdges: r.numEdges,
+      numClusters: r.clusters.length,
+      largestFraction: r.largestFraction,
+      meanClusterSize: r.meanClusterSize,
+      spanning: r.spanning,
+      spanningAxes: r.spanningAxes,
+    };
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Power diagrams (weighted Voronoi) for polydisperse foams.
+ * - Each seed carries a weight w = r^2; power(x, p) = |x - p|^2 - w
+ * - The foam is built on the regular triangulation with power centers as Voronoi
+ *   vertices (buildFoam({ weights, centering: 'power' }))
+ * - relaxWeights() evolves weights so each cell's volume approaches its target
+ *   (by default proportional to r^3), alongside the position dynamics
+ */
+
+import { boxVolume, UNIT_BOX } from './core.js';
+import { buildCellPolyhedra } from './cells.js';
+
+/** Power weights from radii (w = r^2). */
+export function weightsFromRadii(radii) {
+  return Float64Array.from(radii, (r) => r * r);
+}
+
+/** Radii from power weights (negative weights read as 0). */
+export function radiiFromWeights(weights) {
+  return Float64Array.from(weights, (w) => Math.sqrt(Math.max(0, w)));
+}
+
+/**
+ * Target cell volumes proportional to r^3, summing to the box volume.
+ * @param {ArrayLike<number>} radii
+ * @param {number[]|Object} [box]
+ * @returns {Float64Array}
+ */
+export function targetVolumesFromRadii(radii, box = UNIT_BOX) {
+  let sum = 0;
+  for (const r of radii) sum += r * r * r;
+  const total = boxVolume(box);
+  if (!(sum > 0)) return new Float64Array(radii.length).fill(total / radii.length);
+  return Float64Array.from(radii, (r) => (total * r * r * r) / sum);
+}
+
+/**
+ * One explicit step of the weight dynamics dw_i = rate * ℓ² (V*_i − V_i) / V̄,
+ * with V̄ the mean target and ℓ² = V̄^(2/3), so the rate is dimensionless. In a periodic
+ * foam, cells that vanished (hidden seeds of the regular triangulation) count as zero
+ * volume and regrow; unbounded hull cells of a non-periodic foam keep their weight.
+ * Weights stay >= 0.
+ * @param {Object} foam - From buildFoam() (weighted)
+ * @param {ArrayLike<number>} weights
+ * @param {ArrayLike<number>} targets - Target volume per seed
+ * @param {number} rate - Relaxation rate times dt
+ * @returns {{ weights: Float64Array, volumes: Float64Array, volumeError: number }}
+ *   volumeError is the RMS of (V_i − V*_i) / V̄ over the updated cells, before the update
+ */
+export function relaxWeights(foam, weights, targets, rate) {
+  const n = weights.length;
+  const cells = buildCellPolyhedra(foam);
+  const volumes = new Float64Array(n);
+  for (let i = 0; i < n; i++) volumes[i] = cells[i] ? cells[i].volume : 0;
+  let meanVolume = 0;
+  for (let i = 0; i < n; i++) meanVolume += targets[i] / n;
+  const l2 = Math.cbrt(meanVolume) ** 2;
+  const next = Float64Array.from(weights);
+  let err2 = 0, count = 0;
+  for (let i = 0; i < n; i++) {
+    if (!cells[i] && !foam.isPeriodic) continue;
+    const e = (targets[i] - volumes[i]) / meanVolume;
+    err2 += e * e;
+    count++;
+    next[i] = Math.max(0, weights[i] + rate * l2 * e);
+  }
+  return { weights: next, volumes, volumeError: count ? Math.sqrt(err2 / count) : 0 };
+}
@@ -0,0 +1,227 @@
+/**
+ * Edge-scoring strategies by name.
+ * A scorer is { name, label, description, params, compute(foam, params, ctx) }:
+ * - params: schema entries { key, label, type: 'int' | 'number' | 'select', default,
+ *   min, max, step, options, description }
+ * - compute() returns the scores in [0, 1] either as a Float64Array indexed by edge id
+ *   (foam.voronoiEdges order, NaN = unscored; the built-in scorers write these directly)
+ *   or as a Map<"t1-t2", score>; `params` arrive resolved (defaults filled, numbers
+ *   clamped) and `ctx` carries run context: { seed, csr } where csr is the half-edge CSR
+ *   of this foam when the caller has one (dual.js mcCSR)
+ * computeEdgeScoreValues() hands out the typed form and computeEdgeScores() the Map,
+ * converting whichever one the scorer returned.
+ * The Brain worker, the headless runner and the UI parameter blocks all read this
+ * registry, so a registered scorer shows up everywhere its module has been imported
+ * (the worker imports extra scorer modules on a { type: 'loadScorers', urls } message).
+ */
+
+import { calculateScores, calculateEdgeScores, calculateEdgeScoresMonteCarlo, calculateEdgeScoresDirectedWalk, calculateEdgeScoresBetweenness } from './dynamics.js';
+import { buildLinkGraph } from './foam.js';
+
+const registry = new Map();
+
+function now() {
+  return (typeof performance !== 'undefined' ? performance.now() : Date.now());
+}
+
+function checkParam(p, name) {
+  if (!p || typeof p.key !== 'string') throw new Error(`Scorer "${name}": every param needs a key`);
+  if (!['int', 'number', 'select'].includes(p.type)) throw new Error(`Scorer "${name}": param "${p.key}" has unknown type "${p.type}"`);
+  if (p.type === 'select' && !(Array.isArray(p.options) && p.options.includes(p.default))) {
+    throw new Error(`Scorer "${name}": select param "${p.key}" needs options including its default`);
+  }
+  return Object.freeze({ label: p.key, ...p, options: p.options ? Object.freeze(p.options.slice()) : undefined });
+}
+
+/**
+ * Register (or replace) a scorer.
+ * @param {Object} scorer
+ * @param {string} scorer.name - Method id used by the worker, runner and UI
+ * @param {string} [scorer.label] - Display name (default: name)
+ * @param {string} [scorer.description]
+ * @param {Object[]} [scorer.params] - Parameter schema (see module doc)
+ * @param {Function} scorer.compute - (foam, params, ctx) => Float64Array by edge id or Map<"t1-t2", number>
+ * @returns {Object} the frozen scorer
+ */
+export function registerScorer({ name, label = name, description = '', params = [], compute }) {
+  if (typeof name !== 'string' || name === '') throw new Error('Scorer name must be a non-empty string');
+  if (typeof compute !== 'function') throw new Error(`Scorer "${name}" needs a compute(foam, params, ctx) function`);
+  const scorer = Object.freeze({ name, label, description, params: Object.freeze(params.map((p) => checkParam(p, name))), compute });
+  registry.set(name, scorer);
+  return scorer;
+}
+
+/** Remove a scorer; returns whether it was registered. */
+export function unregisterScorer(name) {
+  return registry.delete(name);
+}
+
+/** Scorer by name, or null. */
+export function getScorer(name) {
+  return registry.get(name) || null;
+}
+
+/** Registered scorers in registration order. */
+export function listScorers() {
+  return Array.from(registry.values());
+}
+
+function requireScorer(nameOrScorer) {
+  const scorer = typeof nameOrScorer === 'string' ? registry.get(nameOrScorer) : nameOrScorer;
+  if (!scorer) throw new Error(`Unknown edge scorer "${nameOrScorer}" (registered: ${Array.from(registry.keys()).join(', ')})`);
+  return scorer;
+}
+
+/**
+ * Fill defaults and coerce values to a scorer's schema: numbers are clamped to
+ * [min, max], ints rounded to a multiple of `step`, unknown select values fall back to
+ * the default. Keys outside the schema pass through unchanged.
+ * @param {string|Object} nameOrScorer
+ * @param {Object} [params]
+ * @returns {Object}
+ */
+export function resolveScorerParams(nameOrScorer, params = {}) {
+  const scorer = requireScorer(nameOrScorer);
+  const out = { ...(params || {}) };
+  for (const p of scorer.params) {
+    let v = out[p.key];
+    if (p.type === 'select') {
+      out[p.key] = p.options.includes(v) ? v : p.default;
+      continue;
+    }
+    v = typeof v === 'string' ? parseFloat(v.replace(',', '.')) : (v == null ? NaN : Number(v));
+    if (!Number.isFinite(v)) v = p.default;
+    if (p.type === 'int') v = p.step > 1 ? Math.round(v / p.step) * p.step : Math.round(v);
+    if (p.min !== undefined && v < p.min) v = p.min;
+    if (p.max !== undefined && v > p.max) v = p.max;
+    out[p.key] = v;
+  }
+  return out;
+}
+
+const edgeKey = (t1, t2) => (t1 < t2 ? `${t1}-${t2}` : `${t2}-${t1}`);
+
+function runScorer(foam, method, params, ctx) {
+  const scorer = requireScorer(method);
+  const resolved = resolveScorerParams(scorer, params);
+  const t0 = now();
+  const scores = scorer.compute(foam, resolved, ctx);
+  if (!(scores instanceof Map || scores instanceof Float64Array)) {
+    throw new Error(`Scorer "${scorer.name}" must return a Float64Array by edge id or a Map of edge scores`);
+  }
+  return { scores, runtimeMs: now() - t0, method: scorer.name, params: resolved };
+}
+
+/**
+ * Score the edges of a foam with a registered scorer.
+ * @param {Object} foam
+ * @param {string} method - Scorer name
+ * @param {Object} [params] - Resolved against the scorer's schema first
+ * @param {Object} [ctx] - { seed, csr }
+ * @returns {{ scores: Map<string, number>, runtimeMs: number, method: string, params: Object }}
+ */
+export function computeEdgeScores(foam, method, params = {}, ctx = {}) {
+  const result = runScorer(foam, method, params, ctx);
+  if (result.scores instanceof Float64Array) {
+    const values = result.scores;
+    const edges = foam.voronoiEdges || [];
+    result.scores = new Map();
+    for (let e = 0; e < values.length; e++) if (!Number.isNaN(values[e])) result.scores.set(edgeKey(edges[e][0], edges[e][1]), values[e]);
+  }
+  return result;
+}
+
+/**
+ * computeEdgeScores() with the scores as a Float64Array indexed by edge id
+ * (foam.voronoiEdges order, NaN = unscored); no string keys for the built-in scorers.
+ * @returns {{ values: Float64Array, runtimeMs: number, method: string, params: Object }}
+ */
+export function computeEdgeScoreValues(foam, method, params = {}, ctx = {}) {
+  const { scores, ...result } = runScorer(foam, method, params, ctx);
+  if (scores instanceof Float64Array) return { values: scores, ...result };
+  const edges = foam.voronoiEdges || [];
+  const values = new Float64Array(edges.length);
+  for (let e = 0; e < edges.length; e++) {
+    const v = scores.get(edgeKey(edges[e][0], edges[e][1]));
+    values[e] = v === undefined ? NaN : v;
+  }
+  return { values, ...result };
+}
+
+// Legacy tetrahedron flow (calculateScores over the obtuse link graph) spread onto edges:
+// each Voronoi edge gets the mean flow of its two tets, scaled so the largest is 1
+function flowEdgeScores(foam, depth) {
+  const linkGraph = foam.linkGraph || buildLinkGraph(foam.simplices, foam.centers, foam.facetPairs, foam.isPeriodic, foam.box);
+  const tetScores = calculateScores({ ...foam, linkGraph }, depth);
+  const edges = foam.voronoiEdges || [];
+  const out = new Float64Array(edges.length);
+  let max = 0;
+  for (let e = 0; e < edges.length; e++) {
+    const v = 0.5 * ((tetScores[edges[e][0]] || 0) + (tetScores[edges[e][1]] || 0));
+    out[e] = v;
+    if (v > max) max = v;
+  }
+  if (max > 0) for (let e = 0; e < out.length; e++) out[e] /= max;
+  return out;
+}
+
+const COMBINE = { key: 'combine', label: 'Combine directions', type: 'select', default: 'harmonic', options: ['harmonic', 'min'] };
+
+registerScorer({
+  name: 'pagerank',
+  label: 'PageRank (stationary)',
+  description: 'Stationary PageRank over the obtuse-edge graph',
+  params: [
+    { key: 'depth', label: 'PageRank Depth', type: 'int', default: 15, min: 5, max: 100, step: 1, description: 'Iteration cap' },
+    { key: 'damping', label: 'Damping', type: 'number', default: 0.85, min: 0.5, max: 0.99, step: 0.01 },
+    { key: 'tol', label: 'Tolerance', type: 'number', default: 1e-8, min: 0, max: 1e-2, step: 1e-8, description: 'L1 convergence tolerance' },
+  ],
+  compute: (foam, { depth, damping, tol }) => calculateEdgeScores(foam, depth, damping, { tol, byEdgeId: true }).scores,
+});
+
+registerScorer({
+  name: 'mc',
+  label: 'MC Walk (time‑bounded)',
+  description: 'Time-bounded directional random walks',
+  params: [
+    { key: 'L', label: 'Max Steps (L)', type: 'int', default: 12, min: 2, max: 32, step: 1, description: 'Walk horizon (number of steps). Larger explores farther, slower.' },
+    { key: 'K', label: 'Walkers per half‑edge (K)', type: 'int', default: 64, min: 8, max: 256, step: 8, description: 'Number of walkers per start. Higher = smoother colors.' },
+    { key: 'alpha', label: 'Per‑step survival (α)', type: 'number', default: 0.9, min: 0.75, max: 0.98, step: 0.01, description: 'Discount per step. Lower emphasizes near field.' },
+    COMBINE,
+  ],
+  compute: (foam, { L, K, alpha, combine, seed }, ctx) => calculateEdgeScoresMonteCarlo(foam, L, K, alpha, { combine, seed: seed ?? ctx.seed, byEdgeId: true }).scores,
+});
+
+registerScorer({
+  name: 'directed',
+  label: 'Directed walk (exact)',
+  description: 'Expected MC walk mass on the half-edge graph, without sampling noise',
+  params: [
+    { key: 'L', label: 'Max Steps (L)', type: 'int', default: 12, min: 1, max: 64, step: 1 },
+    { key: 'alpha', label: 'Per‑step survival (α)', type: 'number', default: 0.9, min: 0.5, max: 0.99, step: 0.01 },
+    COMBINE,
+  ],
+  compute: (foam, { L, alpha, combine }, ctx) => calculateEdgeScoresDirectedWalk(foam, L, alpha, { combine, csr: ctx.csr, byEdgeId: true }).scores,
+});
+
+registerScorer({
+  name: 'flow',
+  label: 'Tet flow (legacy)',
+  description: 'Legacy tetrahedron flow over the obtuse link graph, averaged onto edges',
+  params: [
+    { key: 'depth', label: 'Flow Depth', type: 'int', default: 15, min: 1, max: 100, step: 1 },
+  ],
+  compute: (foam, { depth }) => flowEdgeScores(foam, depth),
+});
+
+registerScorer({
+  name: 'betweenness',
+  label: 'Edge betweenness',
+  description: 'Share of shortest paths through the Voronoi skeleton (minimum-image lengths) that use each edge',
+  params: [
+    { key: 'samples', label: 'Source samples', type: 'int', default: 256, min: 0, max: 100000, step: 1, description: 'Random Dijkstra sources; 0 = exact (every Voronoi vertex)' },
+    { key: 'weight', label: 'Path length', type: 'select', default: 'length', options: ['length', 'hops'] },
+    { key: 'normalize', label: 'Normalize', type: 'select', default: 'max', options: ['max', 'rank'], description: 'Divide by the largest value, or use the percentile rank' },
+  ],
+  compute: (foam, { samples, weight, normalize, seed }, ctx) => calculateEdgeScoresBetweenness(foam, { samples, weight, normalize, seed: seed ?? ctx.seed, byEdgeId: true }).scores,
+});
@@ -0,0 +1,64 @@
+/**
+ * Versioned, JSON-safe snapshot format for a full VoroX simulation state.
+ * - Produced by createVoroX().serialize(), consumed by createVoroX({ restore })
+ * - Nested [x,y,z] arrays are stored flat; JSON numbers round-trip doubles exactly,
+ *   so a restored session continues bit-for-bit
+ */
+
+import { isLattice, createLattice } from './lattice.js';
+
+export const STATE_FORMAT = 'vorox-state';
+export const STATE_VERSION = 1;
+
+export function flatten(nested) {
+  return nested ? nested.flat() : null;
+}
+
+export function unflatten(flat, width = 3) {
+  if (!flat) return null;
+  const out = new Array(flat.length / width);
+  for (let i = 0, k = 0; i < flat.length; i += width, k++) out[k] = flat.slice(i, i + width);
+  return out;
+}
+
+export function serializeBox(box) {
+  if (isLattice(box)) {
+    return { lattice: { vectors: box.vectors0, shearRate: box.shearRate, strain: box.strain } };
+  }
+  return box.slice();
+}
+
+export function deserializeBox(data) {
+  if (data && data.lattice) return createLattice(data.lattice);
+  return data ? data.slice() : [1, 1, 1];
+}
+
+export function serializeScores(scores) {
+  if (!scores || scores.size === 0) return null;
+  return { keys: Array.from(scores.keys()), values: Array.from(scores.values()) };
+}
+
+export function deserializeScores(data) {
+  if (!data) return null;
+  const m = new Map();
+  for (let i = 0; i < data.keys.length; i++) m.set(data.keys[i], data.values[i]);
+  return m;
+}
+
+/**
+ * Accept a state object or its JSON string; throws on unknown format or version.
+ * @returns {Object} parsed state
+ */
+export function parseState(state) {
+  const s = typeof state === 'string' ? JSON.parse(state) : state;
+  if (!s || s.format !== STATE_FORMAT) {
+    throw new Error(`Not a VoroX state (expected format "${STATE_FORMAT}")`);
+  }
+  if (s.version !== STATE_VERSION) {
+    throw new Error(`Unsupported VoroX state version ${s.version} (this build reads version ${STATE_VERSION})`);
+  }
+  if (!Array.isArray(s.points) || s.points.length % 3 !== 0 || !Array.isArray(s.tetrahedra) || s.tetrahedra.length % 4 !== 0) {
+    throw new Error('Corrupt VoroX state: points/tetrahedra have the wrong shape');
+  }
+  return s;
+}
@@ -0,0 +1,148 @@
+/**
+ * Topological events between consecutive triangulations.
+ * - diffTopology() compares two tetrahedra lists by their Delaunay edges, faces and
+ *   vertices (index-independent, so rebuilt and repaired triangulations compare alike)
+ * - A Delaunay edge a-b that appears is a 2-3 flip (a new Voronoi face between cells a
+ *   and b, i.e. a T1 event); one that disappears is a 3-2 flip (the face shrank away).
+ *   `ring` lists the vertices around the edge: 3 for an elementary flip, more when
+ *   several flips happened between the two snapshots
+ * - A vertex that loses all its tets is a T2 event (a cell vanished; hidden seeds of a
+ *   regular triangulation); one that gains tets again is reported as a reappearing T2
+ * - createTopologyEventLog() keeps a bounded log of events and per-step counts
+ */
+
+import { minImageDelta, wrapPoint, UNIT_BOX } from './core.js';
+
+const EDGES = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+const FACES = [[0, 1, 2], [0, 1, 3], [0, 2, 3], [1, 2, 3]];
+
+// Delaunay edges (key -> ring vertex set), face keys and used vertices of a triangulation
+function collect(tetrahedra, n) {
+  const edges = new Map();
+  const faces = new Set();
+  const vertices = new Set();
+  for (const t of tetrahedra) {
+    for (const [i, j] of EDGES) {
+      const a = Math.min(t[i], t[j]), b = Math.max(t[i], t[j]);
+      const key = a * n + b;
+      let ring = edges.get(key);
+      if (!ring) { ring = new Set(); edges.set(key, ring); }
+      for (const v of t) if (v !== a && v !== b) ring.add(v);
+    }
+    for (const f of FACES) {
+      const s = [t[f[0]], t[f[1]], t[f[2]]].sort((x, y) => x - y);
+      faces.add((s[0] * n + s[1]) * n + s[2]);
+    }
+    for (const v of t) vertices.add(v);
+  }
+  return { edges, faces, vertices };
+}
+
+function edgeLocation(points, a, b, periodic, box) {
+  const p = points[a], q = points[b];
+  if (!p || !q) return null;
+  const d = periodic ? minImageDelta(p, q, box) : [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+  const m = [p[0] + 0.5 * d[0], p[1] + 0.5 * d[1], p[2] + 0.5 * d[2]];
+  return periodic ? wrapPoint(m, box) : m;
+}
+
+/**
+ * Diff two triangulations of the same point set.
+ * @param {number[][]} before - Previous tetrahedra
+ * @param {number[][]} after - New tetrahedra
+ * @param {Object} [opts]
+ * @param {number[][]} [opts.points] - Positions for event locations (usually the new ones)
+ * @param {boolean} [opts.periodic=true]
+ * @param {number[]|Object} [opts.box]
+ * @param {number} [opts.step=0] - Step number stamped on each event
+ * @returns {{ step: number, events: Object[], counts: { flips23: number, flips32: number,
+ *   t2: number, edgesAdded: number, edgesRemoved: number, facesAdded: number, facesRemoved: number } }}
+ *   events: { type: '2-3' | '3-2' | 'T2', step, cells: number[], ring: number[], location, appeared }
+ */
+export function diffTopology(before, after, { points = null, periodic = true, box = UNIT_BOX, step = 0 } = {}) {
+  let n = 1;
+  for (const t of before) for (const v of t) if (v >= n) n = v + 1;
+  for (const t of after) for (const v of t) if (v >= n) n = v + 1;
+  // Only tets whose slot changed can add or remove edges and faces; a candidate is an event
+  // unless an unchanged tet also has it (few candidates after a local repair)
+  const before_ = [], after_ = [], same = [];
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    const a = before[i], b = after[i];
+    if (a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3]) same.push(a);
+    else { if (a) before_.push(a); if (b) after_.push(b); }
+  }
+  const old = collect(before_, n);
+  const cur = collect(after_, n);
+  const candidate = new Uint8Array(n);
+  const mark = (key, size) => { for (let k = 0; k < size; k++) { candidate[key % n] = 1; key = Math.floor(key / n); } };
+  for (const key of cur.edges.keys()) if (!old.edges.has(key)) mark(key, 2);
+  for (const key of old.edges.keys()) if (!cur.edges.has(key)) mark(key, 2);
+  for (const key of cur.faces) if (!old.faces.has(key)) mark(key, 3);
+  for (const key of old.faces) if (!cur.faces.has(key)) mark(key, 3);
+  const kept = collect(same.filter((t) => candidate[t[0]] + candidate[t[1]] + candidate[t[2]] + candidate[t[3]] >= 2), n);
+  const used = new Uint8Array(n);
+  for (const t of same) for (const v of t) used[v] = 1;
+  const events = [];
+  const counts = { flips23: 0, flips32: 0, t2: 0, edgesAdded: 0, edgesRemoved: 0, facesAdded: 0, facesRemoved: 0 };
+  // Vertices that lost or gained all their tets; their edges belong to the T2 event
+  const hidden = new Set();
+  for (const v of old.vertices) if (!cur.vertices.has(v) && !used[v]) hidden.add(v);
+  for (const v of cur.vertices) if (!old.vertices.has(v) && !used[v]) hidden.add(v);
+  const edgeEvent = (key, ring, appeared) => {
+    const a = Math.floor(key / n), b = key % n;
+    if (appeared) counts.edgesAdded++; else counts.edgesRemoved++;
+    if (hidden.has(a) || hidden.has(b)) return;
+    if (appeared) counts.flips23++; else counts.flips32++;
+    events.push({
+      type: appeared ? '2-3' : '3-2',
+      step,
+      cells: [a, b],
+      ring: Array.from(ring).sort((x, y) => x - y),
+      location: points ? edgeLocation(points, a, b, periodic, box) : null,
+      appeared,
+    });
+  };
+  for (const [key, ring] of cur.edges) if (!old.edges.has(key) && !kept.edges.has(key)) edgeEvent(key, ring, true);
+  for (const [key, ring] of old.edges) if (!cur.edges.has(key) && !kept.edges.has(key)) edgeEvent(key, ring, false);
+  for (const key of cur.faces) if (!old.faces.has(key) && !kept.faces.has(key)) counts.facesAdded++;
+  for (const key of old.faces) if (!cur.faces.has(key) && !kept.faces.has(key)) counts.facesRemoved++;
+  for (const v of hidden) {
+    const appeared = cur.vertices.has(v);
+    events.push({ type: 'T2', step, cells: [v], ring: [], location: points && points[v] ? points[v].slice() : null, appeared });
+    counts.t2++;
+  }
+  return { step, events, counts };
+}
+
+/**
+ * Bounded log of topology events with per-step counts.
+ * @param {Object} [opts]
+ * @param {number} [opts.capacity=5000] - Events kept (oldest dropped first)
+ */
+export function createTopologyEventLog({ capacity = 5000 } = {}) {
+  let events = [];
+  let steps = []; // { step, flips23, flips32, t2 } per recorded diff
+  const totals = { flips23: 0, flips32: 0, t2: 0 };
+  return {
+    /** Append a diffTopology() result. */
+    record(diff) {
+      for (const e of diff.events) events.push(e);
+      if (events.length > capacity) events = events.slice(events.length - capacity);
+      const { flips23, flips32, t2 } = diff.counts;
+      steps.push({ step: diff.step, flips23, flips32, t2 });
+      if (steps.length > capacity) steps = steps.slice(steps.length - capacity);
+      totals.flips23 += flips23; totals.flips32 += flips32; totals.t2 += t2;
+    },
+    /** Events, optionally only those at or after step `since`. */
+    events: (since = -Infinity) => events.filter((e) => e.step >= since),
+    /** Per-diff counts, oldest first. */
+    steps: () => steps.slice(),
+    /** Counts since creation (or the last clear()). */
+    totals: () => ({ ...totals }),
+    clear() {
+      events = [];
+      steps = [];
+      totals.flips23 = totals.flips32 = totals.t2 = 0;
+    },
+  };
+}
@@ -4,16 +4,18 @@
  * More stable than Euler integration for oscillatory systems
  */
 
-import { wrap01 } from './core.js';
+import { wrapPoint, minImageDelta, normalizeBox, UNIT_BOX } from './core.js';
+import { unflatten } from './state.js';
 
 /**
  * Verlet integrator state
  * Stores current and previous positions for velocity inference
  */
 export class VerletIntegrator {
-    constructor(numPoints, isPeriodic = false) {
+    constructor(numPoints, isPeriodic = false, box = UNIT_BOX) {
         this.numPoints = numPoints;
         this.isPeriodic = isPeriodic;
+        this.box = normalizeBox(box); // Periodic box [Lx, Ly, Lz] or lattice
         this.positions = null;
         this.prevPositions = null;
         this.accelerations = Array.from({length: numPoints}, () => [0, 0, 0]);
@@ -30,17 +32,22 @@ export class VerletIntegrator {
         this.initialized = true;
     }
     
+    /**
+     * Displacement from prev to pos; minimum image when periodic so that
+     * wrapping across the boundary does not register as a velocity jump
+     */
+    _displacement(prev, pos) {
+        if (this.isPeriodic) return minImageDelta(prev, pos, this.box);
+        return [pos[0] - prev[0], pos[1] - prev[1], pos[2] - prev[2]];
+    }
+    
     /**
      * Update positions if external changes occur
      */
     setPositions(positions) {
         // Keep velocity by maintaining difference
         if (this.initialized && this.positions) {
-            const velocities = this.positions.map((p, i) => [
-                p[0] - this.prevPositions[i][0],
-                p[1] - this.prevPositions[i][1],
-                p[2] - this.prevPositions[i][2]
-            ]);
+            const velocities = this.positions.map((p, i) => this._displacement(this.prevPositions[i], p));
             
             this.positions = positions.map(p => [...p]);
             this.prevPositions = positions.map((p, i) => [
@@ -83,9 +90,10 @@ export class VerletIntegrator {
             const acc = this.accelerations[i];
             
             // Verlet formula with damping
-            let dx = this.damping * (pos[0] - prevPos[0]) + acc[0] * dtSquared;
-            let dy = this.damping * (pos[1] - prevPos[1]) + acc[1] * dtSquared;
-            let dz = this.damping * (pos[2] - prevPos[2]) + acc[2] * dtSquared;
+            const v = this._displacement(prevPos, pos);
+            let dx = this.damping * v[0] + acc[0] * dtSquared;
+            let dy = this.damping * v[1] + acc[1] * dtSquared;
+            let dz = this.damping * v[2] + acc[2] * dtSquared;
             
             // Clamp maximum displacement for stability
             const deltaMag = Math.sqrt(dx*dx + dy*dy + dz*dz);
@@ -97,18 +105,10 @@ export class VerletIntegrator {
             }
             
             // New position
-            let newX = pos[0] + dx;
-            let newY = pos[1] + dy;
-            let newZ = pos[2] + dz;
+            const newPos = [pos[0] + dx, pos[1] + dy, pos[2] + dz];
             
             // Apply periodic boundary conditions if needed
-            if (this.isPeriodic) {
-                newX = wrap01(newX);
-                newY = wrap01(newY);
-                newZ = wrap01(newZ);
-            }
-            
-            newPositions.push([newX, newY, newZ]);
+            newPositions.push(this.isPeriodic ? wrapPoint(newPos, this.box) : newPos);
         }
         
         // Update state
@@ -162,8 +162,8 @@ export class VerletIntegrator {
                 
                 // Reapply periodic boundaries if needed
                 if (this.isPeriodic) {
-                    this.positions[i] = this.positions[i].map(wrap01);
-                    this.positions[j] = this.positions[j].map(wrap01);
+                    this.positions[i] = wrapPoint(this.positions[i], this.box);
+                    this.positions[j] = wrapPoint(this.positions[j], this.box);
                 }
             }
         }
@@ -175,11 +175,7 @@ export class VerletIntegrator {
     getVelocities() {
         if (!this.initialized) return null;
         
-        return this.positions.map((pos, i) => [
-            pos[0] - this.prevPositions[i][0],
-            pos[1] - this.prevPositions[i][1],
-            pos[2] - this.prevPositions[i][2]
-        ]);
+        return this.positions.map((pos, i) => this._displacement(this.prevPositions[i], pos));
     }
     
     /**
@@ -189,6 +185,31 @@ export class VerletIntegrator {
         this.damping = Math.max(0, Math.min(1, damping));
     }
     
+    /**
+     * Export the full integrator state (positions and velocity history) as plain data
+     */
+    exportState() {
+        return {
+            numPoints: this.numPoints,
+            damping: this.damping,
+            initialized: this.initialized,
+            positions: this.positions ? this.positions.flat() : null,
+            prevPositions: this.prevPositions ? this.prevPositions.flat() : null,
+        };
+    }
+    
+    /**
+     * Restore a state produced by exportState()
+     */
+    importState(state) {
+        this.numPoints = state.numPoints;
+        this.damping = state.damping;
+        this.initialized = !!state.initialized;
+        this.positions = state.positions ? unflatten(state.positions) : null;
+        this.prevPositions = state.prevPositions ? unflatten(state.prevPositions) : null;
+        this.accelerations = Array.from({length: this.numPoints}, () => [0, 0, 0]);
+    }
+    
     /**
      * Reset the integrator
      */
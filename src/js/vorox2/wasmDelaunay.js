@@ -0,0 +1,268 @@
+/**
+ * Box-aware access to the Geogram WASM triangulation.
+ * - Builds exposing compute_delaunay_box triangulate any [Lx, Ly, Lz] box natively
+ * - Older builds only know the unit cube. Anisotropic periodic boxes and skewed
+ *   lattices are then triangulated as a non-periodic set of periodic images around
+ *   the cell, keeping each tet whose lowest-index vertex lies in the cell. The result
+ *   is the exact Cartesian triangulation; only foams so sparse that a tet touches two
+ *   images of one point throw
+ * - Per-point weights (w = r^2) give the regular triangulation dual to the power
+ *   diagram via compute_delaunay_weighted; builds without it start from the Delaunay
+ *   tets and grow the weights in stages, flipping to the regular triangulation after
+ *   each one (repairTriangulation(); seeds hidden by their neighbours drop out). When
+ *   the periodic flips meet tets wider than half the cell, the weights are grown on
+ *   the periodic images instead
+ */
+
+import { normalizeBox, boxVolume } from './core.js';
+import { isLattice, toFractional, latticeExtent } from './lattice.js';
+import { repairTriangulation } from './flips.js';
+
+export function isCubicBox(box) {
+  return box[0] === box[1] && box[1] === box[2];
+}
+
+/**
+ * Run the WASM Delaunay on a flat coordinate array expressed in box units.
+ * @param {Object} Module - Loaded PeriodicDelaunayModule
+ * @param {Float64Array} flat - Flat [x,y,z,...] coordinates
+ * @param {number} numPoints
+ * @param {boolean} periodic
+ * @param {number[]|Object} [box] - Periodic box [Lx, Ly, Lz] or lattice
+ * @param {Float64Array|number[]} [weights] - Power weights (w = r^2) for a regular triangulation
+ * @returns {Array<number[]>|null} Raw tetrahedra as returned by the module (valid vertices
+ *   only when they were assembled from periodic images or flipped)
+ * @throws {Error} When the points are too few for the cell (see above) or the flips to
+ *   the regular triangulation get stuck
+ */
+export function computeDelaunayRaw(Module, flat, numPoints, periodic, box, weights = null) {
+  box = normalizeBox(box);
+  if (isLattice(box) && box.orthogonal) box = latticeExtent(box);
+  if (!weights) return delaunayRaw(Module, flat, numPoints, periodic, box);
+  const w = Float64Array.from(weights);
+  if (typeof Module.compute_delaunay_weighted === 'function' && !isLattice(box)) {
+    return Module.compute_delaunay_weighted(flat, w, numPoints, periodic, box[0], box[1], box[2]);
+  }
+  const raw = delaunayRaw(Module, flat, numPoints, periodic, box);
+  if (!raw || !periodic) return raw && growWeights(raw, flat, numPoints, periodic, box, w);
+  try {
+    return growWeights(raw, flat, numPoints, periodic, box, w);
+  } catch (err) {
+    // Sparse foams: tets wider than half the cell cannot be flipped periodically, so
+    // the weights are grown on the periodic images instead
+    return imageTriangulation(Module, flat, numPoints, box, w);
+  }
+}
+
+function delaunayRaw(Module, flat, numPoints, periodic, box) {
+  if (isLattice(box)) {
+    return periodic ? imageTriangulation(Module, flat, numPoints, box) : Module.compute_delaunay(unitCubeCoords(flat, numPoints), numPoints, false);
+  }
+  if (typeof Module.compute_delaunay_box === 'function') {
+    return Module.compute_delaunay_box(flat, numPoints, periodic, box[0], box[1], box[2]);
+  }
+  if (box[0] === 1 && box[1] === 1 && box[2] === 1) {
+    return Module.compute_delaunay(flat, numPoints, periodic);
+  }
+  // Uniform scaling preserves the Delaunay criterion; per-axis scaling of a
+  // periodic box does not
+  if (periodic && !isCubicBox(box)) return imageTriangulation(Module, flat, numPoints, box);
+  const L = Math.max(box[0], box[1], box[2]);
+  return Module.compute_delaunay(flat.map((x) => x / L), numPoints, periodic);
+}
+
+// Translation and uniform scale into [0,1)^3, which the module wraps coordinates into
+function unitCubeCoords(flat, count) {
+  const lo = [Infinity, Infinity, Infinity];
+  let extent = 0;
+  for (let i = 0; i < 3 * count; i++) lo[i % 3] = Math.min(lo[i % 3], flat[i]);
+  for (let i = 0; i < 3 * count; i++) extent = Math.max(extent, flat[i] - lo[i % 3]);
+  const scale = 1 / ((extent || 1) * (1 + 1e-9));
+  return flat.map((x, i) => (x - lo[i % 3]) * scale);
+}
+
+// Periodic triangulation from the non-periodic one of the images near the cell (regular
+// with weights). The margin starts at a few spacings and grows to what the kept
+// circumspheres (orthospheres) need.
+function imageTriangulation(Module, flat, numPoints, box, weights = null) {
+  const cell = isLattice(box) ? box.vectors : [[box[0], 0, 0], [0, box[1], 0], [0, 0, box[2]]];
+  const volume = boxVolume(box);
+  const heights = [0, 1, 2].map((k) => {
+    const u = cell[(k + 1) % 3], v = cell[(k + 2) % 3];
+    return volume / Math.hypot(u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]);
+  });
+  const spacing = Math.cbrt(volume / numPoints);
+  let margin = heights.map((h) => Math.min(1, (3 * spacing) / h));
+  for (;;) {
+    const res = triangulateImages(Module, flat, numPoints, box, cell, margin, heights, weights);
+    if (res.tetrahedra) return res.tetrahedra;
+    if (margin.every((m) => m === 1)) break;
+    margin = margin.map((m, k) => Math.min(1, Math.max(1.1 * res.needed[k], m * (res.missing ? 2 : 1))));
+  }
+  throw new Error(`Cannot triangulate ${numPoints} points periodically: the periodic images do not tile the cell (circumspheres wider than the cell, or degenerate points)`);
+}
+
+// Tets of the images with fractional coordinates in [-margin, 1 + margin). Fails with the
+// margins the kept circumspheres need (more images could change those tets), or `missing`
+// when tets are missing behind tets anchored elsewhere.
+function triangulateImages(Module, flat, numPoints, box, cell, margin, heights, weights) {
+  const source = [];
+  const coords = [];
+  const offsets = [[0, 0, 0]];
+  for (const i of [-1, 0, 1]) for (const j of [-1, 0, 1]) for (const k of [-1, 0, 1]) if (i || j || k) offsets.push([i, j, k]);
+  // Central images come first, so image i < numPoints is point i (wrapped into the cell)
+  for (const o of offsets) {
+    for (let p = 0; p < numPoints; p++) {
+      const x = [flat[3*p], flat[3*p+1], flat[3*p+2]];
+      const s = toFractional3(x, box);
+      const shift = s.map((f, k) => o[k] - Math.floor(f));
+      if (!s.every((f, k) => f + shift[k] >= -margin[k] && f + shift[k] < 1 + margin[k])) continue;
+      source.push(p);
+      for (let k = 0; k < 3; k++) coords.push(x[k] + shift[0] * cell[0][k] + shift[1] * cell[1][k] + shift[2] * cell[2][k]);
+    }
+  }
+  const pos = Float64Array.from(coords);
+  let raw = Module.compute_delaunay(unitCubeCoords(pos, source.length), source.length, false) || [];
+  // An image is reached by spheres that pass within sqrt(w) of it
+  let reach = 0;
+  if (weights) {
+    raw = growWeights(raw, pos, source.length, false, null, Float64Array.from(source, (p) => weights[p]));
+    for (const w of weights) reach = Math.max(reach, w);
+  }
+  const P = (x) => [pos[3*x], pos[3*x+1], pos[3*x+2]];
+  const W = (v) => (weights ? v.map((x) => weights[source[x]]) : null);
+  const tets = [];
+  const needed = [0, 0, 0];
+  let covered = 0, fits = true;
+  for (const t of raw) {
+    const v = [t[0]|0, t[1]|0, t[2]|0, t[3]|0];
+    if (!v.every((x) => x >= 0 && x < source.length)) continue;
+    // Keep the copy whose lowest-index vertex is a central image
+    let anchor = 0;
+    for (let k = 1; k < 4; k++) if (source[v[k]] < source[v[anchor]]) anchor = k;
+    if (v[anchor] >= numPoints) continue;
+    const sphere = circumsphere(P(v[0]), P(v[1]), P(v[2]), P(v[3]), W(v));
+    if (!sphere) return { tetrahedra: null, needed: [1, 1, 1] };
+    const c = toFractional3(sphere.center, box);
+    const radius = Math.sqrt(sphere.radius * sphere.radius + reach);
+    for (let k = 0; k < 3; k++) {
+      const need = Math.max(radius / heights[k] - c[k], c[k] + radius / heights[k] - 1);
+      needed[k] = Math.max(needed[k], need);
+      if (need > margin[k]) fits = false;
+    }
+    const ids = v.map((x) => source[x]);
+    if (fits && new Set(ids).size < 4) throw new Error(`Cannot triangulate ${numPoints} points periodically: a tet touches two images of one point; use more points`);
+    covered += sphere.volume;
+    tets.push(ids);
+  }
+  if (!fits) return { tetrahedra: null, needed };
+  // Every kept tet is one of the periodic triangulation; they are all of them iff they tile the cell
+  if (Math.abs(covered / boxVolume(box) - 1) > 1e-9) return { tetrahedra: null, needed, missing: true };
+  return { tetrahedra: tets };
+}
+
+function toFractional3(p, box) {
+  return isLattice(box) ? toFractional(p, box) : [p[0] / box[0], p[1] / box[1], p[2] / box[2]];
+}
+
+// Circumcenter, radius and (signed) volume of a tet (orthosphere with weights wt); null
+// if it is flat
+function circumsphere(a, b, c, d, wt = null) {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const w = [d[0] - a[0], d[1] - a[1], d[2] - a[2]];
+  const vw = [v[1] * w[2] - v[2] * w[1], v[2] * w[0] - v[0] * w[2], v[0] * w[1] - v[1] * w[0]];
+  const wu = [w[1] * u[2] - w[2] * u[1], w[2] * u[0] - w[0] * u[2], w[0] * u[1] - w[1] * u[0]];
+  const uv = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+  const det = u[0] * vw[0] + u[1] * vw[1] + u[2] * vw[2];
+  if (!(Math.abs(det) > 0)) return null;
+  const nu = u[0] * u[0] + u[1] * u[1] + u[2] * u[2] - (wt ? wt[1] - wt[0] : 0);
+  const nv = v[0] * v[0] + v[1] * v[1] + v[2] * v[2] - (wt ? wt[2] - wt[0] : 0);
+  const nw = w[0] * w[0] + w[1] * w[1] + w[2] * w[2] - (wt ? wt[3] - wt[0] : 0);
+  const x = [0, 1, 2].map((k) => (nu * vw[k] + nv * wu[k] + nw * uv[k]) / (2 * det));
+  const r2 = x[0] * x[0] + x[1] * x[1] + x[2] * x[2] - (wt ? wt[0] : 0);
+  return { center: [a[0] + x[0], a[1] + x[1], a[2] + x[2]], radius: Math.sqrt(Math.max(0, r2)), volume: det / 6 };
+}
+
+// Grow the weights from zero on the Delaunay tets; a stage the flips cannot repair is
+// split in half
+function growWeights(raw, flat, numPoints, periodic, box, weights) {
+  let tets = [];
+  for (const t of raw) {
+    const v = [t[0]|0, t[1]|0, t[2]|0, t[3]|0];
+    if (v.every((x) => x >= 0 && x < numPoints)) tets.push(v);
+  }
+  const points = [];
+  for (let i = 0; i < numPoints; i++) points.push([flat[3*i], flat[3*i+1], flat[3*i+2]]);
+  let t = 0, h = 1;
+  while (t < 1) {
+    const next = Math.min(1, t + h);
+    const res = repairTriangulation(points, tets, { periodic, box, weights: weights.map((x) => next * x) });
+    if (res.ok) {
+      tets = res.tetrahedra;
+      t = next;
+      h *= 2;
+      continue;
+    }
+    h /= 2;
+    if (h < 1 / 1024) throw new Error(`Cannot flip to the regular triangulation (${res.reason}); rebuild the WASM with build.sh for compute_delaunay_weighted`);
+  }
+  return tets;
+}
+
+/**
+ * Deterministic ordering for a list of tetrahedra. Geogram returns the same set in
+ * a run-dependent order, which would renumber Voronoi edges between identical runs.
+ * Each tet is rotated to an even permutation of its sorted vertices (orientation is
+ * preserved) and the list is sorted lexicographically.
+ * @param {Array<number[]>} tets
+ * @returns {Array<number[]>} New array of canonical tets
+ */
+export function canonicalizeTetrahedra(tets) {
+  const out = tets.map((t) => {
+    const s = t.slice().sort((a, b) => a - b);
+    // Parity of the permutation taking t to s: count inversions in t
+    let inv = 0;
+    for (let i = 0; i < 4; i++) for (let j = i + 1; j < 4; j++) if (t[i] > t[j]) inv++;
+    if (inv & 1) { const tmp = s[2]; s[2] = s[3]; s[3] = tmp; }
+    return s;
+  });
+  out.sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]) || (Math.min(a[2], a[3]) - Math.min(b[2], b[3])) || (a[2] - b[2]));
+  return out;
+}
+
+/**
+ * Triangulate nested points and keep only tetrahedra with valid vertex indices
+ * (drops infinite vertices in non-periodic mode), in canonical order.
+ * @param {Object} Module - Loaded PeriodicDelaunayModule
+ * @param {number[][]} pointsArray
+ * @param {boolean} periodic
+ * @param {number[]|Object} [box]
+ * @param {Object} [opts] - { verbose=false, weights=null (power weights, regular triangulation) }
+ * @returns {number[][]} tetrahedra
+ */
+export function triangulatePoints(Module, pointsArray, periodic, box, { verbose = false, weights = null } = {}) {
+  const n = pointsArray.length;
+  const flat = new Float64Array(n * 3);
+  for (let i = 0; i < n; i++) {
+    const p = pointsArray[i];
+    flat[3*i] = p[0]; flat[3*i+1] = p[1]; flat[3*i+2] = p[2];
+  }
+  const raw = computeDelaunayRaw(Module, flat, n, periodic, box, weights);
+  if (!raw) return [];
+  const filtered = [];
+  let invalidCount = 0;
+  for (const t of raw) {
+    const v0 = t[0]|0, v1 = t[1]|0, v2 = t[2]|0, v3 = t[3]|0;
+    if (v0 >= 0 && v0 < n && v1 >= 0 && v1 < n && v2 >= 0 && v2 < n && v3 >= 0 && v3 < n) {
+      filtered.push([v0, v1, v2, v3]);
+    } else {
+      invalidCount++;
+    }
+  }
+  if (invalidCount > 0 && verbose) {
+    console.log(`Filtered out ${invalidCount} tetrahedra with infinite vertices (periodic=${periodic})`);
+  }
+  if (verbose) console.log(`Triangulation: ${raw.length} raw tets -> ${filtered.length} valid tets`);
+  return canonicalizeTetrahedra(filtered);
+}
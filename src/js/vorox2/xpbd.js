@@ -0,0 +1,621 @@
+/**
+ * XPBD constraint solver (extended position-based dynamics, Macklin et al. 2016).
+ * - Constraints C(x) = measure(x) − rest over flat xyz positions: distance, triangle area,
+ *   signed tetrahedron volume and cell volume (a quarter of the incident tet volumes,
+ *   the barycentric dual cell of a seed)
+ * - Each constraint keeps a Lagrange multiplier λ accumulated across iterations:
+ *   Δλ = (−C − α̃λ) / (Σ wᵢ|∇ᵢC|² + α̃), xᵢ += wᵢ ∇ᵢC Δλ with α̃ = compliance / h²
+ *   (compliance 0 = hard constraint) and h = dt / substeps
+ * - Substeps split dt: each applies its share of an optional displacement (the free
+ *   motion, e.g. dt·gradient), resets λ and runs `iterations` Gauss–Seidel sweeps
+ * - Periodic foams: every constraint is evaluated on its vertices unwrapped around the
+ *   first one; corrected points are wrapped back into the box
+ * addScoredFaceConstraints() turns edge scores into face-area targets, replacing the
+ * percentage nudges of the legacy XPBD path in VoroXAdapter.step().
+ * projectFoamCellVolumes() holds the foam cells themselves (the polyhedra of the Voronoi
+ * vertices, not the barycentric cells above) at target volumes, all cells at once.
+ */
+
+import { UNIT_BOX, normalizeBox, boxVolume } from './core.js';
+import { minImageDeltaFn, wrapPointFn, updatePackedCenters } from './packedFoam.js';
+
+const ARITY = { distance: 2, area: 3, volume: 4 };
+
+// Signed volume of local tet (i0..i3) in x; adds scale·∇V into g
+function tetVolume(x, i0, i1, i2, i3, g, scale) {
+  const ax = x[3 * i0], ay = x[3 * i0 + 1], az = x[3 * i0 + 2];
+  const bx = x[3 * i1] - ax, by = x[3 * i1 + 1] - ay, bz = x[3 * i1 + 2] - az;
+  const cx = x[3 * i2] - ax, cy = x[3 * i2 + 1] - ay, cz = x[3 * i2 + 2] - az;
+  const dx = x[3 * i3] - ax, dy = x[3 * i3 + 1] - ay, dz = x[3 * i3 + 2] - az;
+  // ∇b = (c × d)/6, ∇c = (d × b)/6, ∇d = (b × c)/6, ∇a = −(∇b + ∇c + ∇d)
+  const gbx = cy * dz - cz * dy, gby = cz * dx - cx * dz, gbz = cx * dy - cy * dx;
+  const gcx = dy * bz - dz * by, gcy = dz * bx - dx * bz, gcz = dx * by - dy * bx;
+  const gdx = by * cz - bz * cy, gdy = bz * cx - bx * cz, gdz = bx * cy - by * cx;
+  if (g) {
+    const s = scale / 6;
+    g[3 * i1] += s * gbx; g[3 * i1 + 1] += s * gby; g[3 * i1 + 2] += s * gbz;
+    g[3 * i2] += s * gcx; g[3 * i2 + 1] += s * gcy; g[3 * i2 + 2] += s * gcz;
+    g[3 * i3] += s * gdx; g[3 * i3 + 1] += s * gdy; g[3 * i3 + 2] += s * gdz;
+    g[3 * i0] -= s * (gbx + gcx + gdx); g[3 * i0 + 1] -= s * (gby + gcy + gdy); g[3 * i0 + 2] -= s * (gbz + gcz + gdz);
+  }
+  return (bx * gbx + by * gby + bz * gbz) / 6;
+}
+
+// measure(c, x, g): constraint value before subtracting rest; writes ∇ into g (zeroed by the
+// caller). Cell volumes are measured tet by tet inside the solver
+const MEASURES = {
+  distance(c, x, g) {
+    const dx = x[3] - x[0], dy = x[4] - x[1], dz = x[5] - x[2];
+    const L = Math.hypot(dx, dy, dz);
+    if (L > 0) {
+      g[3] = dx / L; g[4] = dy / L; g[5] = dz / L;
+      g[0] = -g[3]; g[1] = -g[4]; g[2] = -g[5];
+    }
+    return L;
+  },
+  area(c, x, g) {
+    const abx = x[3] - x[0], aby = x[4] - x[1], abz = x[5] - x[2];
+    const acx = x[6] - x[0], acy = x[7] - x[1], acz = x[8] - x[2];
+    const nx = aby * acz - abz * acy, ny = abz * acx - abx * acz, nz = abx * acy - aby * acx;
+    const N = Math.hypot(nx, ny, nz);
+    if (!(N > 0)) return 0;
+    const ux = 0.5 * nx / N, uy = 0.5 * ny / N, uz = 0.5 * nz / N;
+    // ∇a = n̂/2 × (c − b), ∇b = n̂/2 × (a − c), ∇c = n̂/2 × (b − a)
+    const edges = [[6, 3], [0, 6], [3, 0]];
+    for (let k = 0; k < 3; k++) {
+      const [p, q] = edges[k];
+      const ex = x[p] - x[q], ey = x[p + 1] - x[q + 1], ez = x[p + 2] - x[q + 2];
+      g[3 * k] = uy * ez - uz * ey; g[3 * k + 1] = uz * ex - ux * ez; g[3 * k + 2] = ux * ey - uy * ex;
+    }
+    return 0.5 * N;
+  },
+  volume(c, x, g) {
+    return tetVolume(x, 0, 1, 2, 3, g, 1);
+  },
+};
+
+/**
+ * Percentage target change of a face from its edge score (the legacy XPBD directive).
+ * @param {number} score
+ * @param {Object} [opts]
+ * @returns {number|null} p with target = (1 + p)·area, or null when the face is left alone
+ */
+export function scoreAreaChange(score, { threshold = 0.5, contractive = false, expansive = true, invert = false, strength = 0.05, gamma = 1, maxScale = 0.1 } = {}) {
+  if (!Number.isFinite(score)) return null;
+  const r = invert ? (threshold - score) : (score - threshold);
+  if ((r < 0 && !contractive) || (r > 0 && !expansive)) return null;
+  const f = gamma === 1 ? Math.abs(r) : Math.pow(Math.abs(r), gamma);
+  const m = Math.abs(maxScale || 0);
+  return Math.max(-m, Math.min(m, (r >= 0 ? 1 : -1) * (strength || 0) * f));
+}
+
+/**
+ * Create an XPBD solver.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.isPeriodic=false]
+ * @param {number[]|Object} [opts.box] - Periodic box or lattice
+ * @param {ArrayLike<number>} [opts.invMass] - Inverse mass per point (0 pins it); default 1
+ * @param {number} [opts.compliance=0] - Default compliance of added constraints
+ */
+export function createXPBDSolver({ isPeriodic = false, box = UNIT_BOX, invMass = null, compliance = 0 } = {}) {
+  box = normalizeBox(box);
+  const delta = minImageDeltaFn(isPeriodic, box);
+  const wrap = wrapPointFn(isPeriodic, box);
+  let constraints = [];
+  let maxArity = 4;
+  let x = new Float64Array(3 * maxArity);
+  let g = new Float64Array(3 * maxArity);
+  const d = new Float64Array(3);
+  const q = new Float64Array(12);
+  const gq = new Float64Array(12);
+  const w = (i) => (invMass ? invMass[i] : 1);
+
+  // Constraint vertices into x, unwrapped around the first one
+  function load(c, pos) {
+    const v = c.verts;
+    const v0 = v[0];
+    x[0] = pos[3 * v0]; x[1] = pos[3 * v0 + 1]; x[2] = pos[3 * v0 + 2];
+    for (let k = 1; k < v.length; k++) {
+      delta(d, x[0], x[1], x[2], pos[3 * v[k]], pos[3 * v[k] + 1], pos[3 * v[k] + 2]);
+      x[3 * k] = x[0] + d[0]; x[3 * k + 1] = x[1] + d[1]; x[3 * k + 2] = x[2] + d[2];
+    }
+  }
+
+  // Signed volume of tet t of a cell constraint, unwrapped around its own first vertex
+  // (small periodic foams can hold one point at two images within a cell); ∇ into gq
+  function cellTet(c, t, pos) {
+    for (let k = 0; k < 4; k++) {
+      const i = c.verts[c.tetLocal[4 * t + k]];
+      if (k === 0) {
+        q[0] = pos[3 * i]; q[1] = pos[3 * i + 1]; q[2] = pos[3 * i + 2];
+        continue;
+      }
+      delta(d, q[0], q[1], q[2], pos[3 * i], pos[3 * i + 1], pos[3 * i + 2]);
+      q[3 * k] = q[0] + d[0]; q[3 * k + 1] = q[1] + d[1]; q[3 * k + 2] = q[2] + d[2];
+    }
+    gq.fill(0);
+    return tetVolume(q, 0, 1, 2, 3, gq, 1);
+  }
+
+  function measure(c, pos) {
+    g.fill(0, 0, 3 * c.verts.length);
+    if (c.type !== 'cellVolume') {
+      load(c, pos);
+      return MEASURES[c.type](c, x, g);
+    }
+    let V = 0;
+    for (let t = 0; t < c.signs.length; t++) {
+      const s = 0.25 * c.signs[t];
+      V += s * cellTet(c, t, pos);
+      for (let k = 0; k < 4; k++) {
+        const l = 3 * c.tetLocal[4 * t + k];
+        g[l] += s * gq[3 * k]; g[l + 1] += s * gq[3 * k + 1]; g[l + 2] += s * gq[3 * k + 2];
+      }
+    }
+    return V;
+  }
+
+  // Missing rest values (and cell tet orientations) from the current positions
+  function resolveRest(pos) {
+    for (const c of constraints) {
+      if (c.signs && !c.signsSet) {
+        for (let t = 0; t < c.signs.length; t++) c.signs[t] = cellTet(c, t, pos) < 0 ? -1 : 1;
+        c.signsSet = true;
+      }
+      if (c.rest === null) c.rest = measure(c, pos);
+    }
+  }
+
+  function push(c) {
+    if (c.verts.length > maxArity) {
+      maxArity = c.verts.length;
+      x = new Float64Array(3 * maxArity);
+      g = new Float64Array(3 * maxArity);
+    }
+    return constraints.push(c) - 1;
+  }
+
+  /**
+   * Add a distance, area or (signed tet) volume constraint.
+   * @param {'distance'|'area'|'volume'} type
+   * @param {number[]} verts - 2, 3 or 4 point ids
+   * @param {Object} [opts] - { rest (default: the value at the first solve), compliance }
+   * @returns {number} constraint id
+   */
+  function add(type, verts, { rest = null, compliance: alpha = compliance } = {}) {
+    if (!ARITY[type]) throw new Error(`Unknown XPBD constraint type "${type}"`);
+    if (verts.length !== ARITY[type]) throw new Error(`XPBD ${type} constraint needs ${ARITY[type]} points, got ${verts.length}`);
+    return push({ type, verts: Int32Array.from(verts), rest, compliance: alpha, lambda: 0 });
+  }
+
+  /**
+   * Add a cell-volume constraint: a quarter of the volume of the tets around a seed.
+   * @param {Array<number[]>} tets - Point ids of each incident tet
+   * @param {Object} [opts] - { rest, compliance } as in add()
+   * @returns {number} constraint id
+   */
+  function addCellVolume(tets, { rest = null, compliance: alpha = compliance } = {}) {
+    const local = new Map();
+    const tetLocal = new Int32Array(4 * tets.length);
+    tets.forEach((tet, t) => {
+      for (let k = 0; k < 4; k++) {
+        if (!local.has(tet[k])) local.set(tet[k], local.size);
+        tetLocal[4 * t + k] = local.get(tet[k]);
+      }
+    });
+    return push({ type: 'cellVolume', verts: Int32Array.from(local.keys()), tetLocal, signs: new Int8Array(tets.length), signsSet: false, rest, compliance: alpha, lambda: 0 });
+  }
+
+  /**
+   * Project positions onto the constraints.
+   * @param {Float64Array} positions - Flat xyz, updated in place
+   * @param {number} dt
+   * @param {Object} [opts]
+   * @param {number} [opts.iterations=4] - Gauss–Seidel sweeps per substep
+   * @param {number} [opts.substeps=1]
+   * @param {Float64Array} [opts.displacement] - Free motion over dt, applied in equal parts per substep
+   * @returns {{ constraints: number, substeps: number, iterations: number, maxError: number,
+   *   rmsError: number, maxDelta: number, meanDelta: number }} errors |C| after the solve;
+   *   deltas are per-point correction lengths of the projections
+   */
+  function solve(positions, dt, { iterations = 4, substeps = 1, displacement = null } = {}) {
+    const n = positions.length / 3;
+    const S = Math.max(1, substeps | 0);
+    const iters = Math.max(1, iterations | 0);
+    const h = dt > 0 ? dt / S : 1;
+    resolveRest(positions);
+    let maxDelta = 0, sumDelta = 0, moves = 0;
+    for (let s = 0; s < S; s++) {
+      if (displacement) {
+        for (let i = 0; i < n; i++) {
+          if (w(i) === 0) continue;
+          positions[3 * i] += displacement[3 * i] / S;
+          positions[3 * i + 1] += displacement[3 * i + 1] / S;
+          positions[3 * i + 2] += displacement[3 * i + 2] / S;
+          wrap(positions, i);
+        }
+      }
+      for (const c of constraints) c.lambda = 0;
+      for (let it = 0; it < iters; it++) {
+        for (const c of constraints) {
+          const C = measure(c, positions) - c.rest;
+          const v = c.verts;
+          let denom = 0;
+          for (let k = 0; k < v.length; k++) denom += w(v[k]) * (g[3 * k] ** 2 + g[3 * k + 1] ** 2 + g[3 * k + 2] ** 2);
+          const alpha = c.compliance / (h * h);
+          if (!(denom + alpha > 1e-30)) continue;
+          const dl = (-C - alpha * c.lambda) / (denom + alpha);
+          c.lambda += dl;
+          for (let k = 0; k < v.length; k++) {
+            const i = v[k];
+            const s2 = w(i) * dl;
+            if (s2 === 0) continue;
+            const mx = s2 * g[3 * k], my = s2 * g[3 * k + 1], mz = s2 * g[3 * k + 2];
+            positions[3 * i] += mx; positions[3 * i + 1] += my; positions[3 * i + 2] += mz;
+            wrap(positions, i);
+            const m = Math.hypot(mx, my, mz);
+            if (m > maxDelta) maxDelta = m;
+            sumDelta += m;
+            moves++;
+          }
+        }
+      }
+    }
+    let maxError = 0, sq = 0;
+    for (const c of constraints) {
+      const e = Math.abs(measure(c, positions) - c.rest);
+      if (e > maxError) maxError = e;
+      sq += e * e;
+    }
+    return {
+      constraints: constraints.length,
+      substeps: S,
+      iterations: iters,
+      maxError,
+      rmsError: constraints.length ? Math.sqrt(sq / constraints.length) : 0,
+      maxDelta,
+      meanDelta: moves ? sumDelta / moves : 0,
+    };
+  }
+
+  return {
+    add,
+    addDistance: (i, j, opts) => add('distance', [i, j], opts),
+    addArea: (i, j, k, opts) => add('area', [i, j, k], opts),
+    addTetVolume: (i, j, k, l, opts) => add('volume', [i, j, k, l], opts),
+    addCellVolume,
+    solve,
+    /** Current constraint values C = measure − rest (rests resolved first). */
+    evaluate(positions) {
+      resolveRest(positions);
+      return Float64Array.from(constraints, (c) => measure(c, positions) - c.rest);
+    },
+    /** Constraint by id: { type, verts, rest, compliance, lambda }. */
+    get: (id) => constraints[id],
+    setRest(id, rest) { constraints[id].rest = rest; },
+    setCompliance(id, alpha) { constraints[id].compliance = alpha; },
+    /** Multipliers of the last substep, by constraint id. */
+    getLambdas: () => Float64Array.from(constraints, (c) => c.lambda),
+    get size() { return constraints.length; },
+    clear() { constraints = []; },
+  };
+}
+
+/**
+ * Face-area constraints from edge scores: the Delaunay face dual to each scored edge past
+ * the threshold targets (1 + p)·(current area), p from scoreAreaChange().
+ * @param {Object} solver - From createXPBDSolver()
+ * @param {Object} pf - Packed foam (packedFoam.js)
+ * @param {Float64Array} scores - Per edge id, NaN = unscored
+ * @param {Object} [opts] - scoreAreaChange() options plus { compliance }
+ * @returns {number} constraints added on non-degenerate faces
+ */
+export function addScoredFaceConstraints(solver, pf, scores, opts = {}) {
+  const { compliance } = opts;
+  const added = [];
+  for (let e = 0; e < pf.numEdges; e++) {
+    const p = scoreAreaChange(scores[e], opts);
+    if (p === null) continue;
+    const id = solver.addArea(pf.edgeFaces[3 * e], pf.edgeFaces[3 * e + 1], pf.edgeFaces[3 * e + 2], compliance === undefined ? {} : { compliance });
+    added.push([id, p]);
+  }
+  solver.evaluate(pf.positions); // rests default to the current areas
+  let count = 0;
+  for (const [id, p] of added) {
+    const A = solver.get(id).rest;
+    if (A > 0) count++;
+    solver.setRest(id, A * (1 + p));
+  }
+  return count;
+}
+
+// Local vertex pairs of a tet's six edges; slot of pair (i, j), i < j
+const EDGE_PAIRS = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+const edgeSlot = (i, j) => (i === 0 ? j - 1 : i === 1 ? j + 1 : 5);
+
+function localIndex(simplices, t, v) {
+  for (let k = 0; k < 4; k++) if (simplices[4 * t + k] === v) return k;
+  return -1;
+}
+
+/**
+ * Voronoi faces of a packed foam: the ring of tets around every Delaunay edge a-b, walked
+ * through facet neighbours and ordered so that the polygon of their centers turns
+ * counter-clockwise about a → b (outward for cell a, as in buildCellPolyhedra()).
+ * Depends on the tets only; rebuild it when they change.
+ * @param {Object} pf
+ * @returns {{ numFaces: number, seeds: Int32Array, ptr: Int32Array, tets: Int32Array, bounded: Uint8Array }}
+ *   face f separates seeds[2f] and seeds[2f + 1] and has tets ptr[f] .. ptr[f + 1] − 1;
+ *   bounded[i] = 0 when a ring around seed i is open (hull) or it has fewer than 4 faces
+ */
+export function buildCellFaces(pf) {
+  const { simplices: S, facetNeighbor, positions: pos, numTets, numPoints } = pf;
+  const delta = minImageDeltaFn(pf.isPeriodic, pf.box);
+  const seen = new Uint8Array(6 * numTets);
+  const open = new Uint8Array(numPoints);
+  const count = new Int32Array(numPoints);
+  const seeds = [];
+  const ptr = [0];
+  const ring = [];
+  const u = new Float64Array(3), v = new Float64Array(3), w = new Float64Array(3);
+  for (let t = 0; t < numTets; t++) {
+    for (let s = 0; s < 6; s++) {
+      if (seen[6 * t + s]) continue;
+      const [i, j] = EDGE_PAIRS[s];
+      const a = S[4 * t + i], b = S[4 * t + j];
+      if (a === b) continue;
+      const [kc, kd] = [0, 1, 2, 3].filter((k) => k !== i && k !== j);
+      const start = ring.length;
+      // Leave each tet through the facet that omits the vertex it was entered by
+      let tet = t, back = S[4 * t + kc], closed = false;
+      while (ring.length - start <= numTets) {
+        const la = localIndex(S, tet, a), lb = localIndex(S, tet, b), lc = localIndex(S, tet, back);
+        if (la < 0 || lb < 0 || lc < 0) break;
+        seen[6 * tet + edgeSlot(Math.min(la, lb), Math.max(la, lb))] = 1;
+        ring.push(tet);
+        const h = facetNeighbor[4 * tet + 3 - lc];
+        if (h < 0) break;
+        back = S[4 * tet + (6 - la - lb - lc)];
+        tet = h >> 2;
+        if (tet === t) { closed = true; break; }
+      }
+      if (!closed || ring.length - start < 3) {
+        ring.length = start;
+        open[a] = 1;
+        open[b] = 1;
+        continue;
+      }
+      // The walk turns from c toward d: counter-clockwise about a → b when (b − a, c − a, d − a) is positive
+      const ax = pos[3 * a], ay = pos[3 * a + 1], az = pos[3 * a + 2];
+      const c = S[4 * t + kc], d = S[4 * t + kd];
+      delta(u, ax, ay, az, pos[3 * b], pos[3 * b + 1], pos[3 * b + 2]);
+      delta(v, ax, ay, az, pos[3 * c], pos[3 * c + 1], pos[3 * c + 2]);
+      delta(w, ax, ay, az, pos[3 * d], pos[3 * d + 1], pos[3 * d + 2]);
+      const det = u[0] * (v[1] * w[2] - v[2] * w[1]) - u[1] * (v[0] * w[2] - v[2] * w[0]) + u[2] * (v[0] * w[1] - v[1] * w[0]);
+      if (det < 0) seeds.push(b, a);
+      else seeds.push(a, b);
+      ptr.push(ring.length);
+      count[a]++;
+      count[b]++;
+    }
+  }
+  const bounded = new Uint8Array(numPoints);
+  for (let i = 0; i < numPoints; i++) bounded[i] = !open[i] && count[i] >= 4 ? 1 : 0;
+  return { numFaces: ptr.length - 1, seeds: Int32Array.from(seeds), ptr: Int32Array.from(ptr), tets: Int32Array.from(ring), bounded };
+}
+
+// Cell volumes from the current pf.centers (NaN when unbounded); with `grad`, the terms of
+// the Voronoi volume gradient of each face: ∂V_a/∂x_a = g·u, ∂V_a/∂x_b = g·w and the
+// opposite for V_b, with g = area / |x_b − x_a|, u = f − x_a, w = x_b − f (f its centroid)
+function faceVolumes(pf, faces, out, grad) {
+  const { positions: pos, centers } = pf;
+  const delta = minImageDeltaFn(pf.isPeriodic, pf.box);
+  const d = new Float64Array(3);
+  const p = new Float64Array(3), q = new Float64Array(3), r = new Float64Array(3);
+  out.fill(0);
+  for (let f = 0; f < faces.numFaces; f++) {
+    const a = faces.seeds[2 * f], b = faces.seeds[2 * f + 1];
+    const ax = pos[3 * a], ay = pos[3 * a + 1], az = pos[3 * a + 2];
+    delta(d, ax, ay, az, pos[3 * b], pos[3 * b + 1], pos[3 * b + 2]);
+    const lo = faces.ptr[f], hi = faces.ptr[f + 1];
+    const t0 = faces.tets[lo];
+    delta(p, ax, ay, az, centers[3 * t0], centers[3 * t0 + 1], centers[3 * t0 + 2]);
+    let t1 = faces.tets[lo + 1];
+    delta(q, ax, ay, az, centers[3 * t1], centers[3 * t1 + 1], centers[3 * t1 + 2]);
+    // Fan from the first center: triple products with x_a, their vector areas and centroids
+    let triple = 0, nx = 0, ny = 0, nz = 0, area = 0, fx = 0, fy = 0, fz = 0;
+    for (let k = lo + 2; k < hi; k++) {
+      const t2 = faces.tets[k];
+      delta(r, ax, ay, az, centers[3 * t2], centers[3 * t2 + 1], centers[3 * t2 + 2]);
+      triple += p[0] * (q[1] * r[2] - q[2] * r[1]) - p[1] * (q[0] * r[2] - q[2] * r[0]) + p[2] * (q[0] * r[1] - q[1] * r[0]);
+      const ux = q[0] - p[0], uy = q[1] - p[1], uz = q[2] - p[2];
+      const vx = r[0] - p[0], vy = r[1] - p[1], vz = r[2] - p[2];
+      const cx = uy * vz - uz * vy, cy = uz * vx - ux * vz, cz = ux * vy - uy * vx;
+      nx += cx; ny += cy; nz += cz;
+      const A = 0.5 * Math.hypot(cx, cy, cz);
+      area += A;
+      fx += A * (p[0] + q[0] + r[0]) / 3; fy += A * (p[1] + q[1] + r[1]) / 3; fz += A * (p[2] + q[2] + r[2]) / 3;
+      q.set(r);
+    }
+    out[a] += triple / 6;
+    out[b] -= (triple - (d[0] * nx + d[1] * ny + d[2] * nz)) / 6;
+    if (grad) {
+      const len = Math.hypot(d[0], d[1], d[2]);
+      const o = 7 * f;
+      grad[o] = area > 0 && len > 0 ? area / len : 0;
+      if (area > 0) { fx /= area; fy /= area; fz /= area; }
+      grad[o + 1] = fx; grad[o + 2] = fy; grad[o + 3] = fz;
+      grad[o + 4] = d[0] - fx; grad[o + 5] = d[1] - fy; grad[o + 6] = d[2] - fz;
+    }
+  }
+  for (let i = 0; i < out.length; i++) if (!faces.bounded[i]) out[i] = NaN;
+  return out;
+}
+
+/**
+ * Foam cell volume of every seed from the packed foam's centers: the cells of
+ * buildCellPolyhedra() (the stats panel's cells), without building them.
+ * @param {Object} pf
+ * @param {Object} faces - From buildCellFaces(pf) on the same tets
+ * @param {Float64Array} [out]
+ * @returns {Float64Array} NaN for unbounded cells
+ */
+export function foamCellVolumes(pf, faces, out = new Float64Array(pf.numPoints)) {
+  return faceVolumes(pf, faces, out, null);
+}
+
+/**
+ * Project the points of a packed foam so that its foam cells reach target volumes.
+ * Each iteration takes an XPBD step on all cells at once: (J Jᵀ + α̃) Δλ = −C − α̃λ, solved
+ * by conjugate gradients, then x += Jᵀ Δλ, with J the Voronoi (power) volume gradient. That
+ * gradient is exact for circumcenter and power centers on Delaunay tets, so the iterations
+ * converge like Gauss–Newton there. A step that does not lower the error (once
+ * `retriangulate` brought the tets up to date) is damped toward gradient descent and tried
+ * again, so the error never grows.
+ * @param {Object} pf - Positions and centers are updated in place
+ * @param {Object} faces - From buildCellFaces(pf)
+ * @param {ArrayLike<number>} targets - Per seed; NaN leaves a cell free
+ * @param {Object} [opts]
+ * @param {number} [opts.dt=1]
+ * @param {number} [opts.compliance=0] - α̃ = compliance / dt²
+ * @param {number} [opts.iterations=4] - At most this many steps
+ * @param {number} [opts.tol=1e-6] - Stop once the RMS volume error is below tol·mean(target)
+ * @param {number} [opts.maxMove=Infinity] - Largest point move per step
+ * @param {Function} [opts.retriangulate] - (pf, from) => { pf, faces } | null | false, called
+ *   after each move with the positions `from` that pf's tets were exact for: a packed foam
+ *   on repaired tets, null when the tets still hold, false when they cannot be repaired
+ *   (the move is then damped)
+ * @returns {{ pf: Object, faces: Object, constraints: number, iterations: number,
+ *   drift: number, rmsError: number, maxError: number, volumes: Float64Array }} pf and faces
+ *   are the (possibly retriangulated) final ones; drift is the RMS error before the
+ *   projection, rmsError and maxError after it
+ */
+export function projectFoamCellVolumes(pf, faces, targets, { dt = 1, compliance = 0, iterations = 4, tol = 1e-6, maxMove = Infinity, retriangulate = null } = {}) {
+  const n = pf.numPoints;
+  const wrap = wrapPointFn(pf.isPeriodic, pf.box);
+  const active = new Uint8Array(n);
+  let m = 0, mean = 0;
+  for (let i = 0; i < n; i++) {
+    if (faces.bounded[i] && Number.isFinite(targets[i])) { active[i] = 1; m++; mean += targets[i]; }
+  }
+  mean = m ? Math.abs(mean / m) : 0;
+  const alpha = compliance / (dt > 0 ? dt * dt : 1);
+  let volumes = new Float64Array(n);
+  let grad = new Float64Array(7 * faces.numFaces);
+  const lambda = new Float64Array(n);
+  const rhs = new Float64Array(n);
+  const dl = new Float64Array(n);
+  const res = new Float64Array(n), dir = new Float64Array(n), Ad = new Float64Array(n);
+  const y = new Float64Array(3 * n);
+  // Jᵀ·l into y (per-point displacement)
+  const spread = (l) => {
+    y.fill(0);
+    for (let f = 0; f < faces.numFaces; f++) {
+      const a = faces.seeds[2 * f], b = faces.seeds[2 * f + 1], o = 7 * f;
+      const s = grad[o] * (l[a] - l[b]);
+      if (s === 0) continue;
+      y[3 * a] += s * grad[o + 1]; y[3 * a + 1] += s * grad[o + 2]; y[3 * a + 2] += s * grad[o + 3];
+      y[3 * b] += s * grad[o + 4]; y[3 * b + 1] += s * grad[o + 5]; y[3 * b + 2] += s * grad[o + 6];
+    }
+  };
+  // (J Jᵀ + α̃ + μ)·l into out, on the active cells
+  const apply = (l, out, mu) => {
+    spread(l);
+    out.fill(0);
+    for (let f = 0; f < faces.numFaces; f++) {
+      const a = faces.seeds[2 * f], b = faces.seeds[2 * f + 1], o = 7 * f;
+      const s = grad[o] * (grad[o + 1] * y[3 * a] + grad[o + 2] * y[3 * a + 1] + grad[o + 3] * y[3 * a + 2]
+        + grad[o + 4] * y[3 * b] + grad[o + 5] * y[3 * b + 1] + grad[o + 6] * y[3 * b + 2]);
+      out[a] += s;
+      out[b] -= s;
+    }
+    for (let i = 0; i < n; i++) out[i] = active[i] ? out[i] + (alpha + mu) * l[i] : 0;
+  };
+  const dot = (u, v) => { let s = 0; for (let i = 0; i < n; i++) s += u[i] * v[i]; return s; };
+  // A periodic tiling's cells fill the box; they stop doing so once a cell reaches past
+  // the minimum images its tets are read with, and its volumes are then meaningless
+  const fill = pf.isPeriodic ? boxVolume(pf.box) : 0;
+  // Centers, volumes, gradient terms, the RMS / largest error and the tiling gap of a foam
+  const measure = (foam, cells, out, terms) => {
+    updatePackedCenters(foam);
+    faceVolumes(foam, cells, out, terms);
+    let sq = 0, max = 0, total = 0;
+    for (let i = 0; i < n; i++) {
+      total += out[i];
+      if (!active[i]) continue;
+      const C = out[i] - targets[i];
+      sq += C * C;
+      max = Math.max(max, Math.abs(C));
+    }
+    return { rms: m ? Math.sqrt(sq / m) : 0, max, gap: pf.isPeriodic ? Math.abs(total - fill) || 0 : 0 };
+  };
+  let { rms: rmsError, max: maxError, gap } = measure(pf, faces, volumes, grad);
+  const drift = rmsError;
+  const start = new Float64Array(3 * n);
+  // Δλ of (J Jᵀ + α̃ + μ) Δλ = rhs by conjugate gradients; `stiffness` is J Jᵀ along rhs
+  let stiffness = 0;
+  const solve = (mu) => {
+    dl.fill(0);
+    res.set(rhs);
+    dir.set(rhs);
+    let rr = dot(res, res);
+    const stop = 1e-6 * rr;
+    for (let k = 0; k < 50 && rr > stop; k++) {
+      apply(dir, Ad, mu);
+      const dAd = dot(dir, Ad);
+      if (!(dAd > 0)) break;
+      if (k === 0) stiffness = dAd / rr - alpha - mu;
+      const step = rr / dAd;
+      for (let i = 0; i < n; i++) { dl[i] += step * dir[i]; res[i] -= step * Ad[i]; }
+      const next = dot(res, res);
+      for (let i = 0; i < n; i++) dir[i] = res[i] + (next / rr) * dir[i];
+      rr = next;
+    }
+    spread(dl);
+    let longest = 0;
+    for (let i = 0; i < n; i++) longest = Math.max(longest, Math.hypot(y[3 * i], y[3 * i + 1], y[3 * i + 2]));
+    return longest > maxMove ? maxMove / longest : 1;
+  };
+  let done = 0, mu = 0;
+  while (done < iterations && rmsError > tol * mean) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      rhs[i] = active[i] ? targets[i] - volumes[i] - alpha * lambda[i] : 0;
+      sum += rhs[i];
+    }
+    // Volumes of a periodic tiling sum to the box: with every cell held, Σ C cannot change
+    if (m === n && alpha === 0) for (let i = 0; i < n; i++) rhs[i] -= sum / n;
+    // Try the step on up-to-date tets; while it does not lower the error or opens a gap in
+    // the tiling, damp it toward gradient descent (Levenberg–Marquardt), which near-singular
+    // cells (two seeds closing in) need where a shorter Gauss–Newton step still overshoots
+    start.set(pf.positions);
+    let accepted = null;
+    for (let tries = 0; tries < 8 && !accepted; tries++) {
+      const cap = solve(mu);
+      for (let i = 0; i < 3 * n; i++) pf.positions[i] = start[i] + cap * y[i];
+      for (let i = 0; i < n; i++) wrap(pf.positions, i);
+      const next = retriangulate ? retriangulate(pf, start) : null;
+      if (next !== false) {
+        const trial = next || { pf, faces };
+        const trialVolumes = new Float64Array(n);
+        const trialGrad = new Float64Array(7 * trial.faces.numFaces);
+        const err = measure(trial.pf, trial.faces, trialVolumes, trialGrad);
+        if (err.rms < rmsError && err.gap <= Math.max(gap, 1e-9 * fill)) accepted = { ...trial, volumes: trialVolumes, grad: trialGrad, err, cap };
+      }
+      if (!accepted) mu = mu ? 10 * mu : 1e-3 * stiffness;
+    }
+    if (!accepted) {
+      pf.positions.set(start);
+      updatePackedCenters(pf);
+      break;
+    }
+    ({ pf, faces, volumes, grad } = accepted);
+    rmsError = accepted.err.rms;
+    maxError = accepted.err.max;
+    gap = accepted.err.gap;
+    for (let i = 0; i < n; i++) lambda[i] += accepted.cap * dl[i];
+    mu = mu > 1e-3 * stiffness ? mu / 10 : 0;
+    done++;
+  }
+  return { pf, faces, constraints: m, iterations: done, drift, rmsError, maxError, volumes };
+}
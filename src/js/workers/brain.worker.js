@@ -1,14 +1,48 @@
-// Brain worker: offloads PR/MC scoring and adjacency prep from main thread
-// Note: first pass uses structured-clone friendly objects; can be upgraded to Transferables later
+// Brain worker: offloads edge scoring (any scorer in vorox2/scorers.js) from main thread
+// Protocol v2 (brainProtocol.js): flat typed-array foam in, transferable per-edge-id scores out.
+// Messages without a `v` field are answered in the original v1 shape (nested arrays, string keys).
 
-import { calculateEdgeScores, calculateEdgeScoresMonteCarlo } from '../vorox2/dynamics.js';
+import { computeEdgeScores, computeEdgeScoreValues, listScorers } from '../vorox2/scorers.js';
+import { BRAIN_PROTOCOL_VERSION, unpackFoamCached, scoreBufferStats } from './brainProtocol.js';
 
 // Simple per-foamHash cache for reuse across requests
-const cache = new Map(); // foamHash -> { lastMethod, lastParams, lastScores }
+const cache = new Map(); // foamHash -> { lastMethod, lastParams, lastScores } (v1)
+const foams = new Map(); // foamHash -> unpacked foam whose topology later requests share (v2)
 
-self.onmessage = (ev) => {
-  const { foamHash, method, params, foamData } = ev.data || {};
-  const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+function now() {
+  return (typeof performance !== 'undefined' ? performance.now() : Date.now());
+}
+
+function computeScores(foam, method, params) {
+  return computeEdgeScores(foam, method, params, { seed: (params && params.seed) || 0 }).scores;
+}
+
+// Import modules that call registerScorer(); replies with every scorer name now known
+async function loadScorers(data) {
+  for (const url of data.urls || []) await import(url);
+  self.postMessage({ v: BRAIN_PROTOCOL_VERSION, type: 'scorers', names: listScorers().map((s) => s.name) });
+}
+
+function handleV2(data) {
+  const { foamHash, method, params } = data;
+  if (data.v === BRAIN_PROTOCOL_VERSION && data.type === 'loadScorers') {
+    loadScorers(data).catch((e) => self.postMessage({ v: data.v, type: 'error', message: `Loading scorers failed: ${e && e.message || e}` }));
+    return;
+  }
+  if (data.v !== BRAIN_PROTOCOL_VERSION || data.type !== 'score') {
+    self.postMessage({ v: BRAIN_PROTOCOL_VERSION, type: 'error', foamHash, message: `Unsupported brain message v${data.v}/${data.type}` });
+    return;
+  }
+  const t0 = now();
+  const foam = unpackFoamCached(foams, foamHash, data.foam);
+  const { values } = computeEdgeScoreValues(foam, method, params, { seed: (params && params.seed) || 0 });
+  const stats = scoreBufferStats(values);
+  self.postMessage({ v: BRAIN_PROTOCOL_VERSION, type: 'scores', foamHash, method, params, runtimeMs: now() - t0, values, stats }, [values.buffer]);
+}
+
+function handleV1(data) {
+  const { foamHash, method, params, foamData } = data;
+  const t0 = now();
 
   // Rehydrate a lightweight foam object expected by dynamics
   const foam = {
@@ -18,34 +52,16 @@ self.onmessage = (ev) => {
     facetPairs: foamData.facetPairs,
     voronoiEdges: foamData.voronoiEdges,
     isPeriodic: !!foamData.isPeriodic,
-    // Minimal fields used by dynamics helpers that rely on optional caches
   };
-
-  // Compute scores
-  let scoreMap;
-  if (method === 'mc') {
-    const { L = 12, K = 64, alpha = 0.9 } = params || {};
-    const res = calculateEdgeScoresMonteCarlo(foam, L, K, alpha);
-    scoreMap = res.scores;
-  } else {
-    const { depth = 15, damping = 0.85 } = params || {};
-    const res = calculateEdgeScores(foam, depth, damping);
-    scoreMap = res.scores;
-  }
+  const scoreMap = computeScores(foam, method || 'pagerank', params); // v1 requests may omit the method
 
   // Convert Map<string, number> to serializable arrays
   const keys = [];
-  const values = new Float32Array(scoreMap.size);
-  let idx = 0;
-  scoreMap.forEach((v, k) => { keys.push(k); values[idx++] = v; });
-
-  const valuesArr = Array.from(values); // structured clone safe (first pass)
-
-  const vals = valuesArr;
-  const n = vals.length;
-  const mean = n ? vals.reduce((a, b) => a + b, 0) / n : 0;
-  const variance = n ? vals.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n : 0;
-  const t1 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+  const values = [];
+  scoreMap.forEach((v, k) => { keys.push(k); values.push(v); });
+  const n = values.length;
+  const mean = n ? values.reduce((a, b) => a + b, 0) / n : 0;
+  const variance = n ? values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n : 0;
 
   cache.set(foamHash, { lastMethod: method, lastParams: params, lastScores: scoreMap });
 
@@ -53,10 +69,18 @@ self.onmessage = (ev) => {
     foamHash,
     method,
     params,
-    runtimeMs: (t1 - t0),
-    scores: { keys, values: valuesArr },
+    runtimeMs: now() - t0,
+    scores: { keys, values },
     stats: { count: n, mean, variance }
   });
-};
-
+}
 
+self.onmessage = (ev) => {
+  const data = ev.data || {};
+  try {
+    if (data.v !== undefined) handleV2(data);
+    else handleV1(data);
+  } catch (e) {
+    self.postMessage({ v: data.v, type: 'error', foamHash: data.foamHash, message: String(e && e.message || e) });
+  }
+};
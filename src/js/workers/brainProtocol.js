@@ -0,0 +1,238 @@
+/**
+ * Brain worker message protocol (version 2): flat typed arrays instead of nested JS arrays.
+ *
+ * Request  { v: 2, type: 'score', foamHash, method, params, foam: PackedFoam }
+ * Response { v: 2, type: 'scores', foamHash, method, params, runtimeMs, values, stats }
+ *        | { v: 2, type: 'error', foamHash, message }
+ * `method` names a scorer in vorox2/scorers.js. Extra scorer modules (which call
+ * registerScorer() when imported) are loaded with
+ * Request  { v: 2, type: 'loadScorers', urls: string[] }
+ * Response { v: 2, type: 'scorers', names: string[] }
+ *
+ * PackedFoam buffers (all transferable):
+ *   points     Float64Array(3·N)   seed coordinates
+ *   simplices  Uint32Array(4·T)    tetrahedra
+ *   centers    Float64Array(3·T)   Voronoi vertices (tet centers)
+ *   edges      Uint32Array(2·E)    Voronoi edges as tet pairs; edge id = pair index
+ *   facetPairs Int32Array(8·T)     (tet, face) per facet, -1 on a boundary
+ * plus `isPeriodic` and a JSON-safe `box` (see vorox2/state.js serializeBox).
+ *
+ * Scores come back as `values`: a Float64Array(E) indexed by edge id (NaN = unscored),
+ * so no string keys cross the thread boundary; the worker's scorers write them directly
+ * (scorers.js computeEdgeScoreValues). unpackScores() turns them back into the "t1-t2"
+ * Map that createVoroX().step() consumes, using the request's key list.
+ *
+ * Both sides keep the topology (simplices, edges, facet pairs, edge keys) of the last
+ * few foamHash values, so a repeated hash only repacks points and centers. The hash
+ * must therefore change whenever the triangulation does.
+ */
+
+import { serializeBox, deserializeBox } from '../vorox2/state.js';
+
+export const BRAIN_PROTOCOL_VERSION = 2;
+
+const TOPOLOGY_CACHE_SIZE = 4;
+const topologies = new Map(); // foamHash -> { numTets, numEdges, simplices, edges, facetPairs, keys }
+
+// Map insert that drops the oldest entries past `limit`
+function remember(cache, key, value, limit = TOPOLOGY_CACHE_SIZE) {
+  cache.delete(key);
+  cache.set(key, value);
+  while (cache.size > limit) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+function flatFloat64(nested, width) {
+  const out = new Float64Array(nested.length * width);
+  for (let i = 0; i < nested.length; i++) {
+    const v = nested[i];
+    for (let k = 0; k < width; k++) out[i * width + k] = v ? v[k] : NaN;
+  }
+  return out;
+}
+
+function flatUint32(nested, width) {
+  const out = new Uint32Array(nested.length * width);
+  for (let i = 0; i < nested.length; i++) {
+    for (let k = 0; k < width; k++) out[i * width + k] = nested[i][k];
+  }
+  return out;
+}
+
+function nest(flat, width) {
+  const out = new Array(flat.length / width);
+  for (let i = 0, k = 0; i < flat.length; i += width, k++) {
+    const row = new Array(width);
+    for (let j = 0; j < width; j++) row[j] = flat[i + j];
+    out[k] = row;
+  }
+  return out;
+}
+
+/**
+ * Pack the fields the scorers read into flat typed arrays.
+ * @param {Object} foam - From buildFoam()
+ * @returns {Object} PackedFoam
+ */
+export function packFoam(foam) {
+  return { ...packTopology(foam), points: flatFloat64(foam.points, 3), centers: flatFloat64(foam.centers, 3), ...packFrame(foam) };
+}
+
+function packTopology(foam) {
+  const numTets = foam.simplices.length;
+  const facetPairs = new Int32Array(numTets * 8).fill(-1);
+  if (foam.facetPairs) {
+    for (let t = 0; t < numTets; t++) {
+      for (let f = 0; f < 4; f++) {
+        const m = foam.facetPairs[t][f];
+        if (m) { facetPairs[t * 8 + f * 2] = m.tet; facetPairs[t * 8 + f * 2 + 1] = m.face; }
+      }
+    }
+  }
+  return { simplices: flatUint32(foam.simplices, 4), edges: flatUint32(foam.voronoiEdges, 2), facetPairs };
+}
+
+function packFrame(foam) {
+  return { isPeriodic: !!foam.isPeriodic, box: foam.box ? serializeBox(foam.box) : null };
+}
+
+/**
+ * Rebuild the foam subset the scorers need (nested arrays, box, edge list).
+ * @param {Object} packed - PackedFoam
+ * @param {Object} [reuse] - An earlier unpackFoam() result of the same triangulation: its
+ *   simplices, facetPairs and voronoiEdges are shared instead of rebuilt (ignored when
+ *   the tet or edge count differs)
+ * @returns {Object} foam
+ */
+export function unpackFoam(packed, reuse = null) {
+  const centers = nest(packed.centers, 3);
+  for (let i = 0; i < centers.length; i++) if (Number.isNaN(centers[i][0])) centers[i] = null;
+  const numTets = packed.simplices.length / 4;
+  const same = reuse && reuse.simplices.length === numTets && reuse.voronoiEdges.length === packed.edges.length / 2;
+  let facetPairs = same ? reuse.facetPairs : null;
+  if (!facetPairs) {
+    facetPairs = new Array(numTets);
+    for (let t = 0; t < numTets; t++) {
+      const row = Array(4).fill(null);
+      for (let f = 0; f < 4; f++) {
+        const tet = packed.facetPairs[t * 8 + f * 2];
+        if (tet >= 0) row[f] = { tet, face: packed.facetPairs[t * 8 + f * 2 + 1] };
+      }
+      facetPairs[t] = row;
+    }
+  }
+  return {
+    points: nest(packed.points, 3),
+    simplices: same ? reuse.simplices : nest(packed.simplices, 4),
+    centers,
+    facetPairs,
+    voronoiEdges: same ? reuse.voronoiEdges : nest(packed.edges, 2),
+    isPeriodic: !!packed.isPeriodic,
+    box: deserializeBox(packed.box),
+  };
+}
+
+/**
+ * Packed topology of a foam, cached per foamHash (rebuilt when the tet or edge count
+ * does not match the cached entry).
+ * @returns {{ numTets: number, numEdges: number, simplices: Uint32Array, edges: Uint32Array,
+ *   facetPairs: Int32Array, keys: string[] }} keys[e] is the "t1-t2" key of edge e
+ */
+export function foamTopology(foam, foamHash) {
+  const cached = topologies.get(foamHash);
+  if (cached && cached.numTets === foam.simplices.length && cached.numEdges === foam.voronoiEdges.length) return cached;
+  const topo = packTopology(foam);
+  const keys = new Array(foam.voronoiEdges.length);
+  for (let e = 0; e < keys.length; e++) {
+    const a = topo.edges[2 * e], b = topo.edges[2 * e + 1];
+    keys[e] = a < b ? `${a}-${b}` : `${b}-${a}`;
+  }
+  return remember(topologies, foamHash, { numTets: foam.simplices.length, numEdges: keys.length, ...topo, keys });
+}
+
+/** Buffers of a PackedFoam, for postMessage's transfer list. */
+export function foamTransferList(packed) {
+  return [packed.points.buffer, packed.simplices.buffer, packed.centers.buffer, packed.edges.buffer, packed.facetPairs.buffer];
+}
+
+/**
+ * Build a scoring request. The topology comes from the foamHash cache (foamTopology());
+ * the packed buffers are fresh copies, so they are transferred rather than cloned. Keep
+ * `keys` (or `edges`) to decode the reply.
+ * @returns {{ message: Object, transfer: ArrayBuffer[], edges: Uint32Array, keys: string[] }}
+ */
+export function createScoreRequest({ foamHash, method, params, foam }) {
+  const topo = foamTopology(foam, foamHash);
+  const packed = {
+    points: flatFloat64(foam.points, 3),
+    simplices: topo.simplices.slice(),
+    centers: flatFloat64(foam.centers, 3),
+    edges: topo.edges.slice(), // the transferred copy is detached after postMessage
+    facetPairs: topo.facetPairs.slice(),
+    ...packFrame(foam),
+  };
+  return {
+    message: { v: BRAIN_PROTOCOL_VERSION, type: 'score', foamHash, method, params, foam: packed },
+    transfer: foamTransferList(packed),
+    edges: topo.edges,
+    keys: topo.keys,
+  };
+}
+
+/**
+ * The worker-side cache: unpackFoam() sharing the topology last seen for `foamHash`.
+ * @param {Map} cache - foamHash -> unpacked foam, owned by the caller
+ */
+export function unpackFoamCached(cache, foamHash, packed) {
+  return remember(cache, foamHash, unpackFoam(packed, cache.get(foamHash)));
+}
+
+/**
+ * Score map ("t1-t2" keys) -> Float64Array indexed by edge id.
+ * @param {Map<string, number>} scores
+ * @param {Uint32Array} edges - Flat tet pairs
+ */
+export function packScores(scores, edges) {
+  const values = new Float64Array(edges.length / 2).fill(NaN);
+  for (let e = 0; e < values.length; e++) {
+    const a = edges[2 * e], b = edges[2 * e + 1];
+    const v = scores.get(a < b ? `${a}-${b}` : `${b}-${a}`);
+    if (v !== undefined) values[e] = v;
+  }
+  return values;
+}
+
+/**
+ * Float64Array indexed by edge id -> score map ("t1-t2" keys); NaN entries are skipped.
+ * @param {Float64Array} values
+ * @param {string[]|Uint32Array|number[][]} edges - The request's `keys` (no key strings are
+ *   built), flat tet pairs or foam.voronoiEdges
+ * @returns {Map<string, number>}
+ */
+export function unpackScores(values, edges) {
+  const keyed = edges.length > 0 && typeof edges[0] === 'string';
+  const nested = edges.length > 0 && Array.isArray(edges[0]);
+  const map = new Map();
+  for (let e = 0; e < values.length; e++) {
+    const v = values[e];
+    if (Number.isNaN(v)) continue;
+    if (keyed) { map.set(edges[e], v); continue; }
+    const a = nested ? edges[e][0] : edges[2 * e], b = nested ? edges[e][1] : edges[2 * e + 1];
+    map.set(a < b ? `${a}-${b}` : `${b}-${a}`, v);
+  }
+  return map;
+}
+
+/** Count / mean / variance over the scored (non-NaN) entries. */
+export function scoreBufferStats(values) {
+  let n = 0, mean = 0, m2 = 0;
+  for (let i = 0; i < values.length; i++) {
+    const x = values[i];
+    if (Number.isNaN(x)) continue;
+    n++;
+    const d = x - mean;
+    mean += d / n;
+    m2 += d * (x - mean);
+  }
+  return { count: n, mean: n ? mean : 0, variance: n ? m2 / n : 0 };
+}
@@ -0,0 +1,33 @@
+// Topology worker: WASM Delaunay + buildFoam (incl. buildLinkGraph) + primeCaches off the main thread
+// Messages: see topologyProtocol.js. Send { type: 'init', moduleUrl } first; jobs wait until the module is ready.
+
+import { TOPOLOGY_PROTOCOL_VERSION, runTopologyJob } from './topologyProtocol.js';
+
+let modulePromise = null;
+
+// The Emscripten glue is a classic script; evaluate it in function scope (module workers have no importScripts)
+async function loadModule(moduleUrl) {
+  const source = await (await fetch(moduleUrl)).text();
+  const factory = new Function(`${source}\nreturn PeriodicDelaunayModule;`)();
+  return factory({ locateFile: (file) => new URL(file, moduleUrl).href, print: () => {}, printErr: () => {} });
+}
+
+self.onmessage = async (ev) => {
+  const data = ev.data || {};
+  try {
+    if (data.type === 'init') {
+      modulePromise = loadModule(data.moduleUrl);
+      await modulePromise;
+      self.postMessage({ v: TOPOLOGY_PROTOCOL_VERSION, type: 'ready' });
+      return;
+    }
+    if (data.v !== TOPOLOGY_PROTOCOL_VERSION || data.type !== 'topology') {
+      throw new Error(`Unsupported topology message v${data.v}/${data.type}`);
+    }
+    if (!modulePromise) throw new Error('Topology worker not initialized');
+    const { message, transfer } = runTopologyJob(await modulePromise, data);
+    self.postMessage(message, transfer);
+  } catch (e) {
+    self.postMessage({ v: TOPOLOGY_PROTOCOL_VERSION, type: 'error', jobId: data.jobId, message: String(e && e.message || e) });
+  }
+};
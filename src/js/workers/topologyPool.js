@@ -0,0 +1,111 @@
+/**
+ * Pool of topology workers (topology.worker.js): WASM Delaunay, buildFoam and
+ * primeCaches off the main thread. Pass it to createVoroX({ topology }) and the
+ * simulation keeps integrating while a retriangulation is in flight.
+ */
+
+import { createTopologyRequest, unpackTopologyResult } from './topologyProtocol.js';
+
+function defaultSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(2, cores - 1));
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.size] - Number of workers (default: 1–2 depending on cores)
+ * @param {string|URL} [opts.moduleUrl] - Emscripten glue (dist/periodic_delaunay.js)
+ * @param {string|URL} [opts.workerUrl] - Worker script (topology.worker.js)
+ * @param {Function} [opts.createWorker] - (workerUrl) => Worker-like; defaults to a module Worker
+ * @returns {{ triangulate: Function, pending: Function, size: number, terminate: Function }}
+ */
+export function createTopologyPool({
+  size = defaultSize(),
+  moduleUrl = new URL('../../../dist/periodic_delaunay.js', import.meta.url),
+  workerUrl = new URL('./topology.worker.js', import.meta.url),
+  createWorker = (url) => new Worker(url, { type: 'module' }),
+} = {}) {
+  const idle = [];
+  const queue = [];
+  const running = new Map(); // jobId -> job
+  let nextJobId = 1;
+  let terminated = false;
+
+  function settle(worker, job) {
+    running.delete(job.jobId);
+    worker.job = null;
+    idle.push(worker);
+    dispatch();
+  }
+
+  function onMessage(worker, data) {
+    if (!data || data.type === 'ready') return;
+    const job = running.get(data.jobId);
+    if (!job) return;
+    settle(worker, job);
+    if (data.type === 'error') {
+      job.reject(new Error(data.message));
+      return;
+    }
+    try {
+      const result = unpackTopologyResult(data, job.points, { isPeriodic: job.periodic, box: job.box, weights: job.weights });
+      job.resolve({ ...result, runtimeMs: data.runtimeMs });
+    } catch (e) {
+      job.reject(e);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, size | 0) }, () => {
+    const worker = createWorker(workerUrl);
+    worker.job = null;
+    worker.onmessage = (ev) => onMessage(worker, ev.data);
+    worker.onerror = (ev) => {
+      const job = worker.job;
+      if (!job) return;
+      settle(worker, job);
+      job.reject(new Error(ev && ev.message ? ev.message : 'Topology worker failed'));
+    };
+    worker.postMessage({ type: 'init', moduleUrl: String(moduleUrl) });
+    idle.push(worker);
+    return worker;
+  });
+
+  function dispatch() {
+    while (idle.length && queue.length) {
+      const worker = idle.shift();
+      const job = queue.shift();
+      worker.job = job;
+      running.set(job.jobId, job);
+      const { message, transfer } = createTopologyRequest({ jobId: job.jobId, points: job.points, periodic: job.periodic, centering: job.centering, box: job.box, weights: job.weights, prime: job.prime });
+      worker.postMessage(message, transfer);
+    }
+  }
+
+  return {
+    size: workers.length,
+    /**
+     * Triangulate a snapshot of `points` (regular triangulation with `weights`) and build
+     * its foam (and caches when `prime`).
+     * @returns {Promise<{ tetrahedra, foam, caches, runtimeMs }>} foam.points is the snapshot
+     */
+    triangulate({ points, periodic, centering = 'circumcenter', box, weights = null, prime = true }) {
+      if (terminated) return Promise.reject(new Error('Topology pool terminated'));
+      return new Promise((resolve, reject) => {
+        const snapshot = points.map((p) => [p[0], p[1], p[2]]);
+        const w = weights ? Float64Array.from(weights) : null;
+        queue.push({ jobId: nextJobId++, points: snapshot, weights: w, periodic: !!periodic, centering, box, prime, resolve, reject });
+        dispatch();
+      });
+    },
+    /** Jobs queued or running. */
+    pending: () => queue.length + running.size,
+    terminate() {
+      terminated = true;
+      for (const w of workers) w.terminate();
+      const err = new Error('Topology pool terminated');
+      for (const job of [...queue, ...running.values()]) job.reject(err);
+      queue.length = 0;
+      running.clear();
+    },
+  };
+}
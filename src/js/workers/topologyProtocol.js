@@ -0,0 +1,146 @@
+/**
+ * Topology worker messages: flat buffers for a triangulation job and its result.
+ *
+ * Request  { v: 1, type: 'topology', jobId, points: Float64Array(3·N), weights: Float64Array(N) | null,
+ *            periodic, centering, box, prime }
+ * Response { v: 1, type: 'topology', jobId, runtimeMs, simplices, centers, facetPairs,
+ *            linkOut: { ptr, idx }, linkIn: { ptr, idx }, caches: { rowPtr, colIdx, w } | null }
+ *        | { v: 1, type: 'error', jobId, message }
+ *
+ * Every array is a typed array and goes in the transfer list. The Voronoi edge list and
+ * its face maps are rebuilt on the receiving side (buildDualMaps) in the same order
+ * buildFoam() produces, so edge keys and the foam hash match a synchronous rebuild.
+ */
+
+import { buildFoam, buildDualMaps } from '../vorox2/foam.js';
+import { primeCaches } from '../vorox2/dual.js';
+import { triangulatePoints } from '../vorox2/wasmDelaunay.js';
+import { normalizeBox } from '../vorox2/core.js';
+import { serializeBox, deserializeBox } from '../vorox2/state.js';
+
+export const TOPOLOGY_PROTOCOL_VERSION = 1;
+
+function toCSR(lists) {
+  const ptr = new Uint32Array(lists.length + 1);
+  for (let i = 0; i < lists.length; i++) ptr[i + 1] = ptr[i] + lists[i].length;
+  const idx = new Uint32Array(ptr[lists.length]);
+  let k = 0;
+  for (const list of lists) for (const j of list) idx[k++] = j;
+  return { ptr, idx };
+}
+
+function fromCSR({ ptr, idx }) {
+  const out = new Array(ptr.length - 1);
+  for (let i = 0; i < out.length; i++) out[i] = Array.from(idx.subarray(ptr[i], ptr[i + 1]));
+  return out;
+}
+
+/**
+ * Build a triangulation request for the current points.
+ * @returns {{ message: Object, transfer: ArrayBuffer[] }}
+ */
+export function createTopologyRequest({ jobId, points, periodic, centering, box, weights = null, prime = true }) {
+  const flat = new Float64Array(points.length * 3);
+  for (let i = 0; i < points.length; i++) {
+    flat[3 * i] = points[i][0]; flat[3 * i + 1] = points[i][1]; flat[3 * i + 2] = points[i][2];
+  }
+  const w = weights ? Float64Array.from(weights) : null;
+  const message = { v: TOPOLOGY_PROTOCOL_VERSION, type: 'topology', jobId, points: flat, weights: w, periodic: !!periodic, centering, box: serializeBox(normalizeBox(box)), prime };
+  return { message, transfer: w ? [flat.buffer, w.buffer] : [flat.buffer] };
+}
+
+/** Worker side: request -> { pointsArray, weights, periodic, centering, box, prime }. */
+export function readTopologyRequest(message) {
+  const p = message.points;
+  const pointsArray = new Array(p.length / 3);
+  for (let i = 0; i < pointsArray.length; i++) pointsArray[i] = [p[3 * i], p[3 * i + 1], p[3 * i + 2]];
+  return { pointsArray, weights: message.weights || null, periodic: message.periodic, centering: message.centering, box: deserializeBox(message.box), prime: message.prime };
+}
+
+/**
+ * Worker side: pack tetrahedra, foam and (optionally) primed caches.
+ * @returns {{ message: Object, transfer: ArrayBuffer[] }}
+ */
+export function packTopologyResult(jobId, foam, caches, runtimeMs) {
+  const numTets = foam.simplices.length;
+  const simplices = new Uint32Array(numTets * 4);
+  const centers = new Float64Array(numTets * 3);
+  const facetPairs = new Int32Array(numTets * 8).fill(-1);
+  for (let t = 0; t < numTets; t++) {
+    for (let k = 0; k < 4; k++) simplices[4 * t + k] = foam.simplices[t][k];
+    const c = foam.centers[t];
+    for (let k = 0; k < 3; k++) centers[3 * t + k] = c ? c[k] : NaN;
+    for (let f = 0; f < 4; f++) {
+      const m = foam.facetPairs[t][f];
+      if (m) { facetPairs[8 * t + 2 * f] = m.tet; facetPairs[8 * t + 2 * f + 1] = m.face; }
+    }
+  }
+  const linkOut = toCSR(foam.linkGraph.map((n) => n.out));
+  const linkIn = toCSR(foam.linkGraph.map((n) => n.in));
+  const message = { v: TOPOLOGY_PROTOCOL_VERSION, type: 'topology', jobId, runtimeMs, simplices, centers, facetPairs, linkOut, linkIn, caches: null };
+  const transfer = [simplices.buffer, centers.buffer, facetPairs.buffer, linkOut.ptr.buffer, linkOut.idx.buffer, linkIn.ptr.buffer, linkIn.idx.buffer];
+  if (caches) {
+    const csr = caches.obtuseAdj;
+    message.caches = { rowPtr: csr.rowPtr, colIdx: csr.colIdx, w: csr.w };
+    transfer.push(csr.rowPtr.buffer, csr.colIdx.buffer, csr.w.buffer);
+  }
+  return { message, transfer };
+}
+
+/**
+ * Worker side: run one job (triangulate, build the foam, optionally prime caches).
+ * @param {Object} Module - Loaded PeriodicDelaunayModule
+ * @param {Object} request - Topology request message
+ * @returns {{ message: Object, transfer: ArrayBuffer[] }}
+ */
+export function runTopologyJob(Module, request) {
+  const t0 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+  const { pointsArray, weights, periodic, centering, box, prime } = readTopologyRequest(request);
+  const tetrahedra = triangulatePoints(Module, pointsArray, periodic, box, { weights });
+  const foam = buildFoam({ pointsArray, tetrahedra, isPeriodic: periodic, centering, box, weights });
+  const caches = prime ? primeCaches(foam) : null;
+  const t1 = (typeof performance !== 'undefined' ? performance.now() : Date.now());
+  return packTopologyResult(request.jobId, foam, caches, t1 - t0);
+}
+
+/**
+ * Main-thread side: rebuild { tetrahedra, foam, caches } from a result message.
+ * @param {Object} message
+ * @param {number[][]} pointsArray - The points the job was computed from
+ * @param {Object} meta - { isPeriodic, box, weights } of the job
+ */
+export function unpackTopologyResult(message, pointsArray, { isPeriodic, box, weights = null }) {
+  const s = message.simplices, c = message.centers, fp = message.facetPairs;
+  const numTets = s.length / 4;
+  const tetrahedra = new Array(numTets);
+  const centers = new Array(numTets);
+  const facetPairs = new Array(numTets);
+  for (let t = 0; t < numTets; t++) {
+    tetrahedra[t] = [s[4 * t], s[4 * t + 1], s[4 * t + 2], s[4 * t + 3]];
+    centers[t] = Number.isNaN(c[3 * t]) ? null : [c[3 * t], c[3 * t + 1], c[3 * t + 2]];
+    const row = Array(4).fill(null);
+    for (let f = 0; f < 4; f++) {
+      if (fp[8 * t + 2 * f] >= 0) row[f] = { tet: fp[8 * t + 2 * f], face: fp[8 * t + 2 * f + 1] };
+    }
+    facetPairs[t] = row;
+  }
+  const outs = fromCSR(message.linkOut);
+  const ins = fromCSR(message.linkIn);
+  const foam = {
+    points: pointsArray,
+    simplices: tetrahedra,
+    centers,
+    facetPairs,
+    ...buildDualMaps(tetrahedra, facetPairs),
+    linkGraph: outs.map((out, i) => ({ in: ins[i], out })),
+    isPeriodic,
+    box: normalizeBox(box),
+    weights,
+  };
+  let caches = null;
+  if (message.caches) {
+    const csr = message.caches;
+    caches = { edgeKeyToFace: foam.voronoiEdgeToDelaunayFace, obtuseAdj: csr, mcCSR: csr };
+  }
+  return { tetrahedra, foam, caches };
+}
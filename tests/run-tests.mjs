@@ -1,5 +1,42 @@
 import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
 import { DelaunayComputation } from '../src/js/DelaunayComputation.js';
+import { minImageDelta, wrap01, wrapPoint, barycenter, normalizeBox, computeCenters, buildFacetPairs } from '../src/js/vorox2/core.js';
+import { createLattice, advanceShear, convectPoints, toFractional, setStrain } from '../src/js/vorox2/lattice.js';
+import { VerletIntegrator } from '../src/js/vorox2/verlet.js';
+import { runSimulation, resolveConfig } from '../src/js/headless/runner.js';
+import { generatePoints, poissonDiskPoints, latticePoints, POINT_DISTRIBUTIONS } from '../src/js/PointGenerators.js';
+import { parseState, unflatten } from '../src/js/vorox2/state.js';
+import { buildCellPolyhedra, polyhedronVolume } from '../src/js/vorox2/cells.js';
+import { measureCell, analyzeCells } from '../src/js/vorox2/cellMeasures.js';
+import { buildEdgeSegments, buildFoam } from '../src/js/vorox2/foam.js';
+import { BRAIN_PROTOCOL_VERSION, createScoreRequest, packFoam as packBrainFoam, unpackFoam, unpackFoamCached, packScores, unpackScores } from '../src/js/workers/brainProtocol.js';
+import { calculateEdgeScoresMonteCarlo, simplexCatchment, gradient, foamEnergy } from '../src/js/vorox2/dynamics.js';
+import { faceStatistics, createStatsRecorder, STATS_COLUMNS } from '../src/js/vorox2/foamStats.js';
+import { cellsToOBJ, cellsToPLY, cellsToSTL, exportCells } from '../src/js/CellExport.js';
+import { loadPeriodicDelaunayModule } from '../src/js/headless/loadModule.js';
+import { createVoroX } from '../src/js/VoroXAdapter.js';
+import { runTopologyJob } from '../src/js/workers/topologyProtocol.js';
+import { createTopologyPool } from '../src/js/workers/topologyPool.js';
+import { triangulatePoints, canonicalizeTetrahedra } from '../src/js/vorox2/wasmDelaunay.js';
+import { repairTriangulation, emptySphereViolations } from '../src/js/vorox2/flips.js';
+import { diffTopology } from '../src/js/vorox2/topologyEvents.js';
+import { faceId, vertexId, stableEdgeIds, remapEdgeScores, remapFlow, createEdgeHistory } from '../src/js/vorox2/identity.js';
+import { buildPageRankCSR, solvePageRank } from '../src/js/vorox2/pagerank.js';
+import { edgePageRank, solveEdgePageRank, calculateEdgeScoresMC, calculateEdgeScoresDirected, buildHalfEdgeAdjacency } from '../src/js/vorox2/edgeGraph.js';
+import { primeCaches, getDualMaps } from '../src/js/vorox2/dual.js';
+import { weightsFromRadii, targetVolumesFromRadii } from '../src/js/vorox2/power.js';
+import { buildSkeletonCSR, edgeBetweenness, edgeBetweennessScores } from '../src/js/vorox2/betweenness.js';
+import { analyzePercolation, percolationSweep } from '../src/js/vorox2/percolation.js';
+import { computeKnots, knotPolyline, knotStatistics } from '../src/js/vorox2/knots.js';
+import { buildVoroXFlow } from '../src/js/VoroXDynamics.js';
+import { buildPackedFoam, packFoam, edgeKeyOf, edgeIdOf, scoresFromMap, scoresToMap, gradientPacked, foamEnergyPacked, buildHalfEdgeAdjacencyPacked } from '../src/js/vorox2/packedFoam.js';
+import { createXPBDSolver, buildCellFaces, foamCellVolumes } from '../src/js/vorox2/xpbd.js';
+import { createIntegrator, INTEGRATORS } from '../src/js/vorox2/integrators.js';
+import { createConvergenceMonitor } from '../src/js/vorox2/convergence.js';
+import { registerScorer, unregisterScorer, listScorers, resolveScorerParams, computeEdgeScores, computeEdgeScoreValues } from '../src/js/vorox2/scorers.js';
 
 function approxEqual(a, b, eps = 1e-9) {
   return Math.abs(a - b) <= eps;
@@ -61,16 +98,1133 @@ function testPeriodicWrap() {
   assert.ok(cc[0] >= 0 && cc[0] <= 1 && cc[1] >= 0 && cc[1] <= 1 && cc[2] >= 0 && cc[2] <= 1, 'Circumcenter not wrapped into unit cube');
 }
 
+function testBoxMinimumImage() {
+  const box = [2, 1, 1];
+  // 0.1 -> 1.9 along x is 0.2 apart across the boundary of a box of length 2
+  const d = minImageDelta([0.1, 0.5, 0.5], [1.9, 0.5, 0.5], box);
+  assert.ok(vecApproxEqual(d, [-0.2, 0, 0]), `Box MIC delta wrong: ${d}`);
+  // 0.6 apart along x is within half of Lx = 2, so no wrap happens
+  const d2 = minImageDelta([0.2, 0.5, 0.5], [0.8, 0.5, 0.5], box);
+  assert.ok(vecApproxEqual(d2, [0.6, 0, 0]), `Box MIC should not wrap: ${d2}`);
+  assert.ok(approxEqual(wrap01(2.3, 2), 0.3), 'wrap01 with period 2');
+  assert.throws(() => normalizeBox([1, 0, 1]), /Invalid periodic box/);
+}
+
+function testBoxBarycenterAndDistance() {
+  const box = [2, 1, 1];
+  const pts = [[1.95, 0.5, 0.5], [0.05, 0.5, 0.5], [1.95, 0.6, 0.5], [0.05, 0.6, 0.5]];
+  const c = barycenter(pts, [0, 1, 2, 3], true, box);
+  // Centroid sits on the x boundary (0 or 2 after wrapping)
+  assert.ok(approxEqual(c[0] % 2, 0, 1e-9) || approxEqual(c[0], 2, 1e-9), `Barycenter x wrong: ${c}`);
+  assert.ok(approxEqual(c[1], 0.55), `Barycenter y wrong: ${c}`);
+  const comp = new DelaunayComputation(pts, true, 'barycenter', box);
+  assert.ok(approxEqual(comp.getPeriodicDistance(pts[0], pts[1]), 0.1), 'Periodic distance in 2x1x1 box');
+  assert.equal(comp._isPeriodicEdge([0.2, 0.5, 0.5], [0.9, 0.5, 0.5]), false, 'Edge shorter than Lx/2 is not periodic');
+}
+
+function testShearedLatticeMinimumImage() {
+  // Lees–Edwards: after strain 0.25 the image above (y + 1) is shifted by +0.25 in x
+  const lat = createLattice({ box: [1, 1, 1], shearRate: 0.5 });
+  advanceShear(lat, 0.5);
+  assert.ok(approxEqual(lat.strain, 0.25), 'Strain accumulates shearRate * dt');
+  const d = minImageDelta([0.5, 0.95, 0.5], [0.8, 0.05, 0.5], lat);
+  // Raw delta (0.3, -0.9); the image at y + 1 is shifted by +0.25 in x: (0.55, 0.1), shortest after x wrap: (-0.45, 0.1)
+  assert.ok(vecApproxEqual(d, [-0.45, 0.1, 0], 1e-12), `Sheared MIC delta wrong: ${d}`);
+  const w = wrapPoint([0.5, 1.2, 0.5], lat);
+  assert.ok(vecApproxEqual(toFractional(w, lat).map((x) => x - Math.floor(x)), toFractional(w, lat), 1e-12), 'Wrapped point lies in the cell');
+}
+
+function testShearConvectionKeepsFractionalCoords() {
+  const lat = createLattice({ vectors: [[2, 0, 0], [0.3, 1, 0], [0, 0, 1]], shearRate: 1 });
+  const pts = [[0.4, 0.6, 0.2], [1.5, 0.1, 0.9]];
+  const before = pts.map((p) => toFractional(p, lat));
+  const dStrain = advanceShear(lat, 0.1);
+  const after = convectPoints(pts, lat, dStrain).map((p) => toFractional(p, lat));
+  for (let i = 0; i < pts.length; i++) {
+    const diff = before[i].map((x, k) => { const r = after[i][k] - x; return r - Math.round(r); });
+    assert.ok(vecApproxEqual(diff, [0, 0, 0], 1e-12), `Fractional coords drifted: ${diff}`);
+  }
+}
+
+function testVerletVelocityAcrossBoundary() {
+  const v = new VerletIntegrator(1, true, [2, 1, 1]);
+  v.initialize([[1.99, 0.5, 0.5]]);
+  v.setDamping(1);
+  v.prevPositions = [[1.98, 0.5, 0.5]]; // moving +0.01 in x
+  v.integrate(0.1);
+  const p = v.integrate(0.1);
+  // Two steps of +0.01 from 1.99 wrap to 0.01 without a velocity jump
+  assert.ok(vecApproxEqual(p[0], [0.01, 0.5, 0.5], 1e-12), `Verlet wrap wrong: ${p[0]}`);
+}
+
+// Total volume of periodic tets (minimum image around each tet's first vertex)
+function tetVolumeSum(points, tets, box) {
+  let sum = 0;
+  for (const t of tets) {
+    const [u, v, w] = [1, 2, 3].map((k) => minImageDelta(points[t[0]], points[t[k]], box));
+    sum += (u[0] * (v[1] * w[2] - v[2] * w[1]) - u[1] * (v[0] * w[2] - v[2] * w[0]) + u[2] * (v[0] * w[1] - v[1] * w[0])) / 6;
+  }
+  return sum;
+}
+
+// Tets as a sorted list of vertex sets (order and orientation ignored)
+function tetKeys(tets) {
+  return [...new Set(tets.map((t) => t.slice().sort((a, b) => a - b).join('-')))].sort();
+}
+
+async function testAnisotropicBoxIsDelaunay() {
+  const Module = await loadPeriodicDelaunayModule();
+  const box = [2, 1, 1];
+  const points = unflatten(Array.from(generatePoints('uniform', 400, { seed: 5, box })));
+  // Without compute_delaunay_box the periodic images are triangulated without periodicity
+  const tets = triangulatePoints(Module, points, true, box);
+  assert.deepEqual(emptySphereViolations(points, tets, { box }), []);
+  assert.ok(approxEqual(tetVolumeSum(points, tets, box), 2, 1e-9), 'Tets tile the box once');
+  // Small foams, whose tets can span half the box, triangulate as well; on a box a hair
+  // off the unit cube the images give the native periodic tets
+  for (let seed = 1; seed <= 4; seed++) {
+    const pts = unflatten(Array.from(generatePoints('uniform', 100, { seed })));
+    assert.deepEqual(tetKeys(triangulatePoints(Module, pts, true, [1, 1, 1 + 1e-12])), tetKeys(triangulatePoints(Module, pts, true, [1, 1, 1])), `seed ${seed}`);
+    for (const b of [[2, 1, 1], [1, 1, 0.5]]) {
+      const n = triangulatePoints(Module, unflatten(Array.from(generatePoints('uniform', 100, { seed, box: b }))), true, b).length;
+      assert.ok(n > 500 && n < 800, `${b} seed ${seed}: ${n} tets`);
+    }
+  }
+  const vx = await createVoroX({ Module, points: unflatten(Array.from(generatePoints('uniform', 100, { seed: 2, box }))), box, verbose: false });
+  for (let i = 0; i < 3; i++) vx.step(0.05, { recomputeEvery: 1 });
+  assert.equal(vx.getTopologyStatus().last, null);
+  assert.throws(() => triangulatePoints(Module, [[0.1, 0.1, 0.1], [0.6, 0.5, 0.2], [0.3, 0.8, 0.4], [0.9, 0.3, 0.7], [1.4, 0.6, 0.9]], true, box), /Cannot triangulate 5 points periodically/);
+}
+
+async function testShearedLatticeIsDelaunay() {
+  const Module = await loadPeriodicDelaunayModule();
+  const lat = createLattice({ box: [1, 1, 1], shearRate: 1 });
+  const frac = unflatten(Array.from(generatePoints('uniform', 400, { seed: 8 })));
+  // 0.45 is near the most skewed reduced cell; 1.3 has been reduced back to 0.3
+  for (const strain of [0.45, 1.3]) {
+    setStrain(lat, strain);
+    const points = frac.map((s) => wrapPoint([s[0] + strain * s[1], s[1], s[2]], lat));
+    const tets = triangulatePoints(Module, points, true, lat);
+    assert.deepEqual(emptySphereViolations(points, tets, { box: lat }), [], `strain ${strain}`);
+    assert.ok(approxEqual(tetVolumeSum(points, tets, lat), 1, 1e-9));
+  }
+  // Small sheared foams keep stepping in both topology modes
+  for (const topologyMode of ['rebuild', 'repair']) {
+    const vx = await createVoroX({ Module, points: unflatten(Array.from(generatePoints('uniform', 100, { seed: 2 }))), shearRate: 1, verbose: false });
+    for (let i = 0; i < 12; i++) {
+      vx.step(0.05, { topologyMode, recomputeEvery: 1 });
+      assert.ok(!(vx.getTopologyStatus().last || {}).error, topologyMode);
+    }
+    assert.deepEqual(tetKeys(vx.getFoam().simplices), tetKeys(triangulatePoints(Module, vx.getPoints(), true, vx.getBox())), topologyMode);
+  }
+  // A failed retriangulation keeps the tets and is reported instead of thrown
+  let fail = false;
+  const failing = Object.create(Module);
+  failing.compute_delaunay = (...args) => { if (fail) throw new Error('no triangulation'); return Module.compute_delaunay(...args); };
+  const vx = await createVoroX({ Module: failing, points: unflatten(Array.from(generatePoints('uniform', 100, { seed: 2 }))), shearRate: 1, verbose: false });
+  const tetCount = vx.getFoam().simplices.length;
+  fail = true;
+  vx.step(0.05, { recomputeEvery: 1 });
+  assert.match(vx.getTopologyStatus().last.error, /no triangulation/);
+  assert.equal(vx.getFoam().simplices.length, tetCount);
+  fail = false;
+  vx.step(0.05, { recomputeEvery: 1 });
+  assert.equal(vx.getTopologyStatus().last, null);
+}
+
+async function testHeadlessRunnerSnapshots() {
+  const config = { numPoints: 40, seed: 7, steps: 4, snapshotEvery: 2, step: { recomputeEvery: 2 }, scoring: { method: 'pagerank', every: 2, depth: 5 } };
+  const a = await runSimulation(config);
+  const b = await runSimulation(config);
+  assert.equal(a.snapshots.length, 2, 'Expected a snapshot every 2 steps');
+  assert.deepEqual(a.snapshots.map((s) => s.step), [2, 4]);
+  assert.equal(a.snapshots[1].points.length, 40 * 3);
+  assert.deepEqual(a.snapshots[1].points, b.snapshots[1].points, 'Same seed must reproduce the run');
+  assert.throws(() => resolveConfig({ steps: -1 }), /non-negative/);
+  // Every file on disk is reported, run.json included
+  const outDir = mkdtempSync(path.join(tmpdir(), 'vorox-run-'));
+  try {
+    const { files } = await runSimulation({ ...config, outDir, saveState: true });
+    assert.deepEqual(files.map((f) => path.basename(f)).sort(), readdirSync(outDir).sort());
+    assert.ok(files.some((f) => path.basename(f) === 'run.json'));
+  } finally {
+    rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+async function testStateRoundTrip() {
+  const base = { numPoints: 40, seed: 11, snapshotEvery: 0, step: { recomputeEvery: 2, useVerlet: true }, scoring: { method: 'mc', every: 2, L: 4, K: 8 } };
+  const full = await runSimulation({ ...base, steps: 6 });
+  const half = await runSimulation({ ...base, steps: 3 });
+  const state = JSON.parse(JSON.stringify(half.vorox.serialize()));
+  assert.equal(state.stepCounter, 3);
+  const resumed = await runSimulation({ ...base, steps: 3, restore: state });
+  assert.equal(resumed.vorox.getStepCount(), 6);
+  assert.deepEqual(resumed.vorox.getPoints(), full.vorox.getPoints(), 'Restored run must continue bit-for-bit');
+  assert.throws(() => parseState({ ...state, version: 99 }), /Unsupported VoroX state version/);
+}
+
+function testPointGeneratorsSeeded() {
+  const box = [2, 1, 1];
+  for (const name of POINT_DISTRIBUTIONS) {
+    const a = generatePoints(name, 64, { seed: 5, box });
+    const b = generatePoints(name, 64, { seed: 5, box });
+    const c = generatePoints(name, 64, { seed: 6, box, jitter: 0.1 });
+    assert.ok(a instanceof Float64Array && a.length > 0 && a.length % 3 === 0, `${name}: flat Float64Array`);
+    assert.deepEqual(a, b, `${name}: same seed must give the same points`);
+    if (name !== 'sc' && name !== 'bcc' && name !== 'fcc') assert.notDeepEqual(a, c, `${name}: seed must matter`);
+    for (let i = 0; i < a.length; i++) {
+      assert.ok(a[i] >= 0 && a[i] < box[i % 3], `${name}: point outside the box`);
+    }
+  }
+  assert.equal(latticePoints('fcc', { cells: [2, 2, 2] }).length, 2 * 2 * 2 * 4 * 3);
+  assert.throws(() => generatePoints('hexagonal', 10), /Unknown point distribution/);
+}
+
+function testPoissonDiskRespectsWrap() {
+  // Box sides that are not multiples of r/sqrt(3) must not let two points share a grid
+  // cell (the 0.344 x 0.344 x 1 box used to hide points behind later ones)
+  for (const [box, r] of [[[1, 1, 1], 0.15], [[1.3, 1, 0.7], 0.15], [[0.344, 0.344, 1], 0.2]]) {
+    for (let seed = 1; seed <= 20; seed++) {
+      const pts = poissonDiskPoints(500, { seed, box, minDistance: r });
+      const n = pts.length / 3;
+      assert.ok(n > 0.3 * (box[0] * box[1] * box[2]) / r ** 3, 'Expected a reasonably dense sample');
+      let minD = Infinity;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+          const d = minImageDelta([pts[3*i], pts[3*i+1], pts[3*i+2]], [pts[3*j], pts[3*j+1], pts[3*j+2]], box);
+          minD = Math.min(minD, Math.hypot(d[0], d[1], d[2]));
+        }
+      }
+      assert.ok(minD >= r, `Periodic min distance ${minD} below ${r} (box ${box}, seed ${seed})`);
+    }
+  }
+}
+
+async function periodicFoam(n, seed) {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('poisson', n, { seed })));
+  const vx = await createVoroX({ Module, points, centering: 'circumcenter', verbose: false });
+  return vx.getFoam();
+}
+
+async function testCellPolyhedraWatertight() {
+  const foam = await periodicFoam(200, 4);
+  const cells = buildCellPolyhedra(foam);
+  assert.equal(cells.length, 200);
+  let total = 0;
+  for (const cell of cells) {
+    assert.ok(cell, 'Every periodic cell must be bounded');
+    assert.ok(cell.volume > 0, `Cell ${cell.seed} has non-positive volume`);
+    total += cell.volume;
+    // Closed and consistently oriented: each directed edge appears once, its reverse once
+    const directed = new Set();
+    for (const face of cell.faces) {
+      for (let i = 0; i < face.length; i++) directed.add(`${face[i]}>${face[(i + 1) % face.length]}`);
+    }
+    for (const e of directed) {
+      const [u, v] = e.split('>');
+      assert.ok(directed.has(`${v}>${u}`), `Cell ${cell.seed} is not watertight`);
+    }
+  }
+  assert.ok(Math.abs(total - 1) < 1e-6, `Cell volumes sum to ${total}, expected the box volume`);
+}
+
+async function testCellExportFormats() {
+  const cells = buildCellPolyhedra(await periodicFoam(60, 9));
+  const faces = cells.reduce((n, c) => n + c.faces.length, 0);
+  const tris = cells.reduce((n, c) => n + c.faces.reduce((m, f) => m + f.length - 2, 0), 0);
+  const obj = cellsToOBJ(cells);
+  assert.equal(obj.split('\n').filter((l) => l.startsWith('f ')).length, faces);
+  assert.equal(obj.split('\n').filter((l) => l.startsWith('o cell_')).length, 60);
+  const score = new Float64Array(60).map((_, i) => i / 60);
+  const ply = cellsToPLY(cells, { attributes: { score } });
+  assert.match(ply, new RegExp(`element face ${faces}\n`));
+  assert.match(ply, /property double volume\nproperty double score\nend_header/);
+  const stl = cellsToSTL(cells);
+  assert.equal(stl.byteLength, 84 + 50 * tris);
+  assert.equal(new DataView(stl).getUint32(80, true), tris);
+  assert.throws(() => exportCells(cells, 'vtk'), /Unknown cell export format/);
+}
+
+function testMeasureUnitCube() {
+  const vertices = [[0,0,0],[1,0,0],[1,1,0],[0,1,0],[0,0,1],[1,0,1],[1,1,1],[0,1,1]];
+  const faces = [[0,3,2,1],[4,5,6,7],[0,1,5,4],[1,2,6,5],[2,3,7,6],[3,0,4,7]];
+  const cell = { seed: 0, site: [0.5, 0.5, 0.5], vertices, faces, neighbors: [1,1,1,1,1,1] };
+  cell.volume = polyhedronVolume(cell);
+  const m = measureCell(cell);
+  assert.ok(Math.abs(m.volume - 1) < 1e-12 && Math.abs(m.area - 6) < 1e-12);
+  assert.equal(m.numFaces, 6);
+  assert.equal(m.numEdges, 12);
+  assert.equal(m.numVertices, 8);
+  assert.deepEqual(m.edgesPerFace, [4, 4, 4, 4, 4, 4]);
+  assert.ok(Math.abs(m.iq - Math.PI / 6) < 1e-12, 'Cube IQ is pi/6');
+}
+
+async function testAnalyzeFoamCells() {
+  const foam = await periodicFoam(200, 4);
+  const { summary, faceCount, edgesPerFaceHistogram, iq } = analyzeCells(foam);
+  assert.equal(summary.count, 200);
+  assert.ok(Math.abs(summary.totalVolume - 1) < 1e-6);
+  assert.ok(Math.abs(summary.meanVolume - 1 / 200) < 1e-9);
+  // Each Voronoi face is dual to one Delaunay edge and counted once in the histogram
+  const delaunayEdges = buildEdgeSegments(foam, 'delaunay').length / 6;
+  assert.equal(edgesPerFaceHistogram.reduce((a, b) => a + b, 0), delaunayEdges);
+  assert.equal(faceCount.reduce((a, b) => a + b, 0), 2 * delaunayEdges);
+  assert.ok(summary.meanFaces > 12 && summary.meanFaces < 16, `Mean faces ${summary.meanFaces}`);
+  assert.ok(iq.every((q) => q > 0 && q < 1), 'IQ must lie in (0, 1)');
+}
+
+function testFoamStatsLawsAndRecorder() {
+  // Synthetic foam obeying Lewis exactly: V(F) proportional to F - 4
+  const faceCount = Int32Array.from([10, 12, 14, 12, 14, 10]);
+  const volume = Float64Array.from(faceCount, (F) => (F - 4) / 8);
+  const cells = Array.from(faceCount, (_, i) => ({ neighbors: [(i + 1) % 6, (i + 5) % 6] }));
+  const meanVolume = volume.reduce((a, b) => a + b, 0) / 6;
+  const measures = { cells, faceCount, volume, summary: { count: 6, meanVolume, meanFaces: 12, faceVariance: 8 / 3 } };
+  const f = faceStatistics(measures);
+  assert.deepEqual(f.distribution.slice(10), [2, 0, 2, 0, 2]);
+  assert.ok(Math.abs(f.lewis.F0 - 4) < 1e-9, `Lewis F0 ${f.lewis.F0}`);
+
+  const recorder = createStatsRecorder({ capacity: 3 });
+  for (let step = 1; step <= 5; step++) {
+    recorder.record({ step, measures, scores: new Map([['0-1', step], ['1-2', step + 2]]), lastStats: { meanDelta: 0.1, maxDelta: 0.2 } });
+  }
+  assert.deepEqual(recorder.series('step'), [3, 4, 5], 'Recorder keeps a rolling window');
+  assert.equal(recorder.latest().scoreMean, 6);
+  assert.equal(recorder.latest().scoreVariance, 1);
+  const csv = recorder.toCSV().trim().split('\n');
+  assert.equal(csv.length, 4);
+  assert.equal(csv[0], STATS_COLUMNS.join(','));
+  assert.equal(csv[3].split(',').length, STATS_COLUMNS.length);
+}
+
+async function testBrainProtocolRoundTrip() {
+  const foam = await periodicFoam(80, 2);
+  const { message, transfer, edges, keys } = createScoreRequest({ foamHash: 7, method: 'mc', params: { L: 4, K: 8 }, foam });
+  assert.equal(message.v, BRAIN_PROTOCOL_VERSION);
+  assert.ok(message.foam.centers instanceof Float64Array && message.foam.edges instanceof Uint32Array);
+  // Simulate the thread hop: buffers move, the sender's copies detach
+  const received = structuredClone(message, { transfer });
+  assert.equal(message.foam.points.byteLength, 0, 'Foam buffers must be transferred, not copied');
+  const workerFoams = new Map();
+  const workerFoam = unpackFoamCached(workerFoams, received.foamHash, received.foam);
+  assert.deepEqual(workerFoam.voronoiEdges, foam.voronoiEdges);
+  assert.deepEqual(workerFoam.facetPairs, foam.facetPairs);
+  const direct = calculateEdgeScoresMonteCarlo(foam, 4, 8, 0.9).scores;
+  const { values } = computeEdgeScoreValues(workerFoam, received.method, received.params);
+  assert.ok(values instanceof Float64Array);
+  assert.equal(values.length, foam.voronoiEdges.length, 'Scores are indexed by edge id');
+  assert.deepEqual(unpackScores(values, keys), direct);
+  assert.deepEqual(unpackScores(values, edges), direct);
+  assert.deepEqual(unpackScores(values, foam.voronoiEdges), direct);
+  assert.deepEqual(unpackScores(packScores(direct, edges), keys), direct);
+
+  // A repeated foamHash reuses the packed topology and its keys on the main thread, and
+  // the nested topology in the worker; points and centers are always sent fresh
+  const again = createScoreRequest({ foamHash: 7, method: 'mc', params: { L: 4, K: 8 }, foam });
+  assert.equal(again.keys, keys);
+  assert.notEqual(again.message.foam.points, received.foam.points);
+  const workerFoam2 = unpackFoamCached(workerFoams, 7, structuredClone(again.message, { transfer: again.transfer }).foam);
+  assert.equal(workerFoam2.simplices, workerFoam.simplices);
+  assert.equal(workerFoam2.facetPairs, workerFoam.facetPairs);
+  assert.notEqual(workerFoam2.points, workerFoam.points);
+  assert.deepEqual(unpackFoam(packBrainFoam(foam)).simplices, foam.simplices);
+}
+
+// In-process stand-in for topology.worker.js: same job code, messages cross a structuredClone hop
+function fakeTopologyWorker(Module) {
+  const worker = {
+    postMessage(data, transfer = []) {
+      if (data.type === 'init') return;
+      const request = structuredClone(data, { transfer });
+      setTimeout(() => {
+        const { message, transfer: back } = runTopologyJob(Module, request);
+        worker.onmessage({ data: structuredClone(message, { transfer: back }) });
+      }, 0);
+    },
+    terminate() {},
+  };
+  return worker;
+}
+
+async function testTopologyPoolOffThread() {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('poisson', 80, { seed: 5 })));
+  const pool = createTopologyPool({ size: 1, createWorker: () => fakeTopologyWorker(Module) });
+  const vx = await createVoroX({ Module, points, verbose: false, topology: pool });
+  const initialTets = vx.getFoam().simplices;
+  for (let i = 0; i < 3; i++) vx.step(0.002, { recomputeEvery: 3 });
+  assert.ok(vx.getTopologyStatus().pending, 'A job is submitted on the recompute step');
+  assert.equal(vx.getFoam().simplices, initialTets, 'Old tets stay in use while the job runs');
+  assert.equal(vx.consumeTopologyDirty(), false);
+  const submitted = vx.getPoints().map((p) => p.slice());
+  await vx.awaitTopology();
+  vx.step(0.002, { recomputeEvery: 3 });
+  const status = vx.getTopologyStatus();
+  assert.ok(status.last.adopted && !status.pending);
+  assert.equal(vx.consumeTopologyDirty(), true, 'Installing a result marks topology dirty');
+  assert.equal(vx.shouldPrimeOnBrain(), true);
+  assert.ok(getDualMaps(vx.getFoamHash()), 'Worker-primed caches are installed under the new hash');
+  assert.deepEqual(vx.getFoam().simplices, triangulatePoints(Module, submitted, true, [1, 1, 1]));
+
+  // Integration keeps going while a job is in flight; a late result rebuilds on current points
+  for (let i = 0; i < 3; i++) vx.step(0.002, { recomputeEvery: 3 });
+  assert.ok(vx.getTopologyStatus().pending);
+  await vx.awaitTopology();
+  vx.step(0.002, { recomputeEvery: 3 });
+  assert.equal(vx.getTopologyStatus().last.adopted, false);
+  assert.equal(vx.getTopologyStatus().last.latencySteps, 1);
+  assert.equal(vx.getFoam().points, vx.getPoints());
+  pool.terminate();
+}
+
+function testPowerCenters() {
+  const pts = [[0.1, 0.1, 0.1], [0.4, 0.15, 0.12], [0.2, 0.45, 0.1], [0.18, 0.2, 0.5]];
+  const tet = [[0, 1, 2, 3]];
+  const w = [0.01, 0.0, 0.02, 0.005];
+  const [c] = computeCenters(pts, tet, false, 'power', [1, 1, 1], w);
+  const power = pts.map((p, i) => (p[0] - c[0]) ** 2 + (p[1] - c[1]) ** 2 + (p[2] - c[2]) ** 2 - w[i]);
+  for (const pw of power) assert.ok(approxEqual(pw, power[0], 1e-12), `Unequal power distances ${power}`);
+  // Equal weights shift every power by the same amount: the power center is the circumcenter
+  const [cc] = computeCenters(pts, tet, false, 'circumcenter');
+  assert.ok(vecApproxEqual(computeCenters(pts, tet, false, 'power', [1, 1, 1], [0.3, 0.3, 0.3, 0.3])[0], cc, 1e-12));
+  const v = targetVolumesFromRadii([1, 2], [2, 1, 1]);
+  assert.ok(approxEqual(v[0], 2 / 9) && approxEqual(v[1], 16 / 9));
+}
+
+async function testWeightedFoamRelaxesVolumes() {
+  const Module = await loadPeriodicDelaunayModule();
+  const n = 80;
+  const points = unflatten(Array.from(generatePoints('poisson', n, { seed: 3 })));
+  const spacing = Math.cbrt(1 / n);
+  const radii = points.map((_, i) => (i % 2 ? 0.5 : 0.35) * spacing);
+  const vx = await createVoroX({ Module, points, radii, verbose: false });
+  assert.deepEqual(vx.getWeights(), weightsFromRadii(radii));
+  assert.equal(vx.getFoam().weights, vx.getWeights());
+  const opts = { weightRate: 2, equilibration: false, recomputeEvery: 5 };
+  vx.step(0.1, opts);
+  const first = vx.getLastStats().volumeError;
+  for (let i = 0; i < 20; i++) vx.step(0.1, opts);
+  const last = vx.getLastStats().volumeError;
+  assert.ok(last < 0.6 * first, `Volume error should shrink: ${first} -> ${last}`);
+  assert.ok(vx.getWeights().every((w) => w >= 0));
+  // Small cells shrink their weight relative to large ones
+  const w = vx.getWeights();
+  assert.ok(w[1] - w[0] > radii[1] ** 2 - radii[0] ** 2);
+
+  const restored = await createVoroX({ Module, restore: JSON.stringify(vx.serialize()), verbose: false });
+  assert.deepEqual(restored.getWeights(), vx.getWeights());
+  assert.deepEqual(restored.getTargetVolumes(), vx.getTargetVolumes());
+  assert.deepEqual(restored.getFoam().centers, vx.getFoam().centers);
+}
+
+async function testWeightedTriangulationIsRegular() {
+  const Module = await loadPeriodicDelaunayModule();
+  const n = 300;
+  const points = unflatten(Array.from(generatePoints('poisson', n, { seed: 4 })));
+  const spacing = Math.cbrt(1 / n);
+  const weights = weightsFromRadii(points.map((_, i) => (i % 2 ? 0.5 : 0.3) * spacing));
+  // Without compute_delaunay_weighted the weights are grown on the Delaunay tets by flips
+  const tets = triangulatePoints(Module, points, true, [1, 1, 1], { weights });
+  assert.deepEqual(emptySphereViolations(points, tets, { weights }), [], 'Every power sphere is empty');
+  assert.ok(approxEqual(tetVolumeSum(points, tets, [1, 1, 1]), 1, 1e-9), 'Tets tile the box once');
+  // Radii about half the spacing hide some seeds. Here the periodic flips meet tets wider
+  // than half the box, so the weights are grown on the periodic images instead
+  const fewRadii = (pointSeed, radiusSeed) => {
+    const pts = unflatten(Array.from(generatePoints('uniform', 120, { seed: pointSeed })));
+    let seed = radiusSeed;
+    const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    return [pts, pts.map(() => (0.4 + 0.35 * rand()) * Math.cbrt(1 / 120))];
+  };
+  const [few, radii] = fewRadii(4, 3);
+  const fewWeights = weightsFromRadii(radii);
+  const fewTets = triangulatePoints(Module, few, true, [1, 1, 1], { weights: fewWeights });
+  assert.deepEqual(emptySphereViolations(few, fewTets, { weights: fewWeights }), []);
+  assert.equal(new Set(fewTets.flat()).size, 119, 'One seed is hidden');
+  // Repair steps regrow a hidden cell by a 1-4 flip and stay regular
+  const [grown, grownRadii] = fewRadii(3, 9);
+  const vx = await createVoroX({ Module, points: grown, radii: grownRadii, verbose: false });
+  assert.equal(new Set(vx.getFoam().simplices.flat()).size, 119);
+  let reinserted = 0;
+  for (let i = 0; i < 8; i++) {
+    vx.step(0.02, { weightRate: 2, topologyMode: 'repair' });
+    const last = vx.getTopologyStatus().last;
+    assert.ok(last.ok && !last.error, `step ${i}`);
+    reinserted += last.flips14;
+  }
+  assert.ok(reinserted > 0, 'A hidden seed was reinserted');
+  assert.equal(new Set(vx.getFoam().simplices.flat()).size, 120);
+  assert.deepEqual(emptySphereViolations(vx.getPoints(), vx.getFoam().simplices, { weights: vx.getWeights() }), []);
+}
+
+async function testRepairMatchesRetriangulation() {
+  const Module = await loadPeriodicDelaunayModule();
+  let points = unflatten(Array.from(generatePoints('poisson', 120, { seed: 7 })));
+  let tets = triangulatePoints(Module, points, true, [1, 1, 1]);
+  assert.equal(repairTriangulation(points, tets).changed, false, 'A Delaunay input needs no flips');
+  let seed = 11;
+  const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+  let flips = 0;
+  for (let s = 0; s < 8; s++) {
+    const previousPoints = points;
+    points = points.map((p) => wrapPoint([p[0] + 0.02 * rand(), p[1] + 0.02 * rand(), p[2] + 0.02 * rand()]));
+    const res = repairTriangulation(points, tets, { previousPoints });
+    assert.ok(res.ok, res.reason);
+    assert.deepEqual(canonicalizeTetrahedra(res.tetrahedra), triangulatePoints(Module, points, true, [1, 1, 1]));
+    flips += res.flips23 + res.flips32;
+    tets = res.tetrahedra;
+  }
+  assert.ok(flips > 0, 'The motion should change the topology');
+
+  // One moved point: only the facets around it are tested, unless told the tets are stale
+  const moved = points.map((p, i) => (i === 5 ? wrapPoint([p[0] + 0.03, p[1] - 0.02, p[2] + 0.01]) : p));
+  const local = repairTriangulation(moved, tets, { previousPoints: points });
+  const full = repairTriangulation(moved, tets, { previousPoints: points, localSeeds: false });
+  assert.ok(local.ok && full.ok);
+  assert.deepEqual(canonicalizeTetrahedra(local.tetrahedra), triangulatePoints(Module, moved, true, [1, 1, 1]));
+  assert.ok(full.tested >= 2 * tets.length, `Full pass tests every facet (${full.tested})`);
+  assert.ok(local.tested < 0.1 * full.tested, `Local pass should stay near the point (${local.tested} of ${full.tested})`);
+
+  // Every point drifts a little: a certificate tests only the facets the drift can flip
+  const certificate = {};
+  const first = repairTriangulation(points, tets, { previousPoints: points, localSeeds: false, certificate, facetPairs: buildFacetPairs(tets) });
+  assert.ok(first.ok && first.tested >= 2 * tets.length);
+  flips = 0;
+  for (let s = 0; s < 6; s++) {
+    const previousPoints = points;
+    points = points.map((p) => wrapPoint([p[0] + 1e-3 * rand(), p[1] + 1e-3 * rand(), p[2] + 1e-3 * rand()]));
+    const res = repairTriangulation(points, tets, { previousPoints, certificate });
+    assert.ok(res.ok, res.reason);
+    assert.deepEqual(canonicalizeTetrahedra(res.tetrahedra), triangulatePoints(Module, points, true, [1, 1, 1]));
+    assert.ok(res.tested < 0.5 * tets.length, `Certified pass tested ${res.tested} facets of ${2 * tets.length}`);
+    flips += res.flips23 + res.flips32;
+    tets = res.tetrahedra;
+  }
+  assert.ok(flips > 0, 'The drift should change the topology');
+}
+
+async function testAdapterRepairModeKeepsTopologyExact() {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('poisson', 200, { seed: 9 })));
+  const vx = await createVoroX({ Module, points, verbose: false });
+  let changed = 0;
+  for (let i = 0; i < 12; i++) {
+    vx.step(0.05, { topologyMode: 'repair', energy: 5e-3 });
+    const info = vx.getTopologyStatus().last;
+    assert.ok(info.repair && info.ok, info.reason);
+    if (vx.consumeTopologyDirty()) changed++;
+    const foam = vx.getFoam();
+    assert.deepEqual(canonicalizeTetrahedra(foam.simplices), triangulatePoints(Module, vx.getPoints(), true, [1, 1, 1]));
+    // After the first step the certificate keeps the tests well below the facet count
+    if (i > 0) assert.ok(info.tested < foam.simplices.length, `Step ${i} tested ${info.tested} facets`);
+    // The foam is patched around the flips, and matches one built from scratch
+    const built = buildFoam({ pointsArray: vx.getPoints(), tetrahedra: foam.simplices, isPeriodic: true, box: [1, 1, 1], centering: 'circumcenter' });
+    for (const key of ['facetPairs', 'voronoiEdges', 'voronoiEdgeToDelaunayFace', 'linkGraph']) assert.deepEqual(foam[key], built[key], key);
+  }
+  assert.ok(changed > 0, 'Some steps should flip');
+}
+
+async function testTopologyDiffEvents() {
+  const pts = [[0.5, 0.5, 0.2], [0.4, 0.45, 0.5], [0.6, 0.45, 0.5], [0.5, 0.6, 0.5], [0.5, 0.5, 0.8], [0.5, 0.5, 0.5]];
+  const two = [[0, 1, 2, 3], [1, 2, 3, 4]];
+  const three = [[0, 4, 1, 2], [0, 4, 2, 3], [0, 4, 3, 1]];
+  const d23 = diffTopology(two, three, { points: pts, periodic: false, step: 7 });
+  assert.equal(d23.events.length, 1);
+  assert.deepEqual(d23.events[0], { type: '2-3', step: 7, cells: [0, 4], ring: [1, 2, 3], location: [0.5, 0.5, 0.5], appeared: true });
+  assert.deepEqual(d23.counts, { flips23: 1, flips32: 0, t2: 0, edgesAdded: 1, edgesRemoved: 0, facesAdded: 3, facesRemoved: 1 });
+  assert.equal(diffTopology(three, two).events[0].type, '3-2');
+  // Vertex 5 inside tet 0-1-2-3: removing it is a T2 event, not four flips
+  const star = [[5, 1, 2, 3], [0, 5, 2, 3], [0, 1, 5, 3], [0, 1, 2, 5]];
+  const t2 = diffTopology(star, [[0, 1, 2, 3]], { points: pts, periodic: false });
+  assert.deepEqual(t2.events.map((e) => [e.type, e.cells, e.appeared]), [['T2', [5], false]]);
+
+  // The adapter logs the events of each topology change at the step it happened
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('poisson', 200, { seed: 9 })));
+  const vx = await createVoroX({ Module, points, verbose: false });
+  for (let i = 0; i < 4; i++) vx.step(0.05, { topologyMode: 'repair', energy: 5e-3 });
+  const diff = vx.getLastTopologyDiff();
+  assert.ok(diff && diff.counts.flips23 + diff.counts.flips32 > 0);
+  assert.ok(vx.getTopologyEvents(diff.step).length >= diff.events.length);
+  const totals = vx.getTopologyEventLog().totals();
+  assert.equal(vx.getTopologyEvents().filter((e) => e.type === '2-3').length, totals.flips23);
+}
+
+async function testStableEdgeIdentities() {
+  // Reordering tets renumbers every edge key, but face ids and facet flows carry over
+  const pts = [[0.5, 0.5, 0.2], [0.4, 0.45, 0.5], [0.6, 0.45, 0.5], [0.5, 0.6, 0.5], [0.5, 0.5, 0.8]];
+  const three = [[0, 4, 1, 2], [0, 4, 2, 3], [0, 4, 3, 1]];
+  const shuffled = [[3, 1, 0, 4], [0, 4, 1, 2], [2, 3, 0, 4]];
+  const build = (tets) => buildFoam({ pointsArray: pts, tetrahedra: tets, isPeriodic: false, centering: 'circumcenter' });
+  const a = build(three), b = build(shuffled);
+  const scores = new Map(a.voronoiEdges.map(([t1, t2]) => [`${t1}-${t2}`, faceId(a.voronoiEdgeToDelaunayFace.get(`${t1}-${t2}`)).length + t1]));
+  const carried = remapEdgeScores(scores, a, b);
+  assert.equal(carried.size, scores.size);
+  assert.equal(stableEdgeIds(a).duplicates.size, 0);
+  // Two faces with the same seeds (periodic images in a tiny box) share one face id
+  const twin = { voronoiEdgeToDelaunayFace: new Map([['0-1', [0, 1, 2]], ['0-2', [2, 1, 0]], ['1-2', [0, 1, 3]]]) };
+  const twinIds = stableEdgeIds(twin);
+  assert.deepEqual([...twinIds.duplicates], ['0-1-2']);
+  assert.equal(twinIds.fromStable.get('0-1-2'), '0-1');
+  for (const [key, v] of carried) {
+    const src = [...a.voronoiEdgeToDelaunayFace].find(([, f]) => faceId(f) === faceId(b.voronoiEdgeToDelaunayFace.get(key)));
+    assert.equal(v, scores.get(src[0]));
+  }
+  const flow = three.map((_, t) => [t + 1, 0, 0, 0]); // facet 0 of each tet (omits vertex 3)
+  const moved = remapFlow(flow, three, shuffled);
+  for (let t = 0; t < three.length; t++) {
+    const u = shuffled.findIndex((tet) => vertexId(tet) === vertexId(three[t]));
+    const f = 3 - shuffled[u].indexOf(three[t][3]);
+    assert.equal(moved[u][f], t + 1);
+    assert.equal(moved[u].reduce((x, y) => x + y, 0), t + 1);
+  }
+  // The adapter carries its scores through flips: surviving faces keep theirs, new ones are filled
+  const Module = await loadPeriodicDelaunayModule();
+  const vx = await createVoroX({ Module, points: unflatten(Array.from(generatePoints('poisson', 200, { seed: 9 }))), verbose: false });
+  const before = vx.getFoam();
+  const byFace = new Map([...before.voronoiEdgeToDelaunayFace].map(([key, f]) => [faceId(f), Number(key.split('-')[0])]));
+  const edgeScores = new Map([...before.voronoiEdgeToDelaunayFace].map(([key, f]) => [key, byFace.get(faceId(f))]));
+  while (!vx.consumeTopologyDirty()) vx.step(0.05, { topologyMode: 'repair', energy: 5e-3, edgeScores });
+  const after = vx.getFoam();
+  const kept = vx.getEdgeScores();
+  assert.equal(kept.size, after.voronoiEdges.length);
+  let survivors = 0;
+  for (const [key, f] of after.voronoiEdgeToDelaunayFace) {
+    if (!byFace.has(faceId(f))) continue;
+    survivors++;
+    assert.equal(kept.get(key), byFace.get(faceId(f)));
+  }
+  assert.ok(survivors > 0 && survivors < after.voronoiEdges.length);
+
+  const history = createEdgeHistory({ alpha: 0.5, length: 4 });
+  history.update(scores, a, 1);
+  const smoothed = history.update(new Map([...carried].map(([k, v]) => [k, v + 2])), b, 2);
+  for (const [key, v] of smoothed) assert.equal(v, carried.get(key) + 1);
+  const id = faceId(b.voronoiEdgeToDelaunayFace.get(b.voronoiEdges[0].join('-')));
+  assert.deepEqual(history.series(id).map(([step]) => step), [1, 2]);
+}
+
+function testPageRankSolver() {
+  // 0 -> 1 -> 2 -> 0, 0 -> 3; node 3 is dangling
+  const csr = buildPageRankCSR(4, [{ source: 0, target: 1 }, { source: 1, target: 2 }, { source: 2, target: 0 }, { source: 0, target: 3 }], { directed: true });
+  const d = 0.85;
+  const check = (personalization) => {
+    const res = solvePageRank(csr, { damping: d, tol: 1e-12, maxIterations: 500, personalization });
+    assert.ok(res.converged && res.residual < 1e-12 && res.iterations < 500);
+    const x = res.scores;
+    assert.ok(approxEqual(x.reduce((a, b) => a + b, 0), 1, 1e-12));
+    // Fixed point: x = d (P^T x + x_dangling p) + (1 - d) p
+    const p = personalization ? personalization.map((v) => v / personalization.reduce((a, b) => a + b, 0)) : [0.25, 0.25, 0.25, 0.25];
+    const expected = [x[2], x[0] / 2, x[1], x[0] / 2].map((v, i) => d * (v + x[3] * p[i]) + (1 - d) * p[i]);
+    for (let i = 0; i < 4; i++) assert.ok(approxEqual(x[i], expected[i], 1e-10), `node ${i}: ${x[i]} vs ${expected[i]}`);
+    return x;
+  };
+  const uniform = check(null);
+  const biased = check([0, 0, 0, 1]);
+  assert.ok(biased[3] > uniform[3], 'Personalization biases the ranking toward node 3');
+
+  // Large graphs: no argument-spread overflow, O(N) per iteration
+  const n = 200000;
+  const nodes = Array.from({ length: n }, (_, i) => ({ key: `${i}-${i + 1}` }));
+  const links = Array.from({ length: n }, (_, i) => ({ source: i, target: (i + 1) % n }));
+  links.push({ source: 0, target: n / 2 });
+  const scores = edgePageRank({ nodes, links }, 50, 0.85, { tol: 1e-9 });
+  assert.equal(scores.size, n);
+  assert.equal(scores.get('0-1'), 1);
+
+  // The legacy depth no longer caps the iterations: tol decides, and a uniform ring stays quiet
+  const ring = { nodes: nodes.slice(0, 6), links: [0, 1, 2, 3, 4, 5].map((i) => ({ source: i, target: (i + 1) % 6 })) };
+  ring.links.push({ source: 0, target: 3 });
+  const exact = solveEdgePageRank(ring, { tol: 1e-14, maxIterations: 10000 });
+  assert.ok(exact.converged && exact.iterations > 10);
+  const legacy = edgePageRank(ring, 10, 0.85, { tol: 1e-14 });
+  for (const [key, v] of exact.scores) assert.ok(approxEqual(legacy.get(key), v, 1e-10), `${key}: ${legacy.get(key)} vs ${v}`);
+  const warn = console.warn;
+  let warned = 0;
+  console.warn = () => { warned++; };
+  try {
+    edgePageRank({ nodes: ring.nodes, links: ring.links.slice(0, 6) }, 10);
+    assert.equal(warned, 0, 'Low-variance warning needs verbose');
+    edgePageRank({ nodes: ring.nodes, links: ring.links.slice(0, 6) }, 10, 0.85, { verbose: true });
+    assert.equal(warned, 1);
+  } finally {
+    console.warn = warn;
+  }
+}
+
+async function testDirectedWalkMatchesMonteCarlo() {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('poisson', 60, { seed: 4 })));
+  const foam = buildFoam({ pointsArray: points, tetrahedra: triangulatePoints(Module, points, true, [1, 1, 1]), isPeriodic: true, centering: 'circumcenter' });
+  const exact = calculateEdgeScoresDirected(foam, 6, 0.9);
+  assert.equal(exact.size, foam.voronoiEdges.length);
+  // The cached half-edge CSR (Float32 weights) gives the same scores
+  const cached = calculateEdgeScoresDirected(foam, 6, 0.9, { csr: primeCaches(foam).mcCSR });
+  for (const [k, v] of exact) assert.ok(approxEqual(v, cached.get(k), 1e-6));
+  // Sampling noise shrinks toward the exact expectation
+  const mc = calculateEdgeScoresMC(foam, 6, 512, 0.9);
+  let err = 0;
+  for (const [k, v] of exact) err += Math.abs(v - mc.get(k));
+  assert.ok(err / exact.size < 0.01, `Mean |MC - exact| = ${err / exact.size}`);
+  const minCombined = calculateEdgeScoresDirected(foam, 6, 0.9, { combine: 'min' });
+  assert.equal(minCombined.size, exact.size);
+}
+
+async function testScorerRegistry() {
+  assert.deepEqual(listScorers().map((s) => s.name).slice(0, 4), ['pagerank', 'mc', 'directed', 'flow']);
+  // Schema: defaults fill in, numbers clamp, ints snap to their step, selects fall back
+  assert.deepEqual(resolveScorerParams('mc', { L: '40', K: 70, combine: 'max', seed: 3 }), { L: 32, K: 72, alpha: 0.9, combine: 'harmonic', seed: 3 });
+  assert.throws(() => computeEdgeScores({}, 'nope'), /Unknown edge scorer "nope"/);
+  assert.throws(() => registerScorer({ name: 'bad', params: [{ key: 'x', type: 'bool' }], compute: () => new Map() }), /unknown type/);
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 40, { seed: 2 })));
+  const foam = buildFoam({ pointsArray: points, tetrahedra: triangulatePoints(Module, points, true, [1, 1, 1]), isPeriodic: true, centering: 'circumcenter' });
+  for (const { name } of listScorers()) {
+    const { scores, params } = computeEdgeScores(foam, name, {}, { seed: 1 });
+    assert.equal(scores.size, foam.voronoiEdges.length, `${name} scores every edge`);
+    const { values } = computeEdgeScoreValues(foam, name, {}, { seed: 1 });
+    foam.voronoiEdges.forEach(([a, b], e) => assert.equal(values[e], scores.get(a < b ? `${a}-${b}` : `${b}-${a}`), `${name} values follow edge ids`));
+    for (const v of scores.values()) assert.ok(v >= 0 && v <= 1 + 1e-12, `${name} score ${v} out of [0, 1]`);
+    assert.equal(typeof params, 'object');
+  }
+  // A user-supplied scorer is picked up by the headless runner by name
+  let calls = 0;
+  registerScorer({
+    name: 'edge-length',
+    params: [{ key: 'power', type: 'number', default: 1, min: 0, max: 4 }],
+    compute(f, { power }) {
+      calls++;
+      const out = new Map();
+      for (const [a, b] of f.voronoiEdges) out.set(a < b ? `${a}-${b}` : `${b}-${a}`, power === 2 ? 0.25 : 0.5);
+      return out;
+    },
+  });
+  try {
+    const { snapshots } = await runSimulation({ numPoints: 40, seed: 3, steps: 2, snapshotEvery: 2, scoring: { method: 'edge-length', power: 2 } }, { Module });
+    assert.ok(calls >= 2 && snapshots[0].scoreCount > 0);
+  } finally {
+    unregisterScorer('edge-length');
+  }
+  assert.throws(() => resolveConfig({ scoring: { method: 'edge-length' } }), /Unknown scoring method/);
+}
+
+async function testEdgeBetweenness() {
+  // Path 0-1-2-3: the middle edge carries 4 of the 6 pairs; a square splits opposite pairs
+  const path = { centers: [[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]], voronoiEdges: [[0, 1], [1, 2], [2, 3]], isPeriodic: false };
+  assert.deepEqual(Array.from(edgeBetweenness(buildSkeletonCSR(path)).values), [3, 4, 3]);
+  const square = { centers: [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]], voronoiEdges: [[0, 1], [1, 2], [2, 3], [3, 0]], isPeriodic: false };
+  assert.deepEqual(Array.from(edgeBetweenness(buildSkeletonCSR(square)).values), [2, 2, 2, 2]);
+  assert.deepEqual(Object.fromEntries(edgeBetweennessScores(path, { normalize: 'rank' })), { '0-1': 0.25, '2-3': 0.25, '1-2': 1 });
+  // Minimum-image lengths: across the periodic wrap 0-3 is the short way round
+  const ring = { centers: [[0.1, 0, 0], [0.35, 0, 0], [0.6, 0, 0], [0.85, 0, 0]], voronoiEdges: [[0, 1], [1, 2], [2, 3], [3, 0]], isPeriodic: true };
+  assert.deepEqual(Array.from(edgeBetweenness(buildSkeletonCSR(ring)).values), [2, 2, 2, 2]);
+  assert.deepEqual(Array.from(edgeBetweenness(buildSkeletonCSR({ ...ring, isPeriodic: false })).values), [2.5, 3.5, 2.5, 0.5]); // 0-3 ties with the long way
+  // Sampled on a periodic foam: unbiased on the total, and the scores drive XPBD face constraints
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 60, { seed: 2 })));
+  const vorox = await createVoroX({ Module, points, periodic: true, centering: 'circumcenter', verbose: false });
+  const csr = buildSkeletonCSR(vorox.getFoam());
+  const sum = (a) => a.reduce((x, y) => x + y, 0);
+  const exact = sum(edgeBetweenness(csr).values);
+  const sampled = sum(edgeBetweenness(csr, { samples: csr.n >> 2, seed: 1 }).values);
+  assert.ok(Math.abs(sampled - exact) / exact < 0.05, `sampled total ${sampled} vs exact ${exact}`);
+  const { scores } = computeEdgeScores(vorox.getFoam(), 'betweenness', { samples: 64, normalize: 'rank' }, { seed: 5 });
+  assert.equal(scores.size, vorox.getFoam().voronoiEdges.length);
+  vorox.step(0.05, { useEdgeMode: true, useXPBD: true, edgeScores: scores, threshold: 0.5, recomputeEvery: 100 });
+  assert.ok(vorox.getLastStats().affectedFaces > 0, 'XPBD uses the betweenness scores');
+}
+
+async function testPercolationClusters() {
+  // A ring of four vertices along x closes through the periodic wrap: winding (1, 0, 0)
+  const ring = { centers: [[0.1, 0.5, 0.5], [0.35, 0.5, 0.5], [0.6, 0.5, 0.5], [0.85, 0.5, 0.5], [0.5, 0.1, 0.1]], voronoiEdges: [[0, 1], [1, 2], [2, 3], [3, 0], [1, 4]], isPeriodic: true };
+  const scores = new Map([['0-1', 0.9], ['1-2', 0.8], ['2-3', 0.7], ['0-3', 0.6], ['1-4', 0.2]]);
+  let r = analyzePercolation(ring, scores, { threshold: 0.5 });
+  assert.equal(r.clusters.length, 1);
+  assert.deepEqual(r.clusters[0].windings, [[1, 0, 0]]);
+  assert.deepEqual(r.spanningAxes, [true, false, false]);
+  r = analyzePercolation(ring, scores, { threshold: 0.65 }); // the wrap edge drops out
+  assert.equal(r.spanning, false);
+  assert.deepEqual(r.sizeHistogram, [[4, 1]]);
+  r = analyzePercolation(ring, scores, { threshold: 0.5, select: 'below' });
+  assert.deepEqual(r.clusters.map((c) => c.edges), [['1-4']]);
+  assert.equal(analyzePercolation({ ...ring, isPeriodic: false }, scores).spanning, false);
+  // Every edge of a periodic foam: one cluster winding along all three axes
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 60, { seed: 3 })));
+  const foam = buildFoam({ pointsArray: points, tetrahedra: triangulatePoints(Module, points, true, [1, 1, 1]), isPeriodic: true, centering: 'circumcenter' });
+  const all = new Map(foam.voronoiEdges.map(([a, b]) => [a < b ? `${a}-${b}` : `${b}-${a}`, 1]));
+  r = analyzePercolation(foam, all, { threshold: 0.5 });
+  assert.equal(r.clusters.length, 1);
+  assert.equal(r.clusters[0].windings.length, 3);
+  assert.equal(r.largestFraction, 1);
+  const sweep = percolationSweep(foam, computeEdgeScores(foam, 'pagerank').scores, [0, 0.5, 1.01]);
+  assert.deepEqual(sweep.map((row) => row.spanning), [true, sweep[1].spanning, false]);
+  assert.ok(sweep[0].numEdges >= sweep[1].numEdges && sweep[2].numEdges === 0);
+}
+
+async function testKnotsAndCatchments() {
+  // Six tets in a ring along x: facet 0 steps forward, facet 1 back. The forward and the
+  // backward facets each close a knot that wraps the box
+  const n = 6;
+  const ring = Array.from({ length: n }, (_, i) => [{ tet: (i + 1) % n, face: 1 }, { tet: (i + n - 1) % n, face: 0 }, null, null]);
+  const centers = Array.from({ length: n }, (_, i) => [(i + 0.5) / n, 0.5, 0.5]);
+  const flow = buildVoroXFlow({ tetrahedra: centers.map(() => [0, 1, 2, 3]), centers, faceAdjacency: ring, isPeriodic: true });
+  assert.equal(flow.knots.length, 2);
+  const foam = { simplices: centers.map(() => [0, 1, 2, 3]), centers, facetPairs: ring, isPeriodic: true };
+  computeKnots(foam);
+  assert.deepEqual(foam.numCatched, [6, 6]);
+  const line = knotPolyline(foam, foam.knots[0]);
+  assert.equal(line.closed, false);
+  assert.ok(approxEqual(line.length, 1));
+  assert.ok(approxEqual(line.points[n][0] - line.points[0][0], foam.knots[0][0].face === 0 ? 1 : -1));
+  assert.ok(approxEqual(simplexCatchment(foam, 0), 2 * (6 + 6) / 6 / 4));
+  // Periodic foam: every facet drains into exactly one knot, at a consistent distance
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 80, { seed: 5 })));
+  const big = buildFoam({ pointsArray: points, tetrahedra: triangulatePoints(Module, points, true, [1, 1, 1]), isPeriodic: true, centering: 'circumcenter' });
+  const { activeEdges } = computeKnots(big);
+  const stats = knotStatistics(big);
+  assert.ok(stats.count > 0);
+  assert.equal(stats.unassigned, 0);
+  assert.equal(stats.catchments.reduce((a, b) => a + b, 0), 4 * big.simplices.length);
+  assert.equal(stats.hopHistogram.reduce((a, [, c]) => a + c, 0), stats.count);
+  for (let t = 0; t < big.simplices.length; t++) {
+    for (let f = 0; f < 4; f++) {
+      const next = activeEdges[t][f];
+      assert.equal(big.facetKnot[next.tet][next.face], big.facetKnot[t][f]);
+      if (big.knotDist[t][f] > 0) assert.equal(big.knotDist[next.tet][next.face], big.knotDist[t][f] - 1);
+    }
+  }
+}
+
+async function testPackedFoamMatchesObjectFoam() {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 80, { seed: 11 })));
+  const tets = triangulatePoints(Module, points, true, [1, 1, 1]);
+  const foam = buildFoam({ pointsArray: points, tetrahedra: tets, isPeriodic: true, centering: 'circumcenter' });
+  const pf = buildPackedFoam({ positions: Float64Array.from(points.flat()), simplices: Int32Array.from(tets.flat()), isPeriodic: true, centering: 'circumcenter' });
+  // Same edge numbering, facet pairs and centers as the object foam
+  assert.equal(pf.numEdges, foam.voronoiEdges.length);
+  foam.voronoiEdges.forEach(([a, b], e) => {
+    assert.equal(edgeKeyOf(pf, e), `${a}-${b}`);
+    assert.equal(edgeIdOf(pf, b, a), e);
+  });
+  for (let t = 0; t < tets.length; t++) {
+    for (let f = 0; f < 4; f++) {
+      const m = foam.facetPairs[t][f];
+      assert.equal(pf.facetNeighbor[4 * t + f], m ? 4 * m.tet + m.face : -1);
+    }
+  }
+  assert.ok(foam.centers.every((c, t) => vecApproxEqual(c, [pf.centers[3 * t], pf.centers[3 * t + 1], pf.centers[3 * t + 2]], 1e-12)));
+  const scores = computeEdgeScores(foam, 'pagerank').scores;
+  const roundTrip = scoresToMap(pf, scoresFromMap(pf, scores));
+  assert.equal(roundTrip.size, scores.size);
+  scores.forEach((v, key) => assert.equal(roundTrip.get(key), v));
+  // Gradient (homothety + edge forces) and the obtuse half-edge CSR
+  for (const edge_scale of [false, true]) {
+    const opts = { useEdgeMode: true, edgeScores: scores, contractive: true, expansive: true, energy: 0.01, scale: 0.1, edge_scale };
+    const g = gradient(foam, opts);
+    const gp = gradientPacked(pf, opts);
+    assert.ok(g.every((v, i) => vecApproxEqual(v, [gp[3 * i], gp[3 * i + 1], gp[3 * i + 2]], 1e-12)));
+    const e = foamEnergy(foam, opts);
+    const ep = foamEnergyPacked(pf, { ...opts, edgeScores: scoresFromMap(pf, scores) });
+    for (const k of ['total', 'equilibration', 'edge']) assert.ok(approxEqual(e[k], ep[k], 1e-9), `${k} energy`);
+  }
+  // Power centers computed in place match the object foam's
+  const weights = points.map((_, i) => 1e-3 * (i % 5));
+  const powerFoam = buildFoam({ pointsArray: points, tetrahedra: tets, isPeriodic: true, centering: 'power', weights });
+  const powerPacked = buildPackedFoam({ positions: points, simplices: tets, isPeriodic: true, centering: 'power', weights });
+  assert.ok(powerFoam.centers.every((c, t) => vecApproxEqual(c, [powerPacked.centers[3 * t], powerPacked.centers[3 * t + 1], powerPacked.centers[3 * t + 2]], 1e-12)));
+  const { adj } = buildHalfEdgeAdjacency(foam);
+  const csr = buildHalfEdgeAdjacencyPacked(packFoam(foam));
+  assert.equal(csr.numHalfEdges, adj.length);
+  adj.forEach((row, h) => {
+    assert.deepEqual(row.map((o) => o.to), Array.from(csr.colIdx.subarray(csr.rowPtr[h], csr.rowPtr[h + 1])));
+    row.forEach((o, j) => assert.ok(approxEqual(o.p, csr.w[csr.rowPtr[h] + j], 1e-12)));
+  });
+  // step({ packed: true }) follows the object path for Euler and XPBD steps
+  const ordered = new Map(foam.voronoiEdges.map(([a, b]) => [`${a}-${b}`, scores.get(`${a}-${b}`)]));
+  for (const stepOpts of [{ useEdgeMode: true, edgeScores: ordered, contractive: true }, { useEdgeMode: true, useXPBD: true, edgeScores: ordered, contractive: true }]) {
+    // The object XPBD pass moves the caller's point arrays in place: give each run a copy
+    const a = await createVoroX({ Module, points: points.map((p) => p.slice()), centering: 'circumcenter', verbose: false });
+    const b = await createVoroX({ Module, points: points.map((p) => p.slice()), centering: 'circumcenter', verbose: false });
+    for (let i = 0; i < 3; i++) {
+      a.step(0.05, { ...stepOpts, recomputeEvery: 100, trackEnergy: true });
+      b.step(0.05, { ...stepOpts, recomputeEvery: 100, trackEnergy: true, packed: true });
+    }
+    assert.ok(a.getPoints().every((p, i) => vecApproxEqual(p, b.getPoints()[i], 1e-10)));
+    assert.equal(a.getLastStats().affectedFaces, b.getLastStats().affectedFaces);
+    assert.ok(approxEqual(a.getLastStats().energy, b.getLastStats().energy, 1e-9));
+  }
+  // Typed scores by edge id, positions kept packed across steps (the foam and points are
+  // rebuilt on demand) and retriangulations in between
+  const a = await createVoroX({ Module, points: points.map((p) => p.slice()), centering: 'circumcenter', verbose: false });
+  const b = await createVoroX({ Module, points: points.map((p) => p.slice()), centering: 'circumcenter', verbose: false });
+  let gb = null;
+  for (let i = 0; i < 6; i++) {
+    const opts = { useEdgeMode: true, contractive: true, recomputeEvery: 3 };
+    const values = computeEdgeScoreValues(b.getFoam(), 'pagerank').values;
+    a.step(0.05, { ...opts, edgeScores: scoresToMap(packFoam(a.getFoam()), values) });
+    const g = b.step(0.05, { ...opts, edgeScores: values, packed: true });
+    // One gradient buffer per tets (retriangulated after every third step)
+    assert.ok(g instanceof Float64Array && (i % 3 === 0 || g === gb));
+    gb = g;
+    assert.ok(approxEqual(a.getLastStats().gradientNorm, b.getLastStats().gradientNorm, 1e-9));
+    assert.ok(approxEqual(a.getLastStats().maxDisplacement, b.getLastStats().maxDisplacement, 1e-9));
+  }
+  assert.ok(a.getStepCount() === 6 && a.getLastTopologyDiff() && b.getLastTopologyDiff());
+  assert.deepEqual(b.getFoam().simplices, a.getFoam().simplices);
+  assert.ok(a.getPoints().every((p, i) => vecApproxEqual(p, b.getPoints()[i], 1e-10)));
+  assert.ok(a.getFoam().centers.every((c, t) => vecApproxEqual(c, b.getFoam().centers[t], 1e-10)));
+  assert.throws(() => b.step(0.05, { useEdgeMode: true, edgeScores: new Float64Array(3), packed: true }), /edge scores/);
+}
+
+async function testXPBDConstraintSolver() {
+  // Hard distance, area and tet-volume targets on one tet, vertex 0 pinned
+  const pos = Float64Array.from([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  const hard = createXPBDSolver({ invMass: [0, 1, 1, 1] });
+  hard.addDistance(0, 1, { rest: 1.2 });
+  hard.addArea(1, 2, 3, { rest: 0.9 });
+  hard.addTetVolume(0, 1, 2, 3, { rest: 0.25 });
+  const st = hard.solve(pos, 0.01, { iterations: 200 });
+  assert.ok(st.maxError < 1e-8, `max error ${st.maxError}`);
+  assert.deepEqual(Array.from(pos.subarray(0, 3)), [0, 0, 0]);
+  // Compliant distance: λ accumulation stops at the XPBD fixed point, however many iterations
+  const alpha = 1e-4, dt = 0.01, at = alpha / (dt * dt);
+  const pair = Float64Array.from([0, 0, 0, 1, 0, 0]);
+  const soft = createXPBDSolver({ compliance: alpha });
+  soft.addDistance(0, 1, { rest: 0.5 });
+  soft.solve(pair, dt, { iterations: 25 });
+  assert.ok(approxEqual(soft.getLambdas()[0], -0.5 / (2 + at), 1e-12));
+  assert.ok(approxEqual(pair[3] - pair[0], 0.5 + 0.5 * at / (2 + at), 1e-12));
+  // Substeps split the displacement and reset λ
+  const moved = Float64Array.from([0, 0, 0, 1, 0, 0]);
+  soft.solve(moved, dt, { iterations: 25, substeps: 4, displacement: Float64Array.from([0, 0, 0, 0.4, 0, 0]) });
+  assert.ok(moved[3] - moved[0] < 1.4);
+  // Periodic distance across the wrap; cell volume = Σ tet volumes / 4 around a seed
+  const wrapPair = Float64Array.from([0.95, 0.5, 0.5, 0.05, 0.5, 0.5]);
+  const per = createXPBDSolver({ isPeriodic: true, box: [1, 1, 1] });
+  per.addDistance(0, 1, { rest: 0.2 });
+  per.solve(wrapPair, 1, { iterations: 4 });
+  assert.ok(approxEqual(wrapPair[0], 0.9, 1e-12) && approxEqual(wrapPair[3], 0.1, 1e-12));
+  const octa = Float64Array.from([0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 1, 0, 0, -1, 0, 0, 0, 1, 0, 0, -1]);
+  const tets = [];
+  for (const x of [1, 2]) for (const y of [3, 4]) for (const z of [5, 6]) tets.push([0, x, y, z]);
+  const cell = createXPBDSolver({ invMass: [0, 1, 1, 1, 1, 1, 1] });
+  cell.addCellVolume(tets, { rest: 0.5 });
+  assert.ok(approxEqual(cell.evaluate(octa)[0], 1 / 3 - 0.5, 1e-12));
+  assert.ok(cell.solve(octa, 0.01, { iterations: 50 }).maxError < 1e-10);
+
+  // step({ useXPBD, xpbdSolver: 'xpbd' }) meets the score-driven face targets
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 60, { seed: 5 })));
+  const vorox = await createVoroX({ Module, points, centering: 'circumcenter', verbose: false });
+  const scores = computeEdgeScores(vorox.getFoam(), 'pagerank').scores;
+  vorox.step(0.05, { useEdgeMode: true, useXPBD: true, xpbdSolver: 'xpbd', xpbdCompliance: 0, xpbdIters: 20, edgeScores: scores, contractive: true, recomputeEvery: 100 });
+  const stats = vorox.getLastStats();
+  assert.ok(stats.affectedFaces > 0 && stats.maxDelta > 0);
+  assert.ok(stats.constraintError < 1e-3, `constraint error ${stats.constraintError}`);
+  assert.ok(vorox.getPoints().every((p) => p.every((x) => x >= 0 && x < 1)));
+}
+
+async function testCellVolumePreservation() {
+  const Module = await loadPeriodicDelaunayModule();
+  // Foam cells from the Voronoi faces of the tets: those of analyzeCells(), tiling the box
+  const points = unflatten(Array.from(generatePoints('uniform', 200, { seed: 8 })));
+  const vorox = await createVoroX({ Module, points, centering: 'circumcenter', verbose: false });
+  const pf = packFoam(vorox.getFoam());
+  const faces = buildCellFaces(pf);
+  assert.ok(faces.bounded.every((b) => b === 1));
+  const V = foamCellVolumes(pf, faces, new Float64Array(pf.numPoints));
+  const A = analyzeCells(vorox.getFoam()).volume;
+  assert.ok(V.every((v, i) => approxEqual(v, A[i], 1e-12)));
+  assert.ok(approxEqual(V.reduce((a, b) => a + b, 0), 1, 1e-9));
+
+  // Targets are the foam cells' volumes, held under XPBD face scaling and retriangulations
+  const opts = { useEdgeMode: true, useXPBD: true, contractive: true, recomputeEvery: 3, preserveVolume: true };
+  for (const [n, seed] of [[200, 3], [200, 8], [250, 1]]) {
+    const vorox = await createVoroX({ Module, points: unflatten(Array.from(generatePoints('uniform', n, { seed }))), centering: 'circumcenter', verbose: false });
+    const targets = analyzeCells(vorox.getFoam()).volume;
+    vorox.setCellVolumeTargets(targets);
+    let worst = 0;
+    for (let i = 0; i < 9; i++) {
+      vorox.step(0.05, { ...opts, edgeScores: computeEdgeScores(vorox.getFoam(), 'pagerank').scores });
+      worst = Math.max(worst, vorox.getLastStats().cellVolumeError);
+    }
+    const V = analyzeCells(vorox.getFoam()).volume;
+    const rms = Math.sqrt(V.reduce((a, v, i) => a + (v - targets[i]) ** 2, 0) / n) * n;
+    const stats = vorox.getLastStats();
+    // The motion alone leaves 20-50 % errors
+    assert.ok(worst < 0.02 && rms < 1e-4, `${n} points, seed ${seed}: relative volume error ${rms}, ${worst} at worst`);
+    assert.ok(stats.cellVolumeDrift > 0.1 && approxEqual(stats.cellVolumeResidual, stats.cellVolumeError, 1e-9), JSON.stringify(stats));
+    // cellVolumeError measures the same cells as the stats panel
+    assert.ok(approxEqual(stats.cellVolumeError, rms, 1e-9), JSON.stringify(stats));
+    assert.deepEqual(vorox.getCellVolumeTargets(), targets);
+    if (seed !== 8) continue;
+    // The targets are saved, so a restored run holds the same volumes
+    const state = JSON.stringify(vorox.serialize());
+    assert.deepEqual(parseState(state).cellVolumeTargets, Array.from(targets));
+    const restored = await createVoroX({ Module, restore: state, verbose: false });
+    const scores = computeEdgeScores(vorox.getFoam(), 'pagerank').scores;
+    vorox.step(0.05, { ...opts, edgeScores: scores });
+    restored.step(0.05, { ...opts, edgeScores: scores });
+    const a = vorox.getPoints(), b = restored.getPoints();
+    assert.ok(a.every((p, i) => p.every((x, k) => Math.abs(x - b[i][k]) < 1e-9)));
+    assert.ok(restored.getLastStats().cellVolumeError < 0.02);
+  }
+  vorox.step(0.05, { ...opts, preserveVolume: false });
+  assert.equal(vorox.getLastStats().cellVolumeError, undefined);
+}
+
+async function testIntegrators() {
+  // Unit oscillator F = −k·x (k = 1) from x = 1 at rest
+  const spring = (pts) => pts.map((p) => [-p[0], -p[1], -p[2]]);
+  const run = (name, { mass = 1, dt = 0.01, steps = 100 } = {}) => {
+    const it = createIntegrator(name, 1, { mass, damping: 1, forceFn: spring });
+    let x = [[1, 0, 0]];
+    it.initialize(x);
+    let energy = [];
+    for (let i = 0; i < steps; i++) {
+      it.setForces(spring(x));
+      energy.push(it.kineticEnergy() + 0.5 * x[0][0] ** 2);
+      x = it.integrate(dt, Infinity);
+    }
+    it.setForces(spring(x));
+    return { x: x[0][0], v: it.getVelocities()[0][0], energy };
+  };
+  const rk4 = run('rk4');
+  assert.ok(Math.abs(rk4.x - Math.cos(1)) < 1e-9 && Math.abs(rk4.v + Math.sin(1)) < 1e-9);
+  const vv = run('velocity-verlet', { steps: 5000 });
+  assert.ok(vv.energy.every((e) => Math.abs(e - 0.5) < 1e-4), 'velocity Verlet keeps the energy');
+  assert.ok(Math.abs(vv.x - Math.cos(50)) < 1e-3 && Math.abs(vv.v + Math.sin(50)) < 1e-3);
+  assert.ok(Math.abs(run('semi-implicit-euler').x - Math.cos(1)) < 1e-2);
+  // Mass 4 halves the frequency
+  assert.ok(Math.abs(run('velocity-verlet', { mass: 4, steps: 314 }).x - Math.cos(1.57)) < 1e-3);
+  // FIRE reaches the minimum of an anisotropic bowl
+  const fire = createIntegrator('fire', 2);
+  const bowl = (pts) => pts.map((p) => [-p[0], -10 * p[1], -100 * p[2]]);
+  let pts = [[1, 1, 1], [-0.5, 0.2, 0.1]];
+  fire.initialize(pts);
+  for (let i = 0; i < 300; i++) {
+    fire.setForces(bowl(pts));
+    pts = fire.integrate(0.01, 0.1);
+  }
+  assert.ok(pts.flat().every((c) => Math.abs(c) < 1e-4), JSON.stringify(pts));
+  assert.throws(() => createIntegrator('leapfrog', 1), /Unknown integrator/);
+
+  // step({ integrator }) and relax(); the integrator state resumes bit-for-bit
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 60, { seed: 3 })));
+  const vorox = await createVoroX({ Module, points, centering: 'circumcenter', verbose: false });
+  const relaxed = vorox.relax(1e-3, 300, { dt: 0.5, energy: 0.05, scale: 0.1, damping: 0.9 });
+  assert.ok(relaxed.converged && relaxed.gradientNorm < 1e-3, JSON.stringify(relaxed));
+  assert.ok(vorox.getVelocities().length === 60);
+  for (const integrator of INTEGRATORS.filter((n) => n !== 'euler')) {
+    const base = { numPoints: 40, seed: 2, snapshotEvery: 0, step: { recomputeEvery: 2, integrator, mass: 2 } };
+    const full = await runSimulation({ ...base, steps: 4 });
+    const half = await runSimulation({ ...base, steps: 2 });
+    const resumed = await runSimulation({ ...base, steps: 2, restore: JSON.parse(JSON.stringify(half.vorox.serialize())) });
+    assert.deepEqual(resumed.vorox.getPoints(), full.vorox.getPoints(), `${integrator}: restored run must continue bit-for-bit`);
+  }
+}
+
+async function testEnergyAndConvergence() {
+  const Module = await loadPeriodicDelaunayModule();
+  const points = unflatten(Array.from(generatePoints('uniform', 40, { seed: 4 })));
+  const tets = triangulatePoints(Module, points, true, [1, 1, 1]);
+  const build = (pts) => buildFoam({ pointsArray: pts, tetrahedra: tets, isPeriodic: true, centering: 'circumcenter' });
+  const foam = build(points);
+  // Pair form (edge_scale): gradient() is exactly −∇E
+  const pairOpts = { edge_scale: true, energy: 0.05, scale: 0.1 };
+  const g = gradient(foam, pairOpts);
+  const h = 1e-6;
+  for (const i of [0, 7, 23]) {
+    for (let k = 0; k < 3; k++) {
+      const plus = points.map((p) => p.slice()), minus = points.map((p) => p.slice());
+      plus[i][k] += h;
+      minus[i][k] -= h;
+      const dE = (foamEnergy(build(plus), pairOpts).total - foamEnergy(build(minus), pairOpts).total) / (2 * h);
+      assert.ok(Math.abs(dE + g[i][k]) < 1e-7, `point ${i}: dE ${dE} vs g ${g[i][k]}`);
+    }
+  }
+  // Barycenter and edge terms (centers held fixed): a small step along the gradient lowers E
+  const scores = computeEdgeScores(foam, 'pagerank').scores;
+  for (const opts of [{ energy: 0.05, scale: 0.1 }, { equilibration: false, useEdgeMode: true, edgeScores: scores, contractive: true, expansive: true, energy: 0.05 }]) {
+    const e0 = foamEnergy(foam, opts);
+    const gs = gradient(foam, opts);
+    const e1 = foamEnergy(build(points.map((p, i) => [p[0] + 1e-3 * gs[i][0], p[1] + 1e-3 * gs[i][1], p[2] + 1e-3 * gs[i][2]])), opts);
+    assert.ok(e1.total < e0.total && approxEqual(e0.total, e0.equilibration + e0.edge, 1e-15));
+  }
+
+  // Plateau detection: a metric counts once it has a full window; unreported metrics are skipped
+  const monitor = createConvergenceMonitor({ window: 5 });
+  for (let i = 0; i < 4; i++) assert.equal(monitor.push({ energy: 1 + 1e-3 * i, maxDisplacement: 0 }).converged, false);
+  for (let i = 0; i < 5; i++) monitor.push({ energy: 2, maxDisplacement: 1e-9 });
+  assert.deepEqual(monitor.status(), { converged: true, steps: 9, plateaued: { energy: true, maxDisplacement: true } });
+  assert.equal(monitor.push({ energy: 2, maxDisplacement: 1e-3 }).converged, false);
+
+  // step() stats and an auto-stopped run
+  const run = await runSimulation({ numPoints: 60, seed: 3, steps: 400, dt: 0.5, snapshotEvery: 50, step: { energy: 0.05, scale: 0.1 }, autoStop: { window: 10 } });
+  const stats = run.vorox.getLastStats();
+  for (const key of ['energy', 'energyEquilibration', 'energyEdge', 'gradientNorm', 'maxDisplacement', 'kineticEnergy']) {
+    assert.ok(Number.isFinite(stats[key]), `${key} reported`);
+  }
+  assert.ok(run.stoppedAt > 10 && run.stoppedAt < 400, `stopped at ${run.stoppedAt}`);
+  assert.equal(run.snapshots[run.snapshots.length - 1].step, run.stoppedAt);
+  assert.ok(run.snapshots[0].lastStats.energy > stats.energy);
+  // The energy is only measured on request
+  run.vorox.step(0.5, { energy: 0.05, scale: 0.1 });
+  assert.equal(run.vorox.getLastStats().energy, undefined);
+  assert.ok(Number.isFinite(run.vorox.getLastStats().gradientNorm));
+}
+
 const tests = [
   ['circumcenter regular tetra', testCircumcenterRegularTetra],
   ['circumcenter degenerate fallback', testCircumcenterDegenerateFallback],
   ['periodic wrap for circumcenter', testPeriodicWrap],
+  ['minimum image in anisotropic box', testBoxMinimumImage],
+  ['barycenter and distance in anisotropic box', testBoxBarycenterAndDistance],
+  ['anisotropic periodic box triangulates to exact Delaunay', testAnisotropicBoxIsDelaunay],
+  ['minimum image in sheared lattice', testShearedLatticeMinimumImage],
+  ['shear convection keeps fractional coordinates', testShearConvectionKeepsFractionalCoords],
+  ['sheared lattice triangulates to exact Delaunay at finite strain', testShearedLatticeIsDelaunay],
+  ['verlet velocity across periodic boundary', testVerletVelocityAcrossBoundary],
+  ['headless runner writes reproducible snapshots', testHeadlessRunnerSnapshots],
+  ['serialize/restore continues bit-for-bit', testStateRoundTrip],
+  ['seeded point generators are reproducible', testPointGeneratorsSeeded],
+  ['periodic poisson-disk spacing across the wrap', testPoissonDiskRespectsWrap],
+  ['voronoi cell polyhedra are watertight and tile the box', testCellPolyhedraWatertight],
+  ['cell export to OBJ/PLY/STL', testCellExportFormats],
+  ['cell measures of a unit cube', testMeasureUnitCube],
+  ['cell measures over a periodic foam', testAnalyzeFoamCells],
+  ['foam stats: Lewis fit, rolling recorder, CSV', testFoamStatsLawsAndRecorder],
+  ['brain protocol v2 typed-array round trip', testBrainProtocolRoundTrip],
+  ['topology pool retriangulates off the main loop', testTopologyPoolOffThread],
+  ['power centers equalize power distances', testPowerCenters],
+  ['weighted foam relaxes cell volumes and round-trips', testWeightedFoamRelaxesVolumes],
+  ['weighted triangulation satisfies the power-empty-sphere condition', testWeightedTriangulationIsRegular],
+  ['flip repair matches a full retriangulation', testRepairMatchesRetriangulation],
+  ['repair mode keeps topology exact every step', testAdapterRepairModeKeepsTopologyExact],
+  ['topology diff reports flips and T2 events', testTopologyDiffEvents],
+  ['stable face ids carry scores and flow across renumbering', testStableEdgeIdentities],
+  ['CSR PageRank converges with dangling nodes and personalization', testPageRankSolver],
+  ['directed half-edge walk equals the MC expectation', testDirectedWalkMatchesMonteCarlo],
+  ['scorer registry: schema, built-ins, user scorer in the runner', testScorerRegistry],
+  ['edge betweenness: exact, sampled and as XPBD scores', testEdgeBetweenness],
+  ['percolation clusters, winding numbers and sweeps', testPercolationClusters],
+  ['flow knots, catchment basins and knot statistics', testKnotsAndCatchments],
+  ['packed foam kernels match the object foam', testPackedFoamMatchesObjectFoam],
+  ['XPBD solver: multipliers, compliance, substeps, cell volume', testXPBDConstraintSolver],
+  ['cell volume constraint keeps seeds at their target volumes', testCellVolumePreservation],
+  ['integrators: velocity Verlet, RK4, FIRE, relax and restore', testIntegrators],
+  ['energy functional, step convergence stats and auto-stop', testEnergyAndConvergence],
 ];
 
 let passed = 0;
 for (const [name, fn] of tests) {
   try {
-    fn();
+    await fn();
     console.log(`✓ ${name}`);
     passed++;
   } catch (e) {